@@ -49,6 +49,10 @@ export function AuthProvider({ children }: { children: React.ReactNode }) {
         return { success: false, requires2FA: true };
       }
 
+      if (response.requires2FASetup) {
+        return { success: false, error: response.error || 'Configuration 2FA obligatoire' };
+      }
+
       setUser(response.user);
       return { success: true };
     } catch (error: unknown) {
@@ -0,0 +1,111 @@
+const recordingService = require('../services/RecordingService');
+const freepbxAmi = require('../services/FreePBXAmiService');
+const logger = require('../utils/logger');
+
+class RecordingsJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.lastRun = null;
+    this.lastResult = null;
+    this.onRecordingStarted = this.onRecordingStarted.bind(this);
+    this.onCallSaved = this.onCallSaved.bind(this);
+  }
+
+  /**
+   * Démarre le suivi des enregistrements (événements AMI) et la rétention
+   * @param {number} intervalHours - Intervalle de la rétention en heures (par défaut 24h)
+   */
+  start(intervalHours = 24) {
+    if (this.interval) {
+      logger.warn('RecordingsJob already running');
+      return;
+    }
+
+    freepbxAmi.on('recordingStarted', this.onRecordingStarted);
+    freepbxAmi.on('callSaved', this.onCallSaved);
+
+    // Exécuter immédiatement au démarrage
+    this.execute();
+
+    // Puis planifier l'exécution périodique
+    this.interval = setInterval(() => {
+      this.execute();
+    }, intervalHours * 60 * 60 * 1000);
+
+    logger.info(`RecordingsJob started with ${intervalHours}h interval`);
+  }
+
+  /**
+   * Arrête le job
+   */
+  stop() {
+    freepbxAmi.off('recordingStarted', this.onRecordingStarted);
+    freepbxAmi.off('callSaved', this.onCallSaved);
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('RecordingsJob stopped');
+    }
+  }
+
+  onRecordingStarted(event) {
+    try {
+      recordingService.handleRecordingStarted(event);
+    } catch (error) {
+      logger.error('Recording tracking failed:', error);
+    }
+  }
+
+  onCallSaved(call) {
+    try {
+      recordingService.handleCallSaved(call);
+    } catch (error) {
+      logger.error('Recording link failed:', error);
+    }
+  }
+
+  /**
+   * Rattache les enregistrements en attente puis applique la rétention
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.warn('RecordingsJob already executing, skipping...');
+      return this.lastResult;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const linked = recordingService.linkPending();
+      const { purged, archived, failed } = await recordingService.applyRetention();
+      this.lastResult = { linked, purged, archived, failed };
+
+      if (linked || purged || archived || failed) {
+        logger.info('Call recordings processed', this.lastResult);
+      }
+      return this.lastResult;
+    } catch (error) {
+      logger.error('Call recordings retention failed:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+      this.lastRun = Date.now();
+    }
+  }
+
+  /**
+   * Obtient le statut du job
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      scheduled: !!this.interval,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult
+    };
+  }
+}
+
+module.exports = new RecordingsJob();
@@ -0,0 +1,83 @@
+const scheduledMessageService = require('../services/ScheduledMessageService');
+const logger = require('../utils/logger');
+
+class ScheduledMessagesJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Démarre le job d'envoi des messages programmés
+   * @param {number} intervalSeconds - Intervalle en secondes (par défaut 30s)
+   */
+  start(intervalSeconds = 30) {
+    if (this.interval) {
+      logger.warn('ScheduledMessagesJob already running');
+      return;
+    }
+
+    // Messages bloqués en cours d'envoi lors du dernier arrêt
+    scheduledMessageService.recoverInterrupted();
+
+    // Exécuter immédiatement au démarrage (rattrape les envois manqués pendant l'arrêt)
+    this.execute();
+
+    // Puis planifier l'exécution périodique
+    this.interval = setInterval(() => {
+      this.execute();
+    }, intervalSeconds * 1000);
+
+    logger.info(`ScheduledMessagesJob started with ${intervalSeconds}s interval`);
+  }
+
+  /**
+   * Arrête le job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('ScheduledMessagesJob stopped');
+    }
+  }
+
+  /**
+   * Envoie les messages arrivés à échéance
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug('ScheduledMessagesJob already executing, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const { sent, failed, postponed } = await scheduledMessageService.processDue();
+
+      if (sent || failed || postponed) {
+        logger.info('Scheduled messages processed', { sent, failed, postponed });
+      }
+    } catch (error) {
+      logger.error('Scheduled messages processing failed:', error);
+    } finally {
+      this.isRunning = false;
+      this.lastRun = Date.now();
+    }
+  }
+
+  /**
+   * Obtient le statut du job
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      scheduled: !!this.interval,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new ScheduledMessagesJob();
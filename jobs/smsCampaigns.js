@@ -0,0 +1,86 @@
+const smsCampaignService = require('../services/SmsCampaignService');
+const logger = require('../utils/logger');
+
+class SmsCampaignsJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.lastRun = null;
+    this.intervalSeconds = 10;
+  }
+
+  /**
+   * Démarre le job d'envoi des campagnes SMS
+   * @param {number} intervalSeconds - Intervalle en secondes (par défaut 10s, le débit est étalé dessus)
+   */
+  start(intervalSeconds = 10) {
+    if (this.interval) {
+      logger.warn('SmsCampaignsJob already running');
+      return;
+    }
+
+    this.intervalSeconds = intervalSeconds;
+
+    // Destinataires bloqués en cours d'envoi lors du dernier arrêt
+    smsCampaignService.recoverInterrupted();
+
+    // Reprendre immédiatement les campagnes en cours
+    this.execute();
+
+    // Puis planifier l'exécution périodique
+    this.interval = setInterval(() => {
+      this.execute();
+    }, intervalSeconds * 1000);
+
+    logger.info(`SmsCampaignsJob started with ${intervalSeconds}s interval`);
+  }
+
+  /**
+   * Arrête le job
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('SmsCampaignsJob stopped');
+    }
+  }
+
+  /**
+   * Envoie le lot suivant de chaque campagne en cours
+   */
+  async execute() {
+    if (this.isRunning) {
+      logger.debug('SmsCampaignsJob already executing, skipping...');
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const { sent, failed, excluded } = await smsCampaignService.processRunning(this.intervalSeconds);
+
+      if (sent || failed || excluded) {
+        logger.info('SMS campaigns processed', { sent, failed, excluded });
+      }
+    } catch (error) {
+      logger.error('SMS campaigns processing failed:', error);
+    } finally {
+      this.isRunning = false;
+      this.lastRun = Date.now();
+    }
+  }
+
+  /**
+   * Obtient le statut du job
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      scheduled: !!this.interval,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new SmsCampaignsJob();
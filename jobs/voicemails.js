@@ -0,0 +1,109 @@
+const voicemailService = require('../services/VoicemailService');
+const freepbxAmi = require('../services/FreePBXAmiService');
+const logger = require('../utils/logger');
+
+// MessageWaiting est émis dès le dépôt: laisser app_voicemail finir d'écrire les fichiers
+const MESSAGE_WAITING_DELAY_MS = 3000;
+
+class VoicemailsJob {
+  constructor() {
+    this.isRunning = false;
+    this.interval = null;
+    this.lastRun = null;
+    this.pendingMailboxes = new Map();
+    this.onMessageWaiting = this.onMessageWaiting.bind(this);
+  }
+
+  /**
+   * Démarre l'import des messages vocaux (scan du spool + événements AMI MessageWaiting)
+   * @param {number} intervalSeconds - Intervalle du scan complet en secondes (par défaut 60s)
+   */
+  start(intervalSeconds = 60) {
+    if (this.interval) {
+      logger.warn('VoicemailsJob already running');
+      return;
+    }
+
+    freepbxAmi.on('messageWaiting', this.onMessageWaiting);
+
+    // Exécuter immédiatement au démarrage (messages déposés pendant l'arrêt)
+    this.execute();
+
+    // Puis planifier l'exécution périodique
+    this.interval = setInterval(() => {
+      this.execute();
+    }, intervalSeconds * 1000);
+
+    logger.info(`VoicemailsJob started with ${intervalSeconds}s interval`);
+  }
+
+  /**
+   * Arrête le job
+   */
+  stop() {
+    freepbxAmi.off('messageWaiting', this.onMessageWaiting);
+    for (const timer of this.pendingMailboxes.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingMailboxes.clear();
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+      logger.info('VoicemailsJob stopped');
+    }
+  }
+
+  /**
+   * Nouveau message dans une boîte: scan de cette boîte seule
+   */
+  onMessageWaiting({ mailbox, newMessages }) {
+    if (!mailbox || !newMessages || this.pendingMailboxes.has(mailbox)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingMailboxes.delete(mailbox);
+      this.execute(mailbox);
+    }, MESSAGE_WAITING_DELAY_MS);
+    this.pendingMailboxes.set(mailbox, timer);
+  }
+
+  /**
+   * Importe les nouveaux messages du spool
+   * @param {string} [mailbox] - Boîte à scanner (toutes par défaut)
+   */
+  async execute(mailbox = null) {
+    if (this.isRunning && !mailbox) {
+      logger.debug('VoicemailsJob already executing, skipping...');
+      return;
+    }
+
+    // Les scans d'une boîte (MessageWaiting) sont sérialisés par VoicemailService
+    if (!mailbox) this.isRunning = true;
+
+    try {
+      const { imported, linked } = await voicemailService.scan(mailbox);
+
+      if (imported || linked) {
+        logger.info('Voicemails processed', { imported, linked });
+      }
+    } catch (error) {
+      logger.error('Voicemails processing failed:', error);
+    } finally {
+      if (!mailbox) this.isRunning = false;
+      this.lastRun = Date.now();
+    }
+  }
+
+  /**
+   * Obtient le statut du job
+   */
+  getStatus() {
+    return {
+      running: this.isRunning,
+      scheduled: !!this.interval,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new VoicemailsJob();
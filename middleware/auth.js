@@ -85,6 +85,31 @@ const generateToken = (user) => {
   );
 };
 
+// Durée de validité d'un challenge 2FA (login ou enrôlement forcé)
+const CHALLENGE_TOKEN_TTL = '5m';
+
+// Générer un token de challenge 2FA (ne donne accès à aucune route protégée)
+const generateChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      purpose // '2fa_login' | '2fa_enroll'
+    },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+};
+
+// Vérifier un token de challenge 2FA, retourne le payload ou null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Middleware pour vérifier le token
 const verifyToken = async (req, res, next) => {
   try {
@@ -120,7 +145,8 @@ const verifyToken = async (req, res, next) => {
 
     // Vérifier le token JWT
     jwt.verify(token, JWT_SECRET, async (err, decoded) => {
-      if (err) {
+      // Un token de challenge 2FA n'est pas un token de session
+      if (err || decoded.purpose) {
         return res.status(401).json({ error: 'Token invalide' });
       }
 
@@ -175,7 +201,7 @@ const optionalVerifyToken = async (req, res, next) => {
 
     // Vérifier le token JWT
     jwt.verify(token, JWT_SECRET, async (err, decoded) => {
-      if (err) {
+      if (err || decoded.purpose) {
         // Token invalide = pas d'utilisateur, mais on continue
         req.user = null;
         return next();
@@ -200,6 +226,7 @@ const verifyWebSocketToken = async (token) => {
 
     // Vérifier le token JWT
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.purpose) return null;
 
     // Récupérer l'utilisateur
     const user = db.getUserById(decoded.id);
@@ -212,6 +239,8 @@ const verifyWebSocketToken = async (token) => {
 
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   verifyToken,
   optionalVerifyToken,
   validateCloudToken,
@@ -1,6 +1,6 @@
 const WhatsAppProvider = require('../base/WhatsAppProvider');
 const Baileys = require('@whiskeysockets/baileys');
-const { default: makeWASocket, DisconnectReason, fetchLatestBaileysVersion, useMultiFileAuthState, makeCacheableSignalKeyStore, Browsers, downloadMediaMessage } = Baileys;
+const { default: makeWASocket, DisconnectReason, fetchLatestBaileysVersion, useMultiFileAuthState, makeCacheableSignalKeyStore, Browsers, downloadMediaMessage, proto, getAggregateVotesInPollMessage, getKeyAuthor, jidNormalizedUser } = Baileys;
 const { Boom } = require('@hapi/boom');
 const logger = require('../../utils/logger');
 const QRCode = require('qrcode');
@@ -8,6 +8,37 @@ const path = require('path');
 const fs = require('fs').promises;
 const pino = require('pino');
 const chatStorage = require('../../services/ChatStorageServicePersistent');
+const contactService = require('../../services/ContactService');
+const { serializeVCard } = require('../../utils/contactFormats');
+
+const ProtocolType = proto.Message.ProtocolMessage.Type;
+
+/**
+ * Erreur de gestion de groupe avec le statut HTTP à renvoyer
+ * (les erreurs Boom de Baileys portent le code de WhatsApp: 403 si on n'est pas admin...;
+ * sans code, erreur interne: 500)
+ */
+function groupError(error) {
+  const code = error.output?.statusCode;
+  const groupErr = new Error(error.message);
+  if (!code) {
+    groupErr.status = 500;
+  } else {
+    groupErr.status = code === 401 ? 403 : ([400, 403, 404].includes(code) ? code : 409);
+  }
+  return groupErr;
+}
+
+/**
+ * Recrée les Buffers d'un message relu depuis raw_data
+ * (JSON.stringify les sérialise en { type: 'Buffer', data: [...] })
+ */
+function reviveBuffers(value) {
+  if (Array.isArray(value)) return value.map(reviveBuffers);
+  if (!value || typeof value !== 'object') return value;
+  if (value.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, reviveBuffers(item)]));
+}
 
 /**
  * Provider Baileys Direct - Connexion WhatsApp Web native
@@ -139,7 +170,9 @@ class BaileysProvider extends WhatsAppProvider {
             const msg = await this.store.loadMessage(key.remoteJid, key.id);
             return msg?.message || undefined;
           }
-          return undefined;
+          // Sinon depuis raw_data (la clé messageSecret d'un sondage sert à déchiffrer les votes)
+          const stored = await chatStorage.getMessageById(key.id);
+          return stored?.rawData?.message ? reviveBuffers(stored.rawData.message) : undefined;
         },
       });
 
@@ -370,7 +403,7 @@ class BaileysProvider extends WhatsAppProvider {
       for (const update of updates) {
         if (update.id && update.subject) {
           try {
-            chatStorage.updateChatName(update.id, update.subject);
+            chatStorage.setChatName(update.id, update.subject);
             logger.info(`👥 Group renamed: ${update.id} -> ${update.subject}`);
           } catch (err) {
             logger.error(`Error updating group name: ${err.message}`);
@@ -379,10 +412,27 @@ class BaileysProvider extends WhatsAppProvider {
       }
     });
 
+    // Participants ajoutés, retirés, promus ou rétrogradés: message système dans le chat du groupe
+    this.sock.ev.on('group-participants.update', async (update) => {
+      if (socketId !== this.socketId) return;
+      try {
+        await this.handleGroupParticipantsUpdate(update);
+      } catch (err) {
+        logger.error(`Error handling group participants update: ${err.message}`);
+      }
+    });
+
     // Contacts update - utile pour les @lid et autres contacts
     this.sock.ev.on('contacts.upsert', async (contacts) => {
       logger.info(`📇 CONTACTS UPSERT: ${contacts.length} contacts`);
       for (const contact of contacts) {
+        // Rattacher les JIDs (numéro / @lid) à la fiche du carnet de contacts
+        try {
+          contactService.linkWhatsAppIdentities([contact.id, contact.lid, contact.phoneNumber, contact.jid]);
+        } catch (err) {
+          logger.warn(`Contact linking failed for ${contact.id}: ${err.message}`);
+        }
+
         const name = contact.notify || contact.verifiedName || contact.name;
         if (contact.id && name) {
           try {
@@ -447,6 +497,15 @@ class BaileysProvider extends WhatsAppProvider {
             status
           });
         }
+
+        // Votes de sondage (déchiffrés par Baileys via getMessage)
+        if (msgUpdate.pollUpdates) {
+          try {
+            await this.applyPollUpdates(key, msgUpdate.pollUpdates);
+          } catch (err) {
+            logger.error(`Error applying poll votes on ${key.id}: ${err.message}`);
+          }
+        }
       }
     });
   }
@@ -470,6 +529,16 @@ class BaileysProvider extends WhatsAppProvider {
         source: 'whatsapp'
       };
 
+      // Édition / suppression pour tous: appliquée au message d'origine, pas stockée
+      if (await this.applyProtocolMessage(message)) {
+        continue;
+      }
+
+      // Vote de sondage chiffré: Baileys le déchiffre et émet messages.update (pollUpdates)
+      if (message.message.pollUpdateMessage) {
+        continue;
+      }
+
       const msgTypes = Object.keys(message.message || {});
       logger.info(`📨 MESSAGE UPSERT: chatId=${message.key.remoteJid} fromMe=${message.key.fromMe} types=${msgTypes.join(',')}`);
 
@@ -492,13 +561,15 @@ class BaileysProvider extends WhatsAppProvider {
         continue;
       }
 
-      // Ignorer les messages système (protocolMessage, senderKeyDistributionMessage)
+      // Ignorer les messages système (protocolMessage, editedMessage, senderKeyDistributionMessage)
       // NOTE: messageContextInfo est présent dans TOUS les messages, ce n'est PAS un indicateur de message système
       const msgTypes = Object.keys(message.message || {});
       const realContentTypes = msgTypes.filter(t => t !== 'messageContextInfo');
 
       const isSystemMessage = realContentTypes.length === 1 && (
         realContentTypes[0] === 'protocolMessage' ||
+        realContentTypes[0] === 'editedMessage' ||
+        realContentTypes[0] === 'pollUpdateMessage' ||
         realContentTypes[0] === 'senderKeyDistributionMessage'
       );
 
@@ -519,6 +590,86 @@ class BaileysProvider extends WhatsAppProvider {
     }
   }
 
+  /**
+   * Applique un message protocole (édition ou suppression pour tous) au message visé
+   * et émet 'message.update' si la DB a changé.
+   * Seul l'auteur du message visé, dans le même chat, peut le modifier ou le supprimer.
+   * @returns {Promise<boolean>} - true si c'était une édition ou une suppression
+   */
+  async applyProtocolMessage(message) {
+    const protocol = message.message.protocolMessage ||
+      message.message.editedMessage?.message?.protocolMessage;
+    const targetId = protocol?.key?.id;
+    if (!targetId) return false;
+
+    const isRevoke = protocol.type === ProtocolType.REVOKE;
+    const isEdit = protocol.type === ProtocolType.MESSAGE_EDIT && !!protocol.editedMessage;
+    if (!isRevoke && !isEdit) return false;
+
+    const chatId = message.key.remoteJid;
+    const target = await chatStorage.getMessageById(targetId);
+    if (!target || !this.isSameAuthor(target, message.key)) {
+      logger.warn(`⛔ Protocol message on ${targetId} ignored: not from the author in ${chatId}`);
+      return true;
+    }
+
+    let update;
+    if (isRevoke) {
+      update = chatStorage.markMessageDeleted(chatId, targetId, Number(message.messageTimestamp) || undefined);
+    } else {
+      const text = this.getMessageText({ message: protocol.editedMessage });
+      update = chatStorage.editMessage(chatId, targetId, text, Number(message.messageTimestamp) || undefined);
+    }
+
+    logger.info(`✏️ Protocol message on ${targetId}: ${update ? update.action : 'no change'}`);
+    if (update) {
+      this.emit('message.update', update);
+    }
+    return true;
+  }
+
+  /**
+   * Le message stocké a-t-il été envoyé par l'expéditeur de `key`, dans le même chat ?
+   * - fromMe identique (un contact ne touche pas à nos messages, ni l'inverse)
+   * - groupe: même participant
+   * @param {Object} target - Message stocké (getMessageById)
+   * @param {Object} key - Clé du message protocole
+   */
+  isSameAuthor(target, key) {
+    if (target.chatId !== key.remoteJid) return false;
+    if (target.fromMe !== !!key.fromMe) return false;
+    if (target.fromMe || !key.remoteJid.endsWith('@g.us')) return true;
+
+    const participant = key.participant;
+    return !!participant &&
+      (target.senderId === participant || target.rawData?.key?.participant === participant);
+  }
+
+  /**
+   * Enregistre les votes d'un sondage et émet 'message.update' avec le nouveau décompte
+   * @param {Object} key - Clé du message sondage
+   * @param {Array} pollUpdates - Votes déchiffrés ({ pollUpdateMessageKey, vote, senderTimestampMs })
+   */
+  async applyPollUpdates(key, pollUpdates) {
+    const stored = await chatStorage.getMessageById(key.id);
+    if (!stored?.rawData?.message) return;
+
+    const meId = this.sock?.user?.id ? jidNormalizedUser(this.sock.user.id) : 'me';
+    const votes = pollUpdates.map(pollUpdate => ({
+      voter: getKeyAuthor(pollUpdate.pollUpdateMessageKey, meId),
+      options: getAggregateVotesInPollMessage({ message: stored.rawData.message, pollUpdates: [pollUpdate] }, meId)
+        .filter(option => option.voters.length > 0)
+        .map(option => option.name),
+      timestamp: Number(pollUpdate.senderTimestampMs) || Date.now()
+    }));
+
+    const update = chatStorage.savePollVotes(key.id, votes);
+    logger.info(`📊 Poll votes on ${key.id}: ${votes.length} update(s)`);
+    if (update) {
+      this.emit('message.update', update);
+    }
+  }
+
   // --- Getters ---
 
   async getChats() {
@@ -597,7 +748,12 @@ class BaileysProvider extends WhatsAppProvider {
         'documentMessage': 'document',
         'stickerMessage': 'sticker',
         'contactMessage': 'contact',
-        'locationMessage': 'location'
+        'contactsArrayMessage': 'contact',
+        'locationMessage': 'location',
+        'liveLocationMessage': 'location',
+        'pollCreationMessage': 'poll',
+        'pollCreationMessageV2': 'poll',
+        'pollCreationMessageV3': 'poll'
       };
       const unifiedType = typeMap[realType] || realType;
 
@@ -623,6 +779,9 @@ class BaileysProvider extends WhatsAppProvider {
         };
       }
 
+      // Position, fiches contact, sondage
+      const rich = chatStorage.describeRichMessage(message);
+
       return {
         id: message.key.id,
         chatId: message.key.remoteJid,
@@ -631,8 +790,11 @@ class BaileysProvider extends WhatsAppProvider {
         fromMe: message.key.fromMe,
         timestamp: message.messageTimestamp || Math.floor(Date.now() / 1000),
         type: unifiedType,
-        text: this.getMessageText(message) || undefined,
+        text: this.getMessageText(message) || rich?.text || undefined,
         media: media,
+        location: rich?.location,
+        contacts: rich?.contacts,
+        poll: rich?.poll,
         status: message.key.fromMe ? 'sent' : 'received',
         _provider: 'baileys',
         _raw: message.message,
@@ -711,7 +873,7 @@ class BaileysProvider extends WhatsAppProvider {
     }
 
     try {
-      const sentMsg = await this.sock.sendMessage(jid, content);
+      const sentMsg = await this.sock.sendMessage(jid, content, await this.getSendOptions(jid, options));
       return {
         success: true,
         messageId: sentMsg.key.id,
@@ -727,6 +889,31 @@ class BaileysProvider extends WhatsAppProvider {
     return 'baileys';
   }
 
+  /**
+   * Options d'envoi Baileys: le message cité (options.quotedMessageId) est
+   * reconstruit depuis la DB, Baileys ayant besoin de sa clé et de son contenu
+   */
+  async getSendOptions(jid, options = {}) {
+    if (!options.quotedMessageId) return {};
+
+    const quoted = await chatStorage.getMessageById(options.quotedMessageId);
+    if (!quoted || quoted.deletedAt) {
+      throw new Error(`Quoted message not found: ${options.quotedMessageId}`);
+    }
+
+    return {
+      quoted: {
+        key: {
+          remoteJid: jid,
+          id: quoted.id,
+          fromMe: quoted.fromMe,
+          participant: quoted.rawData?.key?.participant
+        },
+        message: quoted.rawData?.message || { conversation: quoted.content || '' }
+      }
+    };
+  }
+
   // Implementation de sendTextMessage du provider de base
   async sendTextMessage(to, text, options = {}) {
     if (!this.sock || this.connectionState !== 'connected') {
@@ -738,7 +925,7 @@ class BaileysProvider extends WhatsAppProvider {
     try {
       const sentMsg = await this.sock.sendMessage(jid, {
         text: text
-      });
+      }, await this.getSendOptions(jid, options));
 
       return {
         success: true,
@@ -751,6 +938,67 @@ class BaileysProvider extends WhatsAppProvider {
     }
   }
 
+  /**
+   * Envoie un contenu Baileys avec les options communes (message cité)
+   * @returns {Promise<{success: boolean, messageId: string, timestamp: number}>}
+   */
+  async sendContent(to, content, options = {}) {
+    if (!this.sock || this.connectionState !== 'connected') {
+      throw new Error('Baileys provider not connected. Please scan QR code in Admin Panel.');
+    }
+
+    const jid = this.formatJid(to);
+
+    try {
+      const sentMsg = await this.sock.sendMessage(jid, content, await this.getSendOptions(jid, options));
+      return {
+        success: true,
+        messageId: sentMsg.key.id,
+        timestamp: sentMsg.messageTimestamp
+      };
+    } catch (error) {
+      logger.error(`Error sending ${Object.keys(content)[0]} message via Baileys:`, error);
+      throw error;
+    }
+  }
+
+  async sendLocationMessage(to, location, options = {}) {
+    return this.sendContent(to, {
+      location: {
+        degreesLatitude: location.latitude,
+        degreesLongitude: location.longitude,
+        name: location.name,
+        address: location.address
+      }
+    }, options);
+  }
+
+  async sendContactMessage(to, contacts, options = {}) {
+    return this.sendContent(to, {
+      contacts: {
+        displayName: contacts.length > 1 ? `${contacts.length} contacts` : contacts[0].displayName,
+        contacts: contacts.map(contact => ({
+          displayName: contact.displayName,
+          vcard: serializeVCard([contact])
+        }))
+      }
+    }, options);
+  }
+
+  async sendPollMessage(to, poll, options = {}) {
+    return this.sendContent(to, {
+      poll: {
+        name: poll.name,
+        values: poll.options,
+        selectableCount: poll.selectableCount
+      }
+    }, options);
+  }
+
+  async sendStickerMessage(to, sticker, options = {}) {
+    return this.sendContent(to, { sticker: { url: sticker.url } }, options);
+  }
+
   // Alias pour la compatibilité si la route appelle sendMessage directement
   async sendMessage(to, content, options = {}) {
     if (typeof content === 'string') {
@@ -882,6 +1130,68 @@ class BaileysProvider extends WhatsAppProvider {
     }
   }
 
+  /**
+   * Modifie le texte d'un message envoyé par nous
+   * @param {string} chatId - ID du chat contenant le message
+   * @param {string} messageId - ID du message à modifier
+   * @param {string} text - Nouveau texte
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async editMessage(chatId, messageId, text) {
+    if (!this.sock || this.connectionState !== 'connected') {
+      return { success: false, error: 'Not connected' };
+    }
+
+    try {
+      const jid = this.formatJid(chatId);
+      await this.sock.sendMessage(jid, {
+        text,
+        edit: { remoteJid: jid, fromMe: true, id: messageId }
+      });
+
+      const update = chatStorage.editMessage(jid, messageId, text);
+      if (update) {
+        this.emit('message.update', update);
+      }
+
+      logger.info(`✅ Message edited: ${messageId}`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error editing message: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Supprime pour tout le monde un message envoyé par nous
+   * @param {string} chatId - ID du chat contenant le message
+   * @param {string} messageId - ID du message à supprimer
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async deleteMessage(chatId, messageId) {
+    if (!this.sock || this.connectionState !== 'connected') {
+      return { success: false, error: 'Not connected' };
+    }
+
+    try {
+      const jid = this.formatJid(chatId);
+      await this.sock.sendMessage(jid, {
+        delete: { remoteJid: jid, fromMe: true, id: messageId }
+      });
+
+      const update = chatStorage.markMessageDeleted(jid, messageId);
+      if (update) {
+        this.emit('message.update', update);
+      }
+
+      logger.info(`✅ Message deleted for everyone: ${messageId}`);
+      return { success: true };
+    } catch (error) {
+      logger.error(`Error deleting message: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Télécharge le média d'un message
    * @param {string} messageId - ID du message
@@ -1004,6 +1314,197 @@ class BaileysProvider extends WhatsAppProvider {
     }
   }
 
+  // --- Groupes ---
+
+  /**
+   * Stocke un changement de participants comme message système du groupe et le diffuse
+   * @param {Object} update - { id, author?, participants, action }
+   */
+  async handleGroupParticipantsUpdate({ id, author, participants, action }) {
+    const jids = (participants || []).map(participant =>
+      typeof participant === 'string' ? participant : participant.id
+    );
+    if (!id || jids.length === 0) return;
+
+    const nameOf = jid => contactService.getDisplayName(jid) || jid.split('@')[0].split(':')[0];
+    const names = jids.map(nameOf).join(', ');
+    const byThemselves = !author || (jids.length === 1 && jids[0] === author);
+
+    const texts = {
+      add: byThemselves ? `${names} a rejoint le groupe` : `${nameOf(author)} a ajouté ${names}`,
+      remove: byThemselves ? `${names} a quitté le groupe` : `${nameOf(author)} a retiré ${names}`,
+      promote: `${names} ${jids.length > 1 ? 'sont' : 'est'} maintenant admin`,
+      demote: `${names} ${jids.length > 1 ? 'ne sont plus' : "n'est plus"} admin`
+    };
+    if (!texts[action]) return;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    if (!chatStorage.getChat(id)) {
+      chatStorage.updateChat({ id, name: id, timestamp, profilePicture: null, provider: 'whatsapp' });
+    }
+
+    const message = {
+      id: `sys_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      chatId: id,
+      type: 'system',
+      content: texts[action],
+      timestamp,
+      fromMe: false,
+      status: 'received',
+      userId: author || id,
+      groupAction: { action, participants: jids, author: author || null }
+    };
+    chatStorage.storeMessage(message);
+
+    logger.info(`👥 Group ${id}: ${texts[action]}`);
+    this.emit('message', {
+      ...message,
+      text: message.content,
+      provider: 'baileys'
+    });
+  }
+
+  requireConnected() {
+    if (!this.sock || this.connectionState !== 'connected') {
+      const error = new Error('Baileys provider not connected');
+      error.status = 503;
+      throw error;
+    }
+  }
+
+  /**
+   * Vérifie la connexion et renvoie le JID du groupe (xxx@g.us)
+   */
+  requireGroupJid(groupId) {
+    this.requireConnected();
+    return groupId.endsWith('@g.us') ? groupId : `${groupId}@g.us`;
+  }
+
+  /**
+   * Normalise les métadonnées d'un groupe Baileys
+   */
+  normalizeGroup(metadata) {
+    const participants = (metadata.participants || []).map(participant => ({
+      id: participant.id,
+      number: participant.id.split('@')[0].split(':')[0],
+      admin: participant.admin || null
+    }));
+
+    return {
+      id: metadata.id,
+      subject: metadata.subject,
+      description: metadata.desc || null,
+      owner: metadata.owner || null,
+      createdAt: metadata.creation || null,
+      announce: !!metadata.announce,
+      restrict: !!metadata.restrict,
+      size: metadata.size || participants.length,
+      participants
+    };
+  }
+
+  async getGroups() {
+    this.requireConnected();
+    try {
+      const groups = await this.sock.groupFetchAllParticipating();
+      return Object.values(groups).map(metadata => this.normalizeGroup(metadata));
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async getGroupInfo(groupId) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      return this.normalizeGroup(await this.sock.groupMetadata(jid));
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async createGroup(subject, participants) {
+    this.requireConnected();
+    try {
+      const metadata = await this.sock.groupCreate(subject, participants.map(number => this.formatJid(number)));
+      chatStorage.updateChat({
+        id: metadata.id,
+        name: subject,
+        timestamp: Math.floor(Date.now() / 1000),
+        profilePicture: null,
+        provider: 'whatsapp'
+      });
+
+      logger.info(`👥 Group created: ${metadata.id} (${subject})`);
+      return this.normalizeGroup(metadata);
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async updateGroupParticipants(groupId, participants, action) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      const results = await this.sock.groupParticipantsUpdate(
+        jid,
+        participants.map(number => this.formatJid(number)),
+        action
+      );
+
+      logger.info(`👥 Group ${jid}: ${action} ${participants.length} participant(s)`);
+      // Par participant: 200 = ok, 403 = refusé (confidentialité), 408 = a quitté récemment, 409 = déjà membre
+      return results.map(result => ({
+        participant: result.jid,
+        success: String(result.status) === '200',
+        status: parseInt(result.status, 10)
+      }));
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async updateGroupSubject(groupId, subject) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      await this.sock.groupUpdateSubject(jid, subject);
+      chatStorage.setChatName(jid, subject);
+      return { success: true };
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async updateGroupDescription(groupId, description) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      await this.sock.groupUpdateDescription(jid, description || undefined);
+      return { success: true };
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async updateGroupPicture(groupId, image) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      await this.sock.updateProfilePicture(jid, Buffer.isBuffer(image) ? image : Buffer.from(image, 'base64'));
+      return { success: true };
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
+  async getGroupInviteLink(groupId, reset = false) {
+    const jid = this.requireGroupJid(groupId);
+    try {
+      const code = reset
+        ? await this.sock.groupRevokeInvite(jid)
+        : await this.sock.groupInviteCode(jid);
+      return { code, link: `https://chat.whatsapp.com/${code}` };
+    } catch (error) {
+      throw groupError(error);
+    }
+  }
+
   /**
    * Efface la session Baileys pour permettre une nouvelle connexion QR
    * @param {boolean} clearData - Si true, efface aussi les données WhatsApp de la DB
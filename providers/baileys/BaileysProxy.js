@@ -203,9 +203,13 @@ class BaileysProxy extends WhatsAppProvider {
         this._resolvePendingCall(id, result);
         break;
 
-      case MESSAGE_TYPES.ERROR:
-        this._rejectPendingCall(id, new Error(error?.message || 'Unknown error'));
+      case MESSAGE_TYPES.ERROR: {
+        const callError = new Error(error?.message || 'Unknown error');
+        // Statut HTTP suggéré par le provider (ex: 403 si on n'est pas admin du groupe)
+        callError.status = error?.status;
+        this._rejectPendingCall(id, callError);
         break;
+      }
 
       case MESSAGE_TYPES.EVENT:
         // Update cached state from connection events
@@ -383,14 +387,72 @@ class BaileysProxy extends WhatsAppProvider {
     return this._call('sendMessage', [to, content, options], TIMEOUTS.SEND_MESSAGE);
   }
 
+  async sendLocationMessage(to, location, options = {}) {
+    return this._call('sendLocationMessage', [to, location, options], TIMEOUTS.SEND_MESSAGE);
+  }
+
+  async sendContactMessage(to, contacts, options = {}) {
+    return this._call('sendContactMessage', [to, contacts, options], TIMEOUTS.SEND_MESSAGE);
+  }
+
+  async sendPollMessage(to, poll, options = {}) {
+    return this._call('sendPollMessage', [to, poll, options], TIMEOUTS.SEND_MESSAGE);
+  }
+
+  async sendStickerMessage(to, sticker, options = {}) {
+    return this._call('sendStickerMessage', [to, sticker, options], TIMEOUTS.SEND_MESSAGE);
+  }
+
   async sendReaction(chatId, messageId, emoji) {
     return this._call('sendReaction', [chatId, messageId, emoji]);
   }
 
+  async editMessage(chatId, messageId, text) {
+    return this._call('editMessage', [chatId, messageId, text], TIMEOUTS.SEND_MESSAGE);
+  }
+
+  async deleteMessage(chatId, messageId) {
+    return this._call('deleteMessage', [chatId, messageId], TIMEOUTS.SEND_MESSAGE);
+  }
+
   async getChats(options = {}) {
     return this._call('getChats', [options]);
   }
 
+  async getGroups() {
+    return this._call('getGroups', []);
+  }
+
+  async getGroupInfo(groupId) {
+    return this._call('getGroupInfo', [groupId]);
+  }
+
+  async createGroup(subject, participants) {
+    return this._call('createGroup', [subject, participants]);
+  }
+
+  async updateGroupParticipants(groupId, participants, action) {
+    return this._call('updateGroupParticipants', [groupId, participants, action]);
+  }
+
+  async updateGroupSubject(groupId, subject) {
+    return this._call('updateGroupSubject', [groupId, subject]);
+  }
+
+  async updateGroupDescription(groupId, description) {
+    return this._call('updateGroupDescription', [groupId, description]);
+  }
+
+  async updateGroupPicture(groupId, image) {
+    // L'IPC sérialise en JSON: l'image passe en base64
+    const data = Buffer.isBuffer(image) ? image.toString('base64') : image;
+    return this._call('updateGroupPicture', [groupId, data], TIMEOUTS.SEND_MESSAGE);
+  }
+
+  async getGroupInviteLink(groupId, reset = false) {
+    return this._call('getGroupInviteLink', [groupId, reset]);
+  }
+
   async getMessages(chatId, limit = 50, options = {}) {
     return this._call('getMessages', [chatId, limit, options]);
   }
@@ -475,10 +537,15 @@ class BaileysProxy extends WhatsAppProvider {
       sendText: true,
       sendMedia: true,
       sendDocument: true,
-      sendLocation: false,
-      sendContact: false,
+      sendLocation: true,
+      sendContact: true,
       sendSticker: true,
+      sendPoll: true,
+      interactive: false, // Boutons et listes réservés à la Cloud API
       reactions: true,
+      replies: true,
+      editMessages: true,
+      deleteMessages: true,
       typing: true,
       presence: true,
       groups: true,
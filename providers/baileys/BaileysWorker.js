@@ -160,7 +160,8 @@ process.on('message', async (message) => {
         error: {
           message: error.message,
           stack: error.stack,
-          code: error.code
+          code: error.code,
+          status: error.status
         }
       });
     }
@@ -11,7 +11,7 @@
  *   method?: string,    // Method name for 'call' type
  *   args?: any[],       // Arguments for method call
  *   result?: any,       // Result for 'response' type
- *   error?: { message: string, stack?: string },  // Error for 'error' type
+ *   error?: { message: string, stack?: string, code?: string, status?: number },  // Error for 'error' type
  *   event?: string,     // Event name for 'event' type
  *   data?: any          // Event data
  * }
@@ -35,6 +35,7 @@ const EVENTS = {
   CONNECTION_UPDATE: 'connection.update',
   MESSAGE: 'message',
   MESSAGE_STATUS: 'message.status',
+  MESSAGE_UPDATE: 'message.update',
   PRESENCE_UPDATE: 'presence.update',
   CHATS_UPDATED: 'chats.updated',
 };
@@ -50,7 +51,13 @@ const METHODS = [
   'sendTextMessage',
   'sendMediaMessage',
   'sendMessage',
+  'sendLocationMessage',
+  'sendContactMessage',
+  'sendPollMessage',
+  'sendStickerMessage',
   'sendReaction',
+  'editMessage',
+  'deleteMessage',
   'markChatAsRead',
   'markMessageAsRead',
   'downloadMessageMedia',
@@ -61,6 +68,16 @@ const METHODS = [
   'getChatInfo',
   'getContacts',
 
+  // Groups
+  'getGroups',
+  'getGroupInfo',
+  'createGroup',
+  'updateGroupParticipants',
+  'updateGroupSubject',
+  'updateGroupDescription',
+  'updateGroupPicture',
+  'getGroupInviteLink',
+
   // Connection
   'getConnectionState',
   'getQRCode',
@@ -86,6 +86,79 @@ class WhatsAppProvider {
     throw new Error("Method 'sendDocument' must be implemented");
   }
 
+  /**
+   * Envoie une position
+   * @param {string} to - Numéro destinataire
+   * @param {Object} location - {latitude, longitude, name?, address?}
+   * @param {Object} options - Options supplémentaires (quotedMessageId...)
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendLocationMessage(to, location, options = {}) {
+    throw new Error("Method 'sendLocationMessage' must be implemented");
+  }
+
+  /**
+   * Envoie une ou plusieurs fiches contact
+   * @param {string} to - Numéro destinataire
+   * @param {Array<Object>} contacts - Fiches au format ContactService
+   *   ({displayName, firstName?, lastName?, company?, phones: [{normalized, label}], emails: [...]})
+   * @param {Object} options - Options supplémentaires
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendContactMessage(to, contacts, options = {}) {
+    throw new Error("Method 'sendContactMessage' must be implemented");
+  }
+
+  /**
+   * Envoie un sondage
+   * @param {string} to - Numéro destinataire
+   * @param {Object} poll - {name, options: string[], selectableCount}
+   * @param {Object} options - Options supplémentaires
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendPollMessage(to, poll, options = {}) {
+    throw new Error("Method 'sendPollMessage' must be implemented");
+  }
+
+  /**
+   * Envoie un sticker (WebP)
+   * @param {string} to - Numéro destinataire
+   * @param {Object} sticker - {url?: string, id?: string}
+   * @param {Object} options - Options supplémentaires
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendStickerMessage(to, sticker, options = {}) {
+    throw new Error("Method 'sendStickerMessage' must be implemented");
+  }
+
+  /**
+   * Envoie un message interactif à boutons de réponse (Cloud API)
+   * @param {string} to - Numéro destinataire
+   * @param {Object} buttonMessage - {body, header?, footer?, buttons: [{id, title}]}
+   * @param {Object} options - Options supplémentaires
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendButtonMessage(to, buttonMessage, options = {}) {
+    throw new Error("Method 'sendButtonMessage' must be implemented");
+  }
+
+  /**
+   * Envoie un message interactif à liste de choix (Cloud API)
+   * @param {string} to - Numéro destinataire
+   * @param {Object} listMessage - {body, buttonText, header?, footer?, sections: [{title?, rows}]}
+   * @param {Object} options - Options supplémentaires
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   * @abstract
+   */
+  async sendListMessage(to, listMessage, options = {}) {
+    throw new Error("Method 'sendListMessage' must be implemented");
+  }
+
   /**
    * Récupère les messages d'une conversation
    * @param {string} chatId - ID de la conversation
@@ -119,6 +192,29 @@ class WhatsAppProvider {
     throw new Error("Method 'sendReaction' must be implemented");
   }
 
+  /**
+   * Modifie le texte d'un message envoyé
+   * @param {string} chatId - ID de la conversation
+   * @param {string} messageId - ID du message
+   * @param {string} text - Nouveau texte
+   * @returns {Promise<{success: boolean, error?: string}>}
+   * @abstract
+   */
+  async editMessage(chatId, messageId, text) {
+    throw new Error("Method 'editMessage' must be implemented");
+  }
+
+  /**
+   * Supprime un message envoyé pour tous les participants
+   * @param {string} chatId - ID de la conversation
+   * @param {string} messageId - ID du message
+   * @returns {Promise<{success: boolean, error?: string}>}
+   * @abstract
+   */
+  async deleteMessage(chatId, messageId) {
+    throw new Error("Method 'deleteMessage' must be implemented");
+  }
+
   // ==================== Chats ====================
 
   /**
@@ -162,6 +258,98 @@ class WhatsAppProvider {
     throw new Error("Method 'archiveChat' must be implemented");
   }
 
+  /**
+   * Fenêtre de service client d'une conversation (Cloud API: messages libres
+   * autorisés 24h après le dernier message du client, templates au-delà)
+   * @param {string} chatId - ID de la conversation
+   * @returns {Object|null} - { canSendFreeform, remainingTime, windowExpiresAt, ... },
+   *   null si le provider n'impose pas de fenêtre
+   */
+  getConversationWindow(chatId) {
+    return null;
+  }
+
+  // ==================== Groupes ====================
+
+  /**
+   * Liste les groupes dont le compte est membre
+   * @returns {Promise<Array>} - Groupes normalisés (id, subject, participants...)
+   * @abstract
+   */
+  async getGroups() {
+    throw new Error("Method 'getGroups' must be implemented");
+  }
+
+  /**
+   * Récupère un groupe et ses participants
+   * @param {string} groupId - ID du groupe
+   * @returns {Promise<Object>} - Groupe normalisé
+   * @abstract
+   */
+  async getGroupInfo(groupId) {
+    throw new Error("Method 'getGroupInfo' must be implemented");
+  }
+
+  /**
+   * Crée un groupe
+   * @param {string} subject - Nom du groupe
+   * @param {string[]} participants - Numéros des participants
+   * @returns {Promise<Object>} - Groupe normalisé
+   * @abstract
+   */
+  async createGroup(subject, participants) {
+    throw new Error("Method 'createGroup' must be implemented");
+  }
+
+  /**
+   * Ajoute, retire, promeut ou rétrograde des participants
+   * @param {string} groupId - ID du groupe
+   * @param {string[]} participants - Numéros des participants
+   * @param {string} action - 'add' | 'remove' | 'promote' | 'demote'
+   * @returns {Promise<Array<{participant: string, success: boolean, status: number}>>}
+   * @abstract
+   */
+  async updateGroupParticipants(groupId, participants, action) {
+    throw new Error("Method 'updateGroupParticipants' must be implemented");
+  }
+
+  /**
+   * Modifie le nom du groupe
+   * @abstract
+   */
+  async updateGroupSubject(groupId, subject) {
+    throw new Error("Method 'updateGroupSubject' must be implemented");
+  }
+
+  /**
+   * Modifie la description du groupe (chaîne vide pour la supprimer)
+   * @abstract
+   */
+  async updateGroupDescription(groupId, description) {
+    throw new Error("Method 'updateGroupDescription' must be implemented");
+  }
+
+  /**
+   * Modifie la photo du groupe
+   * @param {string} groupId - ID du groupe
+   * @param {Buffer|string} image - Image JPEG (Buffer ou base64)
+   * @abstract
+   */
+  async updateGroupPicture(groupId, image) {
+    throw new Error("Method 'updateGroupPicture' must be implemented");
+  }
+
+  /**
+   * Récupère le lien d'invitation du groupe
+   * @param {string} groupId - ID du groupe
+   * @param {boolean} reset - Révoque l'ancien lien et en génère un nouveau
+   * @returns {Promise<{code: string, link: string}>}
+   * @abstract
+   */
+  async getGroupInviteLink(groupId, reset = false) {
+    throw new Error("Method 'getGroupInviteLink' must be implemented");
+  }
+
   // ==================== Contacts ====================
 
   /**
@@ -350,10 +538,15 @@ class WhatsAppProvider {
       sendLocation: false,
       sendContact: false,
       sendSticker: false,
+      sendPoll: false,
+      interactive: false,
       reactions: true,
+      replies: true,
+      editMessages: false,
+      deleteMessages: false,
       typing: true,
       presence: true,
-      groups: true,
+      groups: false,
       broadcasts: false,
       calls: false,
       status: true
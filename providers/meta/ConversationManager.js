@@ -1,108 +1,94 @@
 const logger = require('winston');
+const db = require('../../services/DatabaseService');
 
 /**
  * Gestionnaire des conversations WhatsApp
- * Gère la fenêtre de 24h et les types de conversations
+ * Gère la fenêtre de service client de 24h et les catégories de conversations
+ *
+ * - La fenêtre s'ouvre (ou se prolonge) à chaque message du client: pendant 24h,
+ *   les messages libres sont autorisés; au-delà, seul un template approuvé passe
+ * - Nos propres envois ne prolongent pas la fenêtre
+ * - Les fenêtres et les conversations facturées (catégorie, origine, modèle de prix
+ *   remontés par les statuts du webhook) sont persistées en SQLite
  */
 class ConversationManager {
   constructor() {
-    // Stockage des sessions de conversation
-    this.sessions = new Map();
-    
-    // Types de conversations
+    // Types de conversations (catégories de facturation Meta)
     this.conversationTypes = {
       SERVICE: 'service',          // Initiée par le client (UIC)
       MARKETING: 'marketing',      // Template marketing (BIC)
       UTILITY: 'utility',          // Template utilitaire (BIC)
       AUTHENTICATION: 'authentication' // Template auth (BIC)
     };
-    
+
     // Durée de la fenêtre de conversation (24 heures)
     this.windowDuration = 24 * 60 * 60 * 1000;
-    
-    // Statistiques
-    this.stats = {
-      activeConversations: 0,
-      expiredConversations: 0,
-      templatesSent: 0,
-      freeformMessages: 0
-    };
   }
 
   /**
-   * Met à jour ou crée une session de conversation
+   * Numéro sous la forme stockée (chiffres seuls, comme les chatId Meta)
+   */
+  normalizePhoneNumber(phoneNumber) {
+    return String(phoneNumber || '').replace(/\D/g, '');
+  }
+
+  /**
+   * Enregistre un message échangé avec un client
    * @param {string} phoneNumber - Le numéro de téléphone
-   * @param {string} type - Le type de conversation
-   * @param {boolean} isIncoming - Si c'est un message entrant
+   * @param {string} type - Le type de conversation (pour le journal)
+   * @param {boolean} isIncoming - Message du client: ouvre ou prolonge la fenêtre de 24h
    */
   updateSession(phoneNumber, type = 'service', isIncoming = false) {
+    const number = this.normalizePhoneNumber(phoneNumber);
+    if (!number) return;
+
     const now = Date.now();
-    const existingSession = this.sessions.get(phoneNumber);
-    
-    if (!existingSession || this.isSessionExpired(existingSession)) {
-      // Nouvelle session
-      const newSession = {
-        phoneNumber,
-        type: isIncoming ? this.conversationTypes.SERVICE : type,
-        startTime: now,
-        lastActivity: now,
-        messageCount: 1,
-        isActive: true,
-        initiatedBy: isIncoming ? 'customer' : 'business'
-      };
-      
-      this.sessions.set(phoneNumber, newSession);
-      this.stats.activeConversations++;
-      
-      logger.info(`Nouvelle conversation ${type} démarrée avec ${phoneNumber}`);
-    } else {
-      // Mise à jour de la session existante
-      existingSession.lastActivity = now;
-      existingSession.messageCount++;
-      
-      // Si c'est un message client, on passe en conversation de service
-      if (isIncoming && existingSession.type !== this.conversationTypes.SERVICE) {
-        existingSession.type = this.conversationTypes.SERVICE;
-        existingSession.initiatedBy = 'customer';
+    try {
+      if (isIncoming) {
+        const wasOpen = this.canSendFreeform(number);
+        db.prepare(`
+          INSERT INTO meta_conversation_windows (phone_number, last_inbound_at, inbound_count)
+          VALUES (?, ?, 1)
+          ON CONFLICT(phone_number) DO UPDATE SET
+            last_inbound_at = excluded.last_inbound_at,
+            inbound_count = inbound_count + 1
+        `).run(number, now);
+
+        if (!wasOpen) {
+          logger.info(`Fenêtre de service client ouverte avec ${number}`);
+        }
+      } else {
+        db.prepare(`
+          INSERT INTO meta_conversation_windows (phone_number, last_outbound_at, outbound_count)
+          VALUES (?, ?, 1)
+          ON CONFLICT(phone_number) DO UPDATE SET
+            last_outbound_at = excluded.last_outbound_at,
+            outbound_count = outbound_count + 1
+        `).run(number, now);
+        logger.debug(`Message ${type} envoyé à ${number}`);
       }
+    } catch (error) {
+      logger.error('Erreur enregistrement fenêtre de conversation:', error);
     }
-    
-    // Nettoyer les anciennes sessions
-    this.cleanupExpiredSessions();
   }
 
   /**
-   * Vérifie si on peut envoyer un message en texte libre
-   * @param {string} phoneNumber - Le numéro de téléphone
-   * @returns {boolean} - True si dans la fenêtre de 24h
+   * Dernier message du client
+   * @returns {number|null} - Timestamp en millisecondes
    */
-  canSendFreeform(phoneNumber) {
-    const session = this.sessions.get(phoneNumber);
-    
-    if (!session) {
-      return false;
-    }
-    
-    // Vérifier si la session est expirée
-    if (this.isSessionExpired(session)) {
-      session.isActive = false;
-      return false;
-    }
-    
-    // On peut envoyer des messages libres dans la fenêtre de 24h
-    return true;
+  getLastInboundAt(phoneNumber) {
+    const row = db.prepare('SELECT last_inbound_at FROM meta_conversation_windows WHERE phone_number = ?')
+      .get(this.normalizePhoneNumber(phoneNumber));
+    return row?.last_inbound_at || null;
   }
 
   /**
-   * Vérifie si une session est expirée
-   * @param {Object} session - La session à vérifier
-   * @returns {boolean} - True si expirée
+   * Vérifie si on peut envoyer un message en texte libre
+   * @param {string} phoneNumber - Le numéro de téléphone
+   * @returns {boolean} - True si dans la fenêtre de 24h
    */
-  isSessionExpired(session) {
-    const now = Date.now();
-    const timeSinceLastActivity = now - session.lastActivity;
-    
-    return timeSinceLastActivity > this.windowDuration;
+  canSendFreeform(phoneNumber) {
+    return this.getRemainingTime(phoneNumber) > 0;
   }
 
   /**
@@ -111,14 +97,11 @@ class ConversationManager {
    * @returns {number} - Temps restant en millisecondes
    */
   getRemainingTime(phoneNumber) {
-    const session = this.sessions.get(phoneNumber);
-    
-    if (!session || this.isSessionExpired(session)) {
+    const lastInboundAt = this.getLastInboundAt(phoneNumber);
+    if (!lastInboundAt) {
       return 0;
     }
-    
-    const elapsed = Date.now() - session.lastActivity;
-    return Math.max(0, this.windowDuration - elapsed);
+    return Math.max(0, lastInboundAt + this.windowDuration - Date.now());
   }
 
   /**
@@ -127,23 +110,18 @@ class ConversationManager {
    * @returns {Object} - Type de message et template requis
    */
   getMessageStrategy(phoneNumber) {
-    const canSendFreeform = this.canSendFreeform(phoneNumber);
-    
-    if (canSendFreeform) {
-      this.stats.freeformMessages++;
+    if (this.canSendFreeform(phoneNumber)) {
       return {
         type: 'text',
         requiresTemplate: false,
         reason: 'Dans la fenêtre de 24h'
       };
-    } else {
-      this.stats.templatesSent++;
-      return {
-        type: 'template',
-        requiresTemplate: true,
-        reason: 'Hors de la fenêtre de 24h - template requis'
-      };
     }
+    return {
+      type: 'template',
+      requiresTemplate: true,
+      reason: 'Hors de la fenêtre de 24h - template requis'
+    };
   }
 
   /**
@@ -153,12 +131,48 @@ class ConversationManager {
    * @param {string} category - La catégorie du template
    */
   recordTemplateSent(phoneNumber, templateName, category) {
-    const conversationType = this.mapCategoryToType(category);
-    this.updateSession(phoneNumber, conversationType, false);
-    
+    this.updateSession(phoneNumber, this.mapCategoryToType(category), false);
+
     logger.info(`Template ${templateName} (${category}) envoyé à ${phoneNumber}`);
   }
 
+  /**
+   * Enregistre la conversation facturée portée par un statut du webhook
+   * (conversation: { id, expiration_timestamp, origin: { type } }, pricing: { billable, pricing_model, category })
+   * Sans conversation (tarification au message), le message lui-même sert d'identifiant.
+   * @param {Object} status - Statut brut du webhook (value.statuses[])
+   */
+  recordConversation(status) {
+    const { conversation, pricing } = status;
+    if (!conversation && !pricing) return;
+
+    try {
+      const expiration = Number(conversation?.expiration_timestamp);
+      db.prepare(`
+        INSERT INTO meta_conversations
+          (id, phone_number, category, origin, pricing_model, billable, expires_at, created_at)
+        VALUES (@id, @phoneNumber, @category, @origin, @pricingModel, @billable, @expiresAt, @createdAt)
+        ON CONFLICT(id) DO UPDATE SET
+          category = COALESCE(excluded.category, category),
+          origin = COALESCE(excluded.origin, origin),
+          pricing_model = COALESCE(excluded.pricing_model, pricing_model),
+          billable = MAX(billable, excluded.billable),
+          expires_at = COALESCE(excluded.expires_at, expires_at)
+      `).run({
+        id: conversation?.id || `message:${status.id}`,
+        phoneNumber: this.normalizePhoneNumber(status.recipient_id),
+        category: (pricing?.category || conversation?.origin?.type || '').toLowerCase() || null,
+        origin: conversation?.origin?.type || null,
+        pricingModel: pricing?.pricing_model || null,
+        billable: pricing?.billable ? 1 : 0,
+        expiresAt: expiration ? expiration * 1000 : null,
+        createdAt: Number(status.timestamp) * 1000 || Date.now()
+      });
+    } catch (error) {
+      logger.error('Erreur enregistrement conversation Meta:', error);
+    }
+  }
+
   /**
    * Mappe une catégorie de template à un type de conversation
    * @param {string} category - La catégorie du template
@@ -170,103 +184,68 @@ class ConversationManager {
       'UTILITY': this.conversationTypes.UTILITY,
       'AUTHENTICATION': this.conversationTypes.AUTHENTICATION
     };
-    
-    return mapping[category] || this.conversationTypes.UTILITY;
-  }
 
-  /**
-   * Nettoie les sessions expirées
-   */
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [phoneNumber, session] of this.sessions) {
-      if (this.isSessionExpired(session)) {
-        this.sessions.delete(phoneNumber);
-        cleaned++;
-        this.stats.expiredConversations++;
-        this.stats.activeConversations--;
-      }
-    }
-    
-    if (cleaned > 0) {
-      logger.info(`${cleaned} sessions expirées nettoyées`);
-    }
+    return mapping[category] || this.conversationTypes.UTILITY;
   }
 
   /**
    * Obtient les informations d'une session
    * @param {string} phoneNumber - Le numéro de téléphone
-   * @returns {Object|null} - Les informations de la session
+   * @returns {Object} - Fenêtre de service client et dernière conversation facturée
    */
   getSessionInfo(phoneNumber) {
-    const session = this.sessions.get(phoneNumber);
-    
-    if (!session) {
-      return null;
-    }
-    
-    const remainingTime = this.getRemainingTime(phoneNumber);
-    const isExpired = this.isSessionExpired(session);
-    
+    const number = this.normalizePhoneNumber(phoneNumber);
+    const row = db.prepare('SELECT * FROM meta_conversation_windows WHERE phone_number = ?').get(number);
+    const conversation = db.prepare(`
+      SELECT id, category, origin, billable, expires_at FROM meta_conversations
+      WHERE phone_number = ? ORDER BY created_at DESC LIMIT 1
+    `).get(number);
+
+    const lastInboundAt = row?.last_inbound_at || null;
+    const remainingTime = lastInboundAt ? Math.max(0, lastInboundAt + this.windowDuration - Date.now()) : 0;
+
     return {
-      ...session,
-      isExpired,
+      phoneNumber: number,
+      lastInboundAt,
+      lastOutboundAt: row?.last_outbound_at || null,
+      windowExpiresAt: remainingTime > 0 ? lastInboundAt + this.windowDuration : null,
       remainingTime,
       remainingHours: Math.ceil(remainingTime / (60 * 60 * 1000)),
-      canSendFreeform: !isExpired
+      canSendFreeform: remainingTime > 0,
+      conversation: conversation ? {
+        id: conversation.id,
+        category: conversation.category,
+        origin: conversation.origin,
+        billable: conversation.billable === 1,
+        expiresAt: conversation.expires_at
+      } : null
     };
   }
 
   /**
-   * Obtient les statistiques globales
+   * Obtient les statistiques: fenêtres ouvertes et conversations par catégorie
+   * @param {number} since - Début de la période (timestamp ms, 30 derniers jours par défaut)
    * @returns {Object} - Les statistiques
    */
-  getStats() {
-    // Recalculer les conversations actives
-    this.stats.activeConversations = 0;
-    for (const [_, session] of this.sessions) {
-      if (!this.isSessionExpired(session)) {
-        this.stats.activeConversations++;
-      }
-    }
-    
-    return {
-      ...this.stats,
-      totalSessions: this.sessions.size
-    };
-  }
+  getStats(since = Date.now() - 30 * 24 * 60 * 60 * 1000) {
+    const { openWindows } = db.prepare(
+      'SELECT COUNT(*) AS openWindows FROM meta_conversation_windows WHERE last_inbound_at > ?'
+    ).get(Date.now() - this.windowDuration);
 
-  /**
-   * Exporte les sessions actives (pour la persistence)
-   * @returns {Array} - Les sessions actives
-   */
-  exportSessions() {
-    const activeSessions = [];
-    
-    for (const [phoneNumber, session] of this.sessions) {
-      if (!this.isSessionExpired(session)) {
-        activeSessions.push(session);
-      }
-    }
-    
-    return activeSessions;
-  }
+    const byCategory = db.prepare(`
+      SELECT COALESCE(category, 'unknown') AS category, COUNT(*) AS total, SUM(billable) AS billable
+      FROM meta_conversations WHERE created_at >= ?
+      GROUP BY category ORDER BY total DESC
+    `).all(since);
 
-  /**
-   * Importe des sessions (pour la restoration)
-   * @param {Array} sessions - Les sessions à importer
-   */
-  importSessions(sessions) {
-    for (const session of sessions) {
-      if (!this.isSessionExpired(session)) {
-        this.sessions.set(session.phoneNumber, session);
-      }
-    }
-    
-    logger.info(`${sessions.length} sessions importées`);
+    return {
+      openWindows,
+      since,
+      conversations: byCategory.reduce((sum, row) => sum + row.total, 0),
+      billable: byCategory.reduce((sum, row) => sum + (row.billable || 0), 0),
+      byCategory
+    };
   }
 }
 
-module.exports = ConversationManager;
\ No newline at end of file
+module.exports = ConversationManager;
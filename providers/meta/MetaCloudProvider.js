@@ -62,6 +62,8 @@ class MetaCloudProvider extends WhatsAppProvider {
       // Merge with existing config if provided, otherwise keep existing
       if (config) {
         this.config = { ...this.config, ...config };
+        // Le TemplateManager appelle l'API avec la configuration courante
+        this.templateManager.config = this.config;
       }
       
       // Valider la configuration
@@ -213,26 +215,16 @@ class MetaCloudProvider extends WhatsAppProvider {
       
       // Vérifier la fenêtre de conversation
       const strategy = this.conversationManager.getMessageStrategy(to);
-      logger.info(`Conversation strategy for ${to}:`, strategy);
-      
-      // TEMPORAIRE: Forcer la mise à jour de la session pour permettre l'envoi
-      // TODO: Implémenter la persistance des sessions
-      this.conversationManager.updateSession(to, 'service', false);
-      
-      // Désactivé temporairement pour les tests
-      /*
       if (strategy.requiresTemplate) {
         logger.info(`Message hors fenêtre 24h pour ${to}, template requis`);
         return {
           success: false,
-          error: {
-            code: 131051,
-            message: strategy.reason,
-            requiresTemplate: true
-          }
+          error: strategy.reason,
+          code: 131047, // Re-engagement message (code renvoyé par Meta)
+          requiresTemplate: true,
+          provider: 'meta'
         };
       }
-      */
       
       const phoneNumber = this.extractPhoneNumber(to);
       
@@ -248,9 +240,10 @@ class MetaCloudProvider extends WhatsAppProvider {
       };
 
       // Si c'est une réponse, ajouter le context
-      if (options.replyTo) {
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
         payload.context = {
-          message_id: options.replyTo
+          message_id: replyTo
         };
       }
 
@@ -278,6 +271,7 @@ class MetaCloudProvider extends WhatsAppProvider {
         fromMe: true, // IMPORTANT: Marquer explicitement comme envoyé par nous
         status: 'sent',
         pushName: 'Moi',
+        quotedMessageId: replyTo || null,
         // Format Evolution pour compatibilité
         key: {
           remoteJid: to,
@@ -349,11 +343,18 @@ class MetaCloudProvider extends WhatsAppProvider {
       });
 
       // Enregistrer l'envoi
+      const template = this.templateManager.getTemplate(templateName, language);
       this.rateLimitManager.recordMessage(to);
-      this.conversationManager.recordTemplateSent(to, templateName, payload.template.category || 'MARKETING');
+      this.conversationManager.recordTemplateSent(to, templateName, template.category || 'MARKETING');
       this.stats.templatesUsed++;
       this.monitoringService.recordMessageSent('template', true);
 
+      // Le message apparaît dans la conversation tel que le client le reçoit
+      await this._storeSentMessage(phoneNumber, result.messages[0].id, {
+        type: 'text',
+        content: this.templateManager.previewTemplate(template, parameters).text || templateName
+      });
+
       return {
         success: true,
         messageId: result.messages[0].id
@@ -465,9 +466,10 @@ class MetaCloudProvider extends WhatsAppProvider {
       }
 
       // Si c'est une réponse
-      if (options.replyTo) {
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
         payload.context = {
-          message_id: options.replyTo
+          message_id: replyTo
         };
       }
 
@@ -520,9 +522,10 @@ class MetaCloudProvider extends WhatsAppProvider {
       };
 
       // Si c'est une réponse
-      if (options.replyTo) {
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
         payload.context = {
-          message_id: options.replyTo
+          message_id: replyTo
         };
       }
 
@@ -545,9 +548,10 @@ class MetaCloudProvider extends WhatsAppProvider {
    * Envoie un message avec boutons
    * @param {string} to - Numéro destinataire
    * @param {Object} buttonMessage - Configuration du message avec boutons
+   * @param {Object} options - Options supplémentaires (quotedMessageId)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendButtonMessage(to, buttonMessage) {
+  async sendButtonMessage(to, buttonMessage, options = {}) {
     try {
       // Vérifier les limites de débit
       await this.rateLimitManager.checkRateLimit(to);
@@ -583,6 +587,11 @@ class MetaCloudProvider extends WhatsAppProvider {
         }
       };
 
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
+        payload.context = { message_id: replyTo };
+      }
+
       const result = await this.errorHandler.handleWithRetry(async () => {
         const response = await this.apiClient.post(`/${this.config.phoneNumberId}/messages`, payload);
         return response.data;
@@ -590,6 +599,11 @@ class MetaCloudProvider extends WhatsAppProvider {
 
       this.rateLimitManager.recordMessage(to);
       this.stats.messagesSent++;
+      await this._storeSentMessage(to, result.messages[0].id, {
+        type: 'interactive',
+        content: buttonMessage.body,
+        quotedMessageId: replyTo || null
+      });
 
       return {
         success: true,
@@ -609,9 +623,10 @@ class MetaCloudProvider extends WhatsAppProvider {
    * Envoie un message avec liste
    * @param {string} to - Numéro destinataire
    * @param {Object} listMessage - Configuration du message avec liste
+   * @param {Object} options - Options supplémentaires (quotedMessageId)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendListMessage(to, listMessage) {
+  async sendListMessage(to, listMessage, options = {}) {
     try {
       // Vérifier les limites de débit
       await this.rateLimitManager.checkRateLimit(to);
@@ -649,6 +664,11 @@ class MetaCloudProvider extends WhatsAppProvider {
         }
       };
 
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
+        payload.context = { message_id: replyTo };
+      }
+
       const result = await this.errorHandler.handleWithRetry(async () => {
         const response = await this.apiClient.post(`/${this.config.phoneNumberId}/messages`, payload);
         return response.data;
@@ -656,6 +676,11 @@ class MetaCloudProvider extends WhatsAppProvider {
 
       this.rateLimitManager.recordMessage(to);
       this.stats.messagesSent++;
+      await this._storeSentMessage(to, result.messages[0].id, {
+        type: 'interactive',
+        content: listMessage.body,
+        quotedMessageId: replyTo || null
+      });
 
       return {
         success: true,
@@ -675,9 +700,10 @@ class MetaCloudProvider extends WhatsAppProvider {
    * Envoie un message de localisation
    * @param {string} to - Numéro destinataire
    * @param {Object} location - {latitude, longitude, name?, address?}
+   * @param {Object} options - Options supplémentaires (quotedMessageId)
    * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
    */
-  async sendLocationMessage(to, location) {
+  async sendLocationMessage(to, location, options = {}) {
     try {
       // Vérifier les limites de débit
       await this.rateLimitManager.checkRateLimit(to);
@@ -697,6 +723,11 @@ class MetaCloudProvider extends WhatsAppProvider {
         }
       };
 
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
+        payload.context = { message_id: replyTo };
+      }
+
       const result = await this.errorHandler.handleWithRetry(async () => {
         const response = await this.apiClient.post(`/${this.config.phoneNumberId}/messages`, payload);
         return response.data;
@@ -704,6 +735,11 @@ class MetaCloudProvider extends WhatsAppProvider {
 
       this.rateLimitManager.recordMessage(to);
       this.stats.messagesSent++;
+      await this._storeSentMessage(to, result.messages[0].id, {
+        type: 'location',
+        media: payload.location,
+        quotedMessageId: replyTo || null
+      });
 
       return {
         success: true,
@@ -719,6 +755,158 @@ class MetaCloudProvider extends WhatsAppProvider {
     }
   }
 
+  /**
+   * Envoie une ou plusieurs fiches contact
+   * @param {string} to - Numéro destinataire
+   * @param {Array<Object>} contacts - Fiches au format ContactService
+   * @param {Object} options - Options supplémentaires (quotedMessageId)
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendContactMessage(to, contacts, options = {}) {
+    try {
+      await this.rateLimitManager.checkRateLimit(to);
+
+      const phoneTypes = { mobile: 'CELL', home: 'HOME', work: 'WORK' };
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: this.extractPhoneNumber(to),
+        type: 'contacts',
+        contacts: contacts.map(contact => ({
+          name: {
+            formatted_name: contact.displayName,
+            first_name: contact.firstName || contact.displayName,
+            last_name: contact.lastName
+          },
+          org: contact.company ? { company: contact.company } : undefined,
+          phones: (contact.phones || []).map(phone => ({
+            phone: phone.normalized,
+            type: phoneTypes[phone.label]
+          })),
+          emails: (contact.emails || []).map(email => ({
+            email: email.normalized,
+            type: ['home', 'work'].includes(email.label) ? email.label.toUpperCase() : undefined
+          }))
+        }))
+      };
+
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
+        payload.context = { message_id: replyTo };
+      }
+
+      const result = await this.errorHandler.handleWithRetry(async () => {
+        const response = await this.apiClient.post(`/${this.config.phoneNumberId}/messages`, payload);
+        return response.data;
+      });
+
+      this.rateLimitManager.recordMessage(to);
+      this.stats.messagesSent++;
+      await this._storeSentMessage(to, result.messages[0].id, {
+        type: 'contact',
+        media: payload.contacts,
+        quotedMessageId: replyTo || null
+      });
+
+      return {
+        success: true,
+        messageId: result.messages[0].id
+      };
+    } catch (error) {
+      logger.error('Failed to send contact message:', error);
+      this.stats.errors++;
+      return {
+        success: false,
+        error: this.errorHandler.formatError(error)
+      };
+    }
+  }
+
+  /**
+   * Envoie un sticker (WebP 512x512)
+   * @param {string} to - Numéro destinataire
+   * @param {Object} sticker - {id?: string (média uploadé), url?: string}
+   * @param {Object} options - Options supplémentaires (quotedMessageId)
+   * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+   */
+  async sendStickerMessage(to, sticker, options = {}) {
+    try {
+      await this.rateLimitManager.checkRateLimit(to);
+
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: this.extractPhoneNumber(to),
+        type: 'sticker',
+        sticker: sticker.id ? { id: sticker.id } : { link: sticker.url }
+      };
+
+      const replyTo = options.quotedMessageId || options.replyTo;
+      if (replyTo) {
+        payload.context = { message_id: replyTo };
+      }
+
+      const result = await this.errorHandler.handleWithRetry(async () => {
+        const response = await this.apiClient.post(`/${this.config.phoneNumberId}/messages`, payload);
+        return response.data;
+      });
+
+      this.rateLimitManager.recordMessage(to);
+      this.stats.messagesSent++;
+      await this._storeSentMessage(to, result.messages[0].id, {
+        type: 'sticker',
+        media: { metaMediaId: sticker.id, url: sticker.url, mimetype: 'image/webp' },
+        quotedMessageId: replyTo || null
+      });
+
+      return {
+        success: true,
+        messageId: result.messages[0].id
+      };
+    } catch (error) {
+      logger.error('Failed to send sticker message:', error);
+      this.stats.errors++;
+      return {
+        success: false,
+        error: this.errorHandler.formatError(error)
+      };
+    }
+  }
+
+  /**
+   * Stocke localement un message envoyé (même format qu'un message du webhook)
+   * et notifie les clients
+   * @private
+   */
+  async _storeSentMessage(to, messageId, fields) {
+    try {
+      const sentMessage = {
+        id: messageId,
+        chatId: to,
+        from: this.config.phoneNumberId,
+        to: to,
+        fromMe: true,
+        status: 'sent',
+        timestamp: Date.now(),
+        contactName: chatStorage.getChat(to)?.name, // Conserver le nom de la conversation
+        key: {
+          remoteJid: to,
+          fromMe: true,
+          id: messageId
+        },
+        messageTimestamp: Math.floor(Date.now() / 1000),
+        ...fields
+      };
+
+      await chatStorage.processIncomingMessage(sentMessage);
+
+      const pushService = require('../../services/PushService');
+      pushService.pushNewMessage(sentMessage);
+    } catch (error) {
+      logger.error(`Failed to store sent message ${messageId}:`, error);
+    }
+  }
+
   /**
    * Upload un média vers Meta
    * @param {Buffer|string} mediaData - Buffer du média ou chemin local
@@ -986,6 +1174,22 @@ class MetaCloudProvider extends WhatsAppProvider {
     }
   }
 
+  /**
+   * Modifie un message envoyé (non supporté par la Cloud API)
+   * @returns {Promise<{success: boolean, error: string}>}
+   */
+  async editMessage(chatId, messageId, text) {
+    return { success: false, error: 'Message editing is not supported by Meta Cloud API' };
+  }
+
+  /**
+   * Supprime un message pour tous (non supporté par la Cloud API)
+   * @returns {Promise<{success: boolean, error: string}>}
+   */
+  async deleteMessage(chatId, messageId) {
+    return { success: false, error: 'Deleting messages is not supported by Meta Cloud API' };
+  }
+
   // ==================== Chats ====================
 
   /**
@@ -1022,6 +1226,15 @@ class MetaCloudProvider extends WhatsAppProvider {
     return { success: true };
   }
 
+  /**
+   * Fenêtre de service client de 24h d'une conversation
+   * @param {string} chatId - Numéro du client
+   * @returns {Object} - Voir ConversationManager.getSessionInfo
+   */
+  getConversationWindow(chatId) {
+    return this.conversationManager.getSessionInfo(chatId);
+  }
+
   /**
    * Archive/Désarchive une conversation (non supporté)
    * @param {string} chatId - ID de la conversation
@@ -1251,8 +1464,9 @@ class MetaCloudProvider extends WhatsAppProvider {
                     }
                   });
                   
-                  // Enregistrer le statut
+                  // Enregistrer le statut et la conversation facturée (catégorie, origine)
                   this.monitoringService.recordMessageStatus(status.status);
+                  this.conversationManager.recordConversation(status);
                 }
               }
             }
@@ -1275,10 +1489,11 @@ class MetaCloudProvider extends WhatsAppProvider {
 
   /**
    * Obtient la liste des templates
+   * @param {Object} filters - Filtres (category, status, language)
    * @returns {Array}
    */
-  getTemplates() {
-    return this.templateManager.getTemplates();
+  getTemplates(filters = {}) {
+    return this.templateManager.getTemplates(filters);
   }
 
   /**
@@ -1657,10 +1872,14 @@ class MetaCloudProvider extends WhatsAppProvider {
       sendLocation: true,
       sendContact: true,
       sendSticker: true,
+      sendPoll: false, // Sondages non disponibles sur la Cloud API
       reactions: true,
+      replies: true,
+      editMessages: false, // Cloud API: pas d'édition ni de suppression des messages envoyés
+      deleteMessages: false,
       typing: false, // Meta ne supporte pas les indicateurs de frappe
       presence: false, // Meta ne supporte pas la présence
-      groups: true,
+      groups: false, // Gestion des groupes non implémentée pour la Cloud API
       broadcasts: true,
       calls: false,
       status: true,
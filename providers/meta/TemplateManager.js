@@ -54,7 +54,7 @@ class TemplateManager {
             'Authorization': `Bearer ${this.config.accessToken}`
           },
           params: {
-            fields: 'name,status,category,language,components',
+            fields: 'name,status,category,language,components,rejected_reason',
             limit: 1000
           }
         }
@@ -382,10 +382,11 @@ class TemplateManager {
         text: templateData.body.text
       };
       
-      // Ajouter les exemples de variables
+      // Ajouter les exemples de variables (Meta attend un jeu d'exemples par ligne)
       if (templateData.body.examples) {
+        const examples = templateData.body.examples;
         bodyComponent.example = {
-          body_text: templateData.body.examples
+          body_text: Array.isArray(examples[0]) ? examples : [examples]
         };
       }
       
@@ -447,6 +448,9 @@ class TemplateManager {
       status: rawTemplate.status,
       category: rawTemplate.category,
       language: rawTemplate.language,
+      rejectedReason: rawTemplate.rejected_reason && rawTemplate.rejected_reason !== 'NONE'
+        ? rawTemplate.rejected_reason
+        : null,
       components: {}
     };
     
@@ -488,6 +492,140 @@ class TemplateManager {
     return normalized;
   }
 
+  /**
+   * Template normalisé à partir des données de création (aperçu avant soumission)
+   * @param {Object} templateData - Données du template (voir buildTemplatePayload)
+   * @returns {Object}
+   */
+  buildDraftTemplate(templateData) {
+    return {
+      ...this.normalizeTemplate(this.buildTemplatePayload(templateData)),
+      status: 'DRAFT'
+    };
+  }
+
+  /**
+   * Rendu d'un template avec des valeurs d'exemple
+   * @param {Object} template - Template normalisé (voir normalizeTemplate)
+   * @param {Object} parameters - { header, body } comme pour l'envoi
+   * @returns {Object} { header, body, footer, buttons, text, missing } - Une variable sans valeur
+   *   reste affichée ({{1}}) et figure dans missing
+   */
+  previewTemplate(template, parameters = {}) {
+    const missing = new Set();
+    const render = (text, values, section) => text.replace(/\{\{(\d+)\}\}/g, (placeholder, index) => {
+      const value = [].concat(values ?? [])[Number(index) - 1];
+      if (value === undefined || value === null || value === '') {
+        missing.add(`${section} ${placeholder}`);
+        return placeholder;
+      }
+      return String(value);
+    });
+
+    const { header, body, footer, buttons } = template.components;
+    let renderedHeader = null;
+    if (header?.format === 'TEXT') {
+      renderedHeader = render(header.text || '', parameters.header, 'header');
+    } else if (header) {
+      renderedHeader = { format: header.format, link: parameters.header?.link || parameters.header || null };
+    }
+    const renderedBody = body ? render(body.text || '', parameters.body, 'body') : null;
+
+    return {
+      header: renderedHeader,
+      body: renderedBody,
+      footer: footer || null,
+      buttons: buttons || [],
+      text: [typeof renderedHeader === 'string' ? renderedHeader : null, renderedBody, footer]
+        .filter(Boolean)
+        .join('\n\n'),
+      missing: [...missing]
+    };
+  }
+
+  /**
+   * Valide les données d'un template avant soumission à Meta
+   * @param {Object} templateData - { name, category, language, header?, body, footer?, buttons? }
+   * @returns {Object} {valid: boolean, errors: Array}
+   */
+  validateTemplateData(templateData) {
+    const errors = [];
+    const { name, category, language, header, body, footer, buttons } = templateData;
+
+    if (!/^[a-z0-9_]{1,512}$/.test(name || '')) {
+      errors.push('Nom invalide (minuscules, chiffres et _ uniquement)');
+    }
+    if (category && !this.categories[category]) {
+      errors.push(`Catégorie invalide (${Object.keys(this.categories).join(', ')})`);
+    }
+    if (language && !this.supportedLanguages.includes(language)) {
+      errors.push(`Langue non supportée: ${language}`);
+    }
+
+    // Les variables doivent se suivre ({{1}}, {{2}}...) et avoir chacune un exemple
+    const checkVariables = (text, examples, section) => {
+      const indexes = [...new Set(this.extractVariables(text).map(variable => variable.index))].sort((a, b) => a - b);
+      if (indexes.some((index, position) => index !== position + 1)) {
+        errors.push(`${section}: variables à numéroter à partir de {{1}} sans trou`);
+      }
+      if (indexes.length > 0 && (!Array.isArray(examples) || examples.length !== indexes.length)) {
+        errors.push(`${section}: ${indexes.length} exemple(s) de variables attendu(s)`);
+      }
+      return indexes.length;
+    };
+
+    if (!body?.text) {
+      errors.push('Texte du body requis');
+    } else {
+      if (body.text.length > 1024) errors.push('Body: 1024 caractères maximum');
+      checkVariables(body.text, body.examples, 'Body');
+    }
+
+    if (header) {
+      const format = header.format || 'TEXT';
+      if (!['TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT'].includes(format)) {
+        errors.push('Header: format TEXT, IMAGE, VIDEO ou DOCUMENT');
+      } else if (format === 'TEXT') {
+        if (!header.text) {
+          errors.push('Texte du header requis');
+        } else {
+          if (header.text.length > 60) errors.push('Header: 60 caractères maximum');
+          if (checkVariables(header.text, header.variables, 'Header') > 1) {
+            errors.push('Header: une seule variable autorisée');
+          }
+        }
+      }
+    }
+
+    if (footer !== undefined) {
+      if (typeof footer !== 'string' || footer.length > 60) errors.push('Footer: texte de 60 caractères maximum');
+      else if (this.extractVariables(footer).length > 0) errors.push('Footer: variables non autorisées');
+    }
+
+    if (buttons !== undefined) {
+      if (!Array.isArray(buttons) || buttons.length > 10) {
+        errors.push('Boutons: 10 maximum');
+      } else {
+        buttons.forEach((button, index) => {
+          if (!['quick_reply', 'phone', 'url'].includes(button?.type)) {
+            errors.push(`Bouton ${index + 1}: type quick_reply, phone ou url`);
+          } else if (!button.text || button.text.length > 25) {
+            errors.push(`Bouton ${index + 1}: texte de 25 caractères maximum requis`);
+          } else if (button.type === 'phone' && !button.phoneNumber) {
+            errors.push(`Bouton ${index + 1}: phoneNumber requis`);
+          } else if (button.type === 'url' && !/^https?:\/\//i.test(button.url || '')) {
+            errors.push(`Bouton ${index + 1}: url http(s) requise`);
+          }
+        });
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
   /**
    * Extrait les variables d'un texte de template
    * @param {string} text - Texte du template
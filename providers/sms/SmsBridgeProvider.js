@@ -3,6 +3,8 @@ const axios = require('axios');
 const logger = require('../../utils/logger');
 const https = require('https');
 const chatStorage = require('../../services/ChatStorageServicePersistent');
+const optOutService = require('../../services/SmsOptOutService');
+const blockListService = require('../../services/BlockListService');
 
 /**
  * Provider SMS Bridge - Connexion aux Trunks SIP via VM locale
@@ -193,7 +195,7 @@ class SmsBridgeProvider extends WhatsAppProvider {
                 // 2. Vérifier si on a besoin de sync les messages
                 // On pourrait optimiser en regardant le timestamp local vs distant
                 // Pour l'instant on sync les 20 derniers messages à chaque poll (optimisable)
-                await this.syncMessagesForChat(conv.id, chatData.id);
+                await this.syncMessagesForChat(conv.id, chatData.id, conv.phone_number);
             }
 
             // Success: reset backoff
@@ -225,7 +227,7 @@ class SmsBridgeProvider extends WhatsAppProvider {
         }
     }
 
-    async syncMessagesForChat(apiChatId, localChatId) {
+    async syncMessagesForChat(apiChatId, localChatId, remoteNumber = null) {
         try {
             const response = await this.client.get(`/api/pwa/conversations/${apiChatId}`);
             const messages = response.data.messages || [];
@@ -239,6 +241,19 @@ class SmsBridgeProvider extends WhatsAppProvider {
                 // Vérifier si le message existe déjà pour éviter le spam d'événements (fix clignotement)
                 const alreadyExists = chatStorage.messageExists(messageData.id);
 
+                // Expéditeur bloqué: supprimé ou mis en quarantaine, jamais stocké (STOP toujours pris en compte)
+                if (!alreadyExists && !messageData.fromMe && remoteNumber &&
+                    blockListService.filterInboundSms({
+                        id: messageData.id,
+                        from: remoteNumber,
+                        text: messageData.content,
+                        chatId: localChatId,
+                        source: 'sms-bridge'
+                    })) {
+                    optOutService.handleInbound(remoteNumber, messageData.content, 'sms-bridge');
+                    continue;
+                }
+
                 chatStorage.storeMessage(messageData);
 
                 // Suivre le dernier message pour mise à jour chat
@@ -250,6 +265,11 @@ class SmsBridgeProvider extends WhatsAppProvider {
                 // Emettre seulement si c'est un NOUVEAU message (entrant ou sortant)
                 if (!alreadyExists) {
                     this.emit('message', messageData);
+
+                    // Réponse STOP -> registre des désinscriptions
+                    if (!messageData.fromMe && remoteNumber) {
+                        optOutService.handleInbound(remoteNumber, messageData.content, 'sms-bridge');
+                    }
                 }
             }
 
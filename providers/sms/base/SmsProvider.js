@@ -12,7 +12,9 @@
  */
 
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const logger = require('../../../utils/logger');
+const { formatPhoneNumber } = require('../../../utils/phoneNumber');
 
 class SmsProvider extends EventEmitter {
   constructor(config) {
@@ -108,6 +110,28 @@ class SmsProvider extends EventEmitter {
     return { acknowledged: true };
   }
 
+  /**
+   * Authentifie un webhook avant son traitement
+   * Par défaut: secret partagé `webhook_secret` (config), passé dans l'URL de callback
+   * (?token=...) ou l'en-tête X-Webhook-Token. Sans secret configuré, le webhook est refusé.
+   * @param {Object} request - { method, url, headers, query, body }
+   * @returns {boolean}
+   */
+  verifyWebhook(request) {
+    const secret = this.config.config?.webhook_secret;
+    if (!secret) {
+      this.log('warn', 'Webhook rejected: no webhook_secret configured');
+      return false;
+    }
+
+    const provided = request.headers['x-webhook-token'] || request.query.token;
+    if (typeof provided !== 'string') return false;
+
+    // Comparaison à temps constant (empreintes de même longueur)
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(String(secret)));
+  }
+
   // ==================== Méthodes Utilitaires ====================
 
   /**
@@ -129,9 +153,14 @@ class SmsProvider extends EventEmitter {
    * @param {string} to - Numéro destinataire
    * @param {string} text - Contenu du message
    * @param {string} country - Code pays (FR, BE, etc.)
+   * @param {Object} options - Options d'envoi (complianceChecked: déjà vérifié par l'appelant, ex. campagnes)
    * @returns {Promise<{allowed: boolean, reason?: string, modifiedText?: string}>}
    */
-  async checkCompliance(to, text, country = 'FR') {
+  async checkCompliance(to, text, country = 'FR', options = {}) {
+    if (options.complianceChecked) {
+      return { allowed: true, modifiedText: text };
+    }
+
     try {
       const complianceService = require('../../../services/SmsComplianceService');
       return complianceService.check(to, text, country, this.config);
@@ -149,46 +178,7 @@ class SmsProvider extends EventEmitter {
    * @returns {string} Numéro formaté
    */
   formatPhoneNumber(number, defaultCountry = 'FR') {
-    if (!number) return number;
-
-    // Nettoyer le numéro
-    let cleaned = number.replace(/[\s\-\.\(\)]/g, '');
-
-    // Déjà au format international
-    if (cleaned.startsWith('+')) {
-      return cleaned;
-    }
-
-    // Format français
-    if (defaultCountry === 'FR') {
-      if (cleaned.startsWith('0')) {
-        return '+33' + cleaned.substring(1);
-      }
-      if (cleaned.startsWith('33')) {
-        return '+' + cleaned;
-      }
-    }
-
-    // Format belge
-    if (defaultCountry === 'BE') {
-      if (cleaned.startsWith('0')) {
-        return '+32' + cleaned.substring(1);
-      }
-    }
-
-    // Format suisse
-    if (defaultCountry === 'CH') {
-      if (cleaned.startsWith('0')) {
-        return '+41' + cleaned.substring(1);
-      }
-    }
-
-    // Par défaut, supposer français si commence par 06 ou 07
-    if (/^0[67]\d{8}$/.test(cleaned)) {
-      return '+33' + cleaned.substring(1);
-    }
-
-    return cleaned;
+    return formatPhoneNumber(number, defaultCountry);
   }
 
   /**
@@ -11,10 +11,33 @@
  * - consumer_key: Clé consommateur
  * - service_name: Nom du service SMS (ex: sms-xxx)
  * - sender: Expéditeur (numéro ou nom alpha)
+ *
+ * Accusés de réception: déclarer l'URL de callback du service SMS
+ * (espace client OVH) vers /webhook/sms/<id du provider>?token=<webhook_secret>
+ * - webhook_secret: secret partagé exigé sur chaque callback (refusé sans)
  */
 
 const SmsProvider = require('../base/SmsProvider');
 
+// Mapping des statuts OVH (deliveryReceipt)
+const STATUS_MAP = {
+  pending: 'pending',
+  sent: 'sent',
+  delivered: 'delivered',
+  failed: 'failed',
+  notDelivered: 'failed'
+};
+
+// Code `dlr` des callbacks OVH: 1 remis, 2 non remis, 4 en attente opérateur,
+// 8 accepté par l'opérateur, 16 refusé par l'opérateur
+const DLR_MAP = {
+  1: 'delivered',
+  2: 'failed',
+  4: 'pending',
+  8: 'sent',
+  16: 'failed'
+};
+
 class OvhSmsProvider extends SmsProvider {
   constructor(config) {
     super(config);
@@ -82,7 +105,7 @@ class OvhSmsProvider extends SmsProvider {
       }
 
       // Vérifier la compliance France
-      const compliance = await this.checkCompliance(formattedTo, text, 'FR');
+      const compliance = await this.checkCompliance(formattedTo, text, 'FR', options);
       if (!compliance.allowed) {
         this.log('warn', `SMS blocked by compliance: ${compliance.reason}`);
         return {
@@ -201,17 +224,8 @@ class OvhSmsProvider extends SmsProvider {
         `/sms/${this.serviceName}/jobs/${messageId}`
       );
 
-      // Mapping des statuts OVH
-      const statusMap = {
-        pending: 'pending',
-        sent: 'sent',
-        delivered: 'delivered',
-        failed: 'failed',
-        notDelivered: 'failed'
-      };
-
       return {
-        status: statusMap[job.deliveryReceipt] || 'unknown',
+        status: STATUS_MAP[job.deliveryReceipt] || 'unknown',
         sentAt: job.creationDatetime ? new Date(job.creationDatetime) : null,
         deliveredAt: job.deliveryReceipt === 'delivered' ? new Date() : null,
         credits: job.credits
@@ -269,12 +283,18 @@ class OvhSmsProvider extends SmsProvider {
   async handleWebhook(data) {
     this.log('info', 'Received OVH webhook', { data });
 
-    // OVH envoie des DLR (Delivery Reports)
-    if (data.id && data.deliveryReceipt) {
+    // OVH envoie des DLR (Delivery Reports): deliveryReceipt ou code dlr selon le callback
+    if (data.id && (data.deliveryReceipt || data.dlr)) {
+      const status = data.deliveryReceipt
+        ? STATUS_MAP[data.deliveryReceipt]
+        : DLR_MAP[parseInt(data.dlr, 10)];
+
       this.emitEvent('delivery_report', {
         messageId: String(data.id),
-        status: data.deliveryReceipt,
-        receiver: data.receiver
+        status: status || 'unknown',
+        rawStatus: data.deliveryReceipt || data.dlr,
+        error: status === 'failed' ? (data.description || null) : null,
+        to: data.receiver || data.number
       });
     }
 
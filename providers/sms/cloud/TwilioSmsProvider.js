@@ -8,10 +8,24 @@
  * - account_sid: Account SID Twilio
  * - auth_token: Auth Token Twilio
  * - phone_number: Numéro Twilio (format E.164, ex: +33612345678)
+ * - status_callback_url (optionnel): URL publique de /webhook/sms/<id> pour les accusés de réception
+ * - webhook_url (optionnel): URL publique déclarée chez Twilio, si elle diffère de celle vue
+ *   par le serveur (proxy); les webhooks sont authentifiés par la signature X-Twilio-Signature
  */
 
 const SmsProvider = require('../base/SmsProvider');
 
+// Mapping des statuts Twilio
+const STATUS_MAP = {
+  queued: 'pending',
+  accepted: 'pending',
+  sending: 'sending',
+  sent: 'sent',
+  delivered: 'delivered',
+  undelivered: 'failed',
+  failed: 'failed'
+};
+
 class TwilioSmsProvider extends SmsProvider {
   constructor(config) {
     super(config);
@@ -78,7 +92,7 @@ class TwilioSmsProvider extends SmsProvider {
 
       // Vérifier la compliance France si numéro français
       if (formattedTo.startsWith('+33')) {
-        const compliance = await this.checkCompliance(formattedTo, text, 'FR');
+        const compliance = await this.checkCompliance(formattedTo, text, 'FR', options);
         if (!compliance.allowed) {
           this.log('warn', `SMS blocked by compliance: ${compliance.reason}`);
           return {
@@ -99,9 +113,10 @@ class TwilioSmsProvider extends SmsProvider {
         to: formattedTo
       };
 
-      // Ajouter le callback URL si fourni
-      if (options.statusCallback) {
-        messageOptions.statusCallback = options.statusCallback;
+      // Callback des accusés de réception (par message chez Twilio)
+      const statusCallback = options.statusCallback || this.config.config?.status_callback_url;
+      if (statusCallback) {
+        messageOptions.statusCallback = statusCallback;
       }
 
       // Ajouter le messaging service SID si fourni
@@ -186,18 +201,8 @@ class TwilioSmsProvider extends SmsProvider {
     try {
       const message = await this.client.messages(messageId).fetch();
 
-      // Mapping des statuts Twilio
-      const statusMap = {
-        queued: 'pending',
-        sending: 'sending',
-        sent: 'sent',
-        delivered: 'delivered',
-        undelivered: 'failed',
-        failed: 'failed'
-      };
-
       return {
-        status: statusMap[message.status] || 'unknown',
+        status: STATUS_MAP[message.status] || 'unknown',
         sentAt: message.dateSent ? new Date(message.dateSent) : null,
         deliveredAt: message.status === 'delivered' ? new Date() : null,
         errorCode: message.errorCode,
@@ -243,6 +248,25 @@ class TwilioSmsProvider extends SmsProvider {
     }
   }
 
+  /**
+   * Vérifie la signature X-Twilio-Signature (HMAC de l'URL et des paramètres par l'auth token)
+   */
+  verifyWebhook(request) {
+    const authToken = this.config.config?.auth_token;
+    const signature = request.headers['x-twilio-signature'];
+    if (!authToken || !signature) return false;
+
+    // Twilio signe l'URL déclarée chez lui, query string comprise
+    const publicUrl = this.config.config?.webhook_url || this.config.config?.status_callback_url;
+    const queryIndex = request.url.indexOf('?');
+    const url = publicUrl
+      ? publicUrl.split('?')[0] + (queryIndex >= 0 ? request.url.substring(queryIndex) : '')
+      : request.url;
+
+    const twilio = require('twilio');
+    return twilio.validateRequest(authToken, signature, url, request.method === 'POST' ? request.body : {});
+  }
+
   async handleWebhook(data) {
     this.log('info', 'Received Twilio webhook', { messageSid: data.MessageSid });
 
@@ -250,8 +274,10 @@ class TwilioSmsProvider extends SmsProvider {
     if (data.MessageStatus && data.MessageSid) {
       this.emitEvent('delivery_report', {
         messageId: data.MessageSid,
-        status: data.MessageStatus,
+        status: STATUS_MAP[data.MessageStatus] || 'unknown',
+        rawStatus: data.MessageStatus,
         errorCode: data.ErrorCode,
+        error: data.ErrorCode ? `Twilio error ${data.ErrorCode}` : null,
         to: data.To
       });
     }
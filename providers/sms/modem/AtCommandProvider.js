@@ -8,22 +8,44 @@
  * - Envoi/réception SMS
  * - Lecture signal et opérateur
  * - Gestion SIM (PIN, état)
- * - Mode PDU et texte
+ * - Mode texte (par défaut) ou PDU; en mode texte, les SMS hors GSM-7 ou de plus
+ *   d'un segment (accents, emojis, messages longs) sont tout de même envoyés en PDU
+ * - Réassemblage des SMS entrants multi-parties avant émission de 'sms_received'
+ * - Accusés de réception (+CDS / +CDSI) émis en 'delivery_report' si statusReport est activé
+ *
+ * Utilisable seul (ModemManagerService) ou comme provider SmsRoutingService
+ * (type at_command, options sous `config`).
  */
 
 const EventEmitter = require('events');
+const { encodeSubmit, decodePdu, deliveryStatusFromCode, measure, MultipartAssembler } = require('../../../utils/smsPdu');
+
+// Statuts AT+CMGL en mode PDU
+const PDU_LIST_STATUS = {
+  'REC UNREAD': 0,
+  'REC READ': 1,
+  'STO UNSENT': 2,
+  'STO SENT': 3,
+  'ALL': 4,
+};
 
 class AtCommandProvider extends EventEmitter {
   constructor(config = {}) {
     super();
 
+    // Depuis providers.yaml: { id, type, config: { device, ... } }
+    const options = config.config || config;
+    this.id = config.id || null;
+
     this.config = {
-      device: config.device || '/dev/ttyUSB2',
-      baudRate: config.baudRate || 115200,
-      pin: config.pin || null,
-      smsc: config.smsc || null,  // Centre SMS
-      timeout: config.timeout || 10000,
-      useTextMode: config.useTextMode !== false,  // Mode texte par défaut
+      device: options.device || '/dev/ttyUSB2',
+      baudRate: options.baudRate || 115200,
+      pin: options.pin || null,
+      smsc: options.smsc || null,  // Centre SMS
+      timeout: options.timeout || 10000,
+      useTextMode: options.useTextMode !== false,  // useTextMode: false = mode PDU (UCS-2, multi-parties)
+      statusReport: options.statusReport || false,  // Accusés de réception (TP-SRR)
+      multipartTimeout: options.multipartTimeout || 60 * 60 * 1000,
     };
 
     this.port = null;
@@ -32,6 +54,22 @@ class AtCommandProvider extends EventEmitter {
     this.currentCommand = null;
     this.responseBuffer = '';
     this.modemInfo = {};
+
+    // Mode courant du modem (AT+CMGF), qui peut basculer le temps d'un envoi PDU
+    this.pduMode = !this.config.useTextMode;
+
+    // Séquences de commandes qui ne doivent pas s'entrelacer (envoi, lecture)
+    this.sequence = Promise.resolve();
+
+    // Référence de concaténation des SMS longs (0-255, propre à ce modem)
+    this.concatReference = Math.floor(Math.random() * 256);
+
+    // Parties de SMS entrants en attente; au-delà du délai, le texte partiel est transmis
+    this.assembler = new MultipartAssembler({ timeoutMs: this.config.multipartTimeout });
+    this.assembler.on('expired', (sms) => {
+      console.warn(`SMS from ${sms.from} incomplete, missing parts: ${sms.missing.join(', ')}`);
+      this.exclusive(() => this.emitReceivedSms(sms));
+    });
   }
 
   /**
@@ -107,13 +145,16 @@ class AtCommandProvider extends EventEmitter {
     // Attendre l'enregistrement réseau
     await this.waitForNetwork();
 
-    // Mode texte pour SMS (plus simple)
-    if (this.config.useTextMode) {
-      await this.sendCommand('AT+CMGF=1');
+    // Mode PDU (0) ou texte (1)
+    await this.sendCommand(`AT+CMGF=${this.config.useTextMode ? 1 : 0}`);
+
+    // En mode texte, la demande d'accusé passe par le premier octet par défaut (0x31)
+    if (this.config.useTextMode && this.config.statusReport) {
+      await this.sendCommand('AT+CSMP=49,167,0,0');
     }
 
-    // Configurer les notifications SMS
-    await this.sendCommand('AT+CNMI=2,1,0,0,0');
+    // Configurer les notifications SMS (+CMTI) et les accusés de réception (+CDS)
+    await this.sendCommand(`AT+CNMI=2,1,0,${this.config.statusReport ? 1 : 0},0`);
 
     // Récupérer les infos du modem
     this.modemInfo = await this.getModemInfo();
@@ -198,10 +239,51 @@ class AtCommandProvider extends EventEmitter {
     // Normaliser le numéro
     const phoneNumber = this.normalizePhoneNumber(to);
 
-    if (this.config.useTextMode) {
-      return this.sendSmsText(phoneNumber, message);
-    } else {
-      return this.sendSmsPdu(phoneNumber, message);
+    return this.exclusive(async () => {
+      if (!this.config.useTextMode) {
+        return this.sendSmsPdu(phoneNumber, message);
+      }
+
+      // Le mode texte ne transporte qu'un SMS GSM-7 d'un seul segment
+      const { encoding, segments } = measure(message);
+      if (encoding === 'gsm7' && segments === 1) {
+        return this.sendSmsText(phoneNumber, message);
+      }
+
+      await this.setPduMode(true);
+      try {
+        return await this.sendSmsPdu(phoneNumber, message);
+      } finally {
+        await this.setPduMode(false);
+      }
+    });
+  }
+
+  /**
+   * Bascule le modem en mode PDU (AT+CMGF=0) ou texte (AT+CMGF=1)
+   */
+  async setPduMode(enabled) {
+    await this.sendCommand(`AT+CMGF=${enabled ? 0 : 1}`);
+    this.pduMode = enabled;
+  }
+
+  /**
+   * Exécute une séquence de commandes AT sans qu'une autre ne s'y intercale
+   */
+  exclusive(task) {
+    const run = this.sequence.then(task);
+    this.sequence = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Interface SmsProvider (SmsRoutingService): les erreurs deviennent { success: false }
+   */
+  async sendMessage(to, text) {
+    try {
+      return await this.sendSms(to, text);
+    } catch (error) {
+      return { success: false, error: error.message };
     }
   }
 
@@ -238,11 +320,42 @@ class AtCommandProvider extends EventEmitter {
   }
 
   /**
-   * Envoie un SMS en mode PDU (pour support Unicode, etc.)
+   * Envoie un SMS en mode PDU: GSM-7 ou UCS-2, découpé en parties concaténées si nécessaire
    */
   async sendSmsPdu(to, message) {
-    // TODO: Implémenter l'encodage PDU si nécessaire
-    throw new Error('PDU mode not yet implemented');
+    this.concatReference = (this.concatReference + 1) % 256;
+
+    const { encoding, parts } = encodeSubmit(to, message, {
+      smsc: this.config.smsc,
+      reference: this.concatReference,
+      statusReport: this.config.statusReport,
+    });
+
+    const messageRefs = [];
+    for (const part of parts) {
+      await this.sendCommand(`AT+CMGS=${part.tpduLength}`, {
+        waitFor: '>',
+        timeout: 5000,
+      });
+
+      const response = await this.sendCommand(`${part.pdu}\x1A`, {
+        timeout: 30000,
+      });
+
+      const match = response.match(/\+CMGS:\s*(\d+)/);
+      if (!match) {
+        throw new Error(`SMS sending failed (part ${messageRefs.length + 1}/${parts.length}): ${response}`);
+      }
+      messageRefs.push(match[1]);
+    }
+
+    return {
+      success: true,
+      messageRef: messageRefs[0],
+      messageRefs,
+      parts: parts.length,
+      encoding,
+    };
   }
 
   /**
@@ -253,12 +366,207 @@ class AtCommandProvider extends EventEmitter {
       throw new Error('Modem not ready');
     }
 
+    return this.exclusive(() => this.readSmsList(status));
+  }
+
+  async readSmsList(status) {
     // Status: REC UNREAD, REC READ, STO UNSENT, STO SENT, ALL
-    const response = await this.sendCommand(`AT+CMGL="${status}"`, {
+    if (this.config.useTextMode) {
+      const response = await this.sendCommand(`AT+CMGL="${status}"`, {
+        timeout: 10000,
+      });
+
+      return this.parseSmsListResponse(response);
+    }
+
+    const response = await this.sendCommand(`AT+CMGL=${PDU_LIST_STATUS[status] ?? 4}`, {
       timeout: 10000,
     });
 
-    return this.parseSmsListResponse(response);
+    // Parties réassemblées dans la liste (les parties manquantes restent sur la SIM)
+    const assembler = new MultipartAssembler({ timeoutMs: 0 });
+    const messages = [];
+    for (const sms of this.parsePduListResponse(response)) {
+      if (sms.type === 'status-report') {
+        continue;
+      }
+      const complete = assembler.add(sms, this.config.device);
+      if (complete) {
+        messages.push(this.formatPduSms(complete));
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Lit un SMS par son index (mode PDU)
+   */
+  async readSmsPdu(index) {
+    const response = await this.sendCommand(`AT+CMGR=${index}`);
+    const match = response.match(/\+CMGR:\s*(\d+),[^\r\n]*[\r\n]+([0-9A-Fa-f]+)/);
+    if (!match) {
+      return null;
+    }
+    return { ...decodePdu(match[2]), index, status: parseInt(match[1], 10) };
+  }
+
+  /**
+   * Lit un SMS par son index (mode texte)
+   * +CMGR: <stat>,<oa>,[<alpha>],<scts>
+   * <data>
+   */
+  async readSmsText(index) {
+    const response = await this.sendCommand(`AT+CMGR=${index}`);
+    const match = response.match(/\+CMGR:\s*"([^"]+)","([^"]*)",[^,\r\n]*(?:,"([^"]*)")?[^\r\n]*[\r\n]+([\s\S]*?)[\r\n]+OK/);
+    if (!match) {
+      return null;
+    }
+    return {
+      index,
+      status: match[1],
+      from: match[2],
+      timestamp: match[3] || null,
+      message: match[4].trim(),
+    };
+  }
+
+  /**
+   * Notification +CMTI: lecture du SMS, réassemblage, puis 'sms_received'
+   */
+  async handleSmsIndication(memory, index) {
+    try {
+      await this.exclusive(async () => {
+        if (this.config.useTextMode) {
+          const sms = await this.readSmsText(index);
+          if (sms) {
+            this.emit('sms_received', { ...sms, memory });
+            await this.deleteSms(index);
+          }
+          return;
+        }
+
+        const sms = await this.readSmsPdu(index);
+        if (!sms || sms.type !== 'deliver') {
+          return;
+        }
+
+        const complete = this.assembler.add({ ...sms, memory }, this.config.device);
+        if (complete) {
+          await this.emitReceivedSms(complete);
+        }
+      });
+    } catch (error) {
+      console.error(`Error reading SMS ${memory}/${index}:`, error);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Notification +CDSI: accusé de réception stocké, lu puis supprimé
+   */
+  async handleStatusReportIndication(memory, index) {
+    try {
+      await this.exclusive(async () => {
+        const response = await this.sendCommand(`AT+CMGR=${index}`);
+        const report = this.config.useTextMode
+          ? this.parseTextStatusReport(response)
+          : this.parsePduStatusReport(response.match(/\+CMGR:[^\r\n]*[\r\n]+([0-9A-Fa-f]+)/)?.[1]);
+
+        if (report) {
+          this.emitDeliveryReport(report);
+        }
+        await this.deleteSms(index);
+      });
+    } catch (error) {
+      console.error(`Error reading status report ${memory}/${index}:`, error);
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Accusé de réception en PDU (SMS-STATUS-REPORT)
+   */
+  parsePduStatusReport(pdu) {
+    if (!pdu) return null;
+    try {
+      const report = decodePdu(pdu);
+      if (report.type !== 'status-report') return null;
+      return {
+        messageRef: report.messageReference,
+        to: report.to,
+        statusCode: report.status,
+        dischargedAt: report.dischargedAt,
+      };
+    } catch (error) {
+      console.warn('Could not decode status report:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Accusé de réception en mode texte (+CDS ou +CMGR):
+   * <fo>,<mr>,"<ra>",<tora>,"<scts>","<dt>",<st>
+   */
+  parseTextStatusReport(line) {
+    const match = line.match(/(\d+),(\d+),"([^"]*)",\d+,"[^"]*","([^"]*)",(\d+)/);
+    if (!match) return null;
+    return {
+      messageRef: parseInt(match[2], 10),
+      to: match[3],
+      statusCode: parseInt(match[5], 10),
+      dischargedAt: null,
+    };
+  }
+
+  /**
+   * 'delivery_report': la référence TP-MR correspond à un messageRefs de sendSms
+   */
+  emitDeliveryReport({ messageRef, to, statusCode, dischargedAt }) {
+    const status = deliveryStatusFromCode(statusCode);
+    this.emit('delivery_report', {
+      messageRef,
+      to,
+      status,
+      statusCode,
+      dischargedAt: dischargedAt ? new Date(dischargedAt).toISOString() : null,
+      error: status === 'failed' ? `TP-ST 0x${statusCode.toString(16).padStart(2, '0')}` : null,
+    });
+  }
+
+  /**
+   * Émet un SMS complet puis libère ses emplacements sur la SIM
+   */
+  async emitReceivedSms(sms) {
+    const formatted = this.formatPduSms(sms);
+    this.emit('sms_received', formatted);
+
+    for (const index of formatted.indexes) {
+      try {
+        await this.deleteSms(index);
+      } catch (error) {
+        console.warn(`Could not delete SMS ${index}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Format commun des SMS décodés (mêmes champs que le mode texte)
+   */
+  formatPduSms(sms) {
+    const parts = sms.partMessages || [sms];
+    return {
+      index: parts[0].index,
+      indexes: parts.map(part => part.index).filter(index => index != null),
+      memory: sms.memory,
+      status: sms.status,
+      from: sms.from,
+      ...(sms.to ? { to: sms.to } : {}),
+      timestamp: sms.timestamp ? new Date(sms.timestamp).toISOString() : null,
+      message: sms.text,
+      encoding: sms.encoding,
+      parts: sms.parts || 1,
+      ...(sms.incomplete ? { incomplete: true, missing: sms.missing } : {}),
+    };
   }
 
   /**
@@ -375,14 +683,36 @@ class AtCommandProvider extends EventEmitter {
     // Émettre les données brutes
     this.emit('data', text);
 
-    // Vérifier les notifications SMS entrantes
+    // Vérifier les notifications SMS entrantes (retirées du buffer pour ne pas les traiter deux fois)
     if (this.responseBuffer.includes('+CMTI:')) {
       const match = this.responseBuffer.match(/\+CMTI:\s*"([^"]+)",(\d+)/);
       if (match) {
-        this.emit('sms_received', {
-          memory: match[1],
-          index: parseInt(match[2], 10),
-        });
+        this.responseBuffer = this.responseBuffer.replace(match[0], '');
+        this.handleSmsIndication(match[1], parseInt(match[2], 10));
+      }
+    }
+
+    // Accusés de réception: +CDS (transmis directement) ou +CDSI (stocké, à lire)
+    if (this.responseBuffer.includes('+CDS:')) {
+      const match = !this.pduMode
+        ? this.responseBuffer.match(/\+CDS:\s*\d+,\d+,"[^"]*",\d+,"[^"]*","[^"]*",\d+/)
+        : this.responseBuffer.match(/\+CDS:\s*\d+\r?\n([0-9A-Fa-f]+)\r?\n/);
+      if (match) {
+        this.responseBuffer = this.responseBuffer.replace(match[0], '');
+        const report = !this.pduMode
+          ? this.parseTextStatusReport(match[0])
+          : this.parsePduStatusReport(match[1]);
+        if (report) {
+          this.emitDeliveryReport(report);
+        }
+      }
+    }
+
+    if (this.responseBuffer.includes('+CDSI:')) {
+      const match = this.responseBuffer.match(/\+CDSI:\s*"([^"]+)",(\d+)/);
+      if (match) {
+        this.responseBuffer = this.responseBuffer.replace(match[0], '');
+        this.handleStatusReportIndication(match[1], parseInt(match[2], 10));
       }
     }
 
@@ -458,6 +788,31 @@ class AtCommandProvider extends EventEmitter {
     return messages;
   }
 
+  /**
+   * Parse la liste des SMS en mode PDU
+   * +CMGL: <index>,<stat>,[<alpha>],<length>
+   * <pdu>
+   */
+  parsePduListResponse(response) {
+    const messages = [];
+    const regex = /\+CMGL:\s*(\d+),(\d+),[^\r\n]*[\r\n]+([0-9A-Fa-f]+)/g;
+    let match;
+
+    while ((match = regex.exec(response)) !== null) {
+      try {
+        messages.push({
+          ...decodePdu(match[3]),
+          index: parseInt(match[1], 10),
+          status: parseInt(match[2], 10),
+        });
+      } catch (error) {
+        console.warn(`Could not decode SMS ${match[1]}:`, error.message);
+      }
+    }
+
+    return messages;
+  }
+
   /**
    * Normalise un numéro de téléphone
    */
@@ -507,6 +862,8 @@ class AtCommandProvider extends EventEmitter {
    * Ferme la connexion
    */
   async close() {
+    this.assembler.clear();
+
     if (this.port && this.port.isOpen) {
       return new Promise((resolve) => {
         this.port.close(() => {
@@ -517,11 +874,31 @@ class AtCommandProvider extends EventEmitter {
     }
   }
 
+  /**
+   * Interface SmsProvider (SmsRoutingService)
+   */
+  async disconnect() {
+    return this.close();
+  }
+
+  getCapabilities() {
+    return {
+      canSend: true,
+      canReceive: true,
+      supportsUnicode: true,
+      supportsDeliveryReports: this.config.statusReport,
+      maxMessageLength: 153 * 255,
+      supportsLongSms: true,
+      supportsMms: false,
+    };
+  }
+
   /**
    * Status du provider
    */
   getStatus() {
     return {
+      status: this.isReady ? 'connected' : 'disconnected',
       isReady: this.isReady,
       device: this.config.device,
       ...this.modemInfo,
@@ -9,6 +9,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
+const multer = require('multer');
 
 // Services (seront injectés)
 let securityService = null;
@@ -31,6 +32,23 @@ const tunnelRelayService = require('../services/TunnelRelayService');
 // Import HomenichatCloudService (Unified Push + Tunnel with email/password auth)
 const homenichatCloudService = require('../services/HomenichatCloudService');
 
+// Ring groups et horaires d'ouverture (routage des appels GSM entrants)
+const ringGroupService = require('../services/RingGroupService');
+const businessHoursService = require('../services/BusinessHoursService');
+const ivrService = require('../services/IvrService');
+const recordingService = require('../services/RecordingService');
+const blockListService = require('../services/BlockListService');
+const missedCallReplyService = require('../services/MissedCallReplyService');
+const callControlService = require('../services/CallControlService');
+
+// Messages SVI uploadés (convertis en WAV 8 kHz avant installation)
+const ivrPromptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20 MB max
+  }
+});
+
 /**
  * Initialise les routes avec les services nécessaires
  */
@@ -578,6 +596,228 @@ router.delete('/whatsapp/sessions/:id', [
   }
 });
 
+// =============================================================================
+// META CLOUD API (Customer service windows, conversation costs, templates)
+// =============================================================================
+
+/**
+ * Provider Meta Cloud API actif, ou réponse 503
+ */
+function getMetaProvider(res) {
+  const metaProvider = providerManager?.providers?.get('meta');
+  if (!metaProvider) {
+    res.status(503).json({ error: 'Meta Cloud API provider not configured' });
+    return null;
+  }
+  return metaProvider;
+}
+
+/**
+ * GET /api/admin/meta/conversations
+ * Open 24h windows and billed conversations per category (default: last 30 days)
+ */
+router.get('/meta/conversations', [
+  query('since').optional().isInt({ min: 0 }).toInt()
+], validate, (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    res.json(metaProvider.conversationManager.getStats(req.query.since));
+  } catch (error) {
+    console.error('[Admin] Get Meta conversations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/meta/conversations/:phoneNumber
+ * Customer service window and last billed conversation of a customer
+ */
+router.get('/meta/conversations/:phoneNumber', [
+  param('phoneNumber').matches(/^\+?[0-9]{6,20}$/)
+], validate, (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    res.json(metaProvider.conversationManager.getSessionInfo(req.params.phoneNumber));
+  } catch (error) {
+    console.error('[Admin] Get Meta conversation window error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const TEMPLATE_STATUSES = ['APPROVED', 'PENDING', 'REJECTED', 'PAUSED', 'DISABLED', 'IN_APPEAL'];
+const TEMPLATE_CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+
+/**
+ * GET /api/admin/meta/templates
+ * Templates with their approval status (refresh=true: reload from Meta)
+ */
+router.get('/meta/templates', [
+  query('status').optional().isIn(TEMPLATE_STATUSES),
+  query('category').optional().isIn(TEMPLATE_CATEGORIES),
+  query('language').optional().isString(),
+  query('refresh').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    const { templateManager } = metaProvider;
+    if (req.query.refresh && !await templateManager.loadTemplates(true)) {
+      return res.status(502).json({ error: 'Failed to load templates from Meta' });
+    }
+
+    const { status, category, language } = req.query;
+    res.json({
+      templates: templateManager.getTemplates({ status, category, language }),
+      lastSync: templateManager.lastSync
+    });
+  } catch (error) {
+    console.error('[Admin] List Meta templates error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/meta/templates
+ * Submit a new template to Meta for approval
+ * Body: { name, category, language, header?: { format, text, variables }, body: { text, examples },
+ *   footer?, buttons?: [{ type: quick_reply|phone|url, text, phoneNumber?, url? }] }
+ */
+router.post('/meta/templates', [
+  body('name').isString(),
+  body('category').isIn(TEMPLATE_CATEGORIES),
+  body('language').isString(),
+  body('header').optional().isObject(),
+  body('body').isObject(),
+  body('footer').optional().isString(),
+  body('buttons').optional().isArray()
+], validate, async (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    const { templateManager } = metaProvider;
+    const templateData = {
+      name: req.body.name,
+      category: req.body.category,
+      language: req.body.language,
+      header: req.body.header,
+      body: req.body.body,
+      footer: req.body.footer,
+      buttons: req.body.buttons
+    };
+
+    const validation = templateManager.validateTemplateData(templateData);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid template', details: validation.errors });
+    }
+    if (templateManager.getTemplate(templateData.name, templateData.language)) {
+      return res.status(409).json({ error: `Template ${templateData.name} (${templateData.language}) already exists` });
+    }
+
+    const result = await templateManager.createTemplate(templateData);
+    if (!result.success) {
+      return res.status(502).json({ error: result.error });
+    }
+
+    await securityService?.logAction(req.user.id, 'meta_template_created', {
+      category: 'admin',
+      resource: `meta_template:${templateData.name}`,
+      username: req.user.username,
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      template: templateManager.getTemplate(templateData.name, templateData.language) || {
+        ...templateManager.buildDraftTemplate(templateData),
+        id: result.template.id,
+        status: result.template.status
+      }
+    });
+  } catch (error) {
+    console.error('[Admin] Create Meta template error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/meta/templates/preview
+ * Render an existing template ({ name, language }) or a draft ({ template }) with sample variables
+ * Body: { name?, language?, template?, parameters: { header?, body? } }
+ */
+router.post('/meta/templates/preview', [
+  body('name').optional().isString(),
+  body('language').optional().isString(),
+  body('template').optional().isObject(),
+  body('parameters').optional().isObject()
+], validate, (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    const { templateManager } = metaProvider;
+    const { name, language = 'fr', template: draft, parameters = {} } = req.body;
+
+    let template;
+    if (draft) {
+      const validation = templateManager.validateTemplateData({ name: 'preview', ...draft });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid template', details: validation.errors });
+      }
+      template = templateManager.buildDraftTemplate(draft);
+    } else if (name) {
+      template = templateManager.getTemplate(name, language);
+      if (!template) {
+        return res.status(404).json({ error: `Template not found: ${name} (${language})` });
+      }
+    } else {
+      return res.status(400).json({ error: 'name or template is required' });
+    }
+
+    res.json({
+      template,
+      preview: templateManager.previewTemplate(template, parameters)
+    });
+  } catch (error) {
+    console.error('[Admin] Preview Meta template error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/meta/templates/:name
+ * Delete a template (all its languages)
+ */
+router.delete('/meta/templates/:name', [
+  param('name').matches(/^[a-z0-9_]{1,512}$/)
+], validate, async (req, res) => {
+  try {
+    const metaProvider = getMetaProvider(res);
+    if (!metaProvider) return;
+
+    const { name } = req.params;
+    const result = await metaProvider.templateManager.deleteTemplate(name);
+    if (!result.success) {
+      return res.status(502).json({ error: result.error });
+    }
+
+    await securityService?.logAction(req.user.id, 'meta_template_deleted', {
+      category: 'admin',
+      resource: `meta_template:${name}`,
+      username: req.user.username,
+    }, req);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Admin] Delete Meta template error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =============================================================================
 // MODEMS - GSM Modem Management via chan_quectel/Asterisk
 // =============================================================================
@@ -2158,6 +2398,45 @@ router.get('/voip/ami-status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/voip/live-calls
+ * Live calls: every active channel (line, extension, duration, bridged party, direction),
+ * ringing calls and busy/idle state of each GSM line
+ * Updates are pushed on the WebSocket (call_state, line_state)
+ */
+router.get('/voip/live-calls', (req, res) => {
+  try {
+    res.json(callControlService.getDashboard());
+  } catch (error) {
+    console.error('[Admin] Live calls error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/voip/live-calls/:callId/hangup
+ * Hang up an active channel
+ */
+router.post('/voip/live-calls/:callId/hangup', [
+  param('callId').isString().notEmpty()
+], validate, async (req, res) => {
+  try {
+    const result = await callControlService.hangup(req.params.callId, req.user);
+
+    await securityService?.logAction(req.user.id, 'call_hungup', {
+      category: 'admin',
+      callId: result.callId,
+      channel: result.channel,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Admin] Hangup call error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/admin/voip/test-call
  * Effectuer un appel test
@@ -2592,6 +2871,83 @@ router.delete('/api-tokens/:id', [
   }
 });
 
+/**
+ * GET /api/admin/security/2fa-policy
+ * Politique 2FA (obligatoire pour les admins ou non)
+ */
+router.get('/security/2fa-policy', async (req, res) => {
+  try {
+    if (!securityService) {
+      return res.status(503).json({ error: 'Security service not available' });
+    }
+
+    res.json({ policy: securityService.get2FAPolicy() });
+
+  } catch (error) {
+    console.error('[Admin] Get 2FA policy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/security/2fa-policy
+ * Modifier la politique 2FA
+ */
+router.put('/security/2fa-policy', [
+  body('enforceForAdmins').isBoolean().toBoolean(),
+], validate, async (req, res) => {
+  try {
+    if (!securityService) {
+      return res.status(503).json({ error: 'Security service not available' });
+    }
+
+    const policy = await securityService.set2FAPolicy({
+      enforceForAdmins: req.body.enforceForAdmins,
+    }, req.user.id);
+
+    res.json({ success: true, policy });
+
+  } catch (error) {
+    console.error('[Admin] Update 2FA policy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/2fa
+ * Réinitialiser le 2FA d'un utilisateur (appareil perdu)
+ */
+router.delete('/users/:id/2fa', [
+  param('id').isInt(),
+], validate, async (req, res) => {
+  try {
+    if (!securityService || !db) {
+      return res.status(503).json({ error: 'Security service not available' });
+    }
+
+    const userId = parseInt(req.params.id);
+    const user = db.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await securityService.disable2FA(userId);
+
+    await securityService.logAction(req.user.id, '2fa_reset_by_admin', {
+      category: 'security',
+      resource: `user:${userId}`,
+      targetUsername: user.username,
+      username: req.user.username,
+    }, req);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[Admin] Reset user 2FA error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
@@ -3329,6 +3685,9 @@ router.post('/modem-mappings', [
       username: req.user.username
     }, req);
 
+    // Members of the modem's ring group may have changed
+    await ringGroupService.syncDialplan();
+
     res.json({ success: true, mapping });
   } catch (error) {
     console.error('[Admin] Create modem mapping error:', error);
@@ -3355,6 +3714,8 @@ router.delete('/modem-mappings/:userId/:modemId', [
         modemId,
         username: req.user.username
       }, req);
+
+      await ringGroupService.syncDialplan();
     }
 
     res.json({ success: deleted, message: deleted ? 'Mapping deleted' : 'Mapping not found' });
@@ -3383,6 +3744,8 @@ router.post('/modem-mappings/auto-map', [
       username: req.user.username
     }, req);
 
+    await ringGroupService.syncDialplan();
+
     res.json({ success: true, message: `${count} users mapped to modem ${modemId}` });
   } catch (error) {
     console.error('[Admin] Auto-map modem error:', error);
@@ -3390,6 +3753,944 @@ router.post('/modem-mappings/auto-map', [
   }
 });
 
+// =============================================================================
+// RING GROUPS (Inbound GSM call routing per modem)
+// =============================================================================
+
+/**
+ * GET /api/admin/ring-groups
+ * Get all ring groups with their resolved members
+ */
+router.get('/ring-groups', async (req, res) => {
+  try {
+    const ringGroups = ringGroupService.list().map(group => ({
+      ...group,
+      members: ringGroupService.getMembers(group.modemId, group.memberOrder)
+    }));
+    res.json({ ringGroups });
+  } catch (error) {
+    console.error('[Admin] Get ring groups error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/ring-groups/:modemId
+ * Get the ring group of a modem (members = mapped users with a VoIP extension)
+ */
+router.get('/ring-groups/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/)
+], validate, async (req, res) => {
+  try {
+    const ringGroup = ringGroupService.get(req.params.modemId);
+    if (!ringGroup) {
+      return res.status(404).json({ error: 'Ring group not found' });
+    }
+    res.json({
+      ringGroup: { ...ringGroup, members: ringGroupService.getMembers(ringGroup.modemId, ringGroup.memberOrder) }
+    });
+  } catch (error) {
+    console.error('[Admin] Get ring group error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/ring-groups/:modemId
+ * Create or update the ring group of a modem, then regenerate and reload the dialplan
+ * Body: { name?, strategy?: ringall|hunt|roundrobin|leastrecent, ringTimeout?, memberTimeout?, memberOrder?: [userId] }
+ */
+router.put('/ring-groups/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/),
+  body('name').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('strategy').optional().isString(),
+  body('ringTimeout').optional().isInt({ min: 5, max: 300 }).toInt(),
+  body('memberTimeout').optional().isInt({ min: 5, max: 120 }).toInt(),
+  body('memberOrder').optional().isArray(),
+  body('memberOrder.*').isInt({ min: 1 }).toInt()
+], validate, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    const ringGroup = ringGroupService.save(modemId, req.body);
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'ring_group_saved', {
+      category: 'admin',
+      modemId,
+      strategy: ringGroup.strategy,
+      username: req.user.username
+    }, req);
+
+    res.json({
+      success: true,
+      ringGroup: { ...ringGroup, members: ringGroupService.getMembers(modemId, ringGroup.memberOrder) },
+      dialplan
+    });
+  } catch (error) {
+    console.error('[Admin] Save ring group error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/ring-groups/:modemId
+ * Delete the ring group of a modem (calls on this line ring every extension again)
+ */
+router.delete('/ring-groups/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/)
+], validate, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    if (!ringGroupService.remove(modemId)) {
+      return res.status(404).json({ error: 'Ring group not found' });
+    }
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'ring_group_deleted', {
+      category: 'admin',
+      modemId,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Delete ring group error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/ring-groups/apply
+ * Regenerate extensions_homenichat_generated.conf and reload the dialplan (e.g. after adding VoIP extensions)
+ */
+router.post('/ring-groups/apply', async (req, res) => {
+  try {
+    const dialplan = await ringGroupService.applyDialplan();
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Apply ring groups error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// BUSINESS HOURS (Opening hours and closures per modem)
+// =============================================================================
+
+/**
+ * GET /api/admin/business-hours
+ * Get all schedules with the current open/closed status of each line
+ */
+router.get('/business-hours', async (req, res) => {
+  try {
+    const schedules = businessHoursService.list().map(schedule => ({
+      ...schedule,
+      status: businessHoursService.getStatus(schedule.modemId)
+    }));
+    res.json({ schedules, defaultTimezone: businessHoursService.getDefaultTimezone() });
+  } catch (error) {
+    console.error('[Admin] Get business hours error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/business-hours/:modemId
+ * Get the schedule of a modem
+ */
+router.get('/business-hours/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/)
+], validate, async (req, res) => {
+  try {
+    const schedule = businessHoursService.get(req.params.modemId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule: { ...schedule, status: businessHoursService.getStatus(schedule.modemId) } });
+  } catch (error) {
+    console.error('[Admin] Get business hours error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/business-hours/:modemId
+ * Create or update the schedule of a modem, then regenerate and reload the dialplan
+ * Body: { name?, timezone?, hours?: [{days, start, end}], holidays?: [{date, end?, name?}],
+ *         closedAction?: voicemail|announcement|forward|reject, closedTarget? }
+ */
+router.put('/business-hours/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/),
+  body('name').optional({ nullable: true }).isString().isLength({ max: 100 }),
+  body('timezone').optional({ nullable: true }).isString(),
+  body('hours').optional().isArray({ max: 50 }),
+  body('holidays').optional().isArray({ max: 500 }),
+  body('closedAction').optional().isString(),
+  body('closedTarget').optional({ nullable: true }).isString()
+], validate, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    const schedule = businessHoursService.save(modemId, req.body);
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'business_hours_saved', {
+      category: 'admin',
+      modemId,
+      closedAction: schedule.closedAction,
+      username: req.user.username
+    }, req);
+
+    res.json({
+      success: true,
+      schedule: { ...schedule, status: businessHoursService.getStatus(modemId) },
+      dialplan
+    });
+  } catch (error) {
+    console.error('[Admin] Save business hours error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/business-hours/:modemId
+ * Delete the schedule of a modem (the line is always open again)
+ */
+router.delete('/business-hours/:modemId', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/)
+], validate, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    if (!businessHoursService.remove(modemId)) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'business_hours_deleted', {
+      category: 'admin',
+      modemId,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Delete business hours error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/business-hours/:modemId/override
+ * Force the line open or closed, or go back to the schedule
+ * Body: { state: 'open' | 'closed' | null, until?: ISO date }
+ */
+router.post('/business-hours/:modemId/override', [
+  param('modemId').matches(/^[A-Za-z0-9_-]+$/),
+  body('state').exists().custom(value => value === null || value === 'open' || value === 'closed'),
+  body('until').optional({ nullable: true }).isISO8601()
+], validate, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    const status = await businessHoursService.setOverride(modemId, {
+      state: req.body.state,
+      until: req.body.until,
+      user: req.user
+    });
+
+    await securityService?.logAction(req.user.id, 'business_hours_override', {
+      category: 'admin',
+      modemId,
+      state: req.body.state,
+      until: status.overrideUntil,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('[Admin] Business hours override error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// IVR (Voice menus for GSM lines and SIP trunks)
+// =============================================================================
+
+/**
+ * GET /api/admin/ivr/menus
+ * Get all IVR menus
+ */
+router.get('/ivr/menus', async (req, res) => {
+  try {
+    res.json({ menus: ivrService.list() });
+  } catch (error) {
+    console.error('[Admin] Get IVR menus error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/ivr/menus/:id
+ * Get an IVR menu
+ */
+router.get('/ivr/menus/:id', [
+  param('id').isInt({ min: 1 })
+], validate, async (req, res) => {
+  try {
+    const menu = ivrService.get(parseInt(req.params.id));
+    if (!menu) {
+      return res.status(404).json({ error: 'IVR menu not found' });
+    }
+    res.json({ menu });
+  } catch (error) {
+    console.error('[Admin] Get IVR menu error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/ivr/menus
+ * Create an IVR menu, then regenerate and reload the dialplan
+ * Body: { name, prompt?, invalidPrompt?, timeout?, maxRetries?, options?: { "1": { type, target } },
+ *         failover?: { type, target }, lines?: [modemId], dids?: [number] }
+ */
+router.post('/ivr/menus', [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+  body('timeout').optional().isInt({ min: 1, max: 60 }).toInt(),
+  body('maxRetries').optional().isInt({ min: 1, max: 10 }).toInt(),
+  body('options').optional().isObject(),
+  body('failover').optional().isObject(),
+  body('lines').optional().isArray(),
+  body('dids').optional().isArray()
+], validate, async (req, res) => {
+  try {
+    const menu = ivrService.create(req.body);
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'ivr_menu_created', {
+      category: 'admin',
+      menuId: menu.id,
+      name: menu.name,
+      username: req.user.username
+    }, req);
+
+    res.status(201).json({ success: true, menu, dialplan });
+  } catch (error) {
+    console.error('[Admin] Create IVR menu error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/ivr/menus/:id
+ * Update an IVR menu (same body as creation, fields omitted are kept)
+ */
+router.put('/ivr/menus/:id', [
+  param('id').isInt({ min: 1 }),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+  body('timeout').optional().isInt({ min: 1, max: 60 }).toInt(),
+  body('maxRetries').optional().isInt({ min: 1, max: 10 }).toInt(),
+  body('options').optional().isObject(),
+  body('failover').optional().isObject(),
+  body('lines').optional().isArray(),
+  body('dids').optional().isArray()
+], validate, async (req, res) => {
+  try {
+    const menu = ivrService.update(parseInt(req.params.id), req.body);
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'ivr_menu_updated', {
+      category: 'admin',
+      menuId: menu.id,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, menu, dialplan });
+  } catch (error) {
+    console.error('[Admin] Update IVR menu error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/ivr/menus/:id
+ * Delete an IVR menu (refused while another menu points to it)
+ */
+router.delete('/ivr/menus/:id', [
+  param('id').isInt({ min: 1 })
+], validate, async (req, res) => {
+  try {
+    const menuId = parseInt(req.params.id);
+    if (!ivrService.remove(menuId)) {
+      return res.status(404).json({ error: 'IVR menu not found' });
+    }
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'ivr_menu_deleted', {
+      category: 'admin',
+      menuId,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Delete IVR menu error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/ivr/dry-run
+ * Render the dialplan that would be generated, without writing or reloading it
+ * Body: { menu?: draft menu, menuId?: existing menu replaced by the draft }
+ * ?format=text returns the raw extensions_homenichat_generated.conf
+ */
+router.post('/ivr/dry-run', [
+  body('menu').optional().isObject(),
+  body('menuId').optional().isInt({ min: 1 }).toInt()
+], validate, async (req, res) => {
+  try {
+    const { context, dialplan } = ivrService.preview(req.body.menu || null, req.body.menuId || null);
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(dialplan);
+    }
+    res.json({ success: true, context, dialplan });
+  } catch (error) {
+    console.error('[Admin] IVR dry-run error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/ivr/prompts
+ * Get uploaded IVR prompts (use "sound" as prompt of a menu)
+ */
+router.get('/ivr/prompts', async (req, res) => {
+  try {
+    res.json({ prompts: ivrService.listPrompts() });
+  } catch (error) {
+    console.error('[Admin] Get IVR prompts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/ivr/prompts/:name/audio
+ * Listen to an installed prompt (WAV 8 kHz)
+ */
+router.get('/ivr/prompts/:name/audio', async (req, res) => {
+  try {
+    const promptPath = ivrService.getPromptPath(req.params.name);
+    if (!promptPath) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    res.type('audio/wav').sendFile(promptPath);
+  } catch (error) {
+    console.error('[Admin] Get IVR prompt audio error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/ivr/prompts
+ * Upload a prompt (multipart: file, name); replaces the prompt with the same name
+ */
+router.post('/ivr/prompts', ivrPromptUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'file is required' });
+    }
+
+    const prompt = await ivrService.savePrompt({
+      name: req.body.name,
+      buffer: req.file.buffer,
+      originalName: req.file.originalname
+    });
+
+    await securityService?.logAction(req.user.id, 'ivr_prompt_uploaded', {
+      category: 'admin',
+      name: prompt.name,
+      username: req.user.username
+    }, req);
+
+    res.status(201).json({ success: true, prompt });
+  } catch (error) {
+    console.error('[Admin] Upload IVR prompt error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/ivr/prompts/:name
+ * Delete a prompt (refused while a menu uses it)
+ */
+router.delete('/ivr/prompts/:name', async (req, res) => {
+  try {
+    const deleted = await ivrService.removePrompt(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    await securityService?.logAction(req.user.id, 'ivr_prompt_deleted', {
+      category: 'admin',
+      name: req.params.name,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Admin] Delete IVR prompt error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// CALL RECORDING (Policies per line / extension, retention)
+// =============================================================================
+
+/**
+ * GET /api/admin/recordings/settings
+ * Get recording settings, policies and retention job status
+ */
+router.get('/recordings/settings', async (req, res) => {
+  try {
+    const recordingsJob = require('../jobs/recordings');
+    res.json({
+      settings: recordingService.getSettings(),
+      policies: recordingService.listPolicies(),
+      retention: recordingsJob.getStatus()
+    });
+  } catch (error) {
+    console.error('[Admin] Get recording settings error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/recordings/settings
+ * Update recording settings (recordAll regenerates and reloads the dialplan)
+ * Body: { recordAll?, retentionDays?, retentionAction?: purge|archive, archiveDir? }
+ */
+router.put('/recordings/settings', [
+  body('recordAll').optional().isBoolean(),
+  body('retentionDays').optional().isInt({ min: 0, max: 3650 }).toInt(),
+  body('retentionAction').optional().isString(),
+  body('archiveDir').optional().isString()
+], validate, async (req, res) => {
+  try {
+    const previous = recordingService.getSettings();
+    const settings = recordingService.updateSettings(req.body);
+    const dialplan = settings.recordAll !== previous.recordAll
+      ? await ringGroupService.applyDialplan()
+      : null;
+
+    await securityService?.logAction(req.user.id, 'recording_settings_updated', {
+      category: 'admin',
+      ...settings,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, settings, dialplan });
+  } catch (error) {
+    console.error('[Admin] Update recording settings error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/recordings/policies/:scope/:target
+ * Enable or disable recording for a line (modem or trunk DID) or an extension,
+ * then regenerate and reload the dialplan
+ * Body: { enabled?: boolean }
+ */
+router.put('/recordings/policies/:scope/:target', [
+  param('scope').isIn(['line', 'extension']),
+  body('enabled').optional().isBoolean()
+], validate, async (req, res) => {
+  try {
+    const { scope, target } = req.params;
+    const policy = recordingService.setPolicy(scope, target, req.body.enabled !== false);
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'recording_policy_saved', {
+      category: 'admin',
+      scope,
+      target,
+      enabled: policy.enabled,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, policy, dialplan });
+  } catch (error) {
+    console.error('[Admin] Save recording policy error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/recordings/policies/:scope/:target
+ * Remove a recording policy
+ */
+router.delete('/recordings/policies/:scope/:target', [
+  param('scope').isIn(['line', 'extension'])
+], validate, async (req, res) => {
+  try {
+    const { scope, target } = req.params;
+    const deleted = recordingService.removePolicy(scope, target);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Policy not found' });
+    }
+    const dialplan = await ringGroupService.applyDialplan();
+
+    await securityService?.logAction(req.user.id, 'recording_policy_deleted', {
+      category: 'admin',
+      scope,
+      target,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Delete recording policy error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/recordings/retention/run
+ * Run the retention job now (purge or archive old recordings)
+ */
+router.post('/recordings/retention/run', async (req, res) => {
+  try {
+    const result = await require('../jobs/recordings').execute();
+
+    await securityService?.logAction(req.user.id, 'recording_retention_run', {
+      category: 'admin',
+      ...result,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, result });
+  } catch (error) {
+    console.error('[Admin] Run recording retention error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// BLOCK LIST (Inbound calls and SMS)
+// =============================================================================
+
+/**
+ * Regenerate the dialplan when a rule concerns calls
+ * (exact numbers are read from AstDB, synced before the reload)
+ */
+async function applyBlockListDialplan(appliesTo) {
+  if (appliesTo === 'sms') return null;
+  await blockListService.syncAstDb(require('../services/FreePBXAmiService'));
+  return ringGroupService.applyDialplan();
+}
+
+/**
+ * GET /api/admin/block-list
+ * List block / allow rules and settings
+ * Query: list?=block|allow, category?, search?, limit?, offset?
+ */
+router.get('/block-list', [
+  query('list').optional().isIn(['block', 'allow']),
+  query('category').optional().isString(),
+  query('search').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, (req, res) => {
+  try {
+    const { list, category, search, limit = 100, offset = 0 } = req.query;
+    const result = blockListService.list({ list, category, search, limit, offset });
+    res.json({ settings: blockListService.getSettings(), ...result });
+  } catch (error) {
+    console.error('[Admin] Get block list error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/block-list
+ * Add a rule (calls rules regenerate and reload the dialplan)
+ * Body: { list?: block|allow, matchType?: exact|prefix|anonymous, value?, appliesTo?: all|calls|sms, category?, reason? }
+ */
+router.post('/block-list', [
+  body('list').optional().isIn(['block', 'allow']),
+  body('matchType').optional().isIn(['exact', 'prefix', 'anonymous']),
+  body('value').optional().isString(),
+  body('appliesTo').optional().isIn(['all', 'calls', 'sms']),
+  body('category').optional().isString(),
+  body('reason').optional().isString().isLength({ max: 200 })
+], validate, async (req, res) => {
+  try {
+    const rule = blockListService.add(req.body, req.user);
+    const dialplan = await applyBlockListDialplan(rule.appliesTo);
+
+    await securityService?.logAction(req.user.id, 'block_rule_added', {
+      category: 'admin',
+      list: rule.list,
+      matchType: rule.matchType,
+      value: rule.value,
+      appliesTo: rule.appliesTo,
+      username: req.user.username
+    }, req);
+
+    res.status(201).json({ success: true, rule, dialplan });
+  } catch (error) {
+    console.error('[Admin] Add block rule error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/block-list/import
+ * Bulk import of numbers (spam lists)
+ * Body: { numbers: string[], list?, appliesTo?, category?: spam, reason? }
+ */
+router.post('/block-list/import', [
+  body('numbers').isArray({ min: 1, max: 10000 }),
+  body('list').optional().isIn(['block', 'allow']),
+  body('appliesTo').optional().isIn(['all', 'calls', 'sms']),
+  body('category').optional().isString(),
+  body('reason').optional().isString().isLength({ max: 200 })
+], validate, async (req, res) => {
+  try {
+    const { numbers, list, appliesTo, category, reason } = req.body;
+    const summary = blockListService.importNumbers(numbers.map(String), { list, appliesTo, category, reason }, req.user);
+    const dialplan = summary.added > 0 ? await applyBlockListDialplan(appliesTo) : null;
+
+    await securityService?.logAction(req.user.id, 'block_list_imported', {
+      category: 'admin',
+      added: summary.added,
+      existing: summary.existing,
+      invalid: summary.invalid.length,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, ...summary, dialplan });
+  } catch (error) {
+    console.error('[Admin] Import block list error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/block-list/settings
+ * Body: { callAction?: reject|voicemail, voicemailBox?, smsAction?: drop|quarantine }
+ */
+router.put('/block-list/settings', [
+  body('callAction').optional().isString(),
+  body('voicemailBox').optional().isString(),
+  body('smsAction').optional().isString()
+], validate, async (req, res) => {
+  try {
+    const settings = blockListService.updateSettings(req.body);
+    const dialplan = req.body.callAction !== undefined || req.body.voicemailBox !== undefined
+      ? await ringGroupService.applyDialplan()
+      : null;
+
+    await securityService?.logAction(req.user.id, 'block_list_settings_updated', {
+      category: 'admin',
+      ...settings,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, settings, dialplan });
+  } catch (error) {
+    console.error('[Admin] Update block list settings error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/block-list/:id
+ * Remove a rule
+ */
+router.delete('/block-list/:id', [
+  param('id').isInt().toInt()
+], validate, async (req, res) => {
+  try {
+    const rule = blockListService.get(req.params.id);
+    if (!rule || !blockListService.remove(rule.id)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    const dialplan = await applyBlockListDialplan(rule.appliesTo);
+
+    await securityService?.logAction(req.user.id, 'block_rule_deleted', {
+      category: 'admin',
+      list: rule.list,
+      matchType: rule.matchType,
+      value: rule.value,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, dialplan });
+  } catch (error) {
+    console.error('[Admin] Delete block rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/block-list/sms
+ * Blocked SMS log (quarantined by default)
+ * Query: action?=quarantined|dropped|released, limit?, offset?
+ */
+router.get('/block-list/sms', [
+  query('action').optional().isIn(['quarantined', 'dropped', 'released']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, (req, res) => {
+  try {
+    const { action = 'quarantined', limit = 50, offset = 0 } = req.query;
+    res.json(blockListService.listBlockedSms({ action, limit, offset }));
+  } catch (error) {
+    console.error('[Admin] Get blocked SMS error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/admin/block-list/sms/:id/release
+ * Deliver a quarantined SMS to its conversation
+ */
+router.post('/block-list/sms/:id/release', async (req, res) => {
+  try {
+    const result = blockListService.releaseSms(req.params.id);
+
+    await securityService?.logAction(req.user.id, 'blocked_sms_released', {
+      category: 'admin',
+      resource: req.params.id,
+      chatId: result.chatId,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Admin] Release blocked SMS error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/block-list/sms/:id
+ * Delete a blocked SMS
+ */
+router.delete('/block-list/sms/:id', (req, res) => {
+  try {
+    if (!blockListService.removeSms(req.params.id)) {
+      return res.status(404).json({ error: 'Blocked SMS not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Admin] Delete blocked SMS error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// MISSED CALL AUTO-REPLY (SMS / WhatsApp reply to missed callers)
+// =============================================================================
+
+/**
+ * GET /api/admin/missed-call-replies
+ * Get the reply of each line ('*' = all lines without their own reply)
+ */
+router.get('/missed-call-replies', (req, res) => {
+  try {
+    res.json({
+      replies: missedCallReplyService.list(),
+      defaultTimezone: businessHoursService.getDefaultTimezone()
+    });
+  } catch (error) {
+    console.error('[Admin] Get missed call replies error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/missed-call-replies/log
+ * Sent, skipped (blocked, outside_hours, rate_limited, send_window, opted_out) and failed replies
+ */
+router.get('/missed-call-replies/log', [
+  query('status').optional().isIn(['sent', 'skipped', 'failed']),
+  query('caller').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+], validate, (req, res) => {
+  try {
+    const { status, caller, limit = 50, offset = 0 } = req.query;
+    res.json({ log: missedCallReplyService.listLog({ status, caller, limit, offset }) });
+  } catch (error) {
+    console.error('[Admin] Get missed call reply log error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/missed-call-replies/:lineId
+ * Create or update the reply of a line (modem, trunk or line name, '*' for all lines)
+ * Body: { enabled?, channel?: sms|whatsapp, template?, hours?: [{days, start, end}],
+ *         timezone?, cooldownMinutes? }
+ */
+router.put('/missed-call-replies/:lineId', [
+  param('lineId').matches(/^(\*|[A-Za-z0-9_+-]{1,50})$/),
+  body('enabled').optional().isBoolean(),
+  body('channel').optional().isIn(['sms', 'whatsapp']),
+  body('template').optional().isString(),
+  body('hours').optional().isArray({ max: 50 }),
+  body('timezone').optional({ nullable: true }).isString(),
+  body('cooldownMinutes').optional().isInt({ min: 0 }).toInt()
+], validate, async (req, res) => {
+  try {
+    const { lineId } = req.params;
+    const reply = missedCallReplyService.save(lineId, req.body);
+
+    await securityService?.logAction(req.user.id, 'missed_call_reply_saved', {
+      category: 'admin',
+      lineId,
+      channel: reply.channel,
+      enabled: reply.enabled,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true, reply });
+  } catch (error) {
+    console.error('[Admin] Save missed call reply error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/missed-call-replies/:lineId
+ * Delete the reply of a line (falls back to '*')
+ */
+router.delete('/missed-call-replies/:lineId', [
+  param('lineId').matches(/^(\*|[A-Za-z0-9_+-]{1,50})$/)
+], validate, async (req, res) => {
+  try {
+    const { lineId } = req.params;
+    if (!missedCallReplyService.remove(lineId)) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    await securityService?.logAction(req.user.id, 'missed_call_reply_deleted', {
+      category: 'admin',
+      lineId,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[Admin] Delete missed call reply error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =============================================================================
 // DEVICE TOKENS (Push Notification Tokens)
 // =============================================================================
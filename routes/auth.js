@@ -2,14 +2,139 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const db = require('../services/DatabaseService');
-const { generateToken, verifyToken, isAdmin } = require('../middleware/auth');
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  verifyToken,
+  isAdmin
+} = require('../middleware/auth');
 
 const router = express.Router();
 
+// SecurityService (injecté au démarrage, gère le 2FA et l'audit)
+let securityService = null;
+
+/**
+ * Initialise les routes avec les services nécessaires
+ */
+function initAuthRoutes(services) {
+  securityService = services.securityService;
+  return router;
+}
+
+/**
+ * Limite de tentatives par IP sur les routes de login (catégorie 'login' du SecurityService)
+ */
+function loginRateLimit(req, res, next) {
+  if (!securityService) return next();
+  return securityService.rateLimit('login')(req, res, next);
+}
+
+/**
+ * Vérifie un code 2FA en appliquant le verrouillage par utilisateur
+ * (échecs cumulés sur tous les challenges et le code inline)
+ * @returns {Promise<boolean>} true si le code est valide, sinon la réponse est envoyée
+ */
+async function check2FACode(user, code, req, res) {
+  const lockout = securityService.get2FALockout(user.id);
+  if (lockout.locked) {
+    res.set('Retry-After', String(lockout.retryAfter));
+    res.status(429).json({ error: 'Trop de codes 2FA invalides, réessayez plus tard', retryAfter: lockout.retryAfter });
+    return false;
+  }
+
+  // TOTP ou code de backup (usage unique, consommé par verify2FACode)
+  if (await securityService.verify2FACode(user.id, String(code).trim())) {
+    return true;
+  }
+
+  await securityService.logAction(user.id, '2fa_failed', {
+    category: 'auth',
+    username: user.username,
+    success: false,
+  }, req);
+
+  const after = securityService.get2FALockout(user.id);
+  if (after.locked) {
+    await securityService.logAction(user.id, '2fa_locked', {
+      category: 'auth',
+      username: user.username,
+      failures: after.failures,
+      success: false,
+    }, req);
+    res.set('Retry-After', String(after.retryAfter));
+    res.status(429).json({ error: 'Trop de codes 2FA invalides, réessayez plus tard', retryAfter: after.retryAfter });
+  } else {
+    res.status(401).json({ error: 'Code 2FA invalide' });
+  }
+  return false;
+}
+
+/**
+ * Crée la session JWT et renvoie la réponse de login
+ */
+async function issueSession(user, req, res, extra = {}) {
+  // Générer le token
+  const token = generateToken(user);
+
+  // Sauvegarder la session
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + 30); // 30 jours
+  db.createSession(user.id, token, expiresAt);
+
+  // Mettre à jour la dernière connexion
+  db.updateLastLogin(user.id);
+
+  await securityService?.logAction(user.id, 'login', {
+    category: 'auth',
+    username: user.username,
+    twoFactor: !!extra.twoFactor,
+  }, req);
+
+  // Retourner le token et les infos utilisateur
+  res.json({
+    token,
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role
+    },
+    ...(extra.backupCodes ? { backupCodes: extra.backupCodes } : {})
+  });
+}
+
+/**
+ * Authentifie via le JWT de session OU via un challenge d'enrôlement 2FA
+ * (utilisé quand la politique impose le 2FA à un admin qui ne l'a pas encore activé)
+ */
+async function verifyTokenOrEnrollChallenge(req, res, next) {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) {
+    return verifyToken(req, res, next);
+  }
+
+  const decoded = verifyChallengeToken(challengeToken, '2fa_enroll');
+  if (!decoded) {
+    return res.status(401).json({ error: 'Challenge 2FA invalide ou expiré' });
+  }
+
+  const user = db.getUserById(decoded.id);
+  if (!user) {
+    return res.status(401).json({ error: 'Utilisateur non trouvé' });
+  }
+
+  req.user = user;
+  req.isEnrollChallenge = true;
+  next();
+}
+
 // Route de connexion
-router.post('/login', async (req, res) => {
+// Si le 2FA est actif: renvoie { requires2FA, challengeToken } à échanger via /login/2fa
+// (ou accepte directement twoFactorCode dans le body, utilisé par le panel admin)
+router.post('/login', loginRateLimit, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, twoFactorCode } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Username et password requis' });
@@ -24,29 +149,38 @@ router.post('/login', async (req, res) => {
     // Vérifier le mot de passe
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
+      await securityService?.logAction(user.id, 'login', {
+        category: 'auth',
+        username: user.username,
+        success: false,
+      }, req);
       return res.status(401).json({ error: 'Identifiants invalides' });
     }
 
-    // Générer le token
-    const token = generateToken(user);
+    if (securityService && await securityService.has2FAEnabled(user.id)) {
+      if (!twoFactorCode) {
+        return res.json({
+          requires2FA: true,
+          challengeToken: generateChallengeToken(user, '2fa_login'),
+          methods: ['totp', 'backup_code']
+        });
+      }
 
-    // Sauvegarder la session
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // 30 jours
-    db.createSession(user.id, token, expiresAt);
+      if (!await check2FACode(user, twoFactorCode, req, res)) return;
 
-    // Mettre à jour la dernière connexion
-    db.updateLastLogin(user.id);
+      return issueSession(user, req, res, { twoFactor: true });
+    }
 
-    // Retourner le token et les infos utilisateur
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        role: user.role
-      }
-    });
+    // Politique: 2FA obligatoire mais pas encore configuré -> enrôlement forcé
+    if (securityService?.is2FARequired(user)) {
+      return res.json({
+        requires2FASetup: true,
+        challengeToken: generateChallengeToken(user, '2fa_enroll'),
+        error: 'La configuration du 2FA est obligatoire pour ce compte'
+      });
+    }
+
+    await issueSession(user, req, res);
   } catch (error) {
     console.error('Erreur login:', error);
     console.error('Stack trace:', error.stack);
@@ -54,6 +188,172 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Deuxième étape du login: échange du challenge contre un token de session
+router.post('/login/2fa', loginRateLimit, [
+  body('challengeToken').notEmpty().withMessage('Challenge requis'),
+  body('code').notEmpty().withMessage('Code 2FA requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!securityService) {
+      return res.status(503).json({ error: 'Service de sécurité indisponible' });
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_login');
+    if (!decoded) {
+      return res.status(401).json({ error: 'Challenge 2FA invalide ou expiré' });
+    }
+
+    const user = db.getUserById(decoded.id);
+    if (!user) {
+      return res.status(401).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    if (!await check2FACode(user, code, req, res)) return;
+
+    await issueSession(user, req, res, { twoFactor: true });
+  } catch (error) {
+    console.error('Erreur login 2FA:', error);
+    res.status(500).json({ error: 'Une erreur est survenue' });
+  }
+});
+
+// ========================================
+// 2FA (TOTP) - Enrôlement et gestion
+// ========================================
+
+// Statut 2FA de l'utilisateur courant
+router.get('/2fa/status', verifyToken, async (req, res) => {
+  try {
+    const status = await securityService?.get2FAStatus(req.user.id)
+      || { enabled: false, pendingSetup: false, backupCodesRemaining: 0 };
+
+    res.json({
+      ...status,
+      required: securityService?.is2FARequired(req.user) || false
+    });
+  } catch (error) {
+    console.error('Erreur 2FA status:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Générer un secret + QR code (le 2FA n'est actif qu'après /2fa/enable)
+router.post('/2fa/setup', verifyTokenOrEnrollChallenge, async (req, res) => {
+  try {
+    if (!securityService) {
+      return res.status(503).json({ error: 'Service de sécurité indisponible' });
+    }
+
+    if (await securityService.has2FAEnabled(req.user.id)) {
+      return res.status(409).json({ error: '2FA déjà activé' });
+    }
+
+    const { secret, qrCode, otpauthUrl } = await securityService.generate2FASecret(req.user.id, req.user.username);
+    res.json({ secret, qrCode, otpauthUrl });
+  } catch (error) {
+    console.error('Erreur 2FA setup:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Activer le 2FA en validant un premier code, retourne les codes de backup
+router.post('/2fa/enable', verifyTokenOrEnrollChallenge, [
+  body('code').notEmpty().withMessage('Code 2FA requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!securityService) {
+      return res.status(503).json({ error: 'Service de sécurité indisponible' });
+    }
+
+    const result = await securityService.enable2FA(req.user.id, String(req.body.code).trim());
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    // Enrôlement forcé: le login se termine ici
+    if (req.isEnrollChallenge) {
+      return issueSession(req.user, req, res, { twoFactor: true, backupCodes: result.backupCodes });
+    }
+
+    res.json({ success: true, backupCodes: result.backupCodes });
+  } catch (error) {
+    console.error('Erreur 2FA enable:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Désactiver le 2FA (mot de passe + code requis)
+router.post('/2fa/disable', verifyToken, [
+  body('password').notEmpty().withMessage('Mot de passe requis'),
+  body('code').notEmpty().withMessage('Code 2FA requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!securityService) {
+      return res.status(503).json({ error: 'Service de sécurité indisponible' });
+    }
+
+    if (securityService.is2FARequired(req.user)) {
+      return res.status(403).json({ error: 'Le 2FA est obligatoire pour ce compte' });
+    }
+
+    const user = db.getUserById(req.user.id);
+    const isValidPassword = await bcrypt.compare(req.body.password, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    if (!await check2FACode(user, req.body.code, req, res)) return;
+
+    await securityService.disable2FA(user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Erreur 2FA disable:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Régénérer les codes de backup (code TOTP requis)
+router.post('/2fa/backup-codes', verifyToken, [
+  body('code').notEmpty().withMessage('Code 2FA requis')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!securityService) {
+      return res.status(503).json({ error: 'Service de sécurité indisponible' });
+    }
+
+    const user = db.getUserById(req.user.id);
+    if (!await check2FACode(user, req.body.code, req, res)) return;
+
+    const backupCodes = await securityService.regenerateBackupCodes(req.user.id);
+    res.json({ success: true, backupCodes });
+  } catch (error) {
+    console.error('Erreur 2FA backup codes:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Route pour vérifier le token
 router.get('/verify', verifyToken, (req, res) => {
   res.json({
@@ -364,4 +664,4 @@ router.put('/users/:id/voip', verifyToken, isAdmin, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = { router, initAuthRoutes };
\ No newline at end of file
@@ -4,6 +4,10 @@ const db = require('../services/DatabaseService');
 const { verifyToken, isAdmin } = require('../middleware/auth');
 const pushService = require('../services/PushService');
 const freepbxAmi = require('../services/FreePBXAmiService');
+const contactService = require('../services/ContactService');
+const voicemailService = require('../services/VoicemailService');
+const callControlService = require('../services/CallControlService');
+const callReportService = require('../services/CallReportService');
 
 const router = express.Router();
 
@@ -101,6 +105,88 @@ router.get('/ami/status', verifyToken, (req, res) => {
     }
 });
 
+/**
+ * GET /api/calls/active
+ * Appels en cours (un élément par canal: attente, conférence, canal ponté)
+ */
+router.get('/active', verifyToken, (req, res) => {
+    try {
+        res.json({ calls: callControlService.getActiveCalls(req.user) });
+    } catch (error) {
+        console.error('Erreur GET /api/calls/active:', error);
+        res.status(500).json({ error: 'Erreur lors de la récupération des appels en cours' });
+    }
+});
+
+/**
+ * POST /api/calls/active/:callId/transfer
+ * Transférer le correspondant (blind: immédiat, attended: après consultation,
+ * le transfert a lieu quand l'utilisateur raccroche)
+ */
+router.post('/active/:callId/transfer', verifyToken, [
+    body('target').isString().trim().notEmpty(),
+    body('type').optional().isIn(['blind', 'attended'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await callControlService.transfer(req.params.callId, {
+            target: req.body.target,
+            type: req.body.type || 'blind'
+        }, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Erreur POST /api/calls/active/:callId/transfer:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/calls/active/:callId/hold
+ * Mettre en attente (hold: true, par défaut) ou reprendre l'appel (hold: false)
+ */
+router.post('/active/:callId/hold', verifyToken, [
+    body('hold').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const hold = req.body.hold !== false && req.body.hold !== 'false';
+        const result = await callControlService.hold(req.params.callId, hold, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Erreur POST /api/calls/active/:callId/hold:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/calls/active/:callId/conference
+ * Conférence à trois: ajoute une extension ou un numéro à l'appel
+ */
+router.post('/active/:callId/conference', verifyToken, [
+    body('target').isString().trim().notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await callControlService.conference(req.params.callId, req.body.target, req.user);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) console.error('Erreur POST /api/calls/active/:callId/conference:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
 // ========================================
 // CALL HISTORY
 // ========================================
@@ -113,7 +199,7 @@ router.get('/ami/status', verifyToken, (req, res) => {
 router.get('/', verifyToken, [
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 }),
-    query('status').optional().isIn(['missed', 'answered', 'rejected', 'busy', 'failed']),
+    query('status').optional().isIn(['missed', 'answered', 'rejected', 'busy', 'failed', 'blocked']),
     query('direction').optional().isIn(['incoming', 'outgoing'])
 ], (req, res) => {
     try {
@@ -124,14 +210,15 @@ router.get('/', verifyToken, [
 
         const { limit = 50, offset = 0, status, direction, before, after } = req.query;
 
-        const calls = db.getCallHistory({
+        // Noms issus du carnet de contacts (contactId / contactName), message vocal déposé (voicemailId)
+        const calls = voicemailService.applyToCalls(contactService.applyToCalls(db.getCallHistory({
             limit: parseInt(limit),
             offset: parseInt(offset),
             status,
             direction,
             before: before ? parseInt(before) : null,
             after: after ? parseInt(after) : null
-        });
+        })));
 
         res.json({
             calls,
@@ -178,6 +265,54 @@ router.get('/stats', verifyToken, isAdmin, [
     }
 });
 
+/**
+ * GET /api/calls/reports
+ * Rapport d'appels sur une période (ADMIN ONLY): taux de décroché, attente,
+ * carte de chaleur, décrochés par utilisateur, volume par ligne, rappels des manqués
+ *
+ * @query {string} from - YYYY-MM-DD (journée locale) ou ISO 8601
+ * @query {string} to - YYYY-MM-DD (inclus) ou ISO 8601 (exclu)
+ * @query {string} [source] - history (défaut) | cdr (asteriskcdrdb)
+ * @query {number} [callbackWindowHours] - Délai de rappel d'un manqué (défaut 24)
+ * @query {string} [format] - json (défaut) | csv
+ * @query {string} [section] - CSV d'une seule section (summary, heatmap, users, lines, callbacks)
+ */
+router.get('/reports', verifyToken, isAdmin, [
+    query('from').isISO8601(),
+    query('to').isISO8601(),
+    query('source').optional().isIn(['history', 'cdr']),
+    query('callbackWindowHours').optional().isInt({ min: 1, max: 168 }),
+    query('format').optional().isIn(['json', 'csv']),
+    query('section').optional().isIn(['summary', 'heatmap', 'users', 'lines', 'callbacks'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { from, to, source = 'history', callbackWindowHours = 24, format = 'json', section } = req.query;
+        const report = await callReportService.getReport({
+            from,
+            to,
+            source,
+            callbackWindowHours: parseInt(callbackWindowHours)
+        });
+
+        if (format === 'csv') {
+            const fileName = `homenichat-calls-${section || 'report'}-${from.slice(0, 10)}-${to.slice(0, 10)}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+            return res.send(callReportService.toCsv(report, section));
+        }
+
+        res.json(report);
+    } catch (error) {
+        if (!error.status) console.error('Erreur GET /api/calls/reports:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 /**
  * GET /api/calls/:id
  * Récupérer les détails d'un appel
@@ -188,7 +323,7 @@ router.get('/:id', verifyToken, (req, res) => {
         if (!call) {
             return res.status(404).json({ error: 'Appel non trouvé' });
         }
-        res.json(call);
+        res.json(voicemailService.applyToCalls(contactService.applyToCalls([call]))[0]);
     } catch (error) {
         console.error('Erreur GET /api/calls/:id:', error);
         res.status(500).json({ error: 'Erreur lors de la récupération de l\'appel' });
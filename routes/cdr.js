@@ -9,8 +9,20 @@ const express = require('express');
 const router = express.Router();
 const { query, param, validationResult } = require('express-validator');
 const asteriskCDRService = require('../services/AsteriskCDRService');
+const recordingService = require('../services/RecordingService');
 const logger = require('../utils/logger');
 
+// Services injectés
+let securityService = null;
+
+/**
+ * Initialise les routes avec les services nécessaires
+ */
+function initCdrRoutes(services) {
+  securityService = services.securityService;
+  return router;
+}
+
 // =============================================================================
 // Middleware
 // =============================================================================
@@ -76,6 +88,13 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Token API CDR: tous les enregistrements; JWT: ceux de l'utilisateur (RecordingService.canAccessCdr)
+ */
+function canAccessRecording(req, recording) {
+  return req.authType === 'api_token' || recordingService.canAccessCdr(req.user, recording);
+}
+
 /**
  * Validation des erreurs
  */
@@ -285,7 +304,7 @@ router.get('/v1/recordings/:callId',
       const { callId } = req.params;
       const recording = await asteriskCDRService.getRecordingInfo(callId);
 
-      if (!recording) {
+      if (!recording || !canAccessRecording(req, recording)) {
         return res.status(404).json({
           error: 'Recording not found or call has no recording'
         });
@@ -299,6 +318,62 @@ router.get('/v1/recordings/:callId',
   }
 );
 
+/**
+ * GET /api/cdr/v1/recordings/:callId/download
+ * Télécharger / lire l'enregistrement d'un appel (supporte Range)
+ * Chaque écoute est journalisée (les requêtes Range de reprise ne le sont pas)
+ */
+router.get('/v1/recordings/:callId/download',
+  verifyToken,
+  [
+    param('callId').isString().notEmpty()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { callId } = req.params;
+      const recording = await asteriskCDRService.getRecordingInfo(callId);
+      const filePath = recording && canAccessRecording(req, recording)
+        ? await recordingService.resolveCdrRecording(recording.recording_file, recording.calldate)
+        : null;
+
+      if (!filePath) {
+        return res.status(404).json({
+          error: 'Recording not found or call has no recording'
+        });
+      }
+
+      const range = req.headers.range;
+      if (!range || /^bytes=0-/.test(range)) {
+        await securityService?.logAction(req.user?.id || null, 'recording_listened', {
+          category: 'calls',
+          resource: callId,
+          source: 'cdr',
+          authType: req.authType,
+          username: req.user?.username || null
+        }, req);
+      }
+
+      res.type(recordingService.getMimeType(filePath)).sendFile(filePath, error => {
+        if (!error || res.headersSent) return;
+        if (error.code === 'ENOENT') {
+          return res.status(404).json({ error: 'Recording file not found' });
+        }
+        logger.error(`[CDR] Error streaming recording: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error', detail: error.message });
+      });
+    } catch (error) {
+      logger.error(`[CDR] Error downloading recording: ${error.message}`);
+
+      if (error.message === 'AsteriskCDR not configured') {
+        return res.status(503).json({ error: 'CDR service not configured' });
+      }
+
+      res.status(500).json({ error: 'Internal server error', detail: error.message });
+    }
+  }
+);
+
 // =============================================================================
 // Configuration (Admin only)
 // =============================================================================
@@ -363,4 +438,4 @@ router.get('/status',
   }
 );
 
-module.exports = router;
+module.exports = { router, initCdrRoutes };
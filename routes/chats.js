@@ -7,10 +7,15 @@ const logger = require('winston');
 const chatStorage = require('../services/ChatStorageServicePersistent');
 const dbService = require('../services/DatabaseService');
 const webSocketManager = require('../services/WebSocketManager');
+const richMessageService = require('../services/RichMessageService');
 
 // Toutes les routes nécessitent une authentification
 router.use(verifyToken);
 
+// WhatsApp accepte l'édition 15 minutes après l'envoi, la suppression pour tous environ 2 jours
+const EDIT_WINDOW_SECONDS = 15 * 60;
+const DELETE_WINDOW_SECONDS = 2 * 24 * 60 * 60;
+
 // Helper pour obtenir le provider selon la session
 function getProviderForRequest(req) {
   const sessionId = req.headers['x-session-id'];
@@ -27,6 +32,74 @@ function getProviderForRequest(req) {
   return providerManager.getActiveProvider();
 }
 
+/**
+ * Ajoute aux conversations Meta l'état de la fenêtre de service client de 24h
+ */
+function withConversationWindow(chat) {
+  const window = providerManager.getProviderForChat(chat.id)?.getConversationWindow(chat.id);
+  if (!window) return chat;
+  return {
+    ...chat,
+    canSendFreeform: window.canSendFreeform,
+    windowExpiresAt: window.windowExpiresAt,
+    windowRemainingSeconds: Math.floor(window.remainingTime / 1000)
+  };
+}
+
+/**
+ * Refus d'un message libre hors de la fenêtre de service client (Cloud API Meta):
+ * seuls les templates approuvés passent, ils sont proposés dans la réponse
+ * @returns {Object|null} - Corps de la réponse 409, null si l'envoi est possible
+ */
+function getTemplateFallback(provider, chatId) {
+  const window = provider.getConversationWindow?.(chatId);
+  if (!window || window.canSendFreeform) return null;
+
+  const templates = (provider.getTemplates?.({ status: 'APPROVED' }) || []).map(template => ({
+    name: template.name,
+    language: template.language,
+    category: template.category,
+    body: template.components.body?.text || null,
+    parameters: {
+      header: template.components.header?.variables?.length || 0,
+      body: template.components.body?.variables?.length || 0
+    }
+  }));
+
+  return {
+    success: false,
+    error: 'Outside the 24-hour customer service window: an approved template is required',
+    requiresTemplate: true,
+    conversationWindow: window,
+    templates
+  };
+}
+
+/**
+ * Vérifie qu'un de nos messages peut encore être modifié ou supprimé pour tous
+ * @returns {Promise<{status: number, error: string}|null>} - null si l'action est possible
+ */
+async function checkOwnMessageChange(provider, chatId, messageId, { capability, windowSeconds }) {
+  if (!provider.getCapabilities?.()[capability]) {
+    return { status: 501, error: 'Not supported by the active provider' };
+  }
+
+  const message = await chatStorage.getMessageById(messageId);
+  if (!message || message.chatId !== chatId) {
+    return { status: 404, error: 'Message not found' };
+  }
+  if (!message.fromMe) {
+    return { status: 403, error: 'Only your own messages can be changed' };
+  }
+  if (message.deletedAt) {
+    return { status: 409, error: 'Message already deleted' };
+  }
+  if (Date.now() / 1000 - message.timestamp > windowSeconds) {
+    return { status: 409, error: 'Message is too old to be changed' };
+  }
+  return null;
+}
+
 /**
  * POST /api/chats/:chatId/typing
  * Gère l'indicateur de frappe
@@ -76,7 +149,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      chats: chats
+      chats: chats.map(withConversationWindow)
     });
   } catch (error) {
     logger.error('Error getting chats:', error);
@@ -104,10 +177,12 @@ router.get('/:chatId', async (req, res) => {
     }
 
     const chatInfo = await activeProvider.getChatInfo(chatId);
+    const conversationWindow = providerManager.getProviderForChat(chatId)?.getConversationWindow(chatId);
 
     res.json({
       success: true,
-      chat: chatInfo
+      chat: chatInfo,
+      ...(conversationWindow && { conversationWindow })
     });
   } catch (error) {
     logger.error('Error getting chat info:', error);
@@ -202,7 +277,8 @@ router.get('/:chatId/messages', async (req, res) => {
 router.post('/:chatId/messages', async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { text, media, options, provider } = req.body;
+    const { text, media, provider, quotedMessageId } = req.body;
+    let { options } = req.body;
     let activeProvider = getProviderForRequest(req);
 
     if (provider) {
@@ -219,6 +295,24 @@ router.post('/:chatId/messages', async (req, res) => {
       });
     }
 
+    // Hors fenêtre de 24h (Meta), proposer les templates plutôt qu'un échec de l'API
+    const templateFallback = getTemplateFallback(activeProvider, chatId);
+    if (templateFallback) {
+      return res.status(409).json(templateFallback);
+    }
+
+    // Réponse citée: le message d'origine doit appartenir à la conversation
+    if (quotedMessageId) {
+      const quoted = await chatStorage.getMessageById(quotedMessageId);
+      if (!quoted || quoted.chatId !== chatId || quoted.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quoted message not found'
+        });
+      }
+      options = { ...options, quotedMessageId };
+    }
+
     let result;
     if (media) {
       result = await activeProvider.sendMediaMessage(chatId, media, options);
@@ -238,7 +332,8 @@ router.post('/:chatId/messages', async (req, res) => {
           status: 'sent',
           type: media.type || 'image',
           userId: req.userId || 1,
-          mediaUrl: media.url || media.localUrl || null
+          mediaUrl: media.url || media.localUrl || null,
+          quotedMessageId: quotedMessageId || null
         };
 
         await chatStorage.storeMessage(messageToStore);
@@ -273,7 +368,8 @@ router.post('/:chatId/messages', async (req, res) => {
             localUrl: media.url || `/api/media/${localMediaId}`,
             localMediaId: localMediaId
           },
-          content: media.caption || ''
+          content: media.caption || '',
+          quotedMessageId: quotedMessageId || null
         };
 
         logger.info(`Broadcasting audio message to chat ${chatId}`, {
@@ -308,7 +404,8 @@ router.post('/:chatId/messages', async (req, res) => {
             conversation: text
           },
           messageTimestamp: messageTimestamp,
-          status: 'sent'
+          status: 'sent',
+          quotedMessageId: quotedMessageId || null
         };
 
         webSocketManager.broadcastToChat(chatId, {
@@ -333,6 +430,124 @@ router.post('/:chatId/messages', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/chats/:chatId/messages/rich
+ * Envoie un message enrichi via le provider qui gère la conversation
+ * (JID WhatsApp → Baileys, numéro → Meta Cloud API)
+ *
+ * @api POST /api/chats/:chatId/messages/rich
+ * @body {string} type - location | contact | poll | sticker | buttons | list
+ * @body {Object} [location|contact|poll|sticker|buttons|list] - Contenu, sous la clé du type
+ * @body {string} [quotedMessageId] - Message cité
+ * @returns {Object} { success, messageId, type, provider, content }
+ * 501 si le provider de la conversation ne sait pas envoyer ce type
+ */
+router.post('/:chatId/messages/rich', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { type, quotedMessageId } = req.body;
+
+    if (quotedMessageId) {
+      const quoted = await chatStorage.getMessageById(quotedMessageId);
+      if (!quoted || quoted.chatId !== chatId || quoted.deletedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quoted message not found'
+        });
+      }
+    }
+
+    // Le message envoyé est diffusé aux clients par le provider (new_message)
+    const sent = await richMessageService.send(chatId, type, req.body[type], { quotedMessageId });
+    res.json({ success: true, ...sent });
+  } catch (error) {
+    if (!error.status) logger.error('Error sending rich message:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/chats/:chatId/messages/template
+ * Envoie un template approuvé (Meta Cloud API), seul envoi possible hors de la fenêtre de 24h
+ *
+ * @api POST /api/chats/:chatId/messages/template
+ * @body {string} name - Nom du template
+ * @body {string} [language=fr] - Langue du template
+ * @body {Object} [parameters] - { header, body, buttons } (voir TemplateManager.buildMessagePayload)
+ * @returns {Object} { success, messageId }
+ */
+router.post('/:chatId/messages/template', async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { name, language = 'fr', parameters = {} } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const provider = providerManager.getProviderForChat(chatId);
+    if (!provider) {
+      return res.status(503).json({
+        success: false,
+        error: 'No active provider for this chat'
+      });
+    }
+    if (!provider.templateManager) {
+      return res.status(501).json({
+        success: false,
+        error: `Templates are not supported by provider ${provider.getProviderName()}`
+      });
+    }
+
+    const template = provider.templateManager.getTemplate(name, language);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Template not found: ${name} (${language})`
+      });
+    }
+    if (template.status !== 'APPROVED') {
+      return res.status(409).json({
+        success: false,
+        error: `Template ${name} is not approved (${template.status})`
+      });
+    }
+
+    const validation = provider.templateManager.validateParameters(name, parameters, language);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid template parameters',
+        errors: validation.errors
+      });
+    }
+
+    // Le message envoyé est diffusé aux clients par le provider (new_message)
+    const result = await provider.sendTemplateMessage(chatId, name, parameters, language);
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: typeof result.error === 'string' ? result.error : result.error?.message || 'Failed to send template'
+      });
+    }
+
+    logger.info(`[Templates] ${name} (${language}) sent to ${chatId} by ${req.user?.username}`);
+    res.json({ success: true, messageId: result.messageId });
+  } catch (error) {
+    logger.error('Error sending template message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/chats/:chatId/test-send/:provider
  * Route de test pour envoyer un message via un provider spécifique
@@ -545,6 +760,93 @@ router.post('/:chatId/messages/:messageId/reaction', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/chats/:chatId/messages/:messageId
+ * Modifie le texte d'un de nos messages (15 minutes après l'envoi au plus)
+ *
+ * @api PUT /api/chats/:chatId/messages/:messageId
+ * @body { text: string } - Nouveau texte
+ * @returns {Object} { success: boolean, error?: string }
+ * Les clients reçoivent la modification par l'événement WebSocket message_update
+ */
+router.put('/:chatId/messages/:messageId', async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { text } = req.body;
+    const activeProvider = getProviderForRequest(req);
+
+    if (!activeProvider) {
+      return res.status(503).json({
+        success: false,
+        error: 'No active provider'
+      });
+    }
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'text is required'
+      });
+    }
+
+    const refusal = await checkOwnMessageChange(activeProvider, chatId, messageId, {
+      capability: 'editMessages',
+      windowSeconds: EDIT_WINDOW_SECONDS
+    });
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+
+    const result = await activeProvider.editMessage(chatId, messageId, text);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error editing message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/chats/:chatId/messages/:messageId
+ * Supprime pour tous un de nos messages (environ 2 jours après l'envoi au plus)
+ *
+ * @api DELETE /api/chats/:chatId/messages/:messageId
+ * @returns {Object} { success: boolean, error?: string }
+ * Les clients reçoivent la suppression par l'événement WebSocket message_update
+ */
+router.delete('/:chatId/messages/:messageId', async (req, res) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const activeProvider = getProviderForRequest(req);
+
+    if (!activeProvider) {
+      return res.status(503).json({
+        success: false,
+        error: 'No active provider'
+      });
+    }
+
+    const refusal = await checkOwnMessageChange(activeProvider, chatId, messageId, {
+      capability: 'deleteMessages',
+      windowSeconds: DELETE_WINDOW_SECONDS
+    });
+    if (refusal) {
+      return res.status(refusal.status).json({ success: false, error: refusal.error });
+    }
+
+    const result = await activeProvider.deleteMessage(chatId, messageId);
+    res.json(result);
+  } catch (error) {
+    logger.error('Error deleting message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/chats/:chatId/messages/:messageId/media
  * Télécharge le média d'un message
@@ -8,6 +8,10 @@
  * PUT  /api/config/providers/:type/:id - Modifier un provider
  * DELETE /api/config/providers/:type/:id - Supprimer un provider
  * POST /api/config/reload             - Recharger la config
+ * GET  /api/config/routing/sms        - Règles de routage SMS
+ * PUT  /api/config/routing/sms        - Remplacer les règles de routage SMS
+ * POST|PUT|DELETE /api/config/routing/sms/rules[/:ruleId] - Gérer une règle
+ * POST /api/config/routing/sms/simulate - Expliquer la route d'un numéro
  */
 
 const express = require('express');
@@ -15,6 +19,8 @@ const router = express.Router();
 const { verifyToken, requireAdmin } = require('../middleware/auth');
 const configService = require('../services/ConfigurationService');
 const providerManager = require('../services/ProviderManager');
+const smsRoutingService = require('../services/SmsRoutingService');
+const db = require('../services/DatabaseService');
 const logger = require('winston');
 
 /**
@@ -321,8 +327,154 @@ router.get('/compliance', verifyToken, (req, res) => {
   }
 });
 
+// ==================== Routage SMS ====================
+
+/**
+ * GET /api/config/routing/sms
+ * Règles de routage SMS (providers.yaml) et règles effectives
+ */
+router.get('/routing/sms', verifyToken, requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      routing: configService.getSmsRouting(),
+      effective: smsRoutingService.getStatus().routing
+    });
+  } catch (error) {
+    logger.error('[Config API] Error getting SMS routing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/config/routing/sms
+ * Remplace toutes les règles: { rules: [...], fallback?: [...] }
+ */
+router.put('/routing/sms', verifyToken, requireAdmin, async (req, res) => {
+  const { rules, fallback = null } = req.body || {};
+
+  if (!Array.isArray(rules)) {
+    return res.status(400).json({ error: 'rules must be an array' });
+  }
+
+  await saveSmsRouting(req, res, { rules, fallback });
+});
+
+/**
+ * POST /api/config/routing/sms/rules
+ * Ajoute une règle
+ */
+router.post('/routing/sms/rules', verifyToken, requireAdmin, async (req, res) => {
+  const routing = configService.getSmsRouting();
+
+  if (req.body?.id && routing.rules.some(rule => rule.id === req.body.id)) {
+    return res.status(409).json({ error: `Rule ${req.body.id} already exists` });
+  }
+
+  await saveSmsRouting(req, res, { ...routing, rules: [...routing.rules, req.body] }, 201);
+});
+
+/**
+ * PUT /api/config/routing/sms/rules/:ruleId
+ * Remplace une règle (l'id est conservé)
+ */
+router.put('/routing/sms/rules/:ruleId', verifyToken, requireAdmin, async (req, res) => {
+  const routing = configService.getSmsRouting();
+  const index = routing.rules.findIndex(rule => rule.id === req.params.ruleId);
+
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  const rules = [...routing.rules];
+  rules[index] = { ...req.body, id: req.params.ruleId };
+  await saveSmsRouting(req, res, { ...routing, rules });
+});
+
+/**
+ * DELETE /api/config/routing/sms/rules/:ruleId
+ * Supprime une règle (sans règle, le routage historique s'applique)
+ */
+router.delete('/routing/sms/rules/:ruleId', verifyToken, requireAdmin, async (req, res) => {
+  const routing = configService.getSmsRouting();
+  const rules = routing.rules.filter(rule => rule.id !== req.params.ruleId);
+
+  if (rules.length === routing.rules.length) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  await saveSmsRouting(req, res, { ...routing, rules });
+});
+
+/**
+ * POST /api/config/routing/sms/simulate
+ * Indique quel provider (ou modem) serait utilisé pour un numéro, et pourquoi
+ *
+ * Body: { to, text?, username?, at? (ISO 8601) }
+ */
+router.post('/routing/sms/simulate', verifyToken, requireAdmin, (req, res) => {
+  try {
+    const { to, text = '', username, at } = req.body || {};
+
+    if (!to) {
+      return res.status(400).json({ error: 'to is required' });
+    }
+
+    const date = at ? new Date(at) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: 'at must be an ISO 8601 date' });
+    }
+
+    let user = req.user;
+    if (username) {
+      user = db.getUserByUsername(username);
+      if (!user) {
+        return res.status(404).json({ error: `User ${username} not found` });
+      }
+    }
+
+    const route = smsRoutingService.resolveRoute(to, {
+      text,
+      user: { id: user.id, username: user.username },
+      date,
+      dryRun: true
+    });
+
+    res.json({ success: true, ...route });
+  } catch (error) {
+    logger.error('[Config API] Error simulating SMS route:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ==================== Helpers ====================
 
+/**
+ * Valide, enregistre dans providers.yaml et applique le routage SMS
+ */
+async function saveSmsRouting(req, res, routing, status = 200) {
+  try {
+    const errors = smsRoutingService.validateRoutingConfig(routing);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid routing rules', details: errors });
+    }
+
+    const saved = await configService.setSmsRouting(routing);
+    smsRoutingService.setupRoutingRules();
+
+    logger.info(`[Config API] SMS routing updated by ${req.user.username} (${saved.rules.length} rules)`);
+
+    res.status(status).json({
+      success: true,
+      routing: saved,
+      effective: smsRoutingService.getStatus().routing
+    });
+  } catch (error) {
+    logger.error('[Config API] Error saving SMS routing:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * Masque les secrets dans la configuration
  */
@@ -1,10 +1,101 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
+const multer = require('multer');
+const { body, query, param, validationResult } = require('express-validator');
 const providerManager = require('../services/ProviderManager');
+const contactService = require('../services/ContactService');
+const contactFormats = require('../utils/contactFormats');
 const { verifyToken } = require('../middleware/auth');
 const logger = require('winston');
 
-// Middleware d'authentification requis pour toutes les routes contacts
+// Services injectés (SecurityService pour les tokens API du téléchargement CardDAV)
+let securityService = null;
+
+/**
+ * Initialise les routes avec les services nécessaires
+ */
+function initContactsRoutes(services) {
+    securityService = services.securityService;
+    return router;
+}
+
+// Fichiers vCard / CSV gardés en mémoire le temps du parsing
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5 MB max
+    }
+});
+
+/**
+ * Envoie le carnet complet au format demandé
+ */
+function sendExport(req, res, format, version) {
+    const contacts = contactService.getAllContacts();
+    const isCsv = format === 'csv';
+    const content = isCsv
+        ? contactFormats.serializeCsv(contacts)
+        : contactFormats.serializeVCard(contacts, version);
+
+    // ETag pour que les téléphones ne retéléchargent que si le carnet a changé
+    const etag = `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+    res.set('ETag', etag);
+    if (req.headers['if-none-match'] === etag) {
+        return res.status(304).end();
+    }
+
+    res.set('Content-Type', isCsv ? 'text/csv; charset=utf-8' : 'text/vcard; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="homenichat-contacts.${isCsv ? 'csv' : 'vcf'}"`);
+    res.send(content);
+}
+
+/**
+ * Authentification du téléchargement CardDAV
+ * Les applications de contacts ne savent faire que du Basic auth: le mot de passe
+ * doit être un token API (hc_...) du même utilisateur, jamais le mot de passe du compte
+ * (qui contournerait la 2FA). Un JWT Bearer classique est aussi accepté.
+ */
+async function cardDavAuth(req, res, next) {
+    const authHeader = req.headers.authorization || '';
+
+    if (!authHeader.startsWith('Basic ')) {
+        return verifyToken(req, res, next);
+    }
+
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    const username = decoded.substring(0, separator);
+    const password = decoded.substring(separator + 1);
+
+    const tokenData = separator > 0 && securityService
+        ? await securityService.validateApiToken(password)
+        : null;
+
+    if (!tokenData || tokenData.username !== username) {
+        res.set('WWW-Authenticate', 'Basic realm="Homenichat Contacts", charset="UTF-8"');
+        return res.status(401).json({ success: false, error: 'Identifiants invalides (utilisez un token API comme mot de passe)' });
+    }
+
+    req.user = { id: tokenData.userId, username: tokenData.username, role: 'api' };
+    next();
+}
+
+/**
+ * GET /api/contacts/carddav/contacts.vcf
+ * Carnet complet en vCard pour abonnement depuis un téléphone (DAVx5, iOS...)
+ * Basic auth: identifiant + token API comme mot de passe
+ */
+router.get('/carddav/contacts.vcf', cardDavAuth, (req, res) => {
+    try {
+        sendExport(req, res, 'vcard', req.query.version === '4.0' ? '4.0' : '3.0');
+    } catch (error) {
+        logger.error('Error serving CardDAV export:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Middleware d'authentification requis pour toutes les autres routes contacts
 router.use(verifyToken);
 
 /**
@@ -59,9 +150,8 @@ router.get('/check/:phoneNumber', async (req, res) => {
         }
 
         if (exists) {
-            // Tenter de récupérer le nom/info si possible (optionnel)
-            // const contact = await provider.getContact(jid);
-            // if (contact) name = contact.name || contact.notify || null;
+            // Nom depuis le carnet de contacts unifié
+            name = contactService.getDisplayName(jid || cleanNumber);
         }
 
         res.json({
@@ -82,4 +172,309 @@ router.get('/check/:phoneNumber', async (req, res) => {
     }
 });
 
-module.exports = router;
+// ========================================
+// CARNET DE CONTACTS UNIFIÉ
+// ========================================
+
+const contactValidators = [
+    body('displayName').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('firstName').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('lastName').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('company').optional({ nullable: true }).isString().isLength({ max: 200 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 5000 }),
+    body('avatarUrl').optional({ nullable: true }).isString(),
+    body('phones').optional().isArray({ max: 20 }),
+    body('emails').optional().isArray({ max: 20 }),
+    body('whatsapp').optional().isArray({ max: 20 })
+];
+
+/**
+ * Renvoie l'erreur métier du ContactService avec son code HTTP
+ */
+function sendContactError(res, error, context) {
+    if (error.status) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            ...(error.conflictContactId && { conflictContactId: error.conflictContactId })
+        });
+    }
+    logger.error(`Error ${context}:`, error);
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/contacts
+ * Liste paginée du carnet de contacts
+ *
+ * @query {string} [q] - Recherche sur le nom, la société, un numéro ou un email
+ */
+router.get('/', [
+    query('q').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 500 }),
+    query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const { q, limit = 50, offset = 0 } = req.query;
+        const { total, contacts } = contactService.listContacts({
+            search: q || null,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        res.json({
+            success: true,
+            total,
+            contacts,
+            pagination: {
+                limit: parseInt(limit),
+                offset: parseInt(offset),
+                hasMore: parseInt(offset) + contacts.length < total
+            }
+        });
+    } catch (error) {
+        sendContactError(res, error, 'listing contacts');
+    }
+});
+
+/**
+ * GET /api/contacts/resolve?address=...
+ * Retrouve la fiche derrière un JID WhatsApp, un chatId SMS, un numéro ou un email
+ */
+router.get('/resolve', [
+    query('address').isString().trim().notEmpty()
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        res.json({
+            success: true,
+            contact: contactService.findByAddress(req.query.address)
+        });
+    } catch (error) {
+        sendContactError(res, error, 'resolving contact');
+    }
+});
+
+/**
+ * GET /api/contacts/export
+ * Exporter le carnet complet
+ *
+ * @query {string} [format] - 'vcard' (défaut) ou 'csv'
+ * @query {string} [version] - Version vCard: '3.0' (défaut) ou '4.0'
+ */
+router.get('/export', [
+    query('format').optional().isIn(['vcard', 'csv']),
+    query('version').optional().isIn(['3.0', '4.0'])
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        sendExport(req, res, req.query.format || 'vcard', req.query.version || '3.0');
+    } catch (error) {
+        sendContactError(res, error, 'exporting contacts');
+    }
+});
+
+/**
+ * POST /api/contacts/import
+ * Importer un fichier vCard (3.0/4.0) ou CSV
+ *
+ * Multipart (champ "file") ou JSON { content, format }.
+ * @body {boolean} [dryRun] - Aperçu sans écriture (rapport identique)
+ * @body {string} [onDuplicate] - 'skip' (défaut) ou 'merge'
+ * @body {string} [format] - 'vcard' | 'csv' (détecté automatiquement sinon)
+ * @returns {Object} { success, format, dryRun, total, created, merged, skipped, invalid, items }
+ */
+router.post('/import', importUpload.single('file'), [
+    body('dryRun').optional().isBoolean(),
+    body('onDuplicate').optional().isIn(['skip', 'merge']),
+    body('format').optional().isIn(['vcard', 'csv']),
+    body('content').optional().isString()
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        if (!content || !content.trim()) {
+            return res.status(400).json({ success: false, error: 'Aucun fichier fourni' });
+        }
+
+        const format = req.body.format || contactFormats.detectFormat(content, req.file?.originalname);
+        const entries = format === 'csv'
+            ? contactFormats.parseCsv(content)
+            : contactFormats.parseVCard(content);
+
+        if (entries.length === 0) {
+            return res.status(400).json({ success: false, error: `Aucun contact trouvé dans le fichier (${format})` });
+        }
+
+        const report = contactService.importContacts(entries, {
+            dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+            onDuplicate: req.body.onDuplicate || 'skip',
+            userId: req.user.id
+        });
+
+        res.json({ success: true, format, ...report });
+    } catch (error) {
+        sendContactError(res, error, 'importing contacts');
+    }
+});
+
+/**
+ * GET /api/contacts/:id
+ * Fiche contact avec ses conversations (WhatsApp/SMS) et ses derniers appels
+ */
+router.get('/:id', [
+    param('id').isInt({ min: 1 })
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const id = parseInt(req.params.id);
+        const contact = contactService.getContact(id);
+        if (!contact) {
+            return res.status(404).json({ success: false, error: 'Contact non trouvé' });
+        }
+
+        res.json({
+            success: true,
+            contact,
+            activity: contactService.getLinkedActivity(id)
+        });
+    } catch (error) {
+        sendContactError(res, error, 'getting contact');
+    }
+});
+
+/**
+ * GET /api/contacts/:id/vcard
+ * Télécharger une fiche au format vCard
+ */
+router.get('/:id/vcard', [
+    param('id').isInt({ min: 1 }),
+    query('version').optional().isIn(['3.0', '4.0'])
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const contact = contactService.getContact(parseInt(req.params.id));
+        if (!contact) {
+            return res.status(404).json({ success: false, error: 'Contact non trouvé' });
+        }
+
+        const fileName = contact.displayName.replace(/[^\w\-]+/g, '_');
+        res.set('Content-Type', 'text/vcard; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${fileName}.vcf"`);
+        res.send(contactFormats.serializeVCard([contact], req.query.version || '3.0'));
+    } catch (error) {
+        sendContactError(res, error, 'exporting contact');
+    }
+});
+
+/**
+ * POST /api/contacts
+ * Créer un contact
+ *
+ * @body {string} displayName
+ * @body {Array<string|{value, label, isPrimary}>} [phones] - Normalisés en E.164
+ * @body {Array<string|{value, label}>} [emails]
+ * @body {Array<string>} [whatsapp] - JIDs WhatsApp (utile pour les @lid)
+ */
+router.post('/', contactValidators, (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const contact = contactService.createContact(req.body, req.user.id);
+        res.status(201).json({ success: true, contact });
+    } catch (error) {
+        sendContactError(res, error, 'creating contact');
+    }
+});
+
+/**
+ * PUT /api/contacts/:id
+ * Mettre à jour un contact (les listes phones/emails/whatsapp fournies remplacent les existantes)
+ */
+router.put('/:id', [param('id').isInt({ min: 1 }), ...contactValidators], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const contact = contactService.updateContact(parseInt(req.params.id), req.body);
+        res.json({ success: true, contact });
+    } catch (error) {
+        sendContactError(res, error, 'updating contact');
+    }
+});
+
+/**
+ * DELETE /api/contacts/:id
+ * Supprimer un contact (les conversations et appels ne sont pas touchés)
+ */
+router.delete('/:id', [
+    param('id').isInt({ min: 1 })
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const deleted = contactService.deleteContact(parseInt(req.params.id));
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Contact non trouvé' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendContactError(res, error, 'deleting contact');
+    }
+});
+
+/**
+ * POST /api/contacts/:id/merge
+ * Fusionner une autre fiche (sourceId) dans ce contact
+ */
+router.post('/:id/merge', [
+    param('id').isInt({ min: 1 }),
+    body('sourceId').isInt({ min: 1 })
+], (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const contact = contactService.mergeContacts(parseInt(req.params.id), parseInt(req.body.sourceId));
+        res.json({ success: true, contact });
+    } catch (error) {
+        sendContactError(res, error, 'merging contacts');
+    }
+});
+
+module.exports = { router, initContactsRoutes };
@@ -13,6 +13,7 @@
  * - POST /api/voip/call         -> /api/v2/voip/call
  * - POST /api/whatsapp/send     -> Baileys provider
  * - GET  /api/providers/status  -> /api/v2/providers/status (reformatted)
+ * - GET  /api/voip/business-hours -> opening status of the user's GSM lines
  */
 
 const express = require('express');
@@ -20,11 +21,18 @@ const router = express.Router();
 const { verifyToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
+const smsSendService = require('../services/SmsSendService');
+const smsOptOutService = require('../services/SmsOptOutService');
+const businessHoursService = require('../services/BusinessHoursService');
+const db = require('../services/DatabaseService');
+
+// Injected at server startup
+let securityService = null;
+
 // Lazy load services to avoid circular dependencies
 let smsRoutingService = null;
 let providerManager = null;
 let freepbxProvider = null;
-let modemService = null;
 
 function getSmsRoutingService() {
   if (!smsRoutingService) {
@@ -33,14 +41,6 @@ function getSmsRoutingService() {
   return smsRoutingService;
 }
 
-function getModemService() {
-  if (!modemService) {
-    const ModemService = require('../services/ModemService');
-    modemService = new ModemService();
-  }
-  return modemService;
-}
-
 function getProviderManager() {
   if (!providerManager) {
     providerManager = require('../services/ProviderManager');
@@ -75,6 +75,8 @@ function getFreePBXProvider() {
  * Routing logic:
  * 1. If modem is available and configured, use ModemService
  * 2. Otherwise fall back to SmsRoutingService (cloud providers)
+ *
+ * Recipients in the STOP registry are refused with 403.
  */
 router.post('/sms/send', verifyToken, async (req, res) => {
   try {
@@ -87,117 +89,26 @@ router.post('/sms/send', verifyToken, async (req, res) => {
       });
     }
 
-    logger.info(`[Mobile SMS] Sending to: ${to}, from: ${from || 'default'}`);
-
-    // Try ModemService first (for GSM modems)
-    const modemSvc = getModemService();
-    const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
-
-    let actualFromNumber = from;
-    let sendResult = null;
-    let provider = null;
-    let modemId = null;
-
-    if (modemsConfig && modemsConfig.modems && Object.keys(modemsConfig.modems).length > 0) {
-      // We have modems configured, try to send via modem
-      const modemIds = Object.keys(modemsConfig.modems);
-      let targetModem = modemIds[0]; // Default to first modem
-
-      // If 'from' matches a modem's phone number, use that modem
-      if (from) {
-        for (const [mId, config] of Object.entries(modemsConfig.modems)) {
-          if (config.phoneNumber && config.phoneNumber.replace(/\D/g, '') === from.replace(/\D/g, '')) {
-            targetModem = mId;
-            actualFromNumber = config.phoneNumber;
-            break;
-          }
-        }
-      }
-
-      // Get the from number from modem config if not provided
-      if (!actualFromNumber && modemsConfig.modems[targetModem]?.phoneNumber) {
-        actualFromNumber = modemsConfig.modems[targetModem].phoneNumber;
-      }
-
-      logger.info(`[Mobile SMS] Using modem: ${targetModem}, from: ${actualFromNumber}`);
-
-      try {
-        sendResult = await modemSvc.sendSms(targetModem, to, message);
-        provider = 'modem';
-        modemId = targetModem;
-      } catch (modemError) {
-        logger.warn(`[Mobile SMS] Modem send failed: ${modemError.message}, trying cloud providers...`);
-        // Fall through to SmsRoutingService
-      }
-    }
-
-    // Fall back to SmsRoutingService (cloud providers) if modem failed
-    if (!sendResult) {
-      const smsRouting = getSmsRoutingService();
-      sendResult = await smsRouting.sendMessage(to, message, {
-        from,
-        providerId: req.body.providerId
+    if (smsOptOutService.isOptedOut(to)) {
+      return res.status(403).json({
+        success: false,
+        optedOut: true,
+        error: `Le destinataire ${to} est désinscrit (STOP)`
       });
-      provider = sendResult.providerId || 'cloud';
     }
 
-    // Store outgoing message in database
-    if (sendResult && (sendResult.success !== false)) {
-      try {
-        const db = require('../services/DatabaseService');
-        const timestamp = Date.now();
-        const messageId = sendResult.messageId || `sms_${timestamp}_${Math.random().toString(36).substring(7)}`;
-
-        // Normalize phone numbers for chatId (consistent format)
-        const normalizedFrom = (actualFromNumber || from || '').replace(/[^0-9+]/g, '');
-        const normalizedTo = to.replace(/[^0-9+]/g, '');
-
-        // ChatId format: sms_+fromNumber_+toNumber (same as iOS app)
-        const chatId = `sms_${normalizedFrom}_${normalizedTo}`;
-
-        // Create/update chat
-        const chatStmt = db.prepare(`
-          INSERT INTO chats (id, name, provider, timestamp, local_phone_number)
-          VALUES (?, ?, 'sms', ?, ?)
-          ON CONFLICT(id) DO UPDATE SET
-            timestamp = excluded.timestamp
-        `);
-        chatStmt.run(chatId, normalizedTo, Math.floor(timestamp / 1000), normalizedFrom);
-
-        // Store message
-        const msgStmt = db.prepare(`
-          INSERT INTO messages (id, chat_id, sender_id, from_me, type, content, timestamp, status)
-          VALUES (?, ?, ?, 1, 'text', ?, ?, 'sent')
-        `);
-        msgStmt.run(messageId, chatId, normalizedFrom, message, Math.floor(timestamp / 1000));
-
-        logger.info(`[Mobile SMS] Stored in DB: messageId=${messageId}, chatId=${chatId}`);
-
-        return res.json({
-          success: true,
-          messageId: messageId,
-          chatId: chatId,
-          provider: provider,
-          modemId: modemId
-        });
-      } catch (dbError) {
-        logger.error('[Mobile SMS] DB storage failed:', dbError.message);
-        // Still return success since SMS was sent
-        return res.json({
-          success: true,
-          messageId: sendResult.messageId || `sms_${Date.now()}`,
-          provider: provider,
-          modemId: modemId,
-          warning: 'Message sent but not stored in database'
-        });
-      }
-    }
+    logger.info(`[Mobile SMS] Sending to: ${to}, from: ${from || 'default'}`);
 
-    res.json({
-      success: sendResult?.success || false,
-      messageId: sendResult?.messageId,
-      error: sendResult?.error
+    // Règles de routage, sinon modem en priorité puis providers cloud; le message est stocké dans la conversation
+    const result = await smsSendService.send({
+      to,
+      text: message,
+      from,
+      providerId: req.body.providerId,
+      user: req.user
     });
+
+    res.json(result);
   } catch (error) {
     logger.error('[Mobile SMS] Error:', error);
     res.status(500).json({
@@ -965,6 +876,56 @@ router.get('/voip/ringing', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/voip/business-hours
+ * Opening status of the GSM lines the user is mapped to (all lines for admins)
+ */
+router.get('/voip/business-hours', verifyToken, async (req, res) => {
+  try {
+    const schedules = businessHoursService.list()
+      .filter(schedule => req.user.role === 'admin' || db.hasUserAccessToModem(req.user.id, schedule.modemId));
+
+    res.json({
+      success: true,
+      lines: schedules.map(schedule => ({
+        name: schedule.name || schedule.modemId,
+        closedAction: schedule.closedAction,
+        ...businessHoursService.getStatus(schedule.modemId)
+      }))
+    });
+  } catch (error) {
+    logger.error('[VoIP Business Hours] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/voip/business-hours/:modemId/override
+ * Force a line open or closed from the app: { state: 'open' | 'closed' | null, until? }
+ * state null goes back to the schedule
+ */
+router.post('/voip/business-hours/:modemId/override', verifyToken, async (req, res) => {
+  try {
+    const { modemId } = req.params;
+    const { state = null, until = null } = req.body;
+
+    if (req.user.role !== 'admin' && !db.hasUserAccessToModem(req.user.id, modemId)) {
+      return res.status(403).json({ success: false, error: 'Access denied to this line' });
+    }
+
+    const status = await businessHoursService.setOverride(modemId, { state, until, user: req.user });
+
+    await securityService?.logAction(req.user.id, 'business_hours_override', {
+      category: 'admin', modemId, state, until: status.overrideUntil, username: req.user.username
+    }, req);
+
+    res.json({ success: true, status });
+  } catch (error) {
+    logger.error('[VoIP Business Hours] Override error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/calls/originate
  * NativePhoneScreen expects: { destination }
@@ -1036,4 +997,9 @@ router.post('/calls/originate', verifyToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+function initMobileCompatRoutes(services) {
+  securityService = services.securityService;
+  return router;
+}
+
+module.exports = { router, initMobileCompatRoutes };
@@ -291,9 +291,10 @@ router.post('/sms/send', async (req, res) => {
     }
 
     const smsRouting = getSmsRoutingService();
-    const result = await smsRouting.sendMessage(to, text, { providerId });
+    const result = await smsRouting.sendMessage(to, text, { providerId, user: req.user });
 
-    res.json(result);
+    // Destinataire désinscrit (STOP)
+    res.status(result.optedOut ? 403 : 200).json(result);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,135 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const recordingService = require('../services/RecordingService');
+const logger = require('winston');
+
+const router = express.Router();
+
+// Services injectés
+let securityService = null;
+
+/**
+ * Initialise les routes avec les services nécessaires
+ */
+function initRecordingsRoutes(services) {
+  securityService = services.securityService;
+  return router;
+}
+
+router.use(verifyToken);
+
+/**
+ * Une écoute = une entrée d'audit; les requêtes Range suivantes d'un même
+ * lecteur (reprise, seek) ne sont pas rejournalisées
+ */
+function isNewListen(req) {
+  const range = req.headers.range;
+  return !range || /^bytes=0-/.test(range);
+}
+
+/**
+ * GET /api/recordings
+ * Enregistrements visibles (son extension, ses lignes; tout pour un admin)
+ *
+ * @query {string} [callId] - Enregistrements d'un appel (call_history.id)
+ */
+router.get('/', [
+  query('callId').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { callId, limit = 50, offset = 0 } = req.query;
+    const recordings = recordingService.list(req.user, {
+      callId: callId || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      recordings,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing recordings:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const recording = recordingService.getForUser(req.params.id, req.user);
+    res.json({ success: true, recording });
+  } catch (error) {
+    if (!error.status) logger.error('Error getting recording:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:id/download
+ * Lecture en streaming (supporte Range); chaque écoute est journalisée
+ */
+router.get('/:id/download', async (req, res) => {
+  try {
+    const recording = recordingService.getForUser(req.params.id, req.user);
+    const filePath = recordingService.getFilePath(recording);
+
+    if (isNewListen(req)) {
+      await securityService?.logAction(req.user.id, 'recording_listened', {
+        category: 'calls',
+        resource: recording.id,
+        callId: recording.callId,
+        username: req.user.username
+      }, req);
+    }
+
+    res.type(recordingService.getMimeType(filePath)).sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Fichier introuvable' });
+      }
+    });
+  } catch (error) {
+    if (!error.status) logger.error('Error streaming recording:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/recordings/:id
+ * Supprimer un enregistrement (admin)
+ */
+router.delete('/:id', isAdmin, async (req, res) => {
+  try {
+    const removed = await recordingService.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Enregistrement introuvable' });
+    }
+
+    await securityService?.logAction(req.user.id, 'recording_deleted', {
+      category: 'calls',
+      resource: req.params.id,
+      username: req.user.username
+    }, req);
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = { router, initRecordingsRoutes };
@@ -0,0 +1,209 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const scheduledMessageService = require('../services/ScheduledMessageService');
+const { toE164 } = require('../utils/phoneNumber');
+const logger = require('winston');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Horizon maximum de programmation
+const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * Convertit sendAt (timestamp ms ou date ISO 8601) en ms
+ */
+function parseSendAt(value) {
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    return parseInt(value);
+  }
+  return Date.parse(value);
+}
+
+/**
+ * Un utilisateur ne voit que ses messages, un admin voit tout
+ */
+function canAccess(req, message) {
+  return req.user.role === 'admin' || message.userId === req.user.id;
+}
+
+/**
+ * POST /api/scheduled-messages
+ * Programmer un message WhatsApp ou SMS
+ *
+ * @body {string} provider - 'whatsapp' | 'sms'
+ * @body {string} to - chatId/JID WhatsApp, numéro ou chatId SMS (sms_<local>_<remote>)
+ * @body {string} [text] - Texte (légende si média)
+ * @body {Object} [media] - Média WhatsApp, même format que POST /api/chats/:chatId/messages
+ * @body {number|string} sendAt - Timestamp ms ou date ISO 8601
+ * @body {string} [from] - Ligne SMS à utiliser
+ * @body {string} [providerId] - Provider WhatsApp précis ('baileys', 'meta')
+ */
+router.post('/', [
+  body('provider').isIn(['whatsapp', 'sms']),
+  body('to').isString().trim().notEmpty(),
+  body('text').optional({ nullable: true }).isString().isLength({ max: 4096 }),
+  body('media').optional({ nullable: true }).isObject(),
+  body('sendAt').exists().custom(value => !isNaN(parseSendAt(value))).withMessage('sendAt invalide'),
+  body('from').optional({ nullable: true }).isString(),
+  body('providerId').optional({ nullable: true }).isString()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { provider, text, media, providerId } = req.body;
+    let { to, from } = req.body;
+    const sendAt = parseSendAt(req.body.sendAt);
+
+    if (!text && !media) {
+      return res.status(400).json({ success: false, error: 'text ou media requis' });
+    }
+    if (sendAt < Date.now() - 60 * 1000) {
+      return res.status(400).json({ success: false, error: 'sendAt est dans le passé' });
+    }
+    if (sendAt > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ success: false, error: `sendAt au-delà de ${MAX_SCHEDULE_DAYS} jours` });
+    }
+
+    if (provider === 'sms') {
+      if (media) {
+        return res.status(400).json({ success: false, error: 'Les médias ne sont pas supportés en SMS' });
+      }
+
+      // chatId SMS: sms_<local>_<remote> -> ligne + destinataire
+      if (to.startsWith('sms_')) {
+        const parts = to.substring(4).split('_');
+        to = parts[parts.length - 1];
+        if (!from && parts.length > 1) from = parts[0];
+      }
+
+      const normalized = toE164(to);
+      if (!normalized) {
+        return res.status(400).json({ success: false, error: `Numéro invalide: ${to}` });
+      }
+      to = normalized;
+    }
+
+    const message = scheduledMessageService.schedule({
+      userId: req.user.id,
+      provider,
+      providerId: provider === 'whatsapp' ? providerId || null : null,
+      chatId: to,
+      from: provider === 'sms' ? from || null : null,
+      text: text || null,
+      media: media || null,
+      sendAt
+    });
+
+    res.status(201).json({ success: true, message });
+  } catch (error) {
+    logger.error('Error scheduling message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scheduled-messages
+ * Liste des messages programmés (les siens, ou tous pour un admin)
+ *
+ * @query {string} [status] - pending | sending | sent | failed | cancelled
+ */
+router.get('/', [
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed', 'cancelled']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { status, limit = 50, offset = 0 } = req.query;
+    const { total, messages } = scheduledMessageService.list({
+      userId: req.user.role === 'admin' ? null : req.user.id,
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      total,
+      messages,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + messages.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing scheduled messages:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/scheduled-messages/:id
+ * Détail d'un message programmé
+ */
+router.get('/:id', [
+  param('id').isInt({ min: 1 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const message = scheduledMessageService.get(parseInt(req.params.id));
+    if (!message || !canAccess(req, message)) {
+      return res.status(404).json({ success: false, error: 'Message programmé non trouvé' });
+    }
+
+    res.json({ success: true, message });
+  } catch (error) {
+    logger.error('Error getting scheduled message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/scheduled-messages/:id
+ * Annuler un message programmé (uniquement s'il n'est pas encore parti)
+ */
+router.delete('/:id', [
+  param('id').isInt({ min: 1 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const id = parseInt(req.params.id);
+    const message = scheduledMessageService.get(id);
+    if (!message || !canAccess(req, message)) {
+      return res.status(404).json({ success: false, error: 'Message programmé non trouvé' });
+    }
+
+    if (!scheduledMessageService.cancel(id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Impossible d'annuler un message au statut "${message.status}"`
+      });
+    }
+
+    res.json({ success: true, message: scheduledMessageService.get(id) });
+  } catch (error) {
+    logger.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const chatStorage = require('../services/ChatStorageServicePersistent');
+const logger = require('winston');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+/**
+ * GET /api/search
+ * Recherche plein texte dans l'historique WhatsApp et SMS
+ *
+ * @api GET /api/search?q=facture&provider=sms&after=1735689600000
+ * @query {string} q - Texte recherché (obligatoire)
+ * @query {string} [provider] - 'whatsapp' | 'sms' | ...
+ * @query {string} [chatId] - Limiter à une conversation
+ * @query {string} [senderId] - Limiter à un expéditeur
+ * @query {number} [after] - Timestamp en ms (inclus)
+ * @query {number} [before] - Timestamp en ms (inclus)
+ * @query {string} [type] - Type de message ('text', 'image', 'video', 'audio', 'document')
+ * @returns {Object} { success, query, total, results: [{ id, chatId, chatName, snippet, ... }], pagination }
+ */
+router.get('/', [
+  query('q').isString().trim().notEmpty(),
+  query('provider').optional().isString(),
+  query('chatId').optional().isString(),
+  query('senderId').optional().isString(),
+  query('after').optional().isInt({ min: 0 }),
+  query('before').optional().isInt({ min: 0 }),
+  query('type').optional().isIn(['text', 'image', 'video', 'audio', 'document', 'sticker', 'location', 'contact']),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { q, provider, chatId, senderId, after, before, type, limit = 20, offset = 0 } = req.query;
+
+    const { total, results } = chatStorage.searchMessages({
+      query: q,
+      provider,
+      chatId,
+      senderId,
+      // Les timestamps API sont en ms, la table messages est en secondes
+      after: after ? Math.floor(parseInt(after) / 1000) : null,
+      before: before ? Math.floor(parseInt(before) / 1000) : null,
+      mediaType: type,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      query: q,
+      total,
+      results,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + results.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error searching messages:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,293 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const smsCampaignService = require('../services/SmsCampaignService');
+const logger = require('winston');
+
+const router = express.Router();
+
+// Envoi en masse: réservé aux administrateurs
+router.use(verifyToken, isAdmin);
+
+const MAX_RECIPIENTS_PER_REQUEST = 10000;
+
+function sendCampaignError(res, error, context) {
+  if (error.status) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  logger.error(`Error ${context}:`, error);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+const campaignFields = [
+  body('from').optional({ nullable: true }).isString(),
+  body('channels').optional({ nullable: true }).isArray(),
+  body('channels.*').optional().isString(),
+  body('ratePerMinute').optional().isInt({ min: 1, max: 600 })
+];
+
+const recipientFields = [
+  body('recipients').optional().isArray({ max: MAX_RECIPIENTS_PER_REQUEST }),
+  body('recipients.*.phone').optional().isString(),
+  body('recipients.*.variables').optional().isObject(),
+  body('contactIds').optional().isArray({ max: MAX_RECIPIENTS_PER_REQUEST }),
+  body('contactIds.*').optional().isInt({ min: 1 })
+];
+
+/**
+ * GET /api/sms-campaigns
+ * Liste des campagnes avec compteurs par statut
+ */
+router.get('/', [
+  query('status').optional().isIn(['draft', 'running', 'paused', 'completed', 'cancelled']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { status, limit = 50, offset = 0 } = req.query;
+    const { total, campaigns } = smsCampaignService.listCampaigns({
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      total,
+      campaigns,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + campaigns.length < total
+      }
+    });
+  } catch (error) {
+    sendCampaignError(res, error, 'listing SMS campaigns');
+  }
+});
+
+/**
+ * POST /api/sms-campaigns
+ * Créer une campagne (brouillon), avec ses destinataires éventuels
+ *
+ * @body {string} name
+ * @body {string} template - Texte avec variables {{firstName}}, {{phone}}...
+ * @body {string} [from] - Expéditeur pour les providers cloud
+ * @body {string[]} [channels] - Modems / providers autorisés (ex: ["modem-1", "ovh-main"])
+ * @body {number} [ratePerMinute=20]
+ * @body {Array<{phone: string, variables?: Object}>} [recipients]
+ * @body {number[]} [contactIds] - Fiches du carnet de contacts
+ * @body {boolean} [start=false] - Démarrer immédiatement
+ */
+router.post('/', [
+  body('name').isString().trim().notEmpty().isLength({ max: 200 }),
+  body('template').isString().trim().notEmpty().isLength({ max: 1600 }),
+  body('start').optional().isBoolean(),
+  ...campaignFields,
+  ...recipientFields
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    // Sans destinataire valide, un démarrage immédiat échoue sans laisser de brouillon
+    const { campaign, recipients } = smsCampaignService.createWithRecipients(req.body, req.user.id, {
+      start: !!req.body.start
+    });
+
+    res.status(201).json({ success: true, campaign, recipients });
+  } catch (error) {
+    sendCampaignError(res, error, 'creating SMS campaign');
+  }
+});
+
+/**
+ * GET /api/sms-campaigns/:id
+ */
+router.get('/:id', [param('id').isInt({ min: 1 })], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const campaign = smsCampaignService.getCampaign(parseInt(req.params.id));
+    if (!campaign) {
+      return res.status(404).json({ success: false, error: 'Campagne non trouvée' });
+    }
+
+    res.json({ success: true, campaign });
+  } catch (error) {
+    sendCampaignError(res, error, 'getting SMS campaign');
+  }
+});
+
+/**
+ * PUT /api/sms-campaigns/:id
+ * Modifier une campagne en brouillon ou en pause
+ */
+router.put('/:id', [
+  param('id').isInt({ min: 1 }),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('template').optional().isString().trim().notEmpty().isLength({ max: 1600 }),
+  ...campaignFields
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const campaign = smsCampaignService.updateCampaign(parseInt(req.params.id), req.body);
+    res.json({ success: true, campaign });
+  } catch (error) {
+    sendCampaignError(res, error, 'updating SMS campaign');
+  }
+});
+
+/**
+ * DELETE /api/sms-campaigns/:id
+ */
+router.delete('/:id', [param('id').isInt({ min: 1 })], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    smsCampaignService.deleteCampaign(parseInt(req.params.id));
+    res.json({ success: true });
+  } catch (error) {
+    sendCampaignError(res, error, 'deleting SMS campaign');
+  }
+});
+
+/**
+ * GET /api/sms-campaigns/:id/recipients
+ * Résultat d'envoi par destinataire
+ *
+ * @query {string} [status] - pending | sending | sent | failed | excluded | cancelled
+ */
+router.get('/:id/recipients', [
+  param('id').isInt({ min: 1 }),
+  query('status').optional().isIn(['pending', 'sending', 'sent', 'failed', 'excluded', 'cancelled']),
+  query('limit').optional().isInt({ min: 1, max: 1000 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const id = parseInt(req.params.id);
+    if (!smsCampaignService.getCampaign(id)) {
+      return res.status(404).json({ success: false, error: 'Campagne non trouvée' });
+    }
+
+    const { status, limit = 100, offset = 0 } = req.query;
+    const { total, recipients } = smsCampaignService.listRecipients(id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      total,
+      recipients,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + recipients.length < total
+      }
+    });
+  } catch (error) {
+    sendCampaignError(res, error, 'listing campaign recipients');
+  }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/recipients
+ * Ajouter des destinataires (les numéros désinscrits sont ajoutés en "excluded")
+ */
+router.post('/:id/recipients', [
+  param('id').isInt({ min: 1 }),
+  ...recipientFields
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const result = smsCampaignService.addRecipients(parseInt(req.params.id), req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendCampaignError(res, error, 'adding campaign recipients');
+  }
+});
+
+/**
+ * DELETE /api/sms-campaigns/:id/recipients/:recipientId
+ * Retirer un destinataire pas encore contacté
+ */
+router.delete('/:id/recipients/:recipientId', [
+  param('id').isInt({ min: 1 }),
+  param('recipientId').isInt({ min: 1 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const removed = smsCampaignService.removeRecipient(parseInt(req.params.id), parseInt(req.params.recipientId));
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Destinataire non trouvé ou déjà traité' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    sendCampaignError(res, error, 'removing campaign recipient');
+  }
+});
+
+/**
+ * GET /api/sms-campaigns/:id/preview
+ * Messages rendus pour les premiers destinataires en attente
+ */
+router.get('/:id/preview', [
+  param('id').isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const messages = smsCampaignService.preview(parseInt(req.params.id), parseInt(req.query.limit) || 5);
+    res.json({ success: true, messages });
+  } catch (error) {
+    sendCampaignError(res, error, 'previewing SMS campaign');
+  }
+});
+
+/**
+ * POST /api/sms-campaigns/:id/(start|pause|resume|cancel|retry-failed)
+ * Cycle de vie: draft -> running <-> paused -> completed / cancelled
+ */
+const actions = {
+  start: id => ({ campaign: smsCampaignService.start(id) }),
+  pause: id => ({ campaign: smsCampaignService.pause(id) }),
+  resume: id => ({ campaign: smsCampaignService.resume(id) }),
+  cancel: id => ({ campaign: smsCampaignService.cancel(id) }),
+  'retry-failed': id => smsCampaignService.retryFailed(id)
+};
+
+router.post('/:id/:action', [
+  param('id').isInt({ min: 1 }),
+  param('action').isIn(Object.keys(actions))
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const result = actions[req.params.action](parseInt(req.params.id));
+    logger.info(`[Campaign] #${req.params.id} ${req.params.action} by ${req.user.username}`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendCampaignError(res, error, `running campaign action ${req.params.action}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const smsOptOutService = require('../services/SmsOptOutService');
+const logger = require('winston');
+
+const router = express.Router();
+
+// Registre STOP: réservé aux administrateurs
+router.use(verifyToken, isAdmin);
+
+const MAX_IMPORT_NUMBERS = 50000;
+
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/sms-opt-outs
+ * Numéros désinscrits
+ *
+ * @query {string} [q] - Recherche partielle sur le numéro
+ */
+router.get('/', [
+  query('q').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { q, limit = 50, offset = 0 } = req.query;
+    const { total, optOuts } = smsOptOutService.list({
+      search: q || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      total,
+      optOuts,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        hasMore: parseInt(offset) + optOuts.length < total
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing SMS opt-outs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/sms-opt-outs/audit
+ * Journal des désinscriptions et levées
+ *
+ * @query {string} [phone] - Limiter à un numéro
+ */
+router.get('/audit', [
+  query('phone').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 500 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { phone, limit = 100, offset = 0 } = req.query;
+    const { total, entries } = smsOptOutService.getAudit({
+      number: phone || null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({ success: true, total, entries });
+  } catch (error) {
+    logger.error('Error getting SMS opt-out audit:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/sms-opt-outs/:phone
+ * Statut d'un numéro
+ */
+router.get('/:phone', [param('phone').isString().notEmpty()], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const entry = smsOptOutService.get(req.params.phone);
+    res.json({ success: true, optedOut: !!entry, optOut: entry });
+  } catch (error) {
+    logger.error('Error checking SMS opt-out:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sms-opt-outs
+ * Désinscrire manuellement un numéro (demande reçue par un autre canal)
+ */
+router.post('/', [
+  body('phone').isString().trim().notEmpty(),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    if (!smsOptOutService.normalize(req.body.phone)) {
+      return res.status(400).json({ success: false, error: `Numéro invalide: ${req.body.phone}` });
+    }
+
+    const added = smsOptOutService.optOut(req.body.phone, {
+      source: 'manual',
+      detail: req.body.reason,
+      user: req.user
+    });
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      added,
+      optOut: smsOptOutService.get(req.body.phone)
+    });
+  } catch (error) {
+    logger.error('Error adding SMS opt-out:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sms-opt-outs/import
+ * Import en masse: { numbers: [...] } ou { content: "un numéro par ligne / CSV" }
+ */
+router.post('/import', [
+  body('numbers').optional().isArray({ max: MAX_IMPORT_NUMBERS }),
+  body('numbers.*').optional().isString(),
+  body('content').optional().isString(),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    // Texte libre: premier champ de chaque ligne (CSV , ou ;), en-tête ignoré s'il n'est pas un numéro
+    const numbers = req.body.numbers || (req.body.content || '')
+      .split(/\r?\n/)
+      .map(line => line.split(/[,;\t]/)[0].trim().replace(/^"|"$/g, ''))
+      .filter(value => value && /\d/.test(value));
+
+    if (numbers.length === 0) {
+      return res.status(400).json({ success: false, error: 'numbers ou content requis' });
+    }
+    if (numbers.length > MAX_IMPORT_NUMBERS) {
+      return res.status(400).json({ success: false, error: `Maximum ${MAX_IMPORT_NUMBERS} numéros par import` });
+    }
+
+    const result = smsOptOutService.importNumbers(numbers, {
+      detail: req.body.reason,
+      user: req.user
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error importing SMS opt-outs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sms-opt-outs/:phone
+ * Lever la désinscription (ex: le client a redonné son accord)
+ *
+ * @body {string} [reason] - Motif conservé dans le journal
+ */
+router.delete('/:phone', [
+  param('phone').isString().notEmpty(),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const cleared = smsOptOutService.clear(req.params.phone, {
+      detail: req.body?.reason,
+      user: req.user
+    });
+
+    if (!cleared) {
+      return res.status(404).json({ success: false, error: 'Numéro non désinscrit' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error clearing SMS opt-out:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+const express = require('express');
+const multer = require('multer');
+const { body, query, param, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const voicemailService = require('../services/VoicemailService');
+const { VOICEMAIL_GREETINGS } = require('../src/services/asterisk/constants');
+const logger = require('winston');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+// Annonces de messagerie (WAV, MP3, M4A...)
+const greetingUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20 MB max
+  }
+});
+
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Boîte d'une extension: son propriétaire; les autres boîtes: admin uniquement
+ */
+function checkMailboxAccess(req, res) {
+  if (!voicemailService.canManageMailbox(req.user, req.params.mailbox)) {
+    res.status(403).json({ success: false, error: 'Accès refusé à cette boîte vocale' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/voicemails
+ * Messages vocaux visibles (sa boîte, la boîte partagée; tout pour un admin)
+ *
+ * @query {boolean} [unheard] - Non écoutés uniquement
+ */
+router.get('/', [
+  query('unheard').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 })
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    const { limit = 50, offset = 0 } = req.query;
+    const voicemails = voicemailService.list(req.user, {
+      unheard: req.query.unheard === 'true',
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      voicemails,
+      unheard: voicemailService.countUnheard(req.user),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing voicemails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/voicemails/unheard/count
+ * Badge: nombre de messages non écoutés
+ */
+router.get('/unheard/count', (req, res) => {
+  try {
+    res.json({ success: true, count: voicemailService.countUnheard(req.user) });
+  } catch (error) {
+    logger.error('Error counting voicemails:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/voicemails/greetings/:mailbox
+ * Annonces installées d'une boîte ("201" ou "201@default")
+ */
+router.get('/greetings/:mailbox', async (req, res) => {
+  try {
+    if (!checkMailboxAccess(req, res)) return;
+    const greetings = await voicemailService.listGreetings(req.params.mailbox);
+    res.json({ success: true, greetings });
+  } catch (error) {
+    logger.error('Error listing voicemail greetings:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/voicemails/greetings/:mailbox/:type
+ * Écouter une annonce (WAV 8 kHz)
+ */
+router.get('/greetings/:mailbox/:type', [
+  param('type').isIn(VOICEMAIL_GREETINGS)
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res) || !checkMailboxAccess(req, res)) return;
+
+    const greetingPath = voicemailService.getGreetingPath(req.params.mailbox, req.params.type);
+    res.type('audio/wav').sendFile(greetingPath, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Annonce introuvable' });
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting voicemail greeting:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/voicemails/greetings/:mailbox/:type
+ * Remplacer une annonce (multipart, champ "file")
+ *
+ * @param {string} type - unavail | busy | greet | temp
+ */
+router.post('/greetings/:mailbox/:type', greetingUpload.single('file'), [
+  param('type').isIn(VOICEMAIL_GREETINGS)
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res) || !checkMailboxAccess(req, res)) return;
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'file requis' });
+    }
+
+    const greeting = await voicemailService.saveGreeting(req.params.mailbox, req.params.type, {
+      buffer: req.file.buffer,
+      originalName: req.file.originalname
+    });
+    res.status(201).json({ success: true, greeting });
+  } catch (error) {
+    logger.error('Error saving voicemail greeting:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/voicemails/greetings/:mailbox/:type
+ * Supprimer une annonce (retour à l'annonce par défaut d'Asterisk)
+ */
+router.delete('/greetings/:mailbox/:type', [
+  param('type').isIn(VOICEMAIL_GREETINGS)
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res) || !checkMailboxAccess(req, res)) return;
+
+    const removed = await voicemailService.removeGreeting(req.params.mailbox, req.params.type);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Annonce introuvable' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting voicemail greeting:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/voicemails/:id
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const voicemail = voicemailService.getForUser(req.params.id, req.user);
+    res.json({ success: true, voicemail });
+  } catch (error) {
+    if (!error.status) logger.error('Error getting voicemail:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/voicemails/:id/audio
+ * Lecture du message (MP3, ou WAV si la conversion a échoué); supporte Range
+ */
+router.get('/:id/audio', (req, res) => {
+  try {
+    const voicemail = voicemailService.getForUser(req.params.id, req.user);
+    res.type(voicemail.mimeType || 'audio/mpeg').sendFile(voicemailService.getAudioPath(voicemail), error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, error: 'Fichier audio introuvable' });
+      }
+    });
+  } catch (error) {
+    if (!error.status) logger.error('Error streaming voicemail:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/voicemails/:id/heard
+ * Marquer comme écouté (ou non écouté)
+ *
+ * @body {boolean} [heard=true]
+ */
+router.put('/:id/heard', [
+  body('heard').optional().isBoolean()
+], (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+
+    voicemailService.getForUser(req.params.id, req.user);
+    const voicemail = voicemailService.markHeard(req.params.id, req.body.heard !== false);
+    res.json({ success: true, voicemail });
+  } catch (error) {
+    if (!error.status) logger.error('Error updating voicemail:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/voicemails/:id
+ * Supprime le message (aussi de la boîte Asterisk)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    voicemailService.getForUser(req.params.id, req.user);
+    await voicemailService.remove(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (!error.status) logger.error('Error deleting voicemail:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
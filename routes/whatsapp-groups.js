@@ -0,0 +1,247 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const providerManager = require('../services/ProviderManager');
+const sessionManager = require('../services/SessionManager');
+const pushService = require('../services/PushService');
+const logger = require('winston');
+
+const router = express.Router();
+
+router.use(verifyToken);
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+// ID de groupe WhatsApp (120363012345678901 ou 120363012345678901@g.us)
+const GROUP_ID_PATTERN = /^[0-9-]{5,40}(@g\.us)?$/;
+// Numéro international ou JID WhatsApp
+const PARTICIPANT_PATTERN = /^\+?[0-9]{6,20}(@s\.whatsapp\.net)?$/;
+
+// Photo de groupe (JPEG ou PNG, redimensionnée par le provider)
+const pictureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5 MB max
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['image/jpeg', 'image/png'].includes(file.mimetype));
+  }
+});
+
+function checkValidation(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ success: false, errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Provider de la session (header X-Session-Id) ou provider actif,
+ * s'il gère les groupes (getCapabilities().groups)
+ */
+function getGroupsProvider(req, res) {
+  const sessionId = req.headers['x-session-id'];
+  const session = sessionId ? sessionManager.getSession(sessionId) : null;
+  const provider = session?.provider || providerManager.getActiveProvider();
+
+  if (!provider) {
+    res.status(503).json({ success: false, error: 'No active provider' });
+    return null;
+  }
+  if (!provider.getCapabilities?.().groups) {
+    res.status(501).json({ success: false, error: 'Group management is not supported by the active provider' });
+    return null;
+  }
+  return provider;
+}
+
+const groupIdParam = param('groupId').matches(GROUP_ID_PATTERN);
+const participantsBody = [
+  body('participants').isArray({ min: 1, max: 256 }),
+  body('participants.*').isString().matches(PARTICIPANT_PATTERN)
+];
+
+function sendError(res, error, action) {
+  if (!error.status || error.status >= 500) logger.error(`Error ${action}:`, error);
+  res.status(error.status || 500).json({ success: false, error: error.message });
+}
+
+/**
+ * GET /api/whatsapp/groups
+ * Groupes dont le compte WhatsApp est membre
+ */
+router.get('/', async (req, res) => {
+  try {
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const groups = await provider.getGroups();
+    res.json({ success: true, groups });
+  } catch (error) {
+    sendError(res, error, 'listing groups');
+  }
+});
+
+/**
+ * POST /api/whatsapp/groups
+ * Crée un groupe
+ *
+ * @body {string} subject - Nom du groupe
+ * @body {string[]} participants - Numéros internationaux
+ */
+router.post('/', [
+  body('subject').isString().trim().isLength({ min: 1, max: 100 }),
+  ...participantsBody
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const group = await provider.createGroup(req.body.subject, req.body.participants);
+    pushService.pushChatsUpdate();
+    logger.info(`[Groups] ${group.id} created by ${req.user.username}`);
+
+    res.status(201).json({ success: true, group });
+  } catch (error) {
+    sendError(res, error, 'creating group');
+  }
+});
+
+/**
+ * GET /api/whatsapp/groups/:groupId
+ * Détail d'un groupe et de ses participants
+ */
+router.get('/:groupId', [groupIdParam], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const group = await provider.getGroupInfo(req.params.groupId);
+    res.json({ success: true, group });
+  } catch (error) {
+    sendError(res, error, 'getting group');
+  }
+});
+
+/**
+ * PATCH /api/whatsapp/groups/:groupId
+ * Modifie le nom et/ou la description (chaîne vide pour la supprimer)
+ */
+router.patch('/:groupId', [
+  groupIdParam,
+  body('subject').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().isLength({ max: 2048 })
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const { subject, description } = req.body;
+    if (subject === undefined && description === undefined) {
+      return res.status(400).json({ success: false, error: 'subject ou description requis' });
+    }
+
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    if (subject !== undefined) {
+      await provider.updateGroupSubject(req.params.groupId, subject);
+      pushService.pushChatsUpdate();
+    }
+    if (description !== undefined) {
+      await provider.updateGroupDescription(req.params.groupId, description);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'updating group');
+  }
+});
+
+/**
+ * PUT /api/whatsapp/groups/:groupId/picture
+ * Remplace la photo du groupe (multipart, champ "file")
+ */
+router.put('/:groupId/picture', pictureUpload.single('file'), [groupIdParam], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'file requis (JPEG ou PNG)' });
+    }
+
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    await provider.updateGroupPicture(req.params.groupId, req.file.buffer);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error, 'updating group picture');
+  }
+});
+
+/**
+ * POST /api/whatsapp/groups/:groupId/participants
+ * Ajoute, retire, promeut (admin) ou rétrograde des participants
+ *
+ * @body {string} action - add | remove | promote | demote
+ * @body {string[]} participants - Numéros internationaux
+ * @returns {Object} { success, results: [{ participant, success, status }] }
+ */
+router.post('/:groupId/participants', [
+  groupIdParam,
+  body('action').isIn(PARTICIPANT_ACTIONS),
+  ...participantsBody
+], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const { action, participants } = req.body;
+    const results = await provider.updateGroupParticipants(req.params.groupId, participants, action);
+    logger.info(`[Groups] ${action} ${participants.length} participant(s) in ${req.params.groupId} by ${req.user.username}`);
+
+    res.json({ success: results.some(result => result.success), results });
+  } catch (error) {
+    sendError(res, error, 'updating group participants');
+  }
+});
+
+/**
+ * GET /api/whatsapp/groups/:groupId/invite
+ * Lien d'invitation du groupe
+ */
+router.get('/:groupId/invite', [groupIdParam], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const invite = await provider.getGroupInviteLink(req.params.groupId);
+    res.json({ success: true, ...invite });
+  } catch (error) {
+    sendError(res, error, 'getting group invite link');
+  }
+});
+
+/**
+ * POST /api/whatsapp/groups/:groupId/invite/reset
+ * Révoque le lien d'invitation et en génère un nouveau
+ */
+router.post('/:groupId/invite/reset', [groupIdParam], async (req, res) => {
+  try {
+    if (!checkValidation(req, res)) return;
+    const provider = getGroupsProvider(req, res);
+    if (!provider) return;
+
+    const invite = await provider.getGroupInviteLink(req.params.groupId, true);
+    logger.info(`[Groups] Invite link of ${req.params.groupId} reset by ${req.user.username}`);
+    res.json({ success: true, ...invite });
+  } catch (error) {
+    sendError(res, error, 'resetting group invite link');
+  }
+});
+
+module.exports = router;
@@ -148,8 +148,11 @@ exten => i,1,NoOp(Invalid extension)
 
 [from-gsm]
 exten => s,1,NoOp(Incoming GSM call)
+ same => n,GosubIf($[${DIALPLAN_EXISTS(homenichat-gsm-incoming,s,1)}]?homenichat-gsm-incoming,s,1)
  same => n,Dial(PJSIP/1000,30)
  same => n,Hangup()
+
+#tryinclude extensions_homenichat_generated.conf
 EOF
 fi
 
@@ -14,7 +14,8 @@ const envPath = fs.existsSync('/etc/homenichat/.env')
 require('dotenv').config({ path: envPath });
 
 // Import des routes
-const authRoutes = require('./routes/auth');
+const { router: authRoutes, initAuthRoutes } = require('./routes/auth');
+const { router: contactsRoutes, initContactsRoutes } = require('./routes/contacts');
 const proxyRoutes = require('./routes/proxy-refactored');
 const mediaProxyRoutes = require('./routes/mediaProxy');
 const providersRoutes = require('./routes/providers');
@@ -23,9 +24,10 @@ const chatsRoutes = require('./routes/chats');
 const mediaRoutes = require('./routes/media');
 const sessionsRoutes = require('./routes/sessions');
 const callHistoryRoutes = require('./routes/call-history');
-const cdrRoutes = require('./routes/cdr');
+const { router: cdrRoutes, initCdrRoutes } = require('./routes/cdr');
+const { router: recordingsRoutes, initRecordingsRoutes } = require('./routes/recordings');
 const configRoutes = require('./routes/config');
-const mobileCompatRoutes = require('./routes/mobile-compat');
+const { router: mobileCompatRoutes, initMobileCompatRoutes } = require('./routes/mobile-compat');
 const setupRoutes = require('./routes/setup');
 const { router: adminRouter, initAdminRoutes } = require('./routes/admin');
 const { router: discoveryRouter, initDiscoveryRoutes } = require('./routes/discovery');
@@ -36,10 +38,17 @@ const { verifyToken, verifyWebSocketToken, optionalVerifyToken } = require('./mi
 const providerManager = require('./services/ProviderManager');
 const sessionManager = require('./services/SessionManager');
 const pushService = require('./services/PushService');
+const contactService = require('./services/ContactService');
+const { decodePdu, MultipartAssembler } = require('./utils/smsPdu');
 const mediaCleanupJob = require('./jobs/mediaCleanup');
+const scheduledMessagesJob = require('./jobs/scheduledMessages');
+const smsCampaignsJob = require('./jobs/smsCampaigns');
+const voicemailsJob = require('./jobs/voicemails');
+const recordingsJob = require('./jobs/recordings');
 const webSocketManager = require('./services/WebSocketManager');
 const VoipProvider = require('./providers/voip/VoipProvider');
 const freepbxAmi = require('./services/FreePBXAmiService');
+const callControlService = require('./services/CallControlService');
 const homenichatCloudService = require('./services/HomenichatCloudService');
 const SecurityService = require('./services/SecurityService');
 const {
@@ -182,169 +191,242 @@ app.use('/api/media', mediaRoutes);
 // ============================================
 // INTERNAL API - SMS depuis Asterisk (localhost only)
 // ============================================
-app.post('/api/internal/sms/incoming', async (req, res) => {
-  // Vérifier que la requête vient de localhost
-  const ip = req.ip || req.connection.remoteAddress;
-  if (!ip.includes('127.0.0.1') && !ip.includes('::1') && !ip.includes('localhost')) {
-    console.log(`[SMS] Rejected incoming SMS from non-local IP: ${ip}`);
-    return res.status(403).json({ error: 'Forbidden' });
-  }
 
-  const { from, text, device } = req.body;
+// Parties de SMS longs reçues en PDU, en attente des suivantes
+const incomingSmsAssembler = new MultipartAssembler();
+incomingSmsAssembler.on('expired', (sms) => {
+  console.warn(`[SMS] Multipart SMS from ${sms.from} incomplete (missing parts: ${sms.missing.join(', ')}), storing partial text`);
+  storeIncomingSms({ from: sms.from, text: sms.text, device: sms.device }).catch((error) => {
+    console.error('[SMS] Error storing incomplete multipart SMS:', error);
+  });
+});
+
+/**
+ * Enregistre un SMS entrant dans la conversation sms_<local>_<remote> et notifie les clients
+ * @returns {Promise<{messageId: string, chatId: string, duplicate?: boolean, blocked?: string}>}
+ */
+async function storeIncomingSms({ from, text, device }) {
   const timestamp = Date.now();
   const messageId = `sms-${timestamp}-${Math.random().toString(36).substring(7)}`;
 
   console.log(`[SMS] Incoming SMS from ${from} via ${device}: ${text}`);
 
-  try {
-    // 1. Import services
-    const db = require('./services/DatabaseService');
-    const webPushService = require('./services/WebPushService');
-    const pushRelayService = require('./services/PushRelayService');
+  // 1. Import services
+  const db = require('./services/DatabaseService');
+  const webPushService = require('./services/WebPushService');
+  const pushRelayService = require('./services/PushRelayService');
+  const blockListService = require('./services/BlockListService');
 
-    // 2. Get modem's phone number for consistent chatId format
-    let localPhoneNumber = '';
-    try {
-      const ModemService = require('./services/ModemService');
-      const modemSvc = new ModemService();
-      const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
-      if (modemsConfig && modemsConfig.modems && modemsConfig.modems[device]) {
-        localPhoneNumber = modemsConfig.modems[device].phoneNumber || '';
-      }
-      // Fallback: try modem-1 if device not found
-      if (!localPhoneNumber && modemsConfig && modemsConfig.modems) {
-        const firstModem = Object.values(modemsConfig.modems)[0];
-        if (firstModem) {
-          localPhoneNumber = firstModem.phoneNumber || '';
-        }
+  // 2. Get modem's phone number for consistent chatId format
+  let localPhoneNumber = '';
+  try {
+    const ModemService = require('./services/ModemService');
+    const modemSvc = new ModemService();
+    const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
+    if (modemsConfig && modemsConfig.modems && modemsConfig.modems[device]) {
+      localPhoneNumber = modemsConfig.modems[device].phoneNumber || '';
+    }
+    // Fallback: try modem-1 if device not found
+    if (!localPhoneNumber && modemsConfig && modemsConfig.modems) {
+      const firstModem = Object.values(modemsConfig.modems)[0];
+      if (firstModem) {
+        localPhoneNumber = firstModem.phoneNumber || '';
       }
-    } catch (e) {
-      console.warn('[SMS] Could not get modem phone number:', e.message);
     }
+  } catch (e) {
+    console.warn('[SMS] Could not get modem phone number:', e.message);
+  }
 
-    // Normalize phone numbers
-    const normalizedFrom = from.replace(/[^0-9+]/g, '');
-    const normalizedLocal = localPhoneNumber.replace(/[^0-9+]/g, '');
+  // Normalize phone numbers
+  const normalizedFrom = from.replace(/[^0-9+]/g, '');
+  const normalizedLocal = localPhoneNumber.replace(/[^0-9+]/g, '');
 
-    // ChatId format: sms_+localNumber_+remoteNumber (same as iOS app outgoing format)
-    // This ensures incoming and outgoing messages are in the same conversation
-    const chatId = normalizedLocal ? `sms_${normalizedLocal}_${normalizedFrom}` : `sms_${normalizedFrom}`;
+  // Nom du carnet de contacts pour les notifications
+  const senderName = contactService.getDisplayName(normalizedFrom) || from;
 
-    console.log(`[SMS] ChatId: ${chatId} (local: ${normalizedLocal}, remote: ${normalizedFrom})`);
+  // ChatId format: sms_+localNumber_+remoteNumber (same as iOS app outgoing format)
+  // This ensures incoming and outgoing messages are in the same conversation
+  const chatId = normalizedLocal ? `sms_${normalizedLocal}_${normalizedFrom}` : `sms_${normalizedFrom}`;
 
-    // 2.5. Deduplication: Check if identical message received in last 60 seconds
-    const timestampSec = Math.floor(timestamp / 1000);
-    const dedupeWindow = 60; // seconds
-    const existingMsg = db.prepare(`
-      SELECT id FROM messages
-      WHERE chat_id = ? AND content = ? AND from_me = 0
-        AND timestamp > ?
-      LIMIT 1
-    `).get(chatId, text, timestampSec - dedupeWindow);
+  console.log(`[SMS] ChatId: ${chatId} (local: ${normalizedLocal}, remote: ${normalizedFrom})`);
 
-    if (existingMsg) {
-      console.log(`[SMS] Duplicate detected (existing: ${existingMsg.id}), skipping`);
-      return res.json({
-        success: true,
-        duplicate: true,
-        existingId: existingMsg.id,
-        message: 'Duplicate SMS ignored'
-      });
-    }
+  // 2.4. Liste de blocage: SMS supprimé ou mis en quarantaine, jamais stocké (STOP toujours pris en compte)
+  const blocked = blockListService.filterInboundSms({ id: messageId, from: normalizedFrom, text, chatId, source: device || 'modem' });
+  if (blocked) {
+    require('./services/SmsOptOutService').handleInbound(normalizedFrom, text, device || 'modem');
+    return { blocked: blocked.action, messageId, chatId };
+  }
 
-    // 3. Create/update chat in database
-    const chatStmt = db.prepare(`
-      INSERT INTO chats (id, name, provider, timestamp, local_phone_number)
-      VALUES (?, ?, 'sms', ?, ?)
-      ON CONFLICT(id) DO UPDATE SET
-        timestamp = excluded.timestamp,
-        unread_count = unread_count + 1
-    `);
-    chatStmt.run(chatId, normalizedFrom, timestampSec, normalizedLocal || device);
-
-    // 3. Store message in database
-    const msgStmt = db.prepare(`
-      INSERT INTO messages (id, chat_id, sender_id, from_me, type, content, timestamp, status)
-      VALUES (?, ?, ?, 0, 'text', ?, ?, 'received')
-    `);
-    msgStmt.run(messageId, chatId, from, text, timestampSec);
-
-    console.log(`[SMS] Stored in DB: messageId=${messageId}, chatId=${chatId}`);
-
-    // 4. Broadcast via WebSocket to all connected clients
-    pushService.broadcast('new_message', {
-      id: messageId,
-      chatId: chatId,
-      from: from,
-      content: text,
-      timestamp: timestamp,
-      fromMe: false,
-      provider: 'sms',
-      type: 'text',
-      device: device
-    });
+  // 2.5. Deduplication: Check if identical message received in last 60 seconds
+  const timestampSec = Math.floor(timestamp / 1000);
+  const dedupeWindow = 60; // seconds
+  const existingMsg = db.prepare(`
+    SELECT id FROM messages
+    WHERE chat_id = ? AND content = ? AND from_me = 0
+      AND timestamp > ?
+    LIMIT 1
+  `).get(chatId, text, timestampSec - dedupeWindow);
+
+  if (existingMsg) {
+    console.log(`[SMS] Duplicate detected (existing: ${existingMsg.id}), skipping`);
+    return { duplicate: true, messageId: existingMsg.id, chatId };
+  }
 
-    // 5. Send Web Push notifications (PWA offline)
-    try {
-      await webPushService.notifyNewMessage(from, text, chatId, false);
-      console.log(`[SMS] Web push sent for message from ${from}`);
-    } catch (pushErr) {
-      console.warn(`[SMS] Web push failed:`, pushErr.message);
-    }
+  // 3. Create/update chat in database
+  const chatStmt = db.prepare(`
+    INSERT INTO chats (id, name, provider, timestamp, local_phone_number)
+    VALUES (?, ?, 'sms', ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      timestamp = excluded.timestamp,
+      unread_count = unread_count + 1
+  `);
+  chatStmt.run(chatId, normalizedFrom, timestampSec, normalizedLocal || device);
+
+  // 3. Store message in database
+  const msgStmt = db.prepare(`
+    INSERT INTO messages (id, chat_id, sender_id, from_me, type, content, timestamp, status)
+    VALUES (?, ?, ?, 0, 'text', ?, ?, 'received')
+  `);
+  msgStmt.run(messageId, chatId, from, text, timestampSec);
+
+  console.log(`[SMS] Stored in DB: messageId=${messageId}, chatId=${chatId}`);
+
+  // Réponse STOP -> registre des désinscriptions
+  require('./services/SmsOptOutService').handleInbound(normalizedFrom, text, device || 'modem');
+
+  // 4. Broadcast via WebSocket to all connected clients
+  pushService.broadcast('new_message', {
+    id: messageId,
+    chatId: chatId,
+    from: from,
+    content: text,
+    timestamp: timestamp,
+    fromMe: false,
+    provider: 'sms',
+    type: 'text',
+    device: device
+  });
 
-    // 6. Send Push Relay notifications (iOS/Android apps)
-    if (pushRelayService.isConfigured()) {
-      try {
-        // Get users who should receive notifications for this modem
-        const users = db.getUsersForModemSmsNotifications(device);
+  // 5. Send Web Push notifications (PWA offline)
+  try {
+    await webPushService.notifyNewMessage(senderName, text, chatId, false);
+    console.log(`[SMS] Web push sent for message from ${from}`);
+  } catch (pushErr) {
+    console.warn(`[SMS] Web push failed:`, pushErr.message);
+  }
 
-        if (users.length === 0) {
-          // No specific mappings - broadcast to all users
-          console.log(`[SMS] No modem mappings found, broadcasting to all users`);
-          const result = await pushRelayService.broadcast('new_message', {
+  // 6. Send Push Relay notifications (iOS/Android apps)
+  if (pushRelayService.isConfigured()) {
+    try {
+      // Get users who should receive notifications for this modem
+      const users = db.getUsersForModemSmsNotifications(device);
+
+      if (users.length === 0) {
+        // No specific mappings - broadcast to all users
+        console.log(`[SMS] No modem mappings found, broadcasting to all users`);
+        const result = await pushRelayService.broadcast('new_message', {
+          chatId: chatId,
+          messageId: messageId,
+          senderName: senderName,
+          provider: 'sms',
+          modemId: device
+        }, {
+          title: `SMS: ${senderName}`,
+          body: text.length > 100 ? text.substring(0, 100) + '...' : text
+        });
+        console.log(`[SMS] Push relay broadcast: sent=${result.sent || 0}`);
+      } else {
+        // Send to specific users mapped to this modem
+        for (const user of users) {
+          const result = await pushRelayService.sendNewMessage(user.id, {
             chatId: chatId,
             messageId: messageId,
-            senderName: from,
-            provider: 'sms',
-            modemId: device
-          }, {
-            title: `SMS: ${from}`,
-            body: text.length > 100 ? text.substring(0, 100) + '...' : text
+            senderName: senderName,
+            preview: text.length > 100 ? text.substring(0, 100) + '...' : text
           });
-          console.log(`[SMS] Push relay broadcast: sent=${result.sent || 0}`);
-        } else {
-          // Send to specific users mapped to this modem
-          for (const user of users) {
-            const result = await pushRelayService.sendNewMessage(user.id, {
-              chatId: chatId,
-              messageId: messageId,
-              senderName: from,
-              preview: text.length > 100 ? text.substring(0, 100) + '...' : text
-            });
-            console.log(`[SMS] Push relay sent to user ${user.id}: sent=${result.sent || 0}`);
-          }
+          console.log(`[SMS] Push relay sent to user ${user.id}: sent=${result.sent || 0}`);
         }
-      } catch (relayErr) {
-        console.warn(`[SMS] Push relay failed:`, relayErr.message);
       }
+    } catch (relayErr) {
+      console.warn(`[SMS] Push relay failed:`, relayErr.message);
+    }
+  }
+
+  // 7. Legacy Socket.IO emit (if available)
+  if (global.io) {
+    global.io.emit('sms:incoming', {
+      id: messageId,
+      from,
+      text,
+      device,
+      timestamp: new Date(timestamp).toISOString()
+    });
+  }
+
+  return { messageId, chatId };
+}
+
+app.post('/api/internal/sms/incoming', async (req, res) => {
+  // Vérifier que la requête vient de localhost
+  const ip = req.ip || req.connection.remoteAddress;
+  if (!ip.includes('127.0.0.1') && !ip.includes('::1') && !ip.includes('localhost')) {
+    console.log(`[SMS] Rejected incoming SMS from non-local IP: ${ip}`);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const { device, pdu } = req.body;
+  let { from, text } = req.body;
+
+  try {
+    // SMS-DELIVER brut (hex): décodage GSM-7 / UCS-2 et réassemblage des SMS longs
+    if (pdu) {
+      let sms;
+      try {
+        sms = decodePdu(pdu);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid PDU', details: error.message });
+      }
+
+      const complete = incomingSmsAssembler.add({ ...sms, device }, device || '');
+      if (!complete) {
+        return res.json({
+          success: true,
+          partial: true,
+          message: `Part ${sms.concat.sequence}/${sms.concat.total} buffered`
+        });
+      }
+      from = complete.from;
+      text = complete.text;
+    }
+
+    if (!from || typeof text !== 'string') {
+      return res.status(400).json({ error: 'from and text (or pdu) are required' });
+    }
+
+    const result = await storeIncomingSms({ from, text, device });
+
+    if (result.duplicate) {
+      return res.json({
+        success: true,
+        duplicate: true,
+        existingId: result.messageId,
+        message: 'Duplicate SMS ignored'
+      });
     }
 
-    // 7. Legacy Socket.IO emit (if available)
-    if (global.io) {
-      global.io.emit('sms:incoming', {
-        id: messageId,
-        from,
-        text,
-        device,
-        timestamp: new Date(timestamp).toISOString()
+    if (result.blocked) {
+      return res.json({
+        success: true,
+        blocked: result.blocked,
+        message: `SMS from blocked sender ${result.blocked}`
       });
     }
 
     res.json({
       success: true,
       message: 'SMS received and notifications sent',
-      messageId: messageId,
-      chatId: chatId
+      messageId: result.messageId,
+      chatId: result.chatId
     });
 
   } catch (error) {
@@ -359,10 +441,17 @@ app.use('/api/providers', providersRoutes);
 app.use('/api/v2/providers', providersV2Routes); // API v2 multi-provider
 app.use('/api/sessions', sessionsRoutes);
 app.use('/api/chats', chatsRoutes);
-app.use('/api/contacts', require('./routes/contacts')); // Ajout de la route contacts
+app.use('/api/whatsapp/groups', require('./routes/whatsapp-groups')); // Gestion des groupes WhatsApp
+app.use('/api/contacts', contactsRoutes); // Carnet de contacts (CRUD, import/export vCard/CSV)
+app.use('/api/search', require('./routes/search')); // Recherche plein texte (FTS5)
+app.use('/api/scheduled-messages', require('./routes/scheduled-messages')); // Envois différés WhatsApp/SMS
+app.use('/api/voicemails', require('./routes/voicemails')); // Messagerie vocale Asterisk
+app.use('/api/sms-campaigns', require('./routes/sms-campaigns')); // Campagnes SMS (admin)
+app.use('/api/sms-opt-outs', require('./routes/sms-opt-outs')); // Registre STOP (admin)
 app.use('/api/notifications', require('./routes/notifications')); // Push notifications
 app.use('/api/calls', callHistoryRoutes); // Historique d'appels partagé (local)
 app.use('/api/cdr', cdrRoutes); // CDR API - Asterisk/FreePBX MySQL
+app.use('/api/recordings', recordingsRoutes); // Enregistrements d'appels (lecture auditée)
 app.use('/api/config', configRoutes); // Configuration YAML multi-provider
 
 // Routes Admin (protégées par auth + admin only)
@@ -446,6 +535,40 @@ app.post('/webhook/debug', (req, res) => {
 });
 
 
+// Webhook des providers SMS cloud (Twilio, OVH...): SMS entrants et accusés de réception
+// Déclaré avant le webhook générique qui capturerait /webhook/sms/:id
+// (GET pour les callbacks OVH, qui passent les paramètres dans l'URL)
+// Chaque appel est authentifié par son provider (signature Twilio, secret partagé OVH)
+const handleSmsProviderWebhook = async (req, res) => {
+  try {
+    const smsRoutingService = require('./services/SmsRoutingService');
+    const authenticated = smsRoutingService.verifyWebhook(req.params.providerId, {
+      method: req.method,
+      url: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      headers: req.headers,
+      query: req.query,
+      body: req.body
+    });
+    if (!authenticated) {
+      logger.warn(`SMS webhook ${req.params.providerId} rejected: invalid signature or token (${req.ip})`);
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const result = await smsRoutingService.handleWebhook(req.params.providerId, { ...req.query, ...req.body });
+
+    // Twilio attend une réponse TwiML
+    if (result?.twiml) {
+      return res.type('text/xml').send(result.twiml);
+    }
+    res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error(`SMS webhook ${req.params.providerId} error:`, error);
+    res.status(404).json({ error: error.message });
+  }
+};
+app.get('/webhook/sms/:providerId', handleSmsProviderWebhook);
+app.post('/webhook/sms/:providerId', handleSmsProviderWebhook);
+
 // Webhook générique pour tous les providers (avec support multi-session)
 app.post('/webhook/:provider/:sessionId?', async (req, res) => {
   try {
@@ -818,6 +941,13 @@ async function startServer() {
     securityService = new SecurityService(db);
     logger.info('SecurityService initialized successfully');
 
+    // Initialiser les routes d'authentification (2FA)
+    initAuthRoutes({ securityService });
+    initContactsRoutes({ securityService });
+    initCdrRoutes({ securityService });
+    initRecordingsRoutes({ securityService });
+    initMobileCompatRoutes({ securityService });
+
     // Initialiser les routes admin avec les services
     initAdminRoutes({
       securityService,
@@ -843,6 +973,21 @@ async function startServer() {
     await providerManager.initialize();
     logger.info('ProviderManager initialized successfully');
 
+    // Initialiser le routage SMS (providers sms de providers.yaml, chargé par ProviderManager)
+    try {
+      const smsRoutingService = require('./services/SmsRoutingService');
+      await smsRoutingService.initialize();
+    } catch (error) {
+      logger.warn('SmsRoutingService initialization failed:', error.message);
+    }
+
+    // Registre STOP: reprise unique des désinscriptions présentes dans l'historique
+    try {
+      require('./services/SmsOptOutService').backfillFromHistory();
+    } catch (error) {
+      logger.warn('SMS opt-out backfill failed:', error.message);
+    }
+
     // Initialiser le gestionnaire de sessions
     await sessionManager.initialize();
     logger.info('SessionManager initialized successfully');
@@ -901,6 +1046,14 @@ async function startServer() {
       pushService.pushMessageStatus(data.chatId, data.messageId, data.status);
     });
 
+    // Écouter les messages modifiés ou supprimés pour tous (déjà appliqués en base par le provider)
+    providerManager.on('message.update', (data) => {
+      // data = { provider: 'baileys', chatId, messageId, action: 'edit'|'delete', text?, editedAt?, deletedAt? }
+      const { provider, ...update } = data;
+      logger.info(`✏️ Message ${update.action} from ${provider}: ${update.messageId}`);
+      pushService.pushMessageUpdate(update);
+    });
+
     // Écouter les messages entrants des providers (Baileys, SMS, Meta, etc.)
     providerManager.on('message', async (data) => {
       // data = { provider: 'baileys'|'sms-bridge'|'meta', ...messageData }
@@ -918,15 +1071,18 @@ async function startServer() {
       pushService.pushNewMessage(messageData);
       logger.info(`Message pushé via WebSocket: ${messageData.id || 'no-id'}`);
 
-      // Skip notifications for outgoing messages
-      if (messageData.isFromMe || messageData.fromMe) {
+      // Skip notifications for outgoing messages and group system messages
+      if (messageData.isFromMe || messageData.fromMe || messageData.type === 'system') {
         return;
       }
 
+      // Nom du carnet de contacts en priorité (sinon nom WhatsApp / numéro)
+      const contactName = contactService.getDisplayName(messageData.chatId);
+
       // Push notification sur les appareils (PWA installée)
       const webPushService = require('./services/WebPushService');
       webPushService.notifyNewMessage(
-        messageData.chatName || messageData.from,
+        contactName || messageData.chatName || messageData.from,
         messageData.content || messageData.text,
         messageData.chatId,
         false
@@ -936,7 +1092,7 @@ async function startServer() {
       const pushRelayService = require('./services/PushRelayService');
       if (pushRelayService.isConfigured()) {
         try {
-          const senderName = messageData.chatName || messageData.from || 'Unknown';
+          const senderName = contactName || messageData.chatName || messageData.from || 'Unknown';
           const preview = (messageData.content || messageData.text || '').substring(0, 100);
 
           // Broadcast to all registered devices
@@ -992,6 +1148,18 @@ async function startServer() {
       mediaCleanupJob.start(24);
       logger.info('Media cleanup job started');
 
+      // Démarrer l'envoi des messages programmés (toutes les 30s)
+      scheduledMessagesJob.start(30);
+
+      // Démarrer l'envoi des campagnes SMS (lots toutes les 10s)
+      smsCampaignsJob.start(10);
+
+      // Import des messages vocaux Asterisk (scan du spool toutes les 60s + MessageWaiting)
+      voicemailsJob.start(60);
+
+      // Suivi des enregistrements d'appels et rétention (toutes les 24h)
+      recordingsJob.start(24);
+
       // Démarrer le nettoyage périodique des sessions expirées (toutes les heures)
       setInterval(() => {
         securityService?.cleanupExpiredSessions();
@@ -1003,10 +1171,23 @@ async function startServer() {
         freepbxAmi.start();
         logger.info('FreePBX AMI service started');
 
+        // Suivi des canaux actifs: transfert, attente, conférence (/api/calls/active)
+        callControlService.start();
+
+        // Liste de blocage: numéros exacts recopiés dans l'AstDB à chaque connexion AMI
+        freepbxAmi.on('authenticated', () => {
+          require('./services/BlockListService').syncAstDb(freepbxAmi).catch(err => {
+            logger.warn('[BlockList] AstDB sync failed:', err.message);
+          });
+        });
+
         // Écouter les appels entrants pour envoyer des notifications push
         freepbxAmi.on('incomingCall', async (callData) => {
           logger.info(`[Server] 📞 Incoming call event: ${callData.callerNumber} -> ext ${callData.extension}`);
           try {
+            // Afficher le nom du carnet de contacts sur toutes les notifications d'appel
+            callData.callerName = contactService.getDisplayName(callData.callerNumber) || callData.callerName;
+
             // Envoyer notification push (VAPID) pour les clients PWA hors-ligne
             await webPushService.notifyIncomingCall(callData);
 
@@ -1175,6 +1356,12 @@ async function gracefulShutdown(signal) {
     logger.info('[Shutdown] HTTP server closed');
   });
 
+  // Plus de nouveaux envois programmés pendant l'arrêt
+  scheduledMessagesJob.stop();
+  smsCampaignsJob.stop();
+  voicemailsJob.stop();
+  recordingsJob.stop();
+
   // Shutdown Baileys worker if running
   try {
     const baileysProvider = providerManager.providers?.get('baileys');
@@ -1187,6 +1374,13 @@ async function gracefulShutdown(signal) {
     logger.error('[Shutdown] Error shutting down Baileys:', error.message);
   }
 
+  // Stop SMS routing (health checks + ports série des providers)
+  try {
+    await require('./services/SmsRoutingService').shutdown();
+  } catch (error) {
+    logger.error('[Shutdown] Error shutting down SMS routing:', error.message);
+  }
+
   // Close WebSocket connections
   try {
     const wss = require('./services/WebSocketManager').getWSS?.();
@@ -8,6 +8,9 @@
 const mysql = require('mysql2/promise');
 const logger = require('../utils/logger');
 
+// Rapports: au-delà, la période est refusée plutôt que calculée sur une partie des appels
+const REPORT_MAX_RECORDS = 100000;
+
 class AsteriskCDRService {
   constructor() {
     this.pool = null;
@@ -518,6 +521,43 @@ class AsteriskCDRService {
     }
   }
 
+  /**
+   * Enregistrements bruts (formatés) d'une période, pour les rapports
+   * @param {Object} options
+   * @param {Date} options.from - Début (inclus)
+   * @param {Date} options.to - Fin (exclue)
+   * @param {number} [options.limit] - Nombre maximal d'enregistrements
+   * @returns {Promise<{records: Array<Object>, truncated: boolean}>}
+   *   truncated: la période compte plus de `limit` enregistrements
+   */
+  async getReportRecords({ from, to, limit = REPORT_MAX_RECORDS }) {
+    if (!this.pool) {
+      throw new Error('AsteriskCDR not configured');
+    }
+
+    const connection = await this.pool.getConnection();
+
+    try {
+      const [rows] = await connection.query(`
+        SELECT calldate, clid, src, dst, dcontext, channel, dstchannel,
+               duration, billsec, disposition, did, recordingfile,
+               uniqueid, linkedid, accountcode, cnum, cnam, dst_cnam
+        FROM cdr
+        WHERE calldate >= ? AND calldate < ?
+        ORDER BY calldate ASC
+        LIMIT ?
+      `, [from, to, parseInt(limit) + 1]);
+
+      const truncated = rows.length > limit;
+      return {
+        records: rows.slice(0, limit).map(row => this._formatRecord(row)),
+        truncated
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
   /**
    * Lister les extensions actives (derniers 30 jours)
    */
@@ -567,7 +607,7 @@ class AsteriskCDRService {
 
     try {
       const [rows] = await connection.query(`
-        SELECT uniqueid, calldate, recordingfile
+        SELECT uniqueid, calldate, src, dst, channel, dstchannel, recordingfile
         FROM cdr
         WHERE uniqueid = ? AND recordingfile != ''
       `, [callId]);
@@ -582,6 +622,10 @@ class AsteriskCDRService {
       return {
         call_id: row.uniqueid,
         calldate: row.calldate ? new Date(row.calldate).toISOString() : null,
+        src: row.src,
+        dst: row.dst,
+        channel: row.channel,
+        dstchannel: row.dstchannel,
         recording_file: recordingPath,
         recording_path: recordingPath ? `/var/spool/asterisk/monitor/${recordingPath}` : null,
         download_url: recordingPath ? `/api/cdr/v1/recordings/${row.uniqueid}/download` : null
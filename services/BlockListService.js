@@ -0,0 +1,456 @@
+/**
+ * BlockListService - Liste de blocage des appels et SMS entrants
+ *
+ * - Règles: numéro exact, préfixe (+3389, 0899...) ou appelant masqué, sur la
+ *   liste noire (block) ou blanche (allow: prioritaire, ex. un numéro dans un
+ *   préfixe bloqué); chaque règle vaut pour les appels, les SMS ou les deux
+ * - Appels: numéros exacts recopiés dans l'AstDB (un seul DB_EXISTS, quelle que
+ *   soit la taille de la liste), préfixes compilés dans le sous-programme
+ *   homenichat-blocklist du dialplan (rejet ou messagerie sans sonnerie); l'appel
+ *   reste journalisé dans call_history avec le statut "blocked" (CDR userfield)
+ * - SMS: vérifiés avant tout stockage (modems, SMS Bridge, providers cloud),
+ *   supprimés ou mis en quarantaine (blocked_sms) selon les réglages
+ * - Catégorie "spam": listes de numéros importées en masse
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const { toE164 } = require('../utils/phoneNumber');
+const {
+  BLOCK_CALL_ACTIONS,
+  DEFAULT_VOICEMAIL_BOX,
+  BLOCK_LIST_DB_FAMILY,
+  ALLOW_LIST_DB_FAMILY
+} = require('../src/services/asterisk/constants');
+
+const SETTINGS_KEY = 'block_list_settings';
+const LISTS = ['block', 'allow'];
+const MATCH_TYPES = ['exact', 'prefix', 'anonymous'];
+const APPLIES_TO = ['all', 'calls', 'sms'];
+const SMS_ACTIONS = ['drop', 'quarantine'];
+const CATEGORY_PATTERN = /^[a-z0-9_-]{1,30}$/;
+// Écritures AstDB (DBPut) en parallèle pendant la synchronisation
+const ASTDB_BATCH_SIZE = 8;
+const DEFAULT_SETTINGS = {
+  callAction: 'reject',
+  voicemailBox: DEFAULT_VOICEMAIL_BOX,
+  smsAction: 'drop'
+};
+
+function blockListError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class BlockListService {
+  // ==================== Réglages ====================
+
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(db.getSetting(SETTINGS_KEY) || {}) };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {'reject'|'voicemail'} [params.callAction] - Sort des appels bloqués
+   * @param {string} [params.voicemailBox] - Boîte des appels bloqués (action voicemail)
+   * @param {'drop'|'quarantine'} [params.smsAction] - Sort des SMS bloqués
+   */
+  updateSettings({ callAction, voicemailBox, smsAction } = {}) {
+    const current = this.getSettings();
+
+    if (callAction !== undefined && !BLOCK_CALL_ACTIONS.includes(callAction)) {
+      throw blockListError(`Action inconnue: ${callAction} (${BLOCK_CALL_ACTIONS.join(', ')})`);
+    }
+    if (smsAction !== undefined && !SMS_ACTIONS.includes(smsAction)) {
+      throw blockListError(`Action SMS inconnue: ${smsAction} (${SMS_ACTIONS.join(', ')})`);
+    }
+    if (voicemailBox !== undefined && !/^\d+(@[\w-]+)?$/.test(voicemailBox)) {
+      throw blockListError('voicemailBox invalide (ex: 2000@default)');
+    }
+
+    const settings = {
+      callAction: callAction ?? current.callAction,
+      voicemailBox: voicemailBox ?? current.voicemailBox,
+      smsAction: smsAction ?? current.smsAction
+    };
+    db.setSetting(SETTINGS_KEY, settings);
+    return settings;
+  }
+
+  // ==================== Règles ====================
+
+  /**
+   * Numéro appelant tel que comparé par le dialplan (BL_NUM): chiffres, 00 -> +,
+   * 0 -> +33, international sans + complété; chaîne vide si masqué
+   */
+  normalizeCaller(number) {
+    let normalized = String(number || '').replace(/[^\d+]/g, '');
+    if (normalized.startsWith('00')) {
+      normalized = '+' + normalized.substring(2);
+    } else if (normalized.startsWith('0')) {
+      normalized = '+33' + normalized.substring(1);
+    }
+    if (normalized && !normalized.startsWith('+') && normalized.length >= 11) {
+      normalized = '+' + normalized;
+    }
+    return normalized;
+  }
+
+  /**
+   * Valeur d'une règle: E.164 (exact), préfixe international (prefix), vide (anonymous)
+   */
+  normalizeValue(matchType, value) {
+    if (matchType === 'anonymous') return '';
+
+    if (matchType === 'exact') {
+      const phone = toE164(String(value || ''));
+      if (!phone) throw blockListError(`Numéro invalide: ${value}`);
+      return phone;
+    }
+
+    const cleaned = String(value || '').trim().replace(/[\s\-\.\(\)\/]/g, '');
+    if (!/^\+?\d{1,15}$/.test(cleaned)) {
+      throw blockListError(`Préfixe invalide: ${value}`);
+    }
+    const prefix = this.normalizeCaller(cleaned);
+    return prefix.startsWith('+') ? prefix : `+${prefix}`;
+  }
+
+  list({ list = null, category = null, search = null, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (list) {
+      conditions.push('list = ?');
+      params.push(list);
+    }
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (search) {
+      conditions.push('value LIKE ?');
+      params.push(`%${search.replace(/[^\d+]/g, '')}%`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM block_rules ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM block_rules ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, rules: rows.map(row => this._formatRule(row)) };
+  }
+
+  get(id) {
+    const row = db.prepare('SELECT * FROM block_rules WHERE id = ?').get(id);
+    return row ? this._formatRule(row) : null;
+  }
+
+  /**
+   * Ajoute une règle (le dialplan est régénéré par l'appelant si elle concerne les appels)
+   * @param {Object} params
+   * @param {'block'|'allow'} [params.list]
+   * @param {'exact'|'prefix'|'anonymous'} [params.matchType]
+   * @param {string} [params.value] - Numéro ou préfixe
+   * @param {'all'|'calls'|'sms'} [params.appliesTo]
+   * @param {string} [params.category] - manual, spam...
+   * @param {string} [params.reason]
+   * @param {{id: number}} [user] - Admin à l'origine
+   */
+  add({ list = 'block', matchType = 'exact', value, appliesTo = 'all', category = 'manual', reason = null } = {}, user = null) {
+    if (!LISTS.includes(list)) {
+      throw blockListError(`Liste inconnue: ${list} (${LISTS.join(', ')})`);
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+      throw blockListError(`Type de règle inconnu: ${matchType} (${MATCH_TYPES.join(', ')})`);
+    }
+    if (matchType === 'anonymous' && list === 'allow') {
+      throw blockListError('Les appelants masqués ne peuvent qu\'être bloqués');
+    }
+    if (!APPLIES_TO.includes(appliesTo)) {
+      throw blockListError(`Portée inconnue: ${appliesTo} (${APPLIES_TO.join(', ')})`);
+    }
+    if (!CATEGORY_PATTERN.test(category)) {
+      throw blockListError('Catégorie invalide (a-z, 0-9, _ et -)');
+    }
+
+    const normalized = this.normalizeValue(matchType, value);
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO block_rules (list, match_type, value, applies_to, category, reason, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(list, matchType, normalized, appliesTo, category, reason || null, user?.id || null);
+
+    if (result.changes === 0) {
+      throw blockListError('Règle déjà présente', 409);
+    }
+
+    logger.info(`[BlockList] ${list} ${matchType} ${normalized || '(anonymous)'} (${appliesTo}, ${category})`);
+    return this.get(result.lastInsertRowid);
+  }
+
+  remove(id) {
+    const result = db.prepare('DELETE FROM block_rules WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Import en masse (liste de numéros spam d'un prestataire, ancien outil...)
+   * @returns {{added: number, existing: number, invalid: string[]}}
+   */
+  importNumbers(numbers, { list = 'block', appliesTo = 'all', category = 'spam', reason = null } = {}, user = null) {
+    const summary = { added: 0, existing: 0, invalid: [] };
+
+    db.transaction(() => {
+      for (const number of numbers) {
+        try {
+          this.add({ list, matchType: 'exact', value: number, appliesTo, category, reason }, user);
+          summary.added++;
+        } catch (error) {
+          if (error.status === 409) {
+            summary.existing++;
+          } else {
+            summary.invalid.push(number);
+          }
+        }
+      }
+    })();
+
+    logger.info(`[BlockList] Import (${category}): ${summary.added} added, ${summary.existing} existing, ${summary.invalid.length} invalid`);
+    return summary;
+  }
+
+  /**
+   * Règle de liste noire applicable, null si le numéro est autorisé
+   * (la liste blanche l'emporte)
+   * @param {string} number - Numéro de l'appelant / expéditeur
+   * @param {'calls'|'sms'} channel
+   */
+  match(number, channel) {
+    const rules = db.prepare(`
+      SELECT * FROM block_rules WHERE applies_to IN ('all', ?)
+      ORDER BY list = 'allow' DESC, id
+    `).all(channel);
+    if (rules.length === 0) return null;
+
+    const normalized = this.normalizeCaller(number);
+    const matches = rule => {
+      if (rule.match_type === 'anonymous') return normalized === '';
+      if (rule.match_type === 'prefix') return normalized !== '' && normalized.startsWith(rule.value);
+      return normalized === rule.value;
+    };
+
+    const rule = rules.find(matches);
+    return rule && rule.list === 'block' ? this._formatRule(rule) : null;
+  }
+
+  recordHit(ruleId) {
+    db.prepare('UPDATE block_rules SET hits = hits + 1, last_hit_at = ? WHERE id = ?')
+      .run(Math.floor(Date.now() / 1000), ruleId);
+  }
+
+  /**
+   * Options de generateBasicDialplan (règles des appels)
+   * Les numéros exacts ne sont que comptés: ils sont lus dans l'AstDB (syncAstDb)
+   */
+  getDialplanOptions() {
+    const rules = db.prepare(`
+      SELECT * FROM block_rules WHERE applies_to IN ('all', 'calls') AND match_type != 'exact' ORDER BY id
+    `).all().map(row => this._formatRule(row));
+    const exact = this._exactCallNumbers();
+    if (!rules.some(rule => rule.list === 'block') && exact.block.length === 0) return null;
+
+    const { callAction, voicemailBox } = this.getSettings();
+    return {
+      allow: rules.filter(rule => rule.list === 'allow'),
+      block: rules.filter(rule => rule.list === 'block'),
+      exactAllow: exact.allow.length,
+      exactBlock: exact.block.length,
+      action: callAction,
+      voicemailBox
+    };
+  }
+
+  /**
+   * Recopie les numéros exacts des règles d'appel dans l'AstDB, à faire avant de
+   * recharger le dialplan (familles vidées puis réécrites)
+   * @param {Object} amiService - FreePBXAmiService
+   * @returns {Promise<{synced: boolean, allow: number, block: number}>}
+   */
+  async syncAstDb(amiService) {
+    const exact = this._exactCallNumbers();
+    if (!amiService?.authenticated) {
+      logger.warn('[BlockList] AMI not connected, AstDB not synced');
+      return { synced: false, allow: exact.allow.length, block: exact.block.length };
+    }
+
+    for (const [list, family] of [['allow', ALLOW_LIST_DB_FAMILY], ['block', BLOCK_LIST_DB_FAMILY]]) {
+      // Famille absente au premier passage: erreur AMI ignorée
+      await amiService.sendActionWithResponse({ Action: 'DBDelTree', Family: family }).catch(() => {});
+
+      const numbers = exact[list];
+      for (let i = 0; i < numbers.length; i += ASTDB_BATCH_SIZE) {
+        await Promise.all(numbers.slice(i, i + ASTDB_BATCH_SIZE).map(number =>
+          amiService.sendActionWithResponse({ Action: 'DBPut', Family: family, Key: number, Val: '1' })
+        ));
+      }
+    }
+
+    logger.info(`[BlockList] AstDB synced: ${exact.block.length} blocked, ${exact.allow.length} allowed`);
+    return { synced: true, allow: exact.allow.length, block: exact.block.length };
+  }
+
+  _exactCallNumbers() {
+    const rows = db.prepare(`
+      SELECT list, value FROM block_rules WHERE applies_to IN ('all', 'calls') AND match_type = 'exact'
+    `).all();
+    return {
+      allow: rows.filter(row => row.list === 'allow').map(row => row.value),
+      block: rows.filter(row => row.list === 'block').map(row => row.value)
+    };
+  }
+
+  // ==================== SMS ====================
+
+  /**
+   * SMS entrant: à appeler avant tout stockage
+   * @param {Object} sms
+   * @param {string} sms.id - Identifiant du message (dédoublonne les re-synchronisations)
+   * @param {string} sms.from - Expéditeur
+   * @param {string} sms.text
+   * @param {string} [sms.chatId] - Conversation de destination (restauration)
+   * @param {string} [sms.source] - modem-1, sms-bridge, twilio-main...
+   * @returns {{action: string, rule: Object}|null} null si le SMS est autorisé
+   */
+  filterInboundSms({ id, from, text, chatId = null, source = null }) {
+    try {
+      const rule = this.match(from, 'sms');
+      if (!rule) return null;
+
+      const action = this.getSettings().smsAction === 'quarantine' ? 'quarantined' : 'dropped';
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO blocked_sms (id, phone_number, chat_id, content, source, rule_id, action, received_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        this.normalizeCaller(from) || String(from || ''),
+        chatId,
+        action === 'quarantined' ? text : null,
+        source,
+        rule.id,
+        action,
+        Math.floor(Date.now() / 1000)
+      );
+
+      if (result.changes > 0) {
+        this.recordHit(rule.id);
+        logger.info(`[BlockList] SMS from ${from} ${action} (rule ${rule.id}, ${source || 'unknown'})`);
+      }
+      return { action, rule };
+    } catch (error) {
+      // En cas d'erreur, le SMS est livré plutôt que perdu
+      logger.error('[BlockList] Failed to filter inbound SMS:', error);
+      return null;
+    }
+  }
+
+  listBlockedSms({ action = 'quarantined', limit = 50, offset = 0 } = {}) {
+    const total = db.prepare('SELECT COUNT(*) as count FROM blocked_sms WHERE action = ?').get(action).count;
+    const rows = db.prepare(`
+      SELECT * FROM blocked_sms WHERE action = ?
+      ORDER BY received_at DESC
+      LIMIT ? OFFSET ?
+    `).all(action, limit, offset);
+
+    return { total, messages: rows.map(row => this._formatSms(row)) };
+  }
+
+  /**
+   * Livre un SMS en quarantaine dans sa conversation
+   */
+  releaseSms(id) {
+    const row = db.prepare('SELECT * FROM blocked_sms WHERE id = ?').get(id);
+    if (!row || row.action !== 'quarantined') {
+      throw blockListError('SMS en quarantaine introuvable', 404);
+    }
+
+    const chatStorage = require('./ChatStorageServicePersistent');
+    const chatId = row.chat_id || `sms_${row.phone_number}`;
+    const chat = chatStorage.getChat(chatId);
+
+    chatStorage.updateChat({
+      id: chatId,
+      name: chat?.name || row.phone_number,
+      unreadCount: (chat?.unread_count || 0) + 1,
+      timestamp: Math.max(chat?.timestamp || 0, row.received_at),
+      profilePicture: chat?.profile_picture || null,
+      provider: 'sms',
+      localPhoneNumber: chat?.local_phone_number || null
+    });
+    chatStorage.storeMessage({
+      id: row.id,
+      chatId,
+      userId: row.phone_number,
+      fromMe: false,
+      type: 'text',
+      content: row.content,
+      timestamp: row.received_at,
+      status: 'received'
+    });
+
+    db.prepare('UPDATE blocked_sms SET action = ? WHERE id = ?').run('released', id);
+    pushService.broadcast(pushService.eventTypes.NEW_MESSAGE, {
+      id: row.id,
+      chatId,
+      from: row.phone_number,
+      content: row.content,
+      timestamp: row.received_at * 1000,
+      fromMe: false,
+      provider: 'sms',
+      type: 'text'
+    });
+
+    logger.info(`[BlockList] Quarantined SMS ${id} released to ${chatId}`);
+    return { id, chatId };
+  }
+
+  removeSms(id) {
+    const result = db.prepare('DELETE FROM blocked_sms WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  _formatRule(row) {
+    return {
+      id: row.id,
+      list: row.list,
+      matchType: row.match_type,
+      value: row.value,
+      appliesTo: row.applies_to,
+      category: row.category,
+      reason: row.reason,
+      hits: row.hits,
+      lastHitAt: row.last_hit_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+
+  _formatSms(row) {
+    return {
+      id: row.id,
+      phone: row.phone_number,
+      chatId: row.chat_id,
+      content: row.content,
+      source: row.source,
+      ruleId: row.rule_id,
+      action: row.action,
+      receivedAt: row.received_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new BlockListService();
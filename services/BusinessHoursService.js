@@ -0,0 +1,338 @@
+/**
+ * BusinessHoursService - Horaires d'ouverture des lignes GSM (appels entrants)
+ *
+ * - Un planning par modem: plages hebdomadaires, jours fériés / fermetures et
+ *   fuseau horaire (par défaut instance.timezone de providers.yaml)
+ * - Hors horaires, l'appel part vers la destination choisie: messagerie,
+ *   annonce, renvoi vers un numéro ou rejet
+ * - Forçage manuel ouvert / fermé (API admin et application mobile), avec expiration
+ * - Le dialplan (contextes businesshours-*) est régénéré via RingGroupService.applyDialplan()
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const configService = require('./ConfigurationService');
+const { CLOSED_ACTIONS } = require('../src/services/asterisk/constants');
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOLIDAY_PATTERN = /^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+// Destination hors horaires: format attendu de closedTarget
+const CLOSED_TARGETS = {
+  voicemail: { pattern: /^\d+(@[A-Za-z0-9_-]+)?$/, required: false, label: 'boîte vocale (2000@default)' },
+  announcement: { pattern: /^[A-Za-z0-9_/-]+$/, required: true, label: 'fichier son Asterisk (custom/ferme)' },
+  forward: { pattern: /^\+?\d{3,20}$/, required: true, label: 'numéro de renvoi' },
+  reject: { pattern: null, required: false }
+};
+
+// Lazy load to avoid circular dependencies
+let ringGroupService = null;
+
+function getRingGroupService() {
+  if (!ringGroupService) {
+    ringGroupService = require('./RingGroupService');
+  }
+  return ringGroupService;
+}
+
+function scheduleError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Date, jour et heure locaux dans un fuseau
+ * @returns {{today: string, day: string, clock: string}} YYYY-MM-DD, monday..., HH:MM
+ */
+function localTime(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    today: `${part('year')}-${part('month')}-${part('day')}`,
+    day: part('weekday').toLowerCase(),
+    clock: `${part('hour')}:${part('minute')}`
+  };
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+class BusinessHoursService {
+  getDefaultTimezone() {
+    return configService.getInstance().timezone || 'Europe/Paris';
+  }
+
+  list() {
+    const rows = db.prepare('SELECT * FROM call_schedules ORDER BY modem_id').all();
+    return rows.map(row => this._format(row));
+  }
+
+  get(modemId) {
+    const row = db.prepare('SELECT * FROM call_schedules WHERE modem_id = ?').get(modemId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Crée ou met à jour le planning d'un modem (le forçage en cours est conservé)
+   * @param {string} modemId
+   * @param {Object} params
+   * @param {string} [params.name]
+   * @param {string} [params.timezone] - null: instance.timezone
+   * @param {Array<{days?: string[], start: string, end: string}>} [params.hours] - Plages d'ouverture
+   *   (end < start: plage à cheval sur minuit) ; vide: ouvert hors fermetures
+   * @param {Array<{date: string, end?: string, name?: string}>} [params.holidays] - YYYY-MM-DD,
+   *   ou MM-DD chaque année ; end: dernier jour d'une fermeture de plusieurs jours
+   * @param {'voicemail'|'announcement'|'forward'|'reject'} [params.closedAction]
+   * @param {string} [params.closedTarget] - Boîte vocale, fichier son ou numéro selon closedAction
+   */
+  save(modemId, { name, timezone, hours, holidays, closedAction, closedTarget } = {}) {
+    const current = this.get(modemId);
+
+    const schedule = {
+      name: name !== undefined ? name : current?.name ?? null,
+      timezone: timezone !== undefined ? timezone : current?.timezone ?? null,
+      hours: hours ?? current?.hours ?? [],
+      holidays: holidays ?? current?.holidays ?? [],
+      closedAction: closedAction ?? current?.closedAction ?? 'voicemail',
+      // Cible de l'ancienne destination non reprise si la destination change
+      closedTarget: closedTarget !== undefined
+        ? closedTarget
+        : (closedAction && closedAction !== current?.closedAction ? null : current?.closedTarget ?? null)
+    };
+    this._validate(schedule);
+
+    db.prepare(`
+      INSERT INTO call_schedules (modem_id, name, timezone, hours, holidays, closed_action, closed_target)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(modem_id) DO UPDATE SET
+        name = excluded.name,
+        timezone = excluded.timezone,
+        hours = excluded.hours,
+        holidays = excluded.holidays,
+        closed_action = excluded.closed_action,
+        closed_target = excluded.closed_target,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      modemId,
+      schedule.name,
+      schedule.timezone,
+      JSON.stringify(schedule.hours),
+      JSON.stringify(schedule.holidays),
+      schedule.closedAction,
+      schedule.closedTarget
+    );
+
+    logger.info(`[BusinessHours] ${modemId} saved (closed: ${schedule.closedAction})`);
+    return this.get(modemId);
+  }
+
+  remove(modemId) {
+    const result = db.prepare('DELETE FROM call_schedules WHERE modem_id = ?').run(modemId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Force la ligne ouverte ou fermée, ou revient au planning (state null)
+   * @param {string} modemId
+   * @param {Object} params
+   * @param {'open'|'closed'|null} params.state
+   * @param {string|Date} [params.until] - Fin du forçage (sinon jusqu'à annulation)
+   * @param {Object} [params.user] - Utilisateur à l'origine du changement
+   * @returns {Promise<Object>} Statut de la ligne après régénération du dialplan
+   */
+  async setOverride(modemId, { state, until = null, user = null }) {
+    if (!this.get(modemId)) {
+      throw scheduleError(`Aucun horaire configuré pour ${modemId}`, 404);
+    }
+    if (state !== null && state !== 'open' && state !== 'closed') {
+      throw scheduleError(`Forçage invalide: ${state} (open, closed ou null)`);
+    }
+
+    let overrideUntil = null;
+    if (state && until) {
+      const date = new Date(until);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw scheduleError('until doit être une date future');
+      }
+      overrideUntil = date.toISOString();
+    }
+
+    db.prepare(`
+      UPDATE call_schedules
+      SET override = ?, override_until = ?, override_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE modem_id = ?
+    `).run(state, overrideUntil, state ? user?.id ?? null : null, modemId);
+
+    logger.info(`[BusinessHours] ${modemId} override: ${state || 'schedule'}${overrideUntil ? ` until ${overrideUntil}` : ''} (${user?.username || 'system'})`);
+
+    const dialplan = await getRingGroupService().applyDialplan();
+    const status = this.getStatus(modemId);
+    pushService.broadcast('business_hours', status);
+
+    return { ...status, dialplan };
+  }
+
+  /**
+   * Ligne ouverte ou fermée à un instant donné
+   * @returns {{modemId: string, open: boolean, reason: string, holiday?: string,
+   *   override: string|null, overrideUntil: string|null, timezone: string}}
+   */
+  getStatus(modemId, date = new Date()) {
+    const schedule = this.get(modemId);
+    if (!schedule) {
+      return { modemId, open: true, reason: 'no_schedule', override: null, overrideUntil: null, timezone: this.getDefaultTimezone() };
+    }
+
+    const timezone = schedule.timezone || this.getDefaultTimezone();
+    const base = { modemId, override: schedule.override, overrideUntil: schedule.overrideUntil, timezone };
+
+    if (schedule.override) {
+      return { ...base, open: schedule.override === 'open', reason: 'override' };
+    }
+
+    const { today } = localTime(timezone, date);
+    const holiday = schedule.holidays.find(entry => {
+      const value = entry.date.length === 5 ? today.slice(5) : today;
+      return entry.end ? value >= entry.date && value <= entry.end : value === entry.date;
+    });
+    if (holiday) {
+      return { ...base, open: false, reason: 'holiday', holiday: holiday.name || holiday.date };
+    }
+
+    if (schedule.hours.length === 0) {
+      return { ...base, open: true, reason: 'hours' };
+    }
+
+    const open = this.isWithinHours(schedule.hours, timezone, date);
+    return { ...base, open, reason: open ? 'hours' : 'outside_hours' };
+  }
+
+  /**
+   * Instant compris dans l'une des plages (même format que les plannings)
+   * Même règle que GotoIfTime: jour courant, plage éventuellement à cheval sur minuit
+   */
+  isWithinHours(hours, timezone = this.getDefaultTimezone(), date = new Date()) {
+    const { day, clock } = localTime(timezone, date);
+    return hours.some(range => {
+      if (range.days?.length && !range.days.includes(day)) return false;
+      return range.start <= range.end
+        ? clock >= range.start && clock < range.end
+        : clock >= range.start || clock < range.end;
+    });
+  }
+
+  /**
+   * Vérifie un fuseau horaire et des plages {days?, start, end}
+   * @throws {Error} status 400
+   */
+  validateHours(hours, timezone = null) {
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (e) {
+        throw scheduleError(`Fuseau horaire inconnu: ${timezone}`);
+      }
+    }
+
+    if (!Array.isArray(hours)) {
+      throw scheduleError('hours doit être une liste de plages');
+    }
+    for (const range of hours) {
+      if (!CLOCK_PATTERN.test(range?.start) || !CLOCK_PATTERN.test(range?.end) || range.start === range.end) {
+        throw scheduleError(`Plage invalide: ${JSON.stringify(range)} (HH:MM-HH:MM)`);
+      }
+      const unknown = (range.days || []).filter(day => !WEEKDAYS.includes(day));
+      if (unknown.length > 0) {
+        throw scheduleError(`Jours inconnus: ${unknown.join(', ')} (${WEEKDAYS.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Plannings au format de generateBasicDialplan (forçages expirés ignorés)
+   */
+  getDialplanSchedules() {
+    return this.list().map(schedule => ({
+      modemId: schedule.modemId,
+      name: schedule.name || schedule.modemId,
+      timezone: schedule.timezone || this.getDefaultTimezone(),
+      hours: schedule.hours,
+      holidays: schedule.holidays,
+      closedAction: schedule.closedAction,
+      closedTarget: schedule.closedTarget,
+      override: schedule.override
+        ? {
+          state: schedule.override,
+          until: schedule.overrideUntil ? Math.floor(new Date(schedule.overrideUntil).getTime() / 1000) : null
+        }
+        : null
+    }));
+  }
+
+  _validate(schedule) {
+    this.validateHours(schedule.hours, schedule.timezone);
+
+    if (!Array.isArray(schedule.holidays)) {
+      throw scheduleError('holidays doit être une liste de dates');
+    }
+    for (const holiday of schedule.holidays) {
+      if (!HOLIDAY_PATTERN.test(holiday?.date)) {
+        throw scheduleError(`Date invalide: ${holiday?.date} (YYYY-MM-DD ou MM-DD)`);
+      }
+      if (holiday.end !== undefined && holiday.end !== null
+        && (!HOLIDAY_PATTERN.test(holiday.end) || holiday.end.length !== holiday.date.length || holiday.end < holiday.date)) {
+        throw scheduleError(`Fin de fermeture invalide: ${holiday.end} (même format que date, postérieure)`);
+      }
+    }
+
+    if (!CLOSED_ACTIONS.includes(schedule.closedAction)) {
+      throw scheduleError(`Destination inconnue: ${schedule.closedAction} (${CLOSED_ACTIONS.join(', ')})`);
+    }
+    const target = CLOSED_TARGETS[schedule.closedAction];
+    if (target.required && !schedule.closedTarget) {
+      throw scheduleError(`closedTarget requis pour ${schedule.closedAction}: ${target.label}`);
+    }
+    if (target.pattern && schedule.closedTarget && !target.pattern.test(schedule.closedTarget)) {
+      throw scheduleError(`closedTarget invalide pour ${schedule.closedAction}: ${target.label}`);
+    }
+  }
+
+  _format(row) {
+    // Forçage expiré: retour au planning
+    const expired = row.override_until && new Date(row.override_until) <= new Date();
+    return {
+      modemId: row.modem_id,
+      name: row.name,
+      timezone: row.timezone,
+      hours: parseJson(row.hours, []),
+      holidays: parseJson(row.holidays, []),
+      closedAction: row.closed_action,
+      closedTarget: row.closed_target,
+      override: expired ? null : row.override,
+      overrideUntil: expired ? null : row.override_until,
+      overrideBy: expired ? null : row.override_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new BusinessHoursService();
@@ -0,0 +1,323 @@
+/**
+ * CallControlService - Contrôle des appels en cours
+ *
+ * - Les canaux actifs sont suivis par le CallTracker (src/services/asterisk/calls.js),
+ *   attaché aux événements AMI de FreePBXAmiService
+ * - Transfert aveugle (BlindTransfer) ou supervisé (Atxfer, finalisé quand
+ *   l'utilisateur raccroche) vers une extension ou un numéro externe
+ * - Attente: les deux canaux sont redirigés vers homenichat-hold (musique
+ *   d'attente pour le correspondant), puis pontés à nouveau (Bridge) à la reprise
+ * - Conférence à trois: les deux canaux rejoignent une ConfBridge
+ *   (homenichat-conference), le participant ajouté est appelé par Originate
+ * - Tableau de bord admin: canaux actifs, appels en sonnerie, occupation des
+ *   lignes GSM (line_state sur le WebSocket) et raccrochage d'un appel
+ * - Chaque changement d'état est diffusé sur le WebSocket (call_state)
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const freepbxAmi = require('./FreePBXAmiService');
+const { CallTracker } = require('../src/services/asterisk/calls');
+const {
+  CONTEXT_FROM_INTERNAL,
+  CONTEXT_CALL_HOLD,
+  CONTEXT_CONFERENCE
+} = require('../src/services/asterisk/constants');
+
+const TRANSFER_TYPES = ['blind', 'attended'];
+// Extension (2001) ou numéro (0612345678, +33612345678)
+const TARGET_PATTERN = /^\+?\d{2,20}$/;
+
+function callControlError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class CallControlService {
+  constructor() {
+    this.tracker = new CallTracker();
+    this.started = false;
+    // Dernier état diffusé par ligne GSM (busy / idle)
+    this.lineStates = new Map();
+  }
+
+  /**
+   * Attache le suivi des canaux à la connexion AMI et diffuse les changements d'état
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.tracker.attachToAmi(freepbxAmi);
+    this.tracker.on('newCall', callData => {
+      this._broadcast('new', callData);
+      this._updateLineState(callData);
+    });
+    this.tracker.on('bridged', ({ callData }) => {
+      if (callData) this._broadcast('answered', callData);
+    });
+    this.tracker.on('hangup', callData => {
+      this._broadcast('hangup', callData);
+      this._updateLineState(callData);
+    });
+    this.tracker.on('stateChanged', ({ change, call, ...details }) => this._broadcast(change, call, details));
+  }
+
+  _broadcast(change, call, details = {}) {
+    pushService.broadcast(pushService.eventTypes.CALL_STATE, {
+      change,
+      call: this.tracker.formatCall(call),
+      ...details,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Diffuse l'état de la ligne GSM d'un canal s'il a changé
+   */
+  _updateLineState(call) {
+    if (!call.trunk || !call.channel.startsWith('Quectel/')) return;
+
+    const line = this.tracker.getLineOccupancy([call.trunk]).find(entry => entry.modemId === call.trunk);
+    if (this.lineStates.get(line.modemId) === line.state) return;
+
+    this.lineStates.set(line.modemId, line.state);
+    pushService.broadcast(pushService.eventTypes.LINE_STATE, { ...line, timestamp: Date.now() });
+  }
+
+  _modemIds() {
+    try {
+      const { getModemService } = require('../src/services/modem');
+      return Object.keys(getModemService().getAllModemsConfig());
+    } catch (error) {
+      logger.warn(`[CallControl] Modems config unavailable: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Vue temps réel (admin): canaux actifs, appels en sonnerie et lignes GSM
+   */
+  getDashboard() {
+    return {
+      calls: this.tracker.getActiveCalls(),
+      ringing: this.tracker.getRingingCalls(),
+      lines: this.tracker.getLineOccupancy(this._modemIds()),
+      ami: { connected: freepbxAmi.connected, authenticated: freepbxAmi.authenticated },
+      timestamp: Date.now()
+    };
+  }
+
+  _userExtension(user) {
+    return db.getVoIPExtensionByUserId(user.id)?.extension || null;
+  }
+
+  _channelExtension(channel) {
+    return this.tracker.extractExtension(channel);
+  }
+
+  /**
+   * Appels en cours (un élément par canal); hors admin, seuls ceux de son extension
+   */
+  getActiveCalls(user) {
+    const calls = this.tracker.getActiveCalls();
+    if (user.role === 'admin') return calls;
+
+    const extension = this._userExtension(user);
+    if (!extension) return [];
+    return calls.filter(call =>
+      this._channelExtension(call.channel) === extension ||
+      this._channelExtension(call.linkedChannel) === extension
+    );
+  }
+
+  /**
+   * Résout les deux canaux d'un appel: celui de l'utilisateur (qui transfère,
+   * met en attente, invite) et son correspondant
+   * Un admin agit depuis le canal de l'extension, quel que soit celui désigné
+   */
+  _resolveLegs(callId, user) {
+    const call = this.tracker.getCallById(callId);
+    if (!call) {
+      throw callControlError('Appel introuvable', 404);
+    }
+
+    const peerUniqueId = this.tracker.callBridges.get(call.uniqueId);
+    const peer = peerUniqueId ? this.tracker.getCallByUniqueId(peerUniqueId) : null;
+    const isAdmin = user.role === 'admin';
+    const extension = isAdmin ? null : this._userExtension(user);
+    const isOwn = leg => {
+      const legExtension = this._channelExtension(leg?.channel);
+      return !!legExtension && (isAdmin || legExtension === extension);
+    };
+
+    if (isOwn(call)) return { own: call, peer };
+    if (isOwn(peer)) return { own: peer, peer: call };
+    if (isAdmin) return { own: call, peer };
+
+    throw callControlError('Appel introuvable', 404);
+  }
+
+  _validateTarget(target) {
+    if (typeof target !== 'string' || !TARGET_PATTERN.test(target)) {
+      throw callControlError('Destination invalide (extension ou numéro)');
+    }
+  }
+
+  _requirePeer(peer) {
+    if (!peer) {
+      throw callControlError('Appel non connecté', 409);
+    }
+  }
+
+  async _send(action) {
+    try {
+      return await freepbxAmi.sendActionWithResponse(action);
+    } catch (error) {
+      logger.warn(`[CallControl] ${action.Action} failed: ${error.message}`);
+      throw callControlError(error.message, freepbxAmi.authenticated ? 409 : 503);
+    }
+  }
+
+  /**
+   * Transfère le correspondant vers une extension ou un numéro
+   * @param {Object} options
+   * @param {string} options.target - Extension ou numéro
+   * @param {string} [options.type] - blind (immédiat) | attended (l'utilisateur parle
+   *   d'abord à la destination, le transfert a lieu quand il raccroche)
+   */
+  async transfer(callId, { target, type = 'blind' }, user) {
+    if (!TRANSFER_TYPES.includes(type)) {
+      throw callControlError(`Type de transfert invalide (${TRANSFER_TYPES.join(', ')})`);
+    }
+    this._validateTarget(target);
+
+    const { own, peer } = this._resolveLegs(callId, user);
+    this._requirePeer(peer);
+    if (own.held || own.conference) {
+      throw callControlError('Reprenez l\'appel avant de le transférer', 409);
+    }
+
+    await this._send({
+      Action: type === 'blind' ? 'BlindTransfer' : 'Atxfer',
+      Channel: own.channel,
+      Context: CONTEXT_FROM_INTERNAL,
+      Exten: target
+    });
+
+    logger.info(`[CallControl] ${type} transfer of ${peer.channel} to ${target} by ${user.username}`);
+    this._broadcast('transferring', own, { transferType: type, target });
+
+    return { callId: own.id, transferType: type, target };
+  }
+
+  /**
+   * Met en attente (musique d'attente pour le correspondant) ou reprend l'appel
+   */
+  async hold(callId, hold, user) {
+    const { own, peer } = this._resolveLegs(callId, user);
+    this._requirePeer(peer);
+
+    if (own.conference) {
+      throw callControlError('Appel en conférence', 409);
+    }
+    if (own.held === hold) {
+      return { callId: own.id, held: hold };
+    }
+    if (!hold && own.holdSource === 'phone') {
+      throw callControlError('Attente demandée depuis le téléphone: reprenez l\'appel sur celui-ci', 409);
+    }
+
+    if (hold) {
+      await this._send({
+        Action: 'Redirect',
+        Channel: peer.channel,
+        Context: CONTEXT_CALL_HOLD,
+        Exten: 'moh',
+        Priority: 1,
+        ExtraChannel: own.channel,
+        ExtraContext: CONTEXT_CALL_HOLD,
+        ExtraExten: 'wait',
+        ExtraPriority: 1
+      });
+    } else {
+      await this._send({
+        Action: 'Bridge',
+        Channel1: own.channel,
+        Channel2: peer.channel,
+        Tone: 'no'
+      });
+    }
+
+    this.tracker.setHold(own.uniqueId, hold, 'api');
+    logger.info(`[CallControl] ${hold ? 'Hold' : 'Unhold'} ${own.channel} <-> ${peer.channel} by ${user.username}`);
+
+    return { callId: own.id, held: hold };
+  }
+
+  /**
+   * Conférence à trois: l'appel rejoint une ConfBridge (salle = identifiant du
+   * canal de l'utilisateur) et la destination y est appelée
+   */
+  async conference(callId, target, user) {
+    this._validateTarget(target);
+
+    const { own, peer } = this._resolveLegs(callId, user);
+    const room = own.conference || String(own.uniqueId).replace(/\D/g, '');
+
+    if (!own.conference) {
+      this._requirePeer(peer);
+      await this._send({
+        Action: 'Redirect',
+        Channel: peer.channel,
+        Context: CONTEXT_CONFERENCE,
+        Exten: room,
+        Priority: 1,
+        ExtraChannel: own.channel,
+        ExtraContext: CONTEXT_CONFERENCE,
+        ExtraExten: room,
+        ExtraPriority: 1
+      });
+    }
+
+    await this._send({
+      Action: 'Originate',
+      Channel: `Local/${target}@${CONTEXT_FROM_INTERNAL}`,
+      Context: CONTEXT_CONFERENCE,
+      Exten: room,
+      Priority: 1,
+      CallerID: own.callerIdNum || '',
+      Timeout: 30000,
+      Async: 'true'
+    });
+
+    logger.info(`[CallControl] Conference ${room}: ${target} invited by ${user.username}`);
+    this._broadcast('conferenceInviting', own, { conference: room, target });
+
+    return { callId: own.id, conference: room, target };
+  }
+
+  /**
+   * Raccroche un canal (admin); le correspondant ponté est libéré par Asterisk
+   */
+  async hangup(callId, user) {
+    const call = this.tracker.getCallById(callId);
+    if (!call) {
+      throw callControlError('Appel introuvable', 404);
+    }
+
+    try {
+      await freepbxAmi.hangupCall(call.channel);
+    } catch (error) {
+      logger.warn(`[CallControl] Hangup failed: ${error.message}`);
+      throw callControlError(error.message, freepbxAmi.authenticated ? 409 : 503);
+    }
+
+    logger.info(`[CallControl] ${call.channel} hung up by ${user.username}`);
+    return { callId: call.id, channel: call.channel };
+  }
+}
+
+module.exports = new CallControlService();
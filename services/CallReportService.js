@@ -0,0 +1,421 @@
+/**
+ * CallReportService - Rapports d'appels sur une période quelconque
+ *
+ * Source: historique Homenichat (call_history) ou CDR Asterisk (asteriskcdrdb,
+ * un appel = les enregistrements d'un même linkedid). Indicateurs:
+ * - taux de décroché, temps d'attente moyen avant décroché, durée de sonnerie des manqués
+ * - carte de chaleur jour x heure des appels entrants (fuseau de l'instance)
+ * - appels décrochés par utilisateur, volume par ligne
+ * - taux de rappel des appels manqués (appel sortant vers le même numéro dans le délai)
+ *
+ * Export CSV (UTF-8 avec BOM, ouvrable dans Excel) par section ou complet.
+ */
+
+const db = require('./DatabaseService');
+const asteriskCDRService = require('./AsteriskCDRService');
+const businessHoursService = require('./BusinessHoursService');
+const { toE164 } = require('../utils/phoneNumber');
+const { toCsv } = require('../utils/csv');
+
+const REPORT_SOURCES = ['history', 'cdr'];
+const REPORT_SECTIONS = ['summary', 'heatmap', 'users', 'lines', 'callbacks'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MAX_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Disposition CDR -> statut call_history
+const CDR_STATUSES = {
+  'ANSWERED': 'answered',
+  'NO ANSWER': 'missed',
+  'BUSY': 'busy',
+  'FAILED': 'failed'
+};
+
+function reportError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function average(values) {
+  if (values.length === 0) return 0;
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Numéro comparable entre appel manqué et rappel (06..., +336..., 00336...)
+ */
+function phoneKey(number) {
+  if (!number) return null;
+  return toE164(number) || number.replace(/\D/g, '') || null;
+}
+
+class CallReportService {
+  /**
+   * Bornes d'un rapport: YYYY-MM-DD = journée entière dans le fuseau de l'instance
+   * @returns {{from: Date, to: Date}} to exclu
+   */
+  resolveRange(from, to, timezone) {
+    const start = DATE_ONLY_PATTERN.test(from) ? this._zonedMidnight(from, timezone) : new Date(from);
+    const end = DATE_ONLY_PATTERN.test(to)
+      ? this._zonedMidnight(to, timezone, 1)
+      : new Date(to);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw reportError('from / to: dates ISO 8601 attendues');
+    }
+    if (end <= start) {
+      throw reportError('to doit être postérieur à from');
+    }
+    if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+      throw reportError(`Période limitée à ${MAX_RANGE_DAYS} jours`);
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Rapport complet
+   * @param {Object} params
+   * @param {string} params.from - Début (YYYY-MM-DD ou ISO 8601)
+   * @param {string} params.to - Fin (YYYY-MM-DD inclus, ou ISO 8601 exclu)
+   * @param {'history'|'cdr'} [params.source]
+   * @param {number} [params.callbackWindowHours] - Délai pour qu'un appel sortant compte comme rappel
+   */
+  async getReport({ from, to, source = 'history', callbackWindowHours = 24 }) {
+    if (!REPORT_SOURCES.includes(source)) {
+      throw reportError(`Source inconnue: ${source} (${REPORT_SOURCES.join(', ')})`);
+    }
+
+    const timezone = businessHoursService.getDefaultTimezone();
+    const range = this.resolveRange(from, to, timezone);
+    const callbackWindow = callbackWindowHours * 60 * 60;
+
+    // Les rappels d'un appel manqué en fin de période peuvent suivre la période
+    const loadTo = new Date(range.to.getTime() + callbackWindow * 1000);
+    const loaded = source === 'cdr'
+      ? await this._loadCdr(range.from, loadTo)
+      : this._loadHistory(range.from, loadTo);
+
+    const until = Math.floor(range.to.getTime() / 1000);
+    const calls = loaded.filter(call => call.startTime < until);
+
+    return {
+      period: {
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        timezone,
+        source
+      },
+      summary: this._summary(calls),
+      heatmap: this._heatmap(calls, timezone),
+      users: this._users(calls),
+      lines: this._lines(calls),
+      callbacks: this._callbacks(calls, loaded, callbackWindow)
+    };
+  }
+
+  /**
+   * Rapport en CSV: une section, ou toutes séparées par une ligne vide
+   * @param {Object} report - Résultat de getReport
+   * @param {string} [section] - summary | heatmap | users | lines | callbacks
+   */
+  toCsv(report, section = null) {
+    if (section && !REPORT_SECTIONS.includes(section)) {
+      throw reportError(`Section inconnue: ${section} (${REPORT_SECTIONS.join(', ')})`);
+    }
+
+    const tables = {
+      summary: () => [
+        ['Indicateur', 'Valeur'],
+        ['Début', report.period.from],
+        ['Fin', report.period.to],
+        ['Source', report.period.source],
+        ...Object.entries(report.summary)
+      ],
+      heatmap: () => [
+        ['Jour', ...report.heatmap.hours.map(hour => `${String(hour).padStart(2, '0')}h`), 'Total'],
+        ...report.heatmap.days.map((day, index) => [
+          day,
+          ...report.heatmap.incoming[index],
+          report.heatmap.incoming[index].reduce((sum, value) => sum + value, 0)
+        ])
+      ],
+      users: () => [
+        ['Utilisateur', 'Extension', 'Décrochés', 'Durée totale (s)', 'Durée moyenne (s)', 'Attente moyenne (s)'],
+        ...report.users.map(user => [
+          user.username, user.extension, user.answered, user.talkTime, user.avgTalkTime, user.avgWaitTime
+        ])
+      ],
+      lines: () => [
+        ['Ligne', 'Total', 'Entrants', 'Sortants', 'Décrochés', 'Manqués', 'Taux de décroché (%)'],
+        ...report.lines.map(line => [
+          line.line, line.total, line.incoming, line.outgoing, line.answered, line.missed, line.answerRate
+        ])
+      ],
+      callbacks: () => [
+        ['Indicateur', 'Valeur'],
+        ...Object.entries(report.callbacks)
+      ]
+    };
+
+    const sections = section ? [section] : REPORT_SECTIONS;
+    const rows = [];
+    sections.forEach((name, index) => {
+      if (index > 0) rows.push([]);
+      if (!section) rows.push([`# ${name}`]);
+      rows.push(...tables[name]());
+    });
+
+    return toCsv(rows);
+  }
+
+  // --- Sources ---
+
+  _loadHistory(from, to) {
+    const rows = db.prepare(`
+      SELECT * FROM call_history
+      WHERE start_time >= ? AND start_time < ?
+      ORDER BY start_time ASC
+    `).all(Math.floor(from.getTime() / 1000), Math.floor(to.getTime() / 1000));
+
+    return rows.map(row => {
+      const answered = row.status === 'answered';
+      return {
+        startTime: row.start_time,
+        direction: row.direction,
+        status: row.status,
+        answered,
+        waitTime: answered && row.answer_time ? Math.max(0, row.answer_time - row.start_time) : null,
+        ringTime: !answered && row.end_time ? Math.max(0, row.end_time - row.start_time) : null,
+        talkTime: answered ? row.duration || 0 : 0,
+        line: row.line_name || null,
+        username: row.answered_by_username || null,
+        extension: row.answered_by_extension || null,
+        number: row.direction === 'outgoing' ? row.called_number : row.caller_number
+      };
+    });
+  }
+
+  async _loadCdr(from, to) {
+    let result;
+    try {
+      result = await asteriskCDRService.getReportRecords({ from, to });
+    } catch (error) {
+      throw reportError(`CDR Asterisk indisponible: ${error.message}`, 503);
+    }
+
+    // Indicateurs faux sur une partie des appels: réduire la période
+    if (result.truncated) {
+      throw reportError(`Trop d'enregistrements CDR sur cette période (plus de ${result.records.length}): réduisez la plage de dates (from / to)`, 422);
+    }
+    const { records } = result;
+
+    const usernames = new Map(db.getAllVoIPExtensions().map(ext => [ext.extension, ext.username]));
+
+    // Un appel = les legs d'un même linkedid (sonnerie de plusieurs postes)
+    const groups = new Map();
+    for (const record of records) {
+      const key = record.linkedid || record.uniqueid;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+
+    return Array.from(groups.values()).map(legs => {
+      const first = legs[0];
+      const answeredLeg = legs.find(leg => leg.disposition === 'ANSWERED');
+      const direction = first.direction === 'outbound' ? 'outgoing' : first.direction === 'inbound' ? 'incoming' : 'internal';
+      const startTime = Math.floor(new Date(first.calldate).getTime() / 1000);
+      const extension = answeredLeg?.answered_by_extension || null;
+
+      return {
+        startTime,
+        direction,
+        status: answeredLeg ? 'answered' : CDR_STATUSES[first.disposition] || 'failed',
+        answered: !!answeredLeg,
+        waitTime: answeredLeg ? answeredLeg.ring_time : null,
+        ringTime: answeredLeg ? null : Math.max(...legs.map(leg => leg.duration)),
+        talkTime: answeredLeg ? answeredLeg.billsec : 0,
+        line: legs.map(leg => leg.trunk).find(Boolean) || null,
+        username: extension ? usernames.get(extension) || null : null,
+        extension,
+        number: direction === 'outgoing' ? first.dst : first.src
+      };
+    });
+  }
+
+  // --- Indicateurs ---
+
+  _summary(calls) {
+    const counted = calls.filter(call => call.status !== 'blocked');
+    const incoming = counted.filter(call => call.direction === 'incoming');
+    const answeredIncoming = incoming.filter(call => call.answered);
+    const missedIncoming = incoming.filter(call => !call.answered);
+    const answered = counted.filter(call => call.answered);
+
+    return {
+      total: counted.length,
+      incoming: incoming.length,
+      outgoing: counted.filter(call => call.direction === 'outgoing').length,
+      answered: answeredIncoming.length,
+      missed: missedIncoming.length,
+      blocked: calls.length - counted.length,
+      answerRate: rate(answeredIncoming.length, incoming.length),
+      avgWaitTime: average(answeredIncoming.map(call => call.waitTime).filter(value => value !== null)),
+      avgMissedRingTime: average(missedIncoming.map(call => call.ringTime).filter(value => value !== null)),
+      avgTalkTime: average(answered.map(call => call.talkTime)),
+      totalTalkTime: answered.reduce((sum, call) => sum + call.talkTime, 0)
+    };
+  }
+
+  /**
+   * Appels entrants par jour de la semaine (lundi d'abord) et heure locale
+   */
+  _heatmap(calls, timezone) {
+    const incoming = WEEKDAYS.map(() => new Array(24).fill(0));
+    const missed = WEEKDAYS.map(() => new Array(24).fill(0));
+    const format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    for (const call of calls) {
+      if (call.direction !== 'incoming' || call.status === 'blocked') continue;
+      const parts = format.formatToParts(new Date(call.startTime * 1000));
+      const day = WEEKDAYS.indexOf(parts.find(p => p.type === 'weekday').value.toLowerCase());
+      const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+      incoming[day][hour]++;
+      if (!call.answered) missed[day][hour]++;
+    }
+
+    const busiest = [];
+    incoming.forEach((hours, day) => hours.forEach((count, hour) => {
+      if (count > 0) busiest.push({ day: WEEKDAYS[day], hour, calls: count, missed: missed[day][hour] });
+    }));
+    busiest.sort((a, b) => b.calls - a.calls || b.missed - a.missed);
+
+    return {
+      days: WEEKDAYS,
+      hours: Array.from({ length: 24 }, (_, hour) => hour),
+      incoming,
+      missed,
+      busiest: busiest.slice(0, 10)
+    };
+  }
+
+  _users(calls) {
+    const users = new Map();
+    for (const call of calls) {
+      if (!call.answered || call.direction !== 'incoming' || (!call.username && !call.extension)) continue;
+
+      const key = call.username || call.extension;
+      if (!users.has(key)) {
+        users.set(key, { username: call.username, extension: call.extension, calls: [] });
+      }
+      users.get(key).calls.push(call);
+    }
+
+    return Array.from(users.values())
+      .map(({ username, extension, calls: answered }) => ({
+        username,
+        extension,
+        answered: answered.length,
+        talkTime: answered.reduce((sum, call) => sum + call.talkTime, 0),
+        avgTalkTime: average(answered.map(call => call.talkTime)),
+        avgWaitTime: average(answered.map(call => call.waitTime).filter(value => value !== null))
+      }))
+      .sort((a, b) => b.answered - a.answered);
+  }
+
+  _lines(calls) {
+    const lines = new Map();
+    for (const call of calls) {
+      if (call.status === 'blocked') continue;
+
+      const key = call.line || 'direct';
+      if (!lines.has(key)) {
+        lines.set(key, { line: key, total: 0, incoming: 0, outgoing: 0, answered: 0, missed: 0 });
+      }
+      const line = lines.get(key);
+      line.total++;
+      if (call.direction === 'incoming') {
+        line.incoming++;
+        if (call.answered) line.answered++;
+        else line.missed++;
+      } else if (call.direction === 'outgoing') {
+        line.outgoing++;
+      }
+    }
+
+    return Array.from(lines.values())
+      .map(line => ({ ...line, answerRate: rate(line.answered, line.incoming) }))
+      .sort((a, b) => b.total - a.total);
+  }
+
+  /**
+   * Appels manqués suivis d'un appel sortant vers le même numéro dans le délai
+   * @param {Array} calls - Appels de la période
+   * @param {Array} loaded - Appels de la période et du délai de rappel qui la suit
+   */
+  _callbacks(calls, loaded, callbackWindow) {
+    const outgoing = new Map();
+    for (const call of loaded) {
+      if (call.direction !== 'outgoing') continue;
+      const key = phoneKey(call.number);
+      if (!key) continue;
+      if (!outgoing.has(key)) outgoing.set(key, []);
+      outgoing.get(key).push(call.startTime);
+    }
+
+    const missed = calls.filter(call =>
+      call.direction === 'incoming' && !call.answered && call.status !== 'blocked' && phoneKey(call.number)
+    );
+    const delays = [];
+    for (const call of missed) {
+      const callback = (outgoing.get(phoneKey(call.number)) || [])
+        .find(time => time > call.startTime && time <= call.startTime + callbackWindow);
+      if (callback) delays.push(callback - call.startTime);
+    }
+
+    return {
+      windowHours: callbackWindow / 3600,
+      missed: missed.length,
+      calledBack: delays.length,
+      callbackRate: rate(delays.length, missed.length),
+      avgCallbackDelay: average(delays)
+    };
+  }
+
+  /**
+   * Minuit (UTC) d'une date locale YYYY-MM-DD dans un fuseau, décalée de dayOffset jours
+   */
+  _zonedMidnight(date, timezone, dayOffset = 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    const guess = Date.UTC(year, month - 1, day + dayOffset);
+    if (Number.isNaN(guess)) return new Date(NaN);
+
+    // Décalage du fuseau à cet instant (heure d'été comprise)
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(guess));
+    const part = type => parseInt(parts.find(p => p.type === type).value, 10);
+    const local = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+
+    return new Date(guess - (local - guess));
+  }
+}
+
+// Export singleton
+module.exports = new CallReportService();
@@ -1,5 +1,7 @@
 const db = require('./DatabaseService');
 const logger = require('../utils/logger'); // Use shared logger
+const contactService = require('./ContactService');
+const { parseVCard } = require('../utils/contactFormats');
 
 /**
  * Map Baileys numeric status to string status
@@ -25,6 +27,107 @@ function mapMessageStatus(status) {
   }
 }
 
+/**
+ * Convertit une saisie utilisateur en requête FTS5 sûre
+ * Chaque mot devient une phrase entre guillemets (pas d'opérateurs injectés),
+ * le dernier mot est cherché en préfixe pour la recherche "as you type"
+ */
+function buildFtsQuery(text) {
+  const terms = String(text || '')
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, '').trim())
+    .filter(Boolean);
+
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((term, index) => index === terms.length - 1 ? `"${term}"*` : `"${term}"`)
+    .join(' ');
+}
+
+/**
+ * ID du message cité: champ normalisé (route, Meta) ou contextInfo Baileys
+ */
+function getQuotedMessageId(messageData) {
+  if (messageData.quotedMessageId || messageData.replyTo) {
+    return messageData.quotedMessageId || messageData.replyTo;
+  }
+  for (const part of Object.values(messageData.message || {})) {
+    if (part?.contextInfo?.stanzaId) return part.contextInfo.stanzaId;
+  }
+  return null;
+}
+
+/**
+ * Fiche contact reçue via Meta Cloud API (messages[].contacts[])
+ * convertie au format ContactService
+ */
+function fromMetaContact(contact) {
+  return {
+    displayName: contact.name?.formatted_name,
+    firstName: contact.name?.first_name,
+    lastName: contact.name?.last_name,
+    company: contact.org?.company,
+    phones: (contact.phones || []).map(phone => ({
+      value: phone.phone || phone.wa_id,
+      label: phone.type === 'CELL' ? 'mobile' : phone.type?.toLowerCase()
+    })),
+    emails: (contact.emails || []).map(email => ({
+      value: email.email,
+      label: email.type?.toLowerCase()
+    }))
+  };
+}
+
+function describeContacts(contacts) {
+  return {
+    type: 'contact',
+    text: '👤 ' + (contacts.length > 1 ? `${contacts.length} contacts` : contacts[0]?.displayName || 'Contact'),
+    contacts
+  };
+}
+
+function describeLocation(location) {
+  return {
+    type: 'location',
+    text: '📍 ' + (location.name || location.address || 'Position'),
+    location
+  };
+}
+
+/**
+ * Décompte des votes d'un sondage
+ * @param {Object} poll - { name, options: string[], selectableCount }
+ * @param {Object} votes - { [votant]: { options: string[], timestamp } }
+ */
+function tallyPoll(poll, votes = {}) {
+  return {
+    name: poll.name,
+    selectableCount: poll.selectableCount,
+    options: poll.options.map(name => {
+      const voters = Object.keys(votes).filter(voter => votes[voter].options.includes(name));
+      return { name, votes: voters.length, voters };
+    })
+  };
+}
+
+// Un message modifié ou supprimé pour tous garde son contenu et ses dates
+// si le provider le renvoie (resynchronisation de l'historique)
+const UPSERT_MESSAGE_SQL = `
+  INSERT OR REPLACE INTO messages
+  (id, chat_id, sender_id, from_me, type, content, timestamp, status, media_url, raw_data,
+   quoted_message_id, edited_at, deleted_at, poll_votes)
+  VALUES(@id, @chatId, @senderId, @fromMe, @type,
+    COALESCE((SELECT content FROM messages WHERE id = @id AND (edited_at IS NOT NULL OR deleted_at IS NOT NULL)), @content),
+    @timestamp, @status,
+    CASE WHEN (SELECT deleted_at FROM messages WHERE id = @id) IS NULL THEN @mediaUrl END,
+    CASE WHEN (SELECT deleted_at FROM messages WHERE id = @id) IS NULL THEN @rawData END,
+    COALESCE(@quotedMessageId, (SELECT quoted_message_id FROM messages WHERE id = @id)),
+    (SELECT edited_at FROM messages WHERE id = @id),
+    (SELECT deleted_at FROM messages WHERE id = @id),
+    (SELECT poll_votes FROM messages WHERE id = @id))
+`;
+
 /**
  * Service de stockage des conversations utilisant DatabaseService (SQLite)
  * Centralise la gestion des chats et messages pour tous les providers
@@ -73,7 +176,9 @@ class ChatStorageServicePersistent {
    */
   getChats() {
     try {
-      return db.prepare('SELECT * FROM chats ORDER BY timestamp DESC').all();
+      const chats = db.prepare('SELECT * FROM chats ORDER BY timestamp DESC').all();
+      // Afficher le nom du carnet de contacts plutôt que le numéro brut
+      return contactService.applyToChats(chats);
     } catch (error) {
       logger.error('Error getting chats:', error);
       return [];
@@ -116,6 +221,18 @@ class ChatStorageServicePersistent {
     }
   }
 
+  /**
+   * Renomme une conversation sans condition (sujet d'un groupe modifié)
+   */
+  setChatName(chatId, name) {
+    if (!chatId || !name) return;
+    try {
+      db.prepare('UPDATE chats SET name = ? WHERE id = ?').run(name, chatId);
+    } catch (error) {
+      logger.error('Error setting chat name:', error);
+    }
+  }
+
   /**
    * Vérifie si un message existe déjà
    */
@@ -134,11 +251,7 @@ class ChatStorageServicePersistent {
    */
   storeMessage(messageData) {
     try {
-      const stmt = db.prepare(`
-        INSERT OR REPLACE INTO messages
-        (id, chat_id, sender_id, from_me, type, content, timestamp, status, media_url, raw_data)
-      VALUES(@id, @chatId, @senderId, @fromMe, @type, @content, @timestamp, @status, @mediaUrl, @rawData)
-      `);
+      const stmt = db.prepare(UPSERT_MESSAGE_SQL);
 
       stmt.run({
         id: messageData.id,
@@ -150,10 +263,10 @@ class ChatStorageServicePersistent {
         timestamp: messageData.timestamp,
         status: mapMessageStatus(messageData.status) || 'received',
         mediaUrl: messageData.mediaUrl || null,
-        rawData: JSON.stringify(messageData)
+        rawData: JSON.stringify(messageData),
+        quotedMessageId: getQuotedMessageId(messageData)
       });
 
-
       // Invalider le cache
       this.messageCache.delete(messageData.chatId);
     } catch (error) {
@@ -162,6 +275,64 @@ class ChatStorageServicePersistent {
     }
   }
 
+  /**
+   * Décrit un message enrichi (position, fiche contact, sondage, sticker),
+   * au format Baileys ou Meta normalisé
+   * @returns {Object|null} - { type, text, location?, contacts?, poll? }
+   */
+  describeRichMessage(messageData) {
+    const message = messageData.message || {};
+
+    const location = message.locationMessage || message.liveLocationMessage;
+    if (location) {
+      return describeLocation({
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || undefined,
+        address: location.address || undefined
+      });
+    }
+
+    const cards = message.contactsArrayMessage?.contacts || (message.contactMessage && [message.contactMessage]);
+    if (cards) {
+      return describeContacts(cards.map(card => {
+        const [entry] = parseVCard(card.vcard || '');
+        return { phones: [], emails: [], ...entry, displayName: entry?.displayName || card.displayName };
+      }));
+    }
+
+    const poll = message.pollCreationMessage || message.pollCreationMessageV2 || message.pollCreationMessageV3;
+    if (poll) {
+      return {
+        type: 'poll',
+        text: '📊 ' + poll.name,
+        poll: {
+          name: poll.name,
+          options: (poll.options || []).map(option => option.optionName),
+          selectableCount: poll.selectableOptionsCount || 0 // 0 = pas de limite
+        }
+      };
+    }
+
+    if (message.stickerMessage) {
+      return { type: 'sticker', text: '🏷️ Sticker' };
+    }
+
+    // Format Meta normalisé (webhook ou message envoyé)
+    if (messageData.type === 'location' && messageData.media?.latitude !== undefined) {
+      const { latitude, longitude, name, address } = messageData.media;
+      return describeLocation({ latitude, longitude, name, address });
+    }
+    if (messageData.type === 'contact' && Array.isArray(messageData.media)) {
+      return describeContacts(messageData.media.map(fromMetaContact));
+    }
+    if (messageData.type === 'sticker') {
+      return { type: 'sticker', text: '🏷️ Sticker' };
+    }
+
+    return null;
+  }
+
   /**
    * Traite un message entrant (Webhook) et met à jour la DB
    */
@@ -172,8 +343,13 @@ class ChatStorageServicePersistent {
 
     // Normalisation Texte
     let messageText = '';
+    const rich = this.describeRichMessage(messageData);
+    // Position, fiche contact, sondage, sticker (Baileys ou Meta)
+    if (rich) {
+      messageText = rich.text;
+    }
     // Format Meta (normalisé)
-    if (messageData.content) {
+    else if (messageData.content) {
       messageText = messageData.content;
       if (messageData.type === 'image' && !messageText) messageText = '📷 Photo';
       else if (messageData.type === 'video' && !messageText) messageText = '🎥 Vidéo';
@@ -235,9 +411,13 @@ class ChatStorageServicePersistent {
       timestamp: timestamp,
       fromMe: messageData.fromMe || messageData.key?.fromMe || false,
       status: mapMessageStatus(messageData.status) || 'received',
-      type: messageData.type || 'text',
+      type: rich?.type || messageData.type || 'text',
       userId: messageData.participant || chatId, // Pour les groupes
       mediaUrl: messageData.media?.localUrl || messageData.mediaUrl || null,
+      quotedMessageId: getQuotedMessageId(messageData),
+      location: rich?.location,
+      contacts: rich?.contacts,
+      poll: rich?.poll,
       // Préserver les données originales Baileys pour le téléchargement média ultérieur
       key: messageData.key,
       message: messageData.message,
@@ -278,6 +458,77 @@ class ChatStorageServicePersistent {
     }
   }
 
+  /**
+   * Applique une modification de texte (message édité par son auteur)
+   * @param {string} chatId - Chat du message (un ID d'un autre chat ne correspond pas)
+   * @returns {Object|null} - { chatId, messageId, action, text, editedAt },
+   *   null si le message est inconnu, supprimé ou déjà à jour
+   */
+  editMessage(chatId, messageId, text, editedAt = Math.floor(Date.now() / 1000)) {
+    try {
+      const result = db.prepare(`
+        UPDATE messages SET content = ?, edited_at = ?
+        WHERE id = ? AND chat_id = ? AND deleted_at IS NULL AND content IS NOT ?
+      `).run(text, editedAt, messageId, chatId, text);
+      if (result.changes === 0) return null;
+
+      this.messageCache.clear();
+      return { chatId, messageId, action: 'edit', text, editedAt };
+    } catch (error) {
+      logger.error('Error editing message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Marque un message comme supprimé pour tous: le contenu et le média sont effacés
+   * @param {string} chatId - Chat du message (un ID d'un autre chat ne correspond pas)
+   * @returns {Object|null} - { chatId, messageId, action, deletedAt },
+   *   null si le message est inconnu ou déjà supprimé
+   */
+  markMessageDeleted(chatId, messageId, deletedAt = Math.floor(Date.now() / 1000)) {
+    try {
+      const result = db.prepare(`
+        UPDATE messages SET content = '', media_url = NULL, raw_data = NULL, deleted_at = ?
+        WHERE id = ? AND chat_id = ? AND deleted_at IS NULL
+      `).run(deletedAt, messageId, chatId);
+      if (result.changes === 0) return null;
+
+      this.messageCache.clear();
+      return { chatId, messageId, action: 'delete', deletedAt };
+    } catch (error) {
+      logger.error('Error deleting message:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Enregistre des votes de sondage: seul le vote le plus récent de chaque participant compte
+   * @param {string} messageId - ID du message sondage
+   * @param {Array<{voter: string, options: string[], timestamp: number}>} votes
+   * @returns {Object|null} - { chatId, messageId, action, poll }, null si le sondage est inconnu
+   */
+  savePollVotes(messageId, votes) {
+    try {
+      const row = db.prepare('SELECT chat_id, raw_data, poll_votes FROM messages WHERE id = ?').get(messageId);
+      const poll = row?.raw_data ? JSON.parse(row.raw_data).poll : null;
+      if (!poll) return null;
+
+      const current = row.poll_votes ? JSON.parse(row.poll_votes) : {};
+      for (const { voter, options, timestamp } of votes) {
+        if (current[voter] && current[voter].timestamp > timestamp) continue;
+        current[voter] = { options, timestamp };
+      }
+
+      db.prepare('UPDATE messages SET poll_votes = ? WHERE id = ?').run(JSON.stringify(current), messageId);
+      this.messageCache.clear();
+      return { chatId: row.chat_id, messageId, action: 'poll', poll: tallyPoll(poll, current) };
+    } catch (error) {
+      logger.error('Error saving poll votes:', error);
+      return null;
+    }
+  }
+
   /**
    * Récupère les messages d'une conversation
    */
@@ -319,8 +570,9 @@ class ChatStorageServicePersistent {
           else if (msg.content.startsWith('🎵')) actualType = 'audio';
           else if (msg.content.startsWith('📄')) actualType = 'document';
         }
+        if (msg.deleted_at) actualType = 'deleted';
         // Aussi détecter via raw_data si disponible
-        if (rawData?.message) {
+        else if (rawData?.message) {
           if (rawData.message.imageMessage) actualType = 'image';
           else if (rawData.message.videoMessage) actualType = 'video';
           else if (rawData.message.audioMessage) actualType = 'audio';
@@ -364,8 +616,20 @@ class ChatStorageServicePersistent {
             mimetype: rawData?.message?.documentMessage?.mimetype,
             hasMedia: true
           };
+        } else if (actualType === 'sticker') {
+          messageObj.stickerMessage = {
+            localMediaId: msg.media_url?.split('/').pop(),
+            mimetype: rawData?.message?.stickerMessage?.mimetype || 'image/webp',
+            hasMedia: true
+          };
         }
 
+        // Position, fiches contact et sondage (avec le décompte des votes)
+        const rich = {};
+        if (rawData?.location) rich.location = rawData.location;
+        if (rawData?.contacts) rich.contacts = rawData.contacts;
+        if (rawData?.poll) rich.poll = tallyPoll(rawData.poll, msg.poll_votes ? JSON.parse(msg.poll_votes) : {});
+
         return {
           id: msg.id,
           key: {
@@ -378,7 +642,11 @@ class ChatStorageServicePersistent {
           pushName: '',
           status: mapMessageStatus(msg.status),
           type: actualType,
-          media: msg.media_url ? { url: msg.media_url, localUrl: msg.media_url } : null
+          media: msg.media_url ? { url: msg.media_url, localUrl: msg.media_url } : null,
+          quotedMessageId: msg.quoted_message_id || null,
+          editedAt: msg.edited_at || null,
+          deleted: !!msg.deleted_at,
+          ...rich
         };
       });
 
@@ -416,7 +684,10 @@ class ChatStorageServicePersistent {
         timestamp: row.timestamp,
         status: row.status,
         mediaUrl: row.media_url,
-        rawData: row.raw_data ? JSON.parse(row.raw_data) : null
+        rawData: row.raw_data ? JSON.parse(row.raw_data) : null,
+        quotedMessageId: row.quoted_message_id || null,
+        editedAt: row.edited_at || null,
+        deletedAt: row.deleted_at || null
       };
     } catch (error) {
       logger.error('Error getting message by ID:', error);
@@ -424,6 +695,96 @@ class ChatStorageServicePersistent {
     }
   }
 
+  /**
+   * Recherche plein texte dans tous les messages (WhatsApp et SMS)
+   * S'appuie sur l'index FTS5 messages_fts maintenu par triggers
+   * @param {Object} params
+   * @param {string} params.query - Texte recherché
+   * @param {string} [params.provider] - Filtre sur chats.provider ('whatsapp', 'sms', ...)
+   * @param {string} [params.chatId] - Filtre sur une conversation
+   * @param {string} [params.senderId] - Filtre sur l'expéditeur
+   * @param {number} [params.after] - Timestamp Unix (secondes) minimum
+   * @param {number} [params.before] - Timestamp Unix (secondes) maximum
+   * @param {string} [params.mediaType] - Filtre sur messages.type ('text', 'image', ...)
+   * @param {number} [params.limit=20]
+   * @param {number} [params.offset=0]
+   * @returns {{ total: number, results: Array }}
+   */
+  searchMessages({ query, provider, chatId, senderId, after, before, mediaType, limit = 20, offset = 0 } = {}) {
+    const ftsQuery = buildFtsQuery(query);
+    if (!ftsQuery) {
+      return { total: 0, results: [] };
+    }
+
+    let where = 'messages_fts MATCH ?';
+    const params = [ftsQuery];
+
+    if (provider) {
+      where += ' AND c.provider = ?';
+      params.push(provider);
+    }
+    if (chatId) {
+      where += ' AND m.chat_id = ?';
+      params.push(chatId);
+    }
+    if (senderId) {
+      where += ' AND m.sender_id = ?';
+      params.push(senderId);
+    }
+    if (after) {
+      where += ' AND m.timestamp >= ?';
+      params.push(after);
+    }
+    if (before) {
+      where += ' AND m.timestamp <= ?';
+      params.push(before);
+    }
+    if (mediaType) {
+      where += ' AND m.type = ?';
+      params.push(mediaType);
+    }
+
+    const from = `
+      FROM messages_fts
+      JOIN messages m ON m.rowid = messages_fts.rowid
+      LEFT JOIN chats c ON c.id = m.chat_id
+      WHERE ${where}
+    `;
+
+    try {
+      const countRow = db.prepare(`SELECT COUNT(*) as count ${from}`).get(...params);
+
+      const rows = db.prepare(`
+        SELECT m.id, m.chat_id, m.sender_id, m.from_me, m.type, m.timestamp, m.status, m.media_url,
+          c.name as chat_name, c.provider,
+          snippet(messages_fts, 0, '<mark>', '</mark>', '…', 12) as snippet
+        ${from}
+        ORDER BY bm25(messages_fts), m.timestamp DESC
+        LIMIT ? OFFSET ?
+      `).all(...params, limit, offset);
+
+      return {
+        total: countRow ? countRow.count : 0,
+        results: rows.map(row => ({
+          id: row.id,
+          chatId: row.chat_id,
+          chatName: row.chat_name,
+          provider: row.provider,
+          senderId: row.sender_id,
+          fromMe: row.from_me === 1,
+          type: row.type,
+          timestamp: row.timestamp * 1000,
+          status: mapMessageStatus(row.status),
+          mediaUrl: row.media_url,
+          snippet: row.snippet
+        }))
+      };
+    } catch (error) {
+      logger.error('Error searching messages:', error);
+      throw error;
+    }
+  }
+
   /**
    * Traite un batch de messages en une seule transaction (plus rapide pour l'historique)
    */
@@ -434,7 +795,10 @@ class ChatStorageServicePersistent {
       if (!chatId) return null;
 
       let messageText = '';
-      if (messageData.content) {
+      const rich = this.describeRichMessage(messageData);
+      if (rich) {
+        messageText = rich.text;
+      } else if (messageData.content) {
         messageText = messageData.content;
       } else if (messageData.message?.conversation) {
         messageText = messageData.message.conversation;
@@ -475,21 +839,18 @@ class ChatStorageServicePersistent {
       });
 
       // Upsert message
-      db.prepare(`
-        INSERT OR REPLACE INTO messages
-        (id, chat_id, sender_id, from_me, type, content, timestamp, status, media_url, raw_data)
-        VALUES(@id, @chatId, @senderId, @fromMe, @type, @content, @timestamp, @status, @mediaUrl, @rawData)
-      `).run({
+      db.prepare(UPSERT_MESSAGE_SQL).run({
         id: messageData.id || messageData.key?.id || `msg_${Date.now()}`,
         chatId: chatId,
         senderId: messageData.participant || chatId,
         fromMe: (messageData.fromMe || messageData.key?.fromMe) ? 1 : 0,
-        type: messageData.type || 'text',
+        type: rich?.type || messageData.type || 'text',
         content: messageText,
         timestamp: timestamp,
         status: mapMessageStatus(messageData.status) || 'received',
         mediaUrl: messageData.media?.localUrl || messageData.mediaUrl || null,
-        rawData: JSON.stringify(messageData)
+        rawData: JSON.stringify({ ...messageData, location: rich?.location, contacts: rich?.contacts, poll: rich?.poll }),
+        quotedMessageId: getQuotedMessageId(messageData)
       });
 
       return chatId;
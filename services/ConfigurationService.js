@@ -436,6 +436,21 @@ class ConfigurationService {
     return this.config?.compliance?.[type]?.[country] || null;
   }
 
+  /**
+   * Retourne le routage SMS: { rules, fallback }
+   * (accepte l'ancien format, une liste de règles directement sous routing.sms)
+   */
+  getSmsRouting() {
+    const routing = this.config?.routing?.sms;
+    if (Array.isArray(routing)) {
+      return { rules: routing, fallback: null };
+    }
+    return {
+      rules: routing?.rules || [],
+      fallback: routing?.fallback || null
+    };
+  }
+
   // ==================== Setters ====================
 
   /**
@@ -497,6 +512,19 @@ class ConfigurationService {
     return removed;
   }
 
+  /**
+   * Remplace le routage SMS (règles et chaîne par défaut)
+   */
+  async setSmsRouting({ rules, fallback = null }) {
+    if (!this.config.routing) {
+      this.config.routing = {};
+    }
+
+    this.config.routing.sms = fallback ? { rules, fallback } : { rules };
+    await this.save();
+    return this.getSmsRouting();
+  }
+
   /**
    * Active/désactive un provider
    */
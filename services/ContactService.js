@@ -0,0 +1,743 @@
+/**
+ * ContactService - Carnet de contacts unifié
+ *
+ * Une fiche contact regroupe toutes les identités d'une même personne:
+ * - numéros de téléphone (normalisés E.164)
+ * - adresses email
+ * - JIDs WhatsApp (dont les JIDs @lid qui ne contiennent pas le numéro)
+ *
+ * Le rapprochement entre canaux se fait sur ces identités normalisées:
+ * un JID 33612345678@s.whatsapp.net, une conversation SMS sms_+33612345678
+ * et un appel de 0612345678 pointent tous vers la même fiche.
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const { toE164 } = require('../utils/phoneNumber');
+
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY || 'FR';
+
+// Domaines WhatsApp correspondant à une personne (les groupes/broadcasts sont ignorés)
+const WHATSAPP_USER_DOMAINS = ['s.whatsapp.net', 'c.us', 'lid'];
+const WHATSAPP_OTHER_DOMAINS = ['g.us', 'broadcast', 'newsletter'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const IDENTITY_TYPES = {
+  phones: 'phone',
+  emails: 'email',
+  whatsapp: 'whatsapp'
+};
+
+/**
+ * Erreur métier avec code HTTP associé
+ */
+function contactError(message, status, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Normalise un JID WhatsApp (suppression du suffixe d'appareil, c.us -> s.whatsapp.net)
+ * @returns {string|null}
+ */
+function normalizeJid(jid) {
+  if (!jid || typeof jid !== 'string') return null;
+  const [user, domain] = jid.trim().toLowerCase().split('@');
+  if (!user) return null;
+  if (!domain) {
+    // Numéro seul: JID utilisateur standard
+    const digits = user.replace(/\D/g, '');
+    return digits ? `${digits}@s.whatsapp.net` : null;
+  }
+  if (!WHATSAPP_USER_DOMAINS.includes(domain)) return null;
+  const cleanUser = user.split(':')[0];
+  return `${cleanUser}@${domain === 'c.us' ? 's.whatsapp.net' : domain}`;
+}
+
+/**
+ * Variantes d'écriture d'un numéro E.164 telles qu'elles apparaissent
+ * dans call_history (format national, sans '+', préfixe 00)
+ */
+function phoneVariants(e164) {
+  const digits = e164.substring(1);
+  const variants = [e164, digits, `00${digits}`];
+  const national = { '33': 2, '32': 2, '41': 2 };
+  for (const [prefix, length] of Object.entries(national)) {
+    if (digits.startsWith(prefix)) {
+      variants.push('0' + digits.substring(length));
+    }
+  }
+  return variants;
+}
+
+class ContactService {
+  constructor() {
+    // Index "type:normalized" -> { id, displayName }, reconstruit après chaque écriture
+    this.nameIndex = null;
+  }
+
+  // --- Normalisation ---
+
+  /**
+   * Normalise une identité selon son type
+   * @param {string} type - 'phone' | 'email' | 'whatsapp'
+   * @param {string} value - Valeur brute
+   * @returns {string|null} Valeur normalisée ou null si invalide
+   */
+  normalizeIdentity(type, value) {
+    if (!value || typeof value !== 'string') return null;
+
+    switch (type) {
+      case 'phone':
+        return toE164(value, DEFAULT_COUNTRY);
+      case 'email': {
+        const email = value.trim().toLowerCase();
+        return EMAIL_REGEX.test(email) ? email : null;
+      }
+      case 'whatsapp':
+        return normalizeJid(value);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Calcule les clés de rapprochement d'une adresse quelconque
+   * Accepte un JID WhatsApp, un chatId SMS (sms_<local>_<remote>), un numéro brut ou un email.
+   * @param {string} address
+   * @returns {Array<{type: string, normalized: string}>}
+   */
+  getAddressKeys(address) {
+    if (!address || typeof address !== 'string') return [];
+    const value = address.trim();
+
+    // Conversation SMS: le correspondant est toujours le dernier segment
+    if (value.startsWith('sms_')) {
+      const parts = value.substring(4).split('_');
+      return this.getAddressKeys(parts[parts.length - 1]);
+    }
+
+    if (value.includes('@')) {
+      const domain = value.split('@')[1].toLowerCase();
+      if (WHATSAPP_OTHER_DOMAINS.includes(domain)) return [];
+
+      if (WHATSAPP_USER_DOMAINS.includes(domain)) {
+        const jid = normalizeJid(value);
+        if (!jid) return [];
+        const keys = [{ type: 'whatsapp', normalized: jid }];
+        // Les JIDs classiques contiennent le numéro international
+        if (jid.endsWith('@s.whatsapp.net')) {
+          const phone = toE164('+' + jid.split('@')[0]);
+          if (phone) keys.push({ type: 'phone', normalized: phone });
+        }
+        return keys;
+      }
+
+      const email = this.normalizeIdentity('email', value);
+      return email ? [{ type: 'email', normalized: email }] : [];
+    }
+
+    const phone = toE164(value, DEFAULT_COUNTRY);
+    return phone ? [{ type: 'phone', normalized: phone }] : [];
+  }
+
+  // --- Résolution de noms ---
+
+  /**
+   * Construit (ou retourne) l'index des identités pour la résolution de noms
+   */
+  getNameIndex() {
+    if (!this.nameIndex) {
+      const rows = db.prepare(`
+        SELECT i.type, i.normalized, c.id, c.display_name
+        FROM address_book_identities i
+        JOIN address_book_contacts c ON c.id = i.contact_id
+      `).all();
+
+      this.nameIndex = new Map();
+      for (const row of rows) {
+        this.nameIndex.set(`${row.type}:${row.normalized}`, { id: row.id, displayName: row.display_name });
+      }
+    }
+    return this.nameIndex;
+  }
+
+  invalidateCache() {
+    this.nameIndex = null;
+  }
+
+  /**
+   * Retrouve la fiche (id + nom) correspondant à une adresse
+   * @param {string} address - JID, chatId SMS, numéro, email
+   * @returns {{id: number, displayName: string}|null}
+   */
+  lookup(address) {
+    try {
+      const index = this.getNameIndex();
+      for (const key of this.getAddressKeys(address)) {
+        const match = index.get(`${key.type}:${key.normalized}`);
+        if (match) return match;
+      }
+    } catch (error) {
+      logger.error('Error resolving contact:', error.message);
+    }
+    return null;
+  }
+
+  /**
+   * Nom d'affichage d'une adresse, ou null si inconnue du carnet
+   */
+  getDisplayName(address) {
+    const match = this.lookup(address);
+    return match ? match.displayName : null;
+  }
+
+  /**
+   * Remplace le nom des conversations par celui du carnet
+   * @param {Array} chats - Lignes de la table chats
+   */
+  applyToChats(chats) {
+    return chats.map(chat => {
+      const match = this.lookup(chat.id);
+      if (!match) return chat;
+      return {
+        ...chat,
+        name: match.displayName,
+        contact_id: match.id
+      };
+    });
+  }
+
+  /**
+   * Ajoute le contact du correspondant aux appels (format _formatCallRow)
+   * @param {Array} calls
+   */
+  applyToCalls(calls) {
+    return calls.map(call => {
+      const remote = call.direction === 'outgoing' ? call.calledNumber : call.callerNumber;
+      const match = this.lookup(remote);
+      if (!match) return { ...call, contactId: null, contactName: null };
+      return {
+        ...call,
+        callerName: call.direction === 'outgoing' ? call.callerName : match.displayName,
+        contactId: match.id,
+        contactName: match.displayName
+      };
+    });
+  }
+
+  // --- CRUD ---
+
+  /**
+   * Liste paginée des contacts (recherche sur le nom, la société ou une identité)
+   */
+  listContacts({ search = null, limit = 50, offset = 0 } = {}) {
+    let where = '';
+    const params = [];
+
+    if (search) {
+      const like = `%${search.trim()}%`;
+      where = `WHERE c.display_name LIKE ? OR c.company LIKE ? OR EXISTS (
+        SELECT 1 FROM address_book_identities i
+        WHERE i.contact_id = c.id AND (i.value LIKE ? OR i.normalized LIKE ?)
+      )`;
+      params.push(like, like, like, like);
+    }
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM address_book_contacts c ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT c.* FROM address_book_contacts c ${where}
+      ORDER BY c.display_name COLLATE NOCASE ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      total,
+      contacts: rows.map(row => this._formatContact(row, this._getIdentities(row.id)))
+    };
+  }
+
+  getContact(id) {
+    const row = db.prepare('SELECT * FROM address_book_contacts WHERE id = ?').get(id);
+    return row ? this._formatContact(row, this._getIdentities(row.id)) : null;
+  }
+
+  /**
+   * Fiche complète de la personne derrière une adresse (JID, numéro, chatId SMS...)
+   */
+  findByAddress(address) {
+    const match = this.lookup(address);
+    return match ? this.getContact(match.id) : null;
+  }
+
+  /**
+   * Créer un contact
+   * @param {Object} data - { displayName, firstName, lastName, company, notes, avatarUrl, phones, emails, whatsapp }
+   * @param {number} userId - Utilisateur créateur
+   */
+  createContact(data, userId = null) {
+    const displayName = this._resolveDisplayName(data);
+    if (!displayName) {
+      throw contactError('displayName (ou firstName/lastName) requis', 400);
+    }
+
+    const identities = this._prepareIdentities(data);
+
+    const id = db.transaction(() => {
+      this._assertNoConflict(identities, null);
+      const contactId = this._insertContact(data, displayName, userId);
+      this._insertIdentities(contactId, identities);
+      return contactId;
+    })();
+
+    this.invalidateCache();
+    logger.info(`Contact created: ${displayName} (#${id})`);
+    return this.getContact(id);
+  }
+
+  /**
+   * Mettre à jour un contact
+   * Les listes d'identités fournies (phones, emails, whatsapp) remplacent les existantes du même type.
+   */
+  updateContact(id, data) {
+    const existing = db.prepare('SELECT * FROM address_book_contacts WHERE id = ?').get(id);
+    if (!existing) {
+      throw contactError('Contact non trouvé', 404);
+    }
+
+    const identities = this._prepareIdentities(data);
+    const replacedTypes = Object.entries(IDENTITY_TYPES)
+      .filter(([field]) => Array.isArray(data[field]))
+      .map(([, type]) => type);
+
+    const fields = {
+      display_name: data.displayName !== undefined ? data.displayName : existing.display_name,
+      first_name: data.firstName !== undefined ? data.firstName : existing.first_name,
+      last_name: data.lastName !== undefined ? data.lastName : existing.last_name,
+      company: data.company !== undefined ? data.company : existing.company,
+      notes: data.notes !== undefined ? data.notes : existing.notes,
+      avatar_url: data.avatarUrl !== undefined ? data.avatarUrl : existing.avatar_url
+    };
+    fields.display_name = this._resolveDisplayName({
+      displayName: fields.display_name,
+      firstName: fields.first_name,
+      lastName: fields.last_name
+    });
+    if (!fields.display_name) {
+      throw contactError('displayName ne peut pas être vide', 400);
+    }
+
+    db.transaction(() => {
+      this._assertNoConflict(identities, id);
+      db.prepare(`
+        UPDATE address_book_contacts
+        SET display_name = ?, first_name = ?, last_name = ?, company = ?, notes = ?, avatar_url = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        fields.display_name,
+        fields.first_name || null,
+        fields.last_name || null,
+        fields.company || null,
+        fields.notes || null,
+        fields.avatar_url || null,
+        id
+      );
+
+      const deleteStmt = db.prepare('DELETE FROM address_book_identities WHERE contact_id = ? AND type = ?');
+      for (const type of replacedTypes) {
+        deleteStmt.run(id, type);
+      }
+      this._insertIdentities(id, identities);
+    })();
+
+    this.invalidateCache();
+    return this.getContact(id);
+  }
+
+  deleteContact(id) {
+    const result = db.transaction(() => {
+      db.prepare('DELETE FROM address_book_identities WHERE contact_id = ?').run(id);
+      return db.prepare('DELETE FROM address_book_contacts WHERE id = ?').run(id);
+    })();
+
+    this.invalidateCache();
+    return result.changes > 0;
+  }
+
+  /**
+   * Fusionner deux fiches d'une même personne
+   * Les identités de la source passent sur la cible, les champs vides de la cible sont complétés.
+   */
+  mergeContacts(targetId, sourceId) {
+    if (targetId === sourceId) {
+      throw contactError('Impossible de fusionner un contact avec lui-même', 400);
+    }
+
+    const target = db.prepare('SELECT * FROM address_book_contacts WHERE id = ?').get(targetId);
+    const source = db.prepare('SELECT * FROM address_book_contacts WHERE id = ?').get(sourceId);
+    if (!target || !source) {
+      throw contactError('Contact non trouvé', 404);
+    }
+
+    const notes = [target.notes, source.notes].filter(Boolean).join('\n');
+
+    db.transaction(() => {
+      db.prepare('UPDATE address_book_identities SET contact_id = ? WHERE contact_id = ?').run(targetId, sourceId);
+      db.prepare(`
+        UPDATE address_book_contacts
+        SET first_name = COALESCE(first_name, ?), last_name = COALESCE(last_name, ?),
+            company = COALESCE(company, ?), avatar_url = COALESCE(avatar_url, ?),
+            notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(source.first_name, source.last_name, source.company, source.avatar_url, notes || null, targetId);
+      db.prepare('DELETE FROM address_book_contacts WHERE id = ?').run(sourceId);
+    })();
+
+    this.invalidateCache();
+    logger.info(`Contact #${sourceId} merged into #${targetId}`);
+    return this.getContact(targetId);
+  }
+
+  // --- Import / export ---
+
+  /**
+   * Tous les contacts avec leurs identités (export vCard / CSV)
+   */
+  getAllContacts() {
+    const rows = db.prepare('SELECT * FROM address_book_contacts ORDER BY display_name COLLATE NOCASE ASC').all();
+    const byContact = new Map();
+    for (const identity of db.prepare('SELECT * FROM address_book_identities ORDER BY is_primary DESC, id ASC').all()) {
+      if (!byContact.has(identity.contact_id)) byContact.set(identity.contact_id, []);
+      byContact.get(identity.contact_id).push(identity);
+    }
+    return rows.map(row => this._formatContact(row, byContact.get(row.id) || []));
+  }
+
+  /**
+   * Importer des contacts issus d'un fichier vCard ou CSV
+   * Les doublons sont détectés sur le numéro E.164 normalisé (puis email / JID WhatsApp),
+   * contre le carnet existant comme entre les lignes du fichier.
+   * @param {Array<Object>} entries - Entrées parsées (utils/contactFormats)
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Aperçu sans aucune écriture
+   * @param {string} options.onDuplicate - 'skip' (défaut) ou 'merge' (complète la fiche existante)
+   * @param {number} options.userId - Utilisateur importateur
+   * @returns {Object} { dryRun, total, created, merged, skipped, invalid, items }
+   */
+  importContacts(entries, { dryRun = false, onDuplicate = 'skip', userId = null } = {}) {
+    // Propriétaire de chaque identité: id de contact existant ou "row:<n>" pour une fiche du fichier
+    const owners = new Map();
+    for (const row of db.prepare('SELECT type, normalized, contact_id FROM address_book_identities').all()) {
+      owners.set(`${row.type}:${row.normalized}`, row.contact_id);
+    }
+
+    const plan = entries.map((entry, index) => {
+      const row = index + 1;
+      const warnings = [];
+      const identities = this._prepareIdentities(entry, warnings)
+        .map(identity => ({ ...identity, source: 'import' }));
+      const displayName = this._resolveDisplayName(entry) || entry.company || null;
+      const item = {
+        row,
+        displayName,
+        phones: identities.filter(i => i.type === 'phone').map(i => i.normalized),
+        warnings
+      };
+
+      if (!displayName) {
+        return { ...item, action: 'invalid', error: 'Nom manquant' };
+      }
+
+      // Le numéro de téléphone prime pour la détection de doublon
+      const keyOf = identity => `${identity.type}:${identity.normalized}`;
+      const match = [...identities]
+        .sort((a, b) => (b.type === 'phone') - (a.type === 'phone'))
+        .find(identity => owners.has(keyOf(identity)));
+
+      if (!match) {
+        identities.forEach(identity => owners.set(keyOf(identity), `row:${row}`));
+        return { ...item, action: 'create', entry, identities };
+      }
+
+      const owner = owners.get(keyOf(match));
+      const target = typeof owner === 'string'
+        ? { duplicateOfRow: Number(owner.split(':')[1]) }
+        : { contactId: owner };
+
+      if (onDuplicate !== 'merge') {
+        return { ...item, ...target, matchedOn: match.normalized, action: 'skip' };
+      }
+
+      // Seules les identités nouvelles sont ajoutées; celles d'un autre contact sont ignorées
+      const added = [];
+      for (const identity of identities) {
+        const current = owners.get(keyOf(identity));
+        if (current === undefined) {
+          owners.set(keyOf(identity), owner);
+          added.push(identity);
+        } else if (current !== owner) {
+          warnings.push(`${identity.normalized} appartient déjà à un autre contact, ignoré`);
+        }
+      }
+      return { ...item, ...target, matchedOn: match.normalized, action: 'merge', entry, identities: added };
+    });
+
+    if (!dryRun) {
+      const createdIds = new Map();
+      db.transaction(() => {
+        for (const item of plan) {
+          if (item.action === 'create') {
+            item.contactId = this._insertContact(item.entry, item.displayName, userId);
+            this._insertIdentities(item.contactId, item.identities);
+            createdIds.set(item.row, item.contactId);
+          } else if (item.action === 'merge') {
+            item.contactId = item.contactId || createdIds.get(item.duplicateOfRow);
+            db.prepare(`
+              UPDATE address_book_contacts
+              SET first_name = COALESCE(first_name, ?), last_name = COALESCE(last_name, ?),
+                  company = COALESCE(company, ?), notes = COALESCE(notes, ?),
+                  avatar_url = COALESCE(avatar_url, ?), updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `).run(
+              item.entry.firstName || null,
+              item.entry.lastName || null,
+              item.entry.company || null,
+              item.entry.notes || null,
+              item.entry.avatarUrl || null,
+              item.contactId
+            );
+            this._insertIdentities(item.contactId, item.identities);
+          }
+        }
+      })();
+      this.invalidateCache();
+    }
+
+    const items = plan.map(({ entry, identities, ...item }) => item);
+    const count = action => items.filter(item => item.action === action).length;
+    const report = {
+      dryRun,
+      total: items.length,
+      created: count('create'),
+      merged: count('merge'),
+      skipped: count('skip'),
+      invalid: count('invalid'),
+      items
+    };
+
+    if (!dryRun) {
+      logger.info(`Contacts import: ${report.created} created, ${report.merged} merged, ${report.skipped} skipped, ${report.invalid} invalid`);
+    }
+    return report;
+  }
+
+  // --- Liaison automatique ---
+
+  /**
+   * Rattache les JIDs d'un contact WhatsApp à la fiche correspondante
+   * Baileys fournit parfois plusieurs identifiants pour la même personne
+   * (JID numéro + JID @lid): si l'un d'eux est connu, les autres sont ajoutés.
+   * @param {Array<string>} jids
+   * @returns {number|null} Id du contact lié
+   */
+  linkWhatsAppIdentities(jids) {
+    const candidates = [...new Set(jids.map(normalizeJid).filter(Boolean))];
+    if (candidates.length === 0) return null;
+
+    let match = null;
+    for (const jid of candidates) {
+      match = this.lookup(jid);
+      if (match) break;
+    }
+    if (!match) return null;
+
+    const index = this.getNameIndex();
+    const missing = candidates.filter(jid => !index.has(`whatsapp:${jid}`));
+    if (missing.length === 0) return match.id;
+
+    const stmt = db.prepare(`
+      INSERT OR IGNORE INTO address_book_identities (contact_id, type, value, normalized, source)
+      VALUES (?, 'whatsapp', ?, ?, 'whatsapp')
+    `);
+    for (const jid of missing) {
+      stmt.run(match.id, jid, jid);
+    }
+
+    this.invalidateCache();
+    logger.info(`Contact #${match.id} linked to WhatsApp ${missing.join(', ')}`);
+    return match.id;
+  }
+
+  /**
+   * Conversations et appels rattachés à un contact, tous canaux confondus
+   */
+  getLinkedActivity(id, { callsLimit = 20 } = {}) {
+    const identities = this._getIdentities(id);
+    const keys = new Set(identities.map(i => `${i.type}:${i.normalized}`));
+
+    const chats = db.prepare('SELECT id, provider, timestamp, unread_count FROM chats ORDER BY timestamp DESC').all()
+      .filter(chat => this.getAddressKeys(chat.id).some(key => keys.has(`${key.type}:${key.normalized}`)))
+      .map(chat => ({
+        id: chat.id,
+        provider: chat.provider,
+        timestamp: chat.timestamp,
+        unreadCount: chat.unread_count
+      }));
+
+    const variants = identities
+      .filter(i => i.type === 'phone')
+      .flatMap(i => phoneVariants(i.normalized));
+
+    let calls = [];
+    if (variants.length > 0) {
+      const placeholders = variants.map(() => '?').join(', ');
+      calls = db.prepare(`
+        SELECT * FROM call_history
+        WHERE caller_number IN (${placeholders}) OR called_number IN (${placeholders})
+        ORDER BY start_time DESC LIMIT ?
+      `).all(...variants, ...variants, callsLimit).map(row => db._formatCallRow(row));
+    }
+
+    return { chats, calls };
+  }
+
+  // --- Helpers internes ---
+
+  _resolveDisplayName(data) {
+    const displayName = typeof data.displayName === 'string' ? data.displayName.trim() : '';
+    if (displayName) return displayName;
+    return [data.firstName, data.lastName].filter(Boolean).join(' ').trim() || null;
+  }
+
+  /**
+   * Valide et normalise les identités d'une requête
+   * Accepte des chaînes ou des objets { value, label, isPrimary }
+   */
+  _prepareIdentities(data, warnings = null) {
+    const identities = [];
+    const seen = new Set();
+
+    for (const [field, type] of Object.entries(IDENTITY_TYPES)) {
+      if (!Array.isArray(data[field])) continue;
+
+      for (const entry of data[field]) {
+        const item = typeof entry === 'string' ? { value: entry } : (entry || {});
+        const normalized = this.normalizeIdentity(type, item.value);
+        if (!normalized) {
+          // En import, une identité invalide est ignorée plutôt que de rejeter la fiche
+          if (warnings) {
+            warnings.push(`${type} invalide ignoré: ${item.value}`);
+            continue;
+          }
+          throw contactError(`${type} invalide: ${item.value}`, 400);
+        }
+        if (seen.has(`${type}:${normalized}`)) continue;
+        seen.add(`${type}:${normalized}`);
+
+        identities.push({
+          type,
+          value: String(item.value).trim(),
+          normalized,
+          label: item.label || null,
+          isPrimary: !!item.isPrimary,
+          source: item.source || 'manual'
+        });
+      }
+    }
+
+    return identities;
+  }
+
+  _insertContact(data, displayName, userId) {
+    const result = db.prepare(`
+      INSERT INTO address_book_contacts (display_name, first_name, last_name, company, notes, avatar_url, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      displayName,
+      data.firstName || null,
+      data.lastName || null,
+      data.company || null,
+      data.notes || null,
+      data.avatarUrl || null,
+      userId
+    );
+    return result.lastInsertRowid;
+  }
+
+  _assertNoConflict(identities, contactId) {
+    const stmt = db.prepare('SELECT contact_id FROM address_book_identities WHERE type = ? AND normalized = ?');
+    for (const identity of identities) {
+      const row = stmt.get(identity.type, identity.normalized);
+      if (row && row.contact_id !== contactId) {
+        throw contactError(
+          `${identity.normalized} appartient déjà au contact #${row.contact_id}`,
+          409,
+          { conflictContactId: row.contact_id }
+        );
+      }
+    }
+  }
+
+  _insertIdentities(contactId, identities) {
+    const stmt = db.prepare(`
+      INSERT INTO address_book_identities (contact_id, type, value, normalized, label, is_primary, source)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(type, normalized) DO UPDATE SET
+        value = excluded.value,
+        label = excluded.label,
+        is_primary = excluded.is_primary
+    `);
+    for (const identity of identities) {
+      stmt.run(
+        contactId,
+        identity.type,
+        identity.value,
+        identity.normalized,
+        identity.label,
+        identity.isPrimary ? 1 : 0,
+        identity.source
+      );
+    }
+  }
+
+  _getIdentities(contactId) {
+    return db.prepare(
+      'SELECT * FROM address_book_identities WHERE contact_id = ? ORDER BY is_primary DESC, id ASC'
+    ).all(contactId);
+  }
+
+  _formatContact(row, identities) {
+    const byType = type => identities
+      .filter(i => i.type === type)
+      .map(i => ({
+        id: i.id,
+        value: i.value,
+        normalized: i.normalized,
+        label: i.label,
+        isPrimary: !!i.is_primary,
+        source: i.source
+      }));
+
+    return {
+      id: row.id,
+      displayName: row.display_name,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      company: row.company,
+      notes: row.notes,
+      avatarUrl: row.avatar_url,
+      phones: byType('phone'),
+      emails: byType('email'),
+      whatsapp: byType('whatsapp'),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new ContactService();
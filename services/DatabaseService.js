@@ -37,6 +37,8 @@ class DatabaseService {
             });
             // Activer WAL mode pour la performance
             this.db.pragma('journal_mode = WAL');
+            // Les INSERT OR REPLACE doivent déclencher les triggers DELETE (index FTS)
+            this.db.pragma('recursive_triggers = ON');
             logger.info(`Connected to SQLite database at ${this.dbPath}`);
         } catch (error) {
             logger.error('Failed to connect to database:', error);
@@ -321,6 +323,481 @@ class DatabaseService {
         } catch (err) {
             logger.debug('Migration setup_status skipped:', err.message);
         }
+
+        // Migration: Add messages_fts full-text index (FTS5, external content on messages)
+        // Triggers keep it in sync for every write path (storeMessage, processBatchMessages, SMS...)
+        try {
+            const exists = this.db.prepare(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'"
+            ).get();
+
+            this.db.exec(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+                    content,
+                    content='messages',
+                    content_rowid='rowid',
+                    tokenize='unicode61 remove_diacritics 2'
+                );
+
+                CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+                    INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+                    INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+                END;
+
+                CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF content ON messages BEGIN
+                    INSERT INTO messages_fts(messages_fts, rowid, content) VALUES ('delete', old.rowid, old.content);
+                    INSERT INTO messages_fts(rowid, content) VALUES (new.rowid, new.content);
+                END;
+            `);
+
+            if (!exists) {
+                // Indexer l'historique existant
+                this.db.exec("INSERT INTO messages_fts(messages_fts) VALUES ('rebuild')");
+                logger.info('Migration: messages_fts index built from existing messages');
+            }
+            logger.info('Migration: messages_fts table ready');
+        } catch (err) {
+            logger.warn('Migration messages_fts skipped (FTS5 unavailable?):', err.message);
+        }
+
+        // Migration: Add address book (carnet de contacts unifié WhatsApp / SMS / appels)
+        // Une fiche contact possède plusieurs identités (téléphone E.164, email, JID WhatsApp)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS address_book_contacts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    display_name TEXT NOT NULL,
+                    first_name TEXT,
+                    last_name TEXT,
+                    company TEXT,
+                    notes TEXT,
+                    avatar_url TEXT,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+
+                CREATE TABLE IF NOT EXISTS address_book_identities (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    contact_id INTEGER NOT NULL,
+                    type TEXT NOT NULL CHECK(type IN ('phone', 'email', 'whatsapp')),
+                    value TEXT NOT NULL,
+                    normalized TEXT NOT NULL,
+                    label TEXT,
+                    is_primary BOOLEAN DEFAULT 0,
+                    source TEXT DEFAULT 'manual',
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (contact_id) REFERENCES address_book_contacts(id) ON DELETE CASCADE,
+                    UNIQUE(type, normalized)
+                );
+                CREATE INDEX IF NOT EXISTS idx_address_book_identities_contact ON address_book_identities(contact_id);
+                CREATE INDEX IF NOT EXISTS idx_address_book_identities_normalized ON address_book_identities(normalized);
+                CREATE INDEX IF NOT EXISTS idx_address_book_contacts_name ON address_book_contacts(display_name COLLATE NOCASE);
+            `);
+            logger.info('Migration: address_book tables ready');
+        } catch (err) {
+            logger.debug('Migration address_book skipped:', err.message);
+        }
+
+        // Migration: Add scheduled_messages table (envois différés WhatsApp / SMS)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS scheduled_messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER,
+                    provider TEXT NOT NULL CHECK(provider IN ('whatsapp', 'sms')),
+                    provider_id TEXT,
+                    chat_id TEXT NOT NULL,
+                    from_number TEXT,
+                    content TEXT,
+                    media TEXT,
+                    send_at INTEGER NOT NULL,
+                    original_send_at INTEGER NOT NULL,
+                    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+                    attempts INTEGER DEFAULT 0,
+                    last_error TEXT,
+                    postponed_reason TEXT,
+                    message_id TEXT,
+                    sent_at INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(status, send_at);
+                CREATE INDEX IF NOT EXISTS idx_scheduled_messages_user ON scheduled_messages(user_id);
+            `);
+            logger.info('Migration: scheduled_messages table ready');
+        } catch (err) {
+            logger.debug('Migration scheduled_messages skipped:', err.message);
+        }
+
+        // Migration: Add sms_campaigns tables (envoi SMS en masse)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS sms_campaigns (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    template TEXT NOT NULL,
+                    from_number TEXT,
+                    provider_ids TEXT,
+                    rate_per_minute INTEGER DEFAULT 20,
+                    status TEXT DEFAULT 'draft' CHECK(status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+                    created_by INTEGER,
+                    started_at INTEGER,
+                    completed_at INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS sms_campaign_recipients (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    campaign_id INTEGER NOT NULL,
+                    phone_number TEXT NOT NULL,
+                    variables TEXT,
+                    contact_id INTEGER,
+                    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'sending', 'sent', 'failed', 'excluded', 'cancelled')),
+                    channel TEXT,
+                    message_id TEXT,
+                    error TEXT,
+                    attempts INTEGER DEFAULT 0,
+                    last_attempt_at INTEGER,
+                    sent_at INTEGER,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(campaign_id, phone_number)
+                );
+                CREATE INDEX IF NOT EXISTS idx_sms_campaigns_status ON sms_campaigns(status);
+                CREATE INDEX IF NOT EXISTS idx_sms_campaign_recipients_status ON sms_campaign_recipients(campaign_id, status);
+            `);
+            logger.info('Migration: sms_campaigns tables ready');
+        } catch (err) {
+            logger.debug('Migration sms_campaigns skipped:', err.message);
+        }
+
+        // Migration: Add sms_opt_outs tables (registre STOP + journal)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS sms_opt_outs (
+                    phone_number TEXT PRIMARY KEY,
+                    keyword TEXT,
+                    source TEXT NOT NULL,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS sms_opt_out_audit (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    phone_number TEXT NOT NULL,
+                    action TEXT NOT NULL CHECK(action IN ('opt_out', 'clear')),
+                    source TEXT NOT NULL,
+                    detail TEXT,
+                    user_id INTEGER,
+                    username TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_sms_opt_out_audit_phone ON sms_opt_out_audit(phone_number, created_at DESC);
+            `);
+            logger.info('Migration: sms_opt_outs tables ready');
+        } catch (err) {
+            logger.debug('Migration sms_opt_outs skipped:', err.message);
+        }
+
+        // Migration: Add sms_delivery_reports table (accusés de réception par partie envoyée)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS sms_delivery_reports (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id TEXT NOT NULL,
+                    channel TEXT NOT NULL,
+                    reference TEXT NOT NULL,
+                    recipient TEXT,
+                    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+                    error TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE INDEX IF NOT EXISTS idx_sms_delivery_reports_reference ON sms_delivery_reports(channel, reference);
+                CREATE INDEX IF NOT EXISTS idx_sms_delivery_reports_message ON sms_delivery_reports(message_id);
+            `);
+            logger.info('Migration: sms_delivery_reports table ready');
+        } catch (err) {
+            logger.debug('Migration sms_delivery_reports skipped:', err.message);
+        }
+
+        // Migration: Add ring_groups table (routage des appels entrants par ligne GSM)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS ring_groups (
+                    modem_id TEXT PRIMARY KEY,
+                    name TEXT,
+                    strategy TEXT NOT NULL DEFAULT 'ringall' CHECK(strategy IN ('ringall', 'hunt', 'roundrobin', 'leastrecent')),
+                    ring_timeout INTEGER NOT NULL DEFAULT 30,
+                    member_timeout INTEGER NOT NULL DEFAULT 15,
+                    member_order TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            logger.info('Migration: ring_groups table ready');
+        } catch (err) {
+            logger.debug('Migration ring_groups skipped:', err.message);
+        }
+
+        // Migration: Add call_schedules table (horaires d'ouverture et fermetures par ligne GSM)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS call_schedules (
+                    modem_id TEXT PRIMARY KEY,
+                    name TEXT,
+                    timezone TEXT,
+                    hours TEXT,
+                    holidays TEXT,
+                    closed_action TEXT NOT NULL DEFAULT 'voicemail' CHECK(closed_action IN ('voicemail', 'announcement', 'forward', 'reject')),
+                    closed_target TEXT,
+                    override TEXT CHECK(override IN ('open', 'closed')),
+                    override_until DATETIME,
+                    override_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            logger.info('Migration: call_schedules table ready');
+        } catch (err) {
+            logger.debug('Migration call_schedules skipped:', err.message);
+        }
+
+        // Migration: Add ivr_menus / ivr_prompts tables (SVI des lignes GSM et trunks SIP)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS ivr_menus (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    prompt TEXT,
+                    invalid_prompt TEXT,
+                    timeout INTEGER NOT NULL DEFAULT 5,
+                    max_retries INTEGER NOT NULL DEFAULT 3,
+                    options TEXT,
+                    failover TEXT,
+                    lines TEXT,
+                    dids TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS ivr_prompts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE,
+                    original_name TEXT,
+                    size INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+            `);
+            logger.info('Migration: ivr_menus table ready');
+        } catch (err) {
+            logger.debug('Migration ivr_menus skipped:', err.message);
+        }
+
+        // Migration: Add voicemails table (messagerie vocale Asterisk dans l'inbox)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS voicemails (
+                    id TEXT PRIMARY KEY,
+                    msg_id TEXT NOT NULL UNIQUE,
+                    mailbox TEXT NOT NULL,
+                    user_id INTEGER,
+                    call_id TEXT,
+                    caller_number TEXT,
+                    caller_name TEXT,
+                    duration INTEGER DEFAULT 0,
+                    received_at INTEGER NOT NULL,
+                    file_path TEXT,
+                    mime_type TEXT,
+                    size INTEGER,
+                    heard INTEGER DEFAULT 0,
+                    heard_at INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_voicemails_call ON voicemails(call_id);
+                CREATE INDEX IF NOT EXISTS idx_voicemails_user ON voicemails(user_id, received_at DESC);
+            `);
+            logger.info('Migration: voicemails table ready');
+        } catch (err) {
+            logger.debug('Migration voicemails skipped:', err.message);
+        }
+
+        // Migration: Add call_recordings / recording_policies tables (enregistrement des appels)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS recording_policies (
+                    scope TEXT NOT NULL CHECK (scope IN ('line', 'extension')),
+                    target TEXT NOT NULL,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (scope, target)
+                );
+                CREATE TABLE IF NOT EXISTS call_recordings (
+                    id TEXT PRIMARY KEY,
+                    file_path TEXT NOT NULL UNIQUE,
+                    linked_id TEXT,
+                    call_id TEXT,
+                    target TEXT,
+                    caller_number TEXT,
+                    size INTEGER,
+                    archived_at INTEGER,
+                    created_at INTEGER NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_call_recordings_linked ON call_recordings(linked_id);
+                CREATE INDEX IF NOT EXISTS idx_call_recordings_call ON call_recordings(call_id);
+                CREATE INDEX IF NOT EXISTS idx_call_recordings_created ON call_recordings(created_at);
+                CREATE INDEX IF NOT EXISTS idx_call_recordings_target ON call_recordings(target, created_at);
+            `);
+            logger.info('Migration: call_recordings table ready');
+        } catch (err) {
+            logger.debug('Migration call_recordings skipped:', err.message);
+        }
+
+        // Migration: Add block_rules / blocked_sms tables (liste de blocage appels et SMS)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS block_rules (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    list TEXT NOT NULL CHECK (list IN ('block', 'allow')),
+                    match_type TEXT NOT NULL CHECK (match_type IN ('exact', 'prefix', 'anonymous')),
+                    value TEXT NOT NULL DEFAULT '',
+                    applies_to TEXT NOT NULL DEFAULT 'all' CHECK (applies_to IN ('all', 'calls', 'sms')),
+                    category TEXT NOT NULL DEFAULT 'manual',
+                    reason TEXT,
+                    hits INTEGER NOT NULL DEFAULT 0,
+                    last_hit_at INTEGER,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (list, match_type, value, applies_to)
+                );
+                CREATE TABLE IF NOT EXISTS blocked_sms (
+                    id TEXT PRIMARY KEY,
+                    phone_number TEXT NOT NULL,
+                    chat_id TEXT,
+                    content TEXT,
+                    source TEXT,
+                    rule_id INTEGER,
+                    action TEXT NOT NULL CHECK (action IN ('dropped', 'quarantined', 'released')),
+                    received_at INTEGER NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_blocked_sms_action ON blocked_sms(action, received_at DESC);
+            `);
+            logger.info('Migration: block_rules tables ready');
+        } catch (err) {
+            logger.debug('Migration block_rules skipped:', err.message);
+        }
+
+        // Migration: Add missed_call_replies tables (réponse automatique aux appels manqués)
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS missed_call_replies (
+                    line_id TEXT PRIMARY KEY,
+                    enabled INTEGER NOT NULL DEFAULT 1,
+                    channel TEXT NOT NULL DEFAULT 'sms' CHECK (channel IN ('sms', 'whatsapp')),
+                    template TEXT NOT NULL,
+                    hours TEXT,
+                    timezone TEXT,
+                    cooldown_minutes INTEGER NOT NULL DEFAULT 1440,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                );
+                CREATE TABLE IF NOT EXISTS missed_call_reply_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    call_id TEXT,
+                    line_id TEXT,
+                    caller TEXT NOT NULL,
+                    channel TEXT,
+                    status TEXT NOT NULL CHECK (status IN ('sent', 'skipped', 'failed')),
+                    reason TEXT,
+                    chat_id TEXT,
+                    message_id TEXT,
+                    created_at INTEGER NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_missed_call_reply_log_caller ON missed_call_reply_log(caller, created_at DESC);
+            `);
+            logger.info('Migration: missed_call_replies tables ready');
+        } catch (err) {
+            logger.debug('Migration missed_call_replies skipped:', err.message);
+        }
+
+        // Add reply / edit / delete-for-everyone columns to messages
+        try {
+            const columns = this.db.prepare("PRAGMA table_info(messages)").all();
+            const added = [
+                ['quoted_message_id', 'TEXT'],
+                ['edited_at', 'INTEGER'],
+                ['deleted_at', 'INTEGER']
+            ].filter(([name]) => !columns.some(col => col.name === name));
+            for (const [name, type] of added) {
+                this.db.exec(`ALTER TABLE messages ADD COLUMN ${name} ${type}`);
+            }
+            if (added.length > 0) {
+                logger.info('Migration: Added quoted_message_id, edited_at, deleted_at columns to messages');
+            }
+        } catch (err) {
+            logger.debug('Migration messages edit columns skipped:', err.message);
+        }
+
+        // Add poll_votes column to messages (dernier vote de chaque participant, JSON)
+        try {
+            const columns = this.db.prepare("PRAGMA table_info(messages)").all();
+            if (!columns.some(col => col.name === 'poll_votes')) {
+                this.db.exec('ALTER TABLE messages ADD COLUMN poll_votes TEXT');
+                logger.info('Migration: Added poll_votes column to messages');
+            }
+        } catch (err) {
+            logger.debug('Migration messages poll_votes skipped:', err.message);
+        }
+
+        // Meta Cloud API: fenêtre de service client de 24h et conversations facturées
+        try {
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS meta_conversation_windows (
+                    phone_number TEXT PRIMARY KEY,
+                    last_inbound_at INTEGER,
+                    last_outbound_at INTEGER,
+                    inbound_count INTEGER NOT NULL DEFAULT 0,
+                    outbound_count INTEGER NOT NULL DEFAULT 0
+                );
+                CREATE TABLE IF NOT EXISTS meta_conversations (
+                    id TEXT PRIMARY KEY,
+                    phone_number TEXT NOT NULL,
+                    category TEXT,
+                    origin TEXT,
+                    pricing_model TEXT,
+                    billable INTEGER NOT NULL DEFAULT 0,
+                    expires_at INTEGER,
+                    created_at INTEGER NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_meta_conversations_created ON meta_conversations(created_at DESC);
+                CREATE INDEX IF NOT EXISTS idx_meta_conversations_phone ON meta_conversations(phone_number, created_at DESC);
+            `);
+            logger.info('Migration: meta conversation tables ready');
+        } catch (err) {
+            logger.debug('Migration meta conversation tables skipped:', err.message);
+        }
+
+        // Fenêtres déjà ouvertes avant la table: dernier message reçu des 24 dernières heures
+        // sur chaque conversation Meta (chat_id = numéro, chiffres seuls); les lignes existantes sont gardées
+        try {
+            const seeded = this.db.prepare(`
+                INSERT OR IGNORE INTO meta_conversation_windows (phone_number, last_inbound_at, inbound_count)
+                SELECT chat_id, CAST(MAX(timestamp) * 1000 AS INTEGER), COUNT(*)
+                FROM messages
+                WHERE from_me = 0
+                  AND timestamp >= ?
+                  AND chat_id != '' AND chat_id NOT GLOB '*[^0-9]*'
+                GROUP BY chat_id
+            `).run(Math.floor(Date.now() / 1000) - 24 * 60 * 60);
+            if (seeded.changes > 0) {
+                logger.info(`Migration: ${seeded.changes} Meta conversation window(s) seeded from message history`);
+            }
+        } catch (err) {
+            logger.debug('Migration meta conversation windows seed skipped:', err.message);
+        }
     }
 
     // --- Generic Helpers ---
@@ -18,6 +18,9 @@ const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const db = require('./DatabaseService');
 const pushService = require('./PushService');
+const blockListService = require('./BlockListService');
+const missedCallReplyService = require('./MissedCallReplyService');
+const { RECORDING_USER_EVENT, BLOCKED_CDR_USERFIELD } = require('../src/services/asterisk/constants');
 
 // FreePBX configuration file paths
 // These are *_custom.conf files that FreePBX includes automatically
@@ -49,7 +52,7 @@ class FreePBXAmiService extends EventEmitter {
     // Track call bridges (linked channels)
     this.callBridges = new Map();
     // Track ringing calls (for incoming call notifications)
-    // Key: uniqueId, Value: { callData, notifiedAt, extensionsRinging: Set }
+    // Key: uniqueId, Value: { callData, notifiedAt, extensionsRinging: Set, callerIdNum }
     this.ringingCalls = new Map();
 
     // Buffer for incoming data
@@ -215,12 +218,53 @@ class FreePBXAmiService extends EventEmitter {
     this.socket.write(message);
   }
 
+  /**
+   * Send an action and wait for its response (call control)
+   * Rejects with the AMI error message (e.g. "No such channel")
+   */
+  sendActionWithResponse(action, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.authenticated) {
+        reject(new Error('AMI not connected'));
+        return;
+      }
+
+      const actionId = `${action.Action.toLowerCase()}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      const timeout = setTimeout(() => {
+        this.socket.removeListener('data', handler);
+        reject(new Error(`Timeout waiting for ${action.Action} response`));
+      }, timeoutMs);
+
+      const handler = (data) => {
+        const response = data.toString().split('\r\n\r\n').find(block => block.includes(`ActionID: ${actionId}`));
+        if (!response) return;
+
+        clearTimeout(timeout);
+        this.socket.removeListener('data', handler);
+
+        if (/Response:\s*Success/i.test(response)) {
+          resolve({ success: true, message: this.extractValue(`${response}\r\n`, 'Message') });
+        } else {
+          reject(new Error(this.extractValue(`${response}\r\n`, 'Message') || `${action.Action} failed`));
+        }
+      };
+
+      this.socket.on('data', handler);
+
+      this.sendAction({ ...action, ActionID: actionId });
+    });
+  }
+
   /**
    * Handle AMI events
    */
   handleAmiEvent(event) {
     const eventType = event['Event'];
 
+    // Same interface as AmiConnection (event:<Type>): CallTracker attaches to it
+    this.emit(`event:${eventType}`, event);
+
     switch (eventType) {
       case 'Newchannel':
         this.handleNewChannel(event);
@@ -248,6 +292,29 @@ class FreePBXAmiService extends EventEmitter {
         this.handleCdr(event);
         break;
 
+      case 'MessageWaiting':
+        // New voicemail (or mailbox change): VoicemailsJob imports it from the spool
+        this.emit('messageWaiting', {
+          mailbox: event['Mailbox'],
+          waiting: event['Waiting'] === '1' || event['Waiting'] === 'yes',
+          newMessages: parseInt(event['New']) || 0,
+          oldMessages: parseInt(event['Old']) || 0
+        });
+        break;
+
+      case 'UserEvent':
+        // Call recording started by the homenichat-record subroutine (dialplan)
+        if (event['UserEvent'] === RECORDING_USER_EVENT) {
+          this.emit('recordingStarted', {
+            file: event['File'],
+            linkedId: event['LinkedID'] || event['Linkedid'],
+            target: event['Target'] || null,
+            callerNumber: event['CallerIDNum'] || null,
+            channel: event['Channel'] || null
+          });
+        }
+        break;
+
       default:
         // Log other events for debugging
         if (process.env.AMI_DEBUG === 'true') {
@@ -326,7 +393,9 @@ class FreePBXAmiService extends EventEmitter {
 
     // EARLY PUSH DETECTION: For Quectel/GSM modem incoming calls, send push immediately
     // This wakes up the iOS app BEFORE the dialplan tries to dial the extension
-    if (channel && channel.startsWith('Quectel/') && isExternalCaller && context === 'from-gsm') {
+    // Blocked callers are rejected by the dialplan: no push
+    if (channel && channel.startsWith('Quectel/') && isExternalCaller && context === 'from-gsm' &&
+        !this.isBlockedCaller(callerIdNum)) {
       logger.info(`[AMI] 🚨 EARLY PUSH: Incoming Quectel call from ${callerIdNum}`);
 
       // Format caller number
@@ -369,6 +438,7 @@ class FreePBXAmiService extends EventEmitter {
         channel: channel,
         notifiedAt: Date.now(),
         extensionsRinging: new Set(targetExtensions),
+        callerIdNum,
         earlyPush: true
       });
       logger.info(`[AMI] 📝 Registered early push call in ringingCalls: ${uniqueId}`);
@@ -397,6 +467,14 @@ class FreePBXAmiService extends EventEmitter {
     return null;
   }
 
+  /**
+   * Extract modem ID from a GSM channel (e.g., Quectel/modem-1-0100000001 -> modem-1)
+   */
+  extractModemId(channel) {
+    const match = channel?.match(/^Quectel\/(.+)-[0-9a-f]+$/i);
+    return match ? match[1] : null;
+  }
+
   /**
    * Extract clean line name (Chiro/Osteo) from any string
    */
@@ -502,6 +580,12 @@ class FreePBXAmiService extends EventEmitter {
     const channel = rawEvent['Channel'] || rawEvent['DestChannel'];
 
     if (!ringingCall) {
+      // Blocked caller (FreePBX inbound routes bypass the Homenichat block list)
+      if (this.isBlockedCaller(callInfo.callerIdNum)) {
+        logger.info(`[AMI] 🚫 Blocked caller ${callInfo.callerIdNum} ringing ext ${extension}, no notification`);
+        return;
+      }
+
       // First time seeing this call ring
       const callerNumber = callInfo.callerIdNum || 'Inconnu';
       const callerName = callInfo.callerIdName || null;
@@ -529,7 +613,8 @@ class FreePBXAmiService extends EventEmitter {
         callData,
         channel: channel,
         notifiedAt: Date.now(),
-        extensionsRinging: new Set([extension])
+        extensionsRinging: new Set([extension]),
+        callerIdNum: callInfo.callerIdNum
       };
 
       this.ringingCalls.set(callId, ringingCall);
@@ -608,6 +693,18 @@ class FreePBXAmiService extends EventEmitter {
         const lineName = ringingCall.callData?.lineName || '';
         pushService.sendMissedCallPush(callId, callerNumber, callerName, lineName);
         logger.info(`[AMI] 📵 Sent MISSED_CALL badge push for ${callId}`);
+
+        // Automatic "sorry we missed you" reply (SMS / WhatsApp), per line template
+        const ringingChannel = ringingCall.channel || ringingCall.callData?.channel;
+        const modemId = this.extractModemId(ringingChannel);
+        missedCallReplyService.handleMissedCall({
+          callId,
+          callerNumber: ringingCall.callerIdNum || callerNumber,
+          callerName: this.isTrunkName(callerName) ? null : callerName,
+          lineIds: [modemId, this.extractTrunkName(ringingChannel), lineName],
+          lineName,
+          modemId
+        }).catch(error => logger.error(`[AMI] Missed call reply failed for ${callId}: ${error.message}`));
       }
 
       this.ringingCalls.delete(callId);
@@ -772,6 +869,22 @@ class FreePBXAmiService extends EventEmitter {
     return { success: true, message: 'Appel rejeté' };
   }
 
+  /**
+   * Hang up a channel (normal clearing)
+   * @param {string} channel - Channel name (e.g., PJSIP/2001-0000002a)
+   * @returns {Promise<{hungup: boolean, channel: string}>}
+   */
+  async hangupCall(channel) {
+    await this.sendActionWithResponse({
+      Action: 'Hangup',
+      Channel: channel,
+      Cause: '16'
+    });
+
+    logger.info(`[AMI] 📵 Hung up channel ${channel}`);
+    return { hungup: true, channel };
+  }
+
   /**
    * Get list of currently ringing calls
    */
@@ -905,6 +1018,7 @@ class FreePBXAmiService extends EventEmitter {
     }
 
     let source = event['Source'] || event['CallerID'];
+    const rawSource = source;
     const destination = event['Destination'];
     const channel = event['Channel'] || '';
     const dcontext = event['DestinationContext'] || '';
@@ -948,6 +1062,13 @@ class FreePBXAmiService extends EventEmitter {
     // Format DID for display
     const didDisplay = did ? did.replace(/^\+590/, '0') : null;
 
+    // Block list: tagged by the dialplan (CDR userfield), or caller matching a rule
+    const blockRule = isIncomingCall ? this.getBlockRule(rawSource) : null;
+    const blocked = event['UserField'] === BLOCKED_CDR_USERFIELD || !!blockRule;
+    if (blockRule && !db.getCallByPbxId(event['UniqueID'])) {
+      blockListService.recordHit(blockRule.id);
+    }
+
     const callData = {
       id: `pbx_${event['UniqueID'] || Date.now()}`,
       direction: isIncomingCall ? 'incoming' : 'outgoing',
@@ -960,7 +1081,7 @@ class FreePBXAmiService extends EventEmitter {
       endTime: this.parseAmiTime(event['EndTime']),
       duration: parseInt(event['Duration']) || 0,
       billableSeconds: parseInt(event['BillableSeconds']) || 0,
-      status: this.mapDisposition(event['Disposition']),
+      status: blocked ? 'blocked' : this.mapDisposition(event['Disposition']),
       source: 'freepbx',
       pbxCallId: event['UniqueID'],
       rawData: event
@@ -970,6 +1091,22 @@ class FreePBXAmiService extends EventEmitter {
     this.saveCallToHistoryFromCdr(callData);
   }
 
+  /**
+   * Block list rule matching a caller (calls), null if allowed
+   */
+  getBlockRule(callerIdNum) {
+    try {
+      return blockListService.match(callerIdNum, 'calls');
+    } catch (error) {
+      logger.warn(`[AMI] Block list check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  isBlockedCaller(callerIdNum) {
+    return !!this.getBlockRule(callerIdNum);
+  }
+
   /**
    * Determine call direction
    */
@@ -1059,6 +1196,7 @@ class FreePBXAmiService extends EventEmitter {
       }
 
       db.createCall(callData);
+      this.emit('callSaved', callData);
       logger.info(`[AMI] Call saved: ${callData.callerNumber} -> ${callData.calledNumber} (${callData.status}) [${lineName || 'direct'}]`);
 
       // Broadcast to connected clients
@@ -1085,6 +1223,7 @@ class FreePBXAmiService extends EventEmitter {
       }
 
       db.createCall(callData);
+      this.emit('callSaved', callData);
       logger.info(`[AMI] CDR Call saved: ${callData.callerNumber} -> ${callData.calledNumber} (${callData.status})`);
 
       // Broadcast to connected clients
@@ -0,0 +1,362 @@
+/**
+ * IvrService - Serveurs vocaux interactifs (SVI) des lignes GSM et trunks SIP
+ *
+ * - Menus: message d'accueil, options DTMF (extension, ring group, messagerie,
+ *   sous-menu, répétition, raccrocher), nombre d'essais et destination de repli
+ * - Points d'entrée: lignes GSM (modems) et numéros appelés sur les trunks SIP
+ *   (contexte from-trunk-homenichat)
+ * - Messages uploadés convertis en WAV 8 kHz (utils/audioConverter) dans le
+ *   répertoire de sons Asterisk, référencés comme homenichat/<nom>
+ * - Compilés en contextes ivr-<id> par le module dialplan; preview() rend le
+ *   dialplan complet sans l'écrire
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const audioConverter = require('../utils/audioConverter');
+const {
+  IVR_DESTINATION_TYPES,
+  IVR_SOUNDS_DIR,
+  IVR_SOUNDS_PREFIX
+} = require('../src/services/asterisk/constants');
+
+const DIGIT_PATTERN = /^[0-9*#]$/;
+const SOUND_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/;
+const PROMPT_NAME_PATTERN = /^[a-z0-9_-]{1,50}$/;
+const LINE_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DID_PATTERN = /^\+?\d{2,20}$/;
+
+// Lazy load to avoid circular dependencies
+let ringGroupService = null;
+
+function getRingGroupService() {
+  if (!ringGroupService) {
+    ringGroupService = require('./RingGroupService');
+  }
+  return ringGroupService;
+}
+
+function ivrError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+class IvrService {
+  // ==================== Menus ====================
+
+  list() {
+    const rows = db.prepare('SELECT * FROM ivr_menus ORDER BY id').all();
+    return rows.map(row => this._format(row));
+  }
+
+  get(id) {
+    const row = db.prepare('SELECT * FROM ivr_menus WHERE id = ?').get(id);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} [data.prompt] - Son joué par le menu (homenichat/accueil)
+   * @param {string} [data.invalidPrompt] - Son joué après une touche invalide
+   * @param {number} [data.timeout] - Secondes d'attente d'une touche
+   * @param {number} [data.maxRetries] - Essais (touche invalide / silence) avant le repli
+   * @param {Object<string, {type: string, target?: string|number}>} [data.options] - Touche -> destination
+   * @param {{type: string, target?: string}} [data.failover] - Destination après les essais
+   * @param {string[]} [data.lines] - Lignes GSM (modems) répondues par le menu
+   * @param {string[]} [data.dids] - Numéros appelés sur les trunks SIP répondus par le menu
+   */
+  create(data) {
+    const menu = this._normalize(data);
+    this._validate(menu, null);
+
+    const result = db.prepare(`
+      INSERT INTO ivr_menus (name, prompt, invalid_prompt, timeout, max_retries, options, failover, lines, dids)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...this._params(menu));
+
+    logger.info(`[IVR] Menu ${result.lastInsertRowid} created (${menu.name})`);
+    return this.get(result.lastInsertRowid);
+  }
+
+  update(id, data) {
+    const current = this.get(id);
+    if (!current) {
+      throw ivrError('Menu SVI introuvable', 404);
+    }
+
+    const menu = this._normalize({ ...current, ...data });
+    this._validate(menu, current.id);
+
+    db.prepare(`
+      UPDATE ivr_menus
+      SET name = ?, prompt = ?, invalid_prompt = ?, timeout = ?, max_retries = ?,
+          options = ?, failover = ?, lines = ?, dids = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(...this._params(menu), current.id);
+
+    logger.info(`[IVR] Menu ${current.id} updated`);
+    return this.get(current.id);
+  }
+
+  remove(id) {
+    const menuId = Number(id);
+    const referencedBy = this.list().filter(menu => menu.id !== menuId
+      && [...Object.values(menu.options), menu.failover].some(dest => dest?.type === 'menu' && Number(dest.target) === menuId));
+    if (referencedBy.length > 0) {
+      throw ivrError(`Menu utilisé par: ${referencedBy.map(menu => menu.name).join(', ')}`, 409);
+    }
+
+    const result = db.prepare('DELETE FROM ivr_menus WHERE id = ?').run(menuId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Menus au format de generateBasicDialplan (ivrMenus)
+   */
+  getDialplanMenus() {
+    return this.list();
+  }
+
+  /**
+   * Rend le dialplan complet avec un menu en cours d'édition, sans l'écrire
+   * @param {Object} [draft] - Menu à prévisualiser (format de create)
+   * @param {number} [menuId] - Menu existant remplacé par draft
+   * @returns {{context: string|null, dialplan: string}}
+   */
+  preview(draft = null, menuId = null) {
+    const dialplan = require('../src/services/asterisk/dialplan');
+    const options = getRingGroupService().buildDialplanOptions();
+
+    let context = null;
+    if (draft) {
+      const current = menuId ? this.get(menuId) : null;
+      if (menuId && !current) {
+        throw ivrError('Menu SVI introuvable', 404);
+      }
+
+      const menu = this._normalize({ ...(current || {}), ...draft });
+      this._validate(menu, current?.id ?? null);
+      menu.id = current?.id ?? 'preview';
+
+      options.ivrMenus = [...options.ivrMenus.filter(existing => existing.id !== menu.id), menu];
+      context = dialplan.ivrContext(menu.id);
+    }
+
+    return { context, dialplan: dialplan.generateBasicDialplan(options) };
+  }
+
+  // ==================== Prompts ====================
+
+  listPrompts() {
+    return db.prepare('SELECT * FROM ivr_prompts ORDER BY name').all().map(row => ({
+      name: row.name,
+      sound: `${IVR_SOUNDS_PREFIX}${row.name}`,
+      originalName: row.original_name,
+      size: row.size,
+      createdAt: row.created_at
+    }));
+  }
+
+  getPromptPath(name) {
+    if (!PROMPT_NAME_PATTERN.test(name || '')) return null;
+    if (!db.prepare('SELECT 1 FROM ivr_prompts WHERE name = ?').get(name)) return null;
+    return path.join(IVR_SOUNDS_DIR, `${name}.wav`);
+  }
+
+  /**
+   * Convertit et installe un message (remplace un message du même nom)
+   * @param {Object} params
+   * @param {string} params.name - Nom du message (a-z, 0-9, _ et -)
+   * @param {Buffer} params.buffer - Fichier audio uploadé
+   * @param {string} [params.originalName]
+   * @returns {Promise<Object>} Message tel que listé par listPrompts
+   */
+  async savePrompt({ name, buffer, originalName = null }) {
+    if (!PROMPT_NAME_PATTERN.test(name || '')) {
+      throw ivrError('Nom de message invalide (a-z, 0-9, _ et -, 50 caractères max)');
+    }
+    if (!buffer?.length) {
+      throw ivrError('Fichier audio manquant');
+    }
+
+    const inputExtension = originalName ? path.extname(originalName).slice(1) : undefined;
+    const converted = await audioConverter.convertToAsteriskWav(buffer, { inputExtension });
+
+    await fs.mkdir(IVR_SOUNDS_DIR, { recursive: true });
+    await fs.writeFile(path.join(IVR_SOUNDS_DIR, `${name}.wav`), converted.buffer);
+
+    db.prepare(`
+      INSERT INTO ivr_prompts (name, original_name, size)
+      VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        original_name = excluded.original_name,
+        size = excluded.size,
+        created_at = CURRENT_TIMESTAMP
+    `).run(name, originalName, converted.buffer.length);
+
+    logger.info(`[IVR] Prompt ${name} saved (${converted.buffer.length} bytes)`);
+    return this.listPrompts().find(prompt => prompt.name === name);
+  }
+
+  async removePrompt(name) {
+    const sound = `${IVR_SOUNDS_PREFIX}${name}`;
+    const usedBy = this.list().filter(menu => menu.prompt === sound || menu.invalidPrompt === sound);
+    if (usedBy.length > 0) {
+      throw ivrError(`Message utilisé par: ${usedBy.map(menu => menu.name).join(', ')}`, 409);
+    }
+
+    const result = db.prepare('DELETE FROM ivr_prompts WHERE name = ?').run(name);
+    if (result.changes === 0) return false;
+
+    await fs.unlink(path.join(IVR_SOUNDS_DIR, `${name}.wav`)).catch(() => {});
+    return true;
+  }
+
+  // ==================== Internals ====================
+
+  _normalize(data) {
+    return {
+      name: typeof data.name === 'string' ? data.name.trim() : data.name,
+      prompt: data.prompt || null,
+      invalidPrompt: data.invalidPrompt || null,
+      timeout: data.timeout ?? 5,
+      maxRetries: data.maxRetries ?? 3,
+      options: data.options || {},
+      failover: data.failover || { type: 'voicemail' },
+      lines: data.lines || [],
+      dids: data.dids || []
+    };
+  }
+
+  _validate(menu, selfId) {
+    if (!menu.name) {
+      throw ivrError('name requis');
+    }
+    for (const [field, sound] of [['prompt', menu.prompt], ['invalidPrompt', menu.invalidPrompt]]) {
+      if (sound && (!SOUND_PATTERN.test(sound) || sound.length > 100)) {
+        throw ivrError(`${field} invalide: ${sound} (nom de son Asterisk, sans extension)`);
+      }
+      if (sound?.startsWith(IVR_SOUNDS_PREFIX) && !this.getPromptPath(sound.slice(IVR_SOUNDS_PREFIX.length))) {
+        throw ivrError(`Message inconnu: ${sound}`);
+      }
+    }
+    if (!Number.isInteger(menu.timeout) || menu.timeout < 1 || menu.timeout > 60) {
+      throw ivrError('timeout doit être compris entre 1 et 60 secondes');
+    }
+    if (!Number.isInteger(menu.maxRetries) || menu.maxRetries < 1 || menu.maxRetries > 10) {
+      throw ivrError('maxRetries doit être compris entre 1 et 10');
+    }
+
+    if (typeof menu.options !== 'object' || Array.isArray(menu.options)) {
+      throw ivrError('options doit associer une touche à une destination');
+    }
+    for (const [digit, destination] of Object.entries(menu.options)) {
+      if (!DIGIT_PATTERN.test(digit)) {
+        throw ivrError(`Touche invalide: ${digit} (0-9, * ou #)`);
+      }
+      this._validateDestination(destination, `option ${digit}`);
+    }
+    this._validateDestination(menu.failover, 'failover');
+    if (menu.failover.type === 'repeat') {
+      throw ivrError('failover ne peut pas répéter le menu');
+    }
+
+    if (!Array.isArray(menu.lines) || menu.lines.some(line => !LINE_PATTERN.test(line))) {
+      throw ivrError('lines doit lister des identifiants de modem');
+    }
+    if (!Array.isArray(menu.dids) || menu.dids.some(did => !DID_PATTERN.test(did))) {
+      throw ivrError('dids doit lister des numéros (chiffres, + initial accepté)');
+    }
+
+    // Une ligne ou un numéro ne répond qu'avec un seul menu
+    for (const other of this.list()) {
+      if (other.id === selfId) continue;
+      const line = menu.lines.find(value => other.lines.includes(value));
+      if (line) {
+        throw ivrError(`La ligne ${line} est déjà associée au menu ${other.name}`, 409);
+      }
+      const did = menu.dids.find(value => other.dids.includes(value));
+      if (did) {
+        throw ivrError(`Le numéro ${did} est déjà associé au menu ${other.name}`, 409);
+      }
+    }
+  }
+
+  _validateDestination(destination, label) {
+    const { type, target } = destination || {};
+    if (!IVR_DESTINATION_TYPES.includes(type)) {
+      throw ivrError(`${label}: type inconnu ${type} (${IVR_DESTINATION_TYPES.join(', ')})`);
+    }
+
+    switch (type) {
+      case 'extension':
+        if (!/^\d{2,10}$/.test(String(target ?? ''))) {
+          throw ivrError(`${label}: numéro d'extension invalide`);
+        }
+        break;
+      case 'ringgroup':
+        if (!getRingGroupService().get(String(target ?? ''))) {
+          throw ivrError(`${label}: aucun ring group pour ${target}`);
+        }
+        break;
+      case 'voicemail':
+        if (target && !/^\d+(@[A-Za-z0-9_-]+)?$/.test(String(target))) {
+          throw ivrError(`${label}: boîte vocale invalide (2000@default)`);
+        }
+        break;
+      case 'menu':
+        if (!this.get(target)) {
+          throw ivrError(`${label}: menu ${target} introuvable`);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  _params(menu) {
+    return [
+      menu.name,
+      menu.prompt,
+      menu.invalidPrompt,
+      menu.timeout,
+      menu.maxRetries,
+      JSON.stringify(menu.options),
+      JSON.stringify(menu.failover),
+      JSON.stringify(menu.lines),
+      JSON.stringify(menu.dids)
+    ];
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prompt: row.prompt,
+      invalidPrompt: row.invalid_prompt,
+      timeout: row.timeout,
+      maxRetries: row.max_retries,
+      options: parseJson(row.options, {}),
+      failover: parseJson(row.failover, { type: 'voicemail' }),
+      lines: parseJson(row.lines, []),
+      dids: parseJson(row.dids, []),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new IvrService();
@@ -0,0 +1,414 @@
+/**
+ * MissedCallReplyService - Réponse automatique aux appels manqués
+ *
+ * - Un modèle de message par ligne (modem, trunk SIP ou nom de ligne), '*' pour
+ *   toutes les lignes sans modèle propre; variables {caller}, {name}, {line}, {date}, {time}
+ * - Envoi par SMS (SmsSendService: modem de la ligne, sinon règles de routage /
+ *   SmsRoutingService) ou par le provider WhatsApp actif
+ * - Uniquement pendant les plages configurées (format des horaires d'ouverture)
+ *   et au plus une réponse par appelant pendant cooldownMinutes
+ * - Appelants masqués, bloqués (liste de blocage) ou désinscrits (STOP) ignorés
+ * - Le message envoyé apparaît dans la conversation de l'appelant; chaque
+ *   décision (envoyé, ignoré, échec) est journalisée dans missed_call_reply_log
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const businessHoursService = require('./BusinessHoursService');
+const blockListService = require('./BlockListService');
+const complianceService = require('./SmsComplianceService');
+const { toE164 } = require('../utils/phoneNumber');
+
+// Lazy load services to avoid circular dependencies
+let providerManager = null;
+let smsSendService = null;
+let chatStorage = null;
+
+const getProviderManager = () => {
+  if (!providerManager) {
+    providerManager = require('./ProviderManager');
+  }
+  return providerManager;
+};
+
+const getSmsSendService = () => {
+  if (!smsSendService) {
+    smsSendService = require('./SmsSendService');
+  }
+  return smsSendService;
+};
+
+const getChatStorage = () => {
+  if (!chatStorage) {
+    chatStorage = require('./ChatStorageServicePersistent');
+  }
+  return chatStorage;
+};
+
+const DEFAULT_LINE = '*';
+const REPLY_CHANNELS = ['sms', 'whatsapp'];
+// Ligne: modem-1, GSM-Chiro, Chiro, ou '*'
+const LINE_PATTERN = /^(\*|[A-Za-z0-9_+-]{1,50})$/;
+const TEMPLATE_MAX_LENGTH = 1000;
+const TEMPLATE_VARIABLES = ['caller', 'name', 'line', 'date', 'time'];
+
+function replyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+class MissedCallReplyService {
+  constructor() {
+    // Appelants dont la réponse est en cours d'envoi (deux appels manqués rapprochés)
+    this.pending = new Set();
+  }
+
+  list() {
+    const rows = db.prepare('SELECT * FROM missed_call_replies ORDER BY line_id').all();
+    return rows.map(row => this._format(row));
+  }
+
+  get(lineId) {
+    const row = db.prepare('SELECT * FROM missed_call_replies WHERE line_id = ?').get(lineId);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Crée ou met à jour la réponse d'une ligne
+   * @param {string} lineId - Modem, trunk, nom de ligne, ou '*' (toutes les lignes)
+   * @param {Object} params
+   * @param {boolean} [params.enabled]
+   * @param {'sms'|'whatsapp'} [params.channel]
+   * @param {string} [params.template] - Texte avec {caller}, {name}, {line}, {date}, {time}
+   * @param {Array<{days?: string[], start: string, end: string}>} [params.hours] - Plages d'envoi
+   *   (vide: à toute heure)
+   * @param {string} [params.timezone] - null: instance.timezone
+   * @param {number} [params.cooldownMinutes] - Délai minimal entre deux réponses à un même appelant
+   */
+  save(lineId, { enabled, channel, template, hours, timezone, cooldownMinutes } = {}) {
+    if (!LINE_PATTERN.test(lineId || '')) {
+      throw replyError(`Ligne invalide: ${lineId}`);
+    }
+    const current = this.get(lineId);
+
+    const reply = {
+      enabled: enabled ?? current?.enabled ?? true,
+      channel: channel ?? current?.channel ?? 'sms',
+      template: template ?? current?.template ?? null,
+      hours: hours ?? current?.hours ?? [],
+      timezone: timezone !== undefined ? timezone : current?.timezone ?? null,
+      cooldownMinutes: cooldownMinutes ?? current?.cooldownMinutes ?? 1440
+    };
+    this._validate(reply);
+
+    db.prepare(`
+      INSERT INTO missed_call_replies (line_id, enabled, channel, template, hours, timezone, cooldown_minutes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(line_id) DO UPDATE SET
+        enabled = excluded.enabled,
+        channel = excluded.channel,
+        template = excluded.template,
+        hours = excluded.hours,
+        timezone = excluded.timezone,
+        cooldown_minutes = excluded.cooldown_minutes,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      lineId,
+      reply.enabled ? 1 : 0,
+      reply.channel,
+      reply.template,
+      JSON.stringify(reply.hours),
+      reply.timezone,
+      reply.cooldownMinutes
+    );
+
+    logger.info(`[MissedCallReply] ${lineId} saved (${reply.enabled ? reply.channel : 'disabled'})`);
+    return this.get(lineId);
+  }
+
+  remove(lineId) {
+    const result = db.prepare('DELETE FROM missed_call_replies WHERE line_id = ?').run(lineId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Journal des réponses (plus récentes d'abord)
+   */
+  listLog({ status = null, caller = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (caller) {
+      conditions.push('caller = ?');
+      params.push(toE164(caller) || caller);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = db.prepare(`
+      SELECT * FROM missed_call_reply_log ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return rows.map(row => ({
+      id: row.id,
+      callId: row.call_id,
+      lineId: row.line_id,
+      caller: row.caller,
+      channel: row.channel,
+      status: row.status,
+      reason: row.reason,
+      chatId: row.chat_id,
+      messageId: row.message_id,
+      createdAt: row.created_at * 1000
+    }));
+  }
+
+  /**
+   * Réponse applicable: celle de la première ligne candidate configurée, sinon '*'
+   * Une ligne désactivée n'hérite pas de '*'
+   * @param {string[]} lineIds - Identifiants de la ligne, du plus précis au plus général
+   */
+  resolve(lineIds = []) {
+    for (const lineId of [...lineIds.filter(Boolean), DEFAULT_LINE]) {
+      const reply = this.get(lineId);
+      if (reply) return reply.enabled ? reply : null;
+    }
+    return null;
+  }
+
+  /**
+   * Remplace les variables du modèle; variable inconnue laissée telle quelle
+   */
+  render(template, variables) {
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      (TEMPLATE_VARIABLES.includes(name) ? variables[name] ?? '' : match)
+    );
+  }
+
+  /**
+   * Répond à un appel manqué (appelé par FreePBXAmiService, sans attendre le résultat)
+   * @param {Object} call
+   * @param {string} call.callId
+   * @param {string} call.callerNumber - Numéro de l'appelant
+   * @param {string} [call.callerName]
+   * @param {string[]} [call.lineIds] - Modem, trunk, nom de ligne
+   * @param {string} [call.lineName] - Nom affiché dans {line}
+   * @param {string} [call.modemId] - Modem ayant reçu l'appel (envoi SMS depuis cette ligne)
+   * @returns {Promise<Object|null>} Entrée du journal, null si aucune réponse configurée
+   */
+  async handleMissedCall({ callId, callerNumber, callerName = null, lineIds = [], lineName = null, modemId = null }) {
+    const caller = toE164(callerNumber);
+    if (!caller) {
+      logger.debug(`[MissedCallReply] No reply for ${callId}: caller ${callerNumber || 'unknown'} not a phone number`);
+      return null;
+    }
+
+    let reply;
+    try {
+      reply = this.resolve(lineIds);
+    } catch (error) {
+      logger.error(`[MissedCallReply] Config lookup failed: ${error.message}`);
+      return null;
+    }
+    if (!reply) return null;
+
+    const entry = { callId, lineId: reply.lineId, caller, channel: reply.channel };
+    const timezone = reply.timezone || businessHoursService.getDefaultTimezone();
+
+    if (blockListService.match(caller, 'calls')) {
+      return this._log(entry, 'skipped', 'blocked');
+    }
+    if (reply.hours.length > 0 && !businessHoursService.isWithinHours(reply.hours, timezone)) {
+      return this._log(entry, 'skipped', 'outside_hours');
+    }
+    if (this.pending.has(caller) || this._repliedRecently(caller, reply.cooldownMinutes)) {
+      return this._log(entry, 'skipped', 'rate_limited');
+    }
+    if (reply.channel === 'sms' && !complianceService.checkSendWindow(caller).allowed) {
+      return this._log(entry, 'skipped', 'send_window');
+    }
+
+    const now = new Date();
+    const text = this.render(reply.template, {
+      caller: callerNumber,
+      name: callerName,
+      line: lineName || lineIds.find(Boolean) || '',
+      date: now.toLocaleDateString('fr-FR', { timeZone: timezone }),
+      time: now.toLocaleTimeString('fr-FR', { timeZone: timezone, hour: '2-digit', minute: '2-digit' })
+    });
+
+    this.pending.add(caller);
+    try {
+      const result = reply.channel === 'sms'
+        ? await this._sendSms(caller, text, modemId)
+        : await this._sendWhatsApp(caller, text);
+
+      if (result.optedOut) {
+        return this._log(entry, 'skipped', 'opted_out');
+      }
+      if (!result.success) {
+        return this._log(entry, 'failed', result.error || 'Envoi refusé par le provider');
+      }
+
+      logger.info(`[MissedCallReply] ${reply.channel} reply sent to ${caller} (call ${callId}, line ${reply.lineId})`);
+      return this._log({ ...entry, chatId: result.chatId, messageId: result.messageId }, 'sent');
+    } catch (error) {
+      return this._log(entry, 'failed', error.message);
+    } finally {
+      this.pending.delete(caller);
+    }
+  }
+
+  _repliedRecently(caller, cooldownMinutes) {
+    if (!cooldownMinutes) return false;
+    const since = Math.floor(Date.now() / 1000) - cooldownMinutes * 60;
+    return !!db.prepare(`
+      SELECT 1 FROM missed_call_reply_log
+      WHERE caller = ? AND status = 'sent' AND created_at > ?
+      LIMIT 1
+    `).get(caller, since);
+  }
+
+  async _sendSms(to, text, modemId) {
+    const result = await getSmsSendService().send({ to, text, modemId: modemId || undefined });
+
+    // SmsSendService stocke le message: le signaler aux clients connectés
+    if (result.success && result.chatId) {
+      pushService.broadcast(pushService.eventTypes.NEW_MESSAGE, {
+        id: result.messageId,
+        chatId: result.chatId,
+        content: text,
+        timestamp: Date.now(),
+        fromMe: true,
+        provider: 'sms',
+        type: 'text'
+      });
+    }
+    return result;
+  }
+
+  async _sendWhatsApp(to, text) {
+    const provider = getProviderManager().getActiveProvider();
+    const digits = to.replace(/\D/g, '');
+
+    // Meta: conversation = numéro, stockée et diffusée par le provider
+    if (provider.constructor.name === 'MetaCloudProvider') {
+      const result = await provider.sendTextMessage(digits, text);
+      return { ...result, chatId: digits };
+    }
+
+    const chatId = `${digits}@s.whatsapp.net`;
+    const result = await provider.sendTextMessage(chatId, text);
+    if (!result?.success || !result.messageId) {
+      return result || { success: false };
+    }
+
+    const timestamp = result.timestamp || Math.floor(Date.now() / 1000);
+    const storage = getChatStorage();
+    const chat = storage.getChat(chatId);
+    storage.updateChat({
+      id: chatId,
+      name: chat?.name || to,
+      unreadCount: chat?.unread_count || 0,
+      timestamp: Math.max(chat?.timestamp || 0, timestamp),
+      profilePicture: chat?.profile_picture || null,
+      provider: 'whatsapp',
+      localPhoneNumber: chat?.local_phone_number || null
+    });
+    storage.storeMessage({
+      id: result.messageId,
+      chatId,
+      fromMe: true,
+      type: 'text',
+      content: text,
+      timestamp,
+      status: 'sent'
+    });
+    pushService.broadcast(pushService.eventTypes.NEW_MESSAGE, {
+      id: result.messageId,
+      chatId,
+      content: text,
+      timestamp: timestamp * 1000,
+      fromMe: true,
+      provider: 'whatsapp',
+      type: 'text'
+    });
+
+    return { ...result, chatId };
+  }
+
+  _log(entry, status, reason = null) {
+    const createdAt = Math.floor(Date.now() / 1000);
+    try {
+      const result = db.prepare(`
+        INSERT INTO missed_call_reply_log (call_id, line_id, caller, channel, status, reason, chat_id, message_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        entry.callId || null,
+        entry.lineId,
+        entry.caller,
+        entry.channel,
+        status,
+        reason,
+        entry.chatId || null,
+        entry.messageId || null,
+        createdAt
+      );
+      entry.id = Number(result.lastInsertRowid);
+    } catch (error) {
+      logger.error(`[MissedCallReply] Log failed: ${error.message}`);
+    }
+
+    if (status !== 'sent') {
+      logger.info(`[MissedCallReply] No reply to ${entry.caller} (call ${entry.callId}): ${status}${reason ? ` - ${reason}` : ''}`);
+    }
+    return { ...entry, status, reason, createdAt: createdAt * 1000 };
+  }
+
+  _validate(reply) {
+    if (!REPLY_CHANNELS.includes(reply.channel)) {
+      throw replyError(`Canal inconnu: ${reply.channel} (${REPLY_CHANNELS.join(', ')})`);
+    }
+    if (typeof reply.template !== 'string' || !reply.template.trim()) {
+      throw replyError('template requis');
+    }
+    if (reply.template.length > TEMPLATE_MAX_LENGTH) {
+      throw replyError(`template trop long (${TEMPLATE_MAX_LENGTH} caractères max)`);
+    }
+    businessHoursService.validateHours(reply.hours, reply.timezone);
+    if (!Number.isInteger(reply.cooldownMinutes) || reply.cooldownMinutes < 0) {
+      throw replyError('cooldownMinutes doit être un entier positif');
+    }
+  }
+
+  _format(row) {
+    return {
+      lineId: row.line_id,
+      enabled: !!row.enabled,
+      channel: row.channel,
+      template: row.template,
+      hours: parseJson(row.hours, []),
+      timezone: row.timezone,
+      cooldownMinutes: row.cooldown_minutes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new MissedCallReplyService();
@@ -880,6 +880,9 @@ class ModemService {
   /**
    * Envoie un SMS via Asterisk chan_quectel
    * Syntaxe: quectel sms send <device> <number> <message>
+   *
+   * chan_quectel met le SMS en file et ne renvoie pas la référence TP-MR du +CMGS:
+   * le résultat n'a pas de messageRefs, ces SMS n'ont donc pas d'accusé de réception.
    */
   async sendSms(modemId, to, message) {
     if (!to || !message) {
@@ -338,6 +338,18 @@ class ProviderManager {
     return activeMap;
   }
 
+  /**
+   * Obtient le provider WhatsApp propriétaire d'une conversation: les JID
+   * (...@s.whatsapp.net, ...@g.us, ...@lid) sont des chats Baileys, les numéros seuls des chats Meta
+   * @param {string} chatId - ID de la conversation
+   * @returns {WhatsAppProvider|null} Provider actif ou null (conversation SMS, provider inactif)
+   */
+  getProviderForChat(chatId) {
+    const id = String(chatId);
+    const owner = id.includes('@') ? 'baileys' : (/^\+?\d+$/.test(id) ? 'meta' : null);
+    return owner && this.activeProviders.has(owner) ? this.providers.get(owner) : null;
+  }
+
   /**
    * Obtient le QR code pour un provider Baileys
    * @param {string} providerId - ID du provider (ex: 'baileys')
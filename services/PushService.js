@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const contactService = require('./ContactService');
 
 // Lazy load services to avoid circular dependencies
 let fcmPushService = null;
@@ -56,7 +57,19 @@ class PushService {
       CALL_CANCELLED: 'call_cancelled',  // Appelant raccroche avant réponse
       CALL_ANSWERED_ELSEWHERE: 'call_answered_elsewhere',  // Répondu sur un autre appareil
       MISSED_CALL: 'missed_call',
-      CALL_HISTORY_UPDATE: 'call_history_update'
+      CALL_HISTORY_UPDATE: 'call_history_update',
+      CALL_STATE: 'call_state',  // Appel en cours: attente, transfert, conférence
+      LINE_STATE: 'line_state',  // Ligne GSM occupée / libre
+      VOICEMAIL: 'voicemail',
+      VOICEMAIL_UPDATE: 'voicemail_update',
+
+      // Messages programmés
+      SCHEDULED_MESSAGE_SENT: 'scheduled_message_sent',
+      SCHEDULED_MESSAGE_FAILED: 'scheduled_message_failed',
+      SCHEDULED_MESSAGE_POSTPONED: 'scheduled_message_postponed',
+
+      // Campagnes SMS
+      SMS_CAMPAIGN_UPDATE: 'sms_campaign_update'
     };
   }
 
@@ -331,6 +344,82 @@ class PushService {
     }
   }
 
+  /**
+   * Send push notification for a new voicemail
+   * Sent to the mailbox owner only; the shared mailbox is broadcast
+   *
+   * @param {Object} voicemail - Voicemail item (VoicemailService)
+   * @param {Object} [options]
+   * @param {boolean} [options.shared] - Shared mailbox (visible to every user)
+   */
+  async sendVoicemailPush(voicemail, { shared = false } = {}) {
+    try {
+      const displayName = voicemail.callerName || voicemail.callerNumber || 'Numéro inconnu';
+      logger.info(`[Push] 📨 Sending voicemail push: ${displayName} (${voicemail.mailbox})`);
+
+      const pushData = {
+        voicemailId: voicemail.id,
+        callId: voicemail.callId || '',
+        callerNumber: voicemail.callerNumber || '',
+        callerName: voicemail.callerName || '',
+        mailbox: voicemail.mailbox,
+        duration: String(voicemail.duration || 0),
+        type: 'voicemail',
+        timestamp: Date.now()
+      };
+
+      const notification = {
+        title: 'Nouveau message vocal',
+        body: voicemail.duration ? `${displayName} (${voicemail.duration}s)` : displayName
+      };
+
+      if (!shared && !voicemail.userId) {
+        logger.debug(`[Push] Voicemail ${voicemail.id} has no owner, skipping push`);
+        return 0;
+      }
+
+      const relay = getPushRelayService();
+      if (relay.isConfigured()) {
+        const result = shared
+          ? await relay.broadcast('voicemail', pushData, notification)
+          : await relay.sendToUser(voicemail.userId, 'voicemail', pushData, notification);
+
+        if (result.sent > 0) {
+          logger.info(`[Push] 📨 Voicemail push sent via relay to ${result.sent} devices`);
+        }
+        return result.sent || 0;
+      }
+
+      // Fallback to local FCM
+      const fcm = getFCMService();
+
+      if (!fcm.initialized) {
+        await fcm.initialize();
+      }
+
+      if (!fcm.projectId) {
+        logger.debug('[Push] FCM not configured, skipping voicemail push');
+        return 0;
+      }
+
+      const sentCount = await fcm.sendMessageNotification(
+        voicemail.id,
+        notification.title,
+        notification.body,
+        pushData
+      );
+
+      if (sentCount > 0) {
+        logger.info(`[Push] 📨 FCM voicemail push sent to ${sentCount} devices`);
+      }
+
+      return sentCount;
+    } catch (error) {
+      logger.error('[Push] Voicemail push error:', error.message);
+      return 0;
+    }
+  }
+
   /**
    * Envoie un événement à un client spécifique
    */
@@ -371,6 +460,22 @@ class PushService {
     return sentCount;
   }
 
+  /**
+   * Envoie un événement aux clients d'un utilisateur et aux administrateurs
+   */
+  pushToUserAndAdmins(userId, eventType, data) {
+    let sentCount = 0;
+    this.clients.forEach((client, clientId) => {
+      const allowed = (userId != null && client.userId === userId) || client.user?.role === 'admin';
+      if (allowed && this.isClientReady(client)) {
+        if (this.pushToClient(clientId, eventType, data)) {
+          sentCount++;
+        }
+      }
+    });
+    return sentCount;
+  }
+
   /**
    * Envoie un événement aux clients abonnés à un chat
    */
@@ -424,8 +529,9 @@ class PushService {
    */
   async sendFCMNotification(messageData) {
     try {
-      // Get sender name
-      const senderName = messageData.pushName ||
+      // Get sender name (carnet de contacts en priorité)
+      const senderName = contactService.getDisplayName(messageData.chatId) ||
+                         messageData.pushName ||
                          messageData.senderName ||
                          messageData.name ||
                          this.formatPhoneNumber(messageData.chatId);
@@ -565,6 +671,17 @@ class PushService {
     });
   }
 
+  /**
+   * Push une modification ou une suppression pour tous d'un message
+   * @param {Object} update - { chatId, messageId, action: 'edit'|'delete', text?, editedAt?, deletedAt? }
+   */
+  pushMessageUpdate(update) {
+    this.broadcast(this.eventTypes.MESSAGE_UPDATE, {
+      ...update,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Push une notification
    */
@@ -0,0 +1,465 @@
+/**
+ * RecordingService - Enregistrement des appels
+ *
+ * - Politiques par ligne (modem GSM, ou numéro appelé sur un trunk SIP) et par
+ *   extension, plus « tout enregistrer »: compilées dans le sous-programme
+ *   homenichat-record du dialplan (MixMonitor dans /var/spool/asterisk/monitor)
+ * - Chaque enregistrement démarré est annoncé par un UserEvent AMI et rattaché à
+ *   call_history (pbx_<linkedid>) dès que l'appel y est enregistré;
+ *   call_history.recording_url pointe alors vers /api/recordings/:id/download
+ * - Rétention (jobs/recordings.js): au-delà de retentionDays, purge ou archivage
+ *   en MP3 (utils/audioConverter) dans archiveDir
+ * - Les enregistrements FreePBX (colonne recordingfile du CDR) sont résolus dans
+ *   le même spool pour /api/cdr/v1/recordings/:callId/download
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const audioConverter = require('../utils/audioConverter');
+const { RECORDINGS_DIR, RECORDING_SCOPES } = require('../src/services/asterisk/constants');
+
+const SETTINGS_KEY = 'call_recording_settings';
+const RETENTION_ACTIONS = ['purge', 'archive'];
+const DEFAULT_SETTINGS = {
+  recordAll: false,
+  retentionDays: 90,
+  retentionAction: 'purge',
+  archiveDir: path.join(process.env.DATA_DIR || '/var/lib/homenichat', 'recordings-archive')
+};
+
+// Ligne: modem-1, numéro appelé (+33123456789); extension: 2001
+const TARGET_PATTERNS = {
+  line: /^\+?[A-Za-z0-9_-]{1,50}$/,
+  extension: /^\d{2,10}$/
+};
+// Chemin relatif au spool: 2024/01/15/1705305600.42-1705305600.43.wav
+const RECORDING_FILE_PATTERN = /^[A-Za-z0-9_.+-]+(\/[A-Za-z0-9_.+-]+)*$/;
+
+const MIME_TYPES = {
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.gsm': 'audio/x-gsm',
+  '.ogg': 'audio/ogg'
+};
+
+function recordingError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Chemin relatif sûr (ni absolu, ni "..")
+ */
+function isSafeRelativePath(file) {
+  return typeof file === 'string' &&
+    RECORDING_FILE_PATTERN.test(file) &&
+    !file.split('/').some(part => part === '..' || part === '.');
+}
+
+class RecordingService {
+  // ==================== Réglages et politiques ====================
+
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...(db.getSetting(SETTINGS_KEY) || {}) };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {boolean} [params.recordAll] - Enregistrer tous les appels
+   * @param {number} [params.retentionDays] - Durée de conservation (0: illimitée)
+   * @param {'purge'|'archive'} [params.retentionAction]
+   * @param {string} [params.archiveDir] - Répertoire des archives (chemin absolu)
+   */
+  updateSettings({ recordAll, retentionDays, retentionAction, archiveDir } = {}) {
+    const current = this.getSettings();
+
+    if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 0)) {
+      throw recordingError('retentionDays doit être un entier positif (0: conservation illimitée)');
+    }
+    if (retentionAction !== undefined && !RETENTION_ACTIONS.includes(retentionAction)) {
+      throw recordingError(`Action de rétention inconnue: ${retentionAction} (${RETENTION_ACTIONS.join(', ')})`);
+    }
+    if (archiveDir !== undefined && (typeof archiveDir !== 'string' || !path.isAbsolute(archiveDir))) {
+      throw recordingError('archiveDir doit être un chemin absolu');
+    }
+
+    const settings = {
+      recordAll: recordAll ?? current.recordAll,
+      retentionDays: retentionDays ?? current.retentionDays,
+      retentionAction: retentionAction ?? current.retentionAction,
+      archiveDir: archiveDir ?? current.archiveDir
+    };
+    db.setSetting(SETTINGS_KEY, settings);
+    return settings;
+  }
+
+  listPolicies() {
+    return db.prepare('SELECT * FROM recording_policies ORDER BY scope, target').all()
+      .map(row => this._formatPolicy(row));
+  }
+
+  /**
+   * Crée ou met à jour la politique d'une ligne ou d'une extension
+   * (le dialplan est régénéré par l'appelant)
+   */
+  setPolicy(scope, target, enabled = true) {
+    this._validatePolicy(scope, target);
+
+    db.prepare(`
+      INSERT INTO recording_policies (scope, target, enabled)
+      VALUES (?, ?, ?)
+      ON CONFLICT(scope, target) DO UPDATE SET
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(scope, target, enabled ? 1 : 0);
+
+    logger.info(`[Recording] Policy ${scope}/${target} ${enabled ? 'enabled' : 'disabled'}`);
+    return this.listPolicies().find(policy => policy.scope === scope && policy.target === target);
+  }
+
+  removePolicy(scope, target) {
+    this._validatePolicy(scope, target);
+    const result = db.prepare('DELETE FROM recording_policies WHERE scope = ? AND target = ?').run(scope, target);
+    return result.changes > 0;
+  }
+
+  /**
+   * Options d'enregistrement de generateBasicDialplan
+   */
+  getDialplanOptions() {
+    const targets = db.prepare('SELECT target FROM recording_policies WHERE enabled = 1 ORDER BY scope, target').all();
+    return {
+      recordCalls: !!this.getSettings().recordAll,
+      recordTargets: [...new Set(targets.map(row => row.target))]
+    };
+  }
+
+  // ==================== Enregistrements ====================
+
+  /**
+   * UserEvent HomenichatRecording: enregistrement démarré par le dialplan
+   * @param {Object} event
+   * @param {string} event.file - Chemin relatif au spool monitor
+   * @param {string} event.linkedId - Linkedid Asterisk de l'appel
+   * @param {string} [event.target] - Ligne ou extension de la politique
+   * @param {string} [event.callerNumber]
+   */
+  handleRecordingStarted({ file, linkedId, target = null, callerNumber = null }) {
+    if (!isSafeRelativePath(file)) {
+      logger.warn(`[Recording] Ignoring unsafe recording path: ${file}`);
+      return null;
+    }
+
+    const id = `rec_${crypto.randomBytes(8).toString('hex')}`;
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO call_recordings (id, file_path, linked_id, target, caller_number, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, file, linkedId || null, target, callerNumber, Math.floor(Date.now() / 1000));
+    if (result.changes === 0) return null;
+
+    logger.info(`[Recording] ${id} started (${target || 'all'}): ${file}`);
+    this._linkByPbxId(linkedId);
+    return this.get(id);
+  }
+
+  /**
+   * Appel enregistré dans call_history (FreePBXAmiService 'callSaved')
+   */
+  handleCallSaved(call) {
+    return this._linkByPbxId(call?.pbxCallId);
+  }
+
+  /**
+   * Rattache les enregistrements dont l'appel est arrivé dans call_history depuis
+   * @returns {number} Enregistrements rattachés
+   */
+  linkPending() {
+    const linkedIds = db.prepare(`
+      SELECT DISTINCT linked_id FROM call_recordings
+      WHERE call_id IS NULL AND linked_id IS NOT NULL AND created_at > ?
+    `).all(Math.floor(Date.now() / 1000) - 24 * 3600);
+
+    return linkedIds.reduce((count, row) => count + this._linkByPbxId(row.linked_id), 0);
+  }
+
+  _linkByPbxId(pbxCallId) {
+    if (!pbxCallId) return 0;
+    const call = db.getCallByPbxId(pbxCallId);
+    if (!call) return 0;
+
+    const recordings = db.prepare(`
+      SELECT id FROM call_recordings WHERE linked_id = ? AND call_id IS NULL ORDER BY created_at
+    `).all(pbxCallId);
+    if (recordings.length === 0) return 0;
+
+    for (const { id } of recordings) {
+      db.prepare('UPDATE call_recordings SET call_id = ? WHERE id = ?').run(call.id, id);
+      this._updateSize(id);
+    }
+    // Plusieurs enregistrements (transferts): le premier est celui de l'appel
+    db.updateCall(call.id, { recordingUrl: this.getDownloadUrl(recordings[0].id) });
+    pushService.broadcast(pushService.eventTypes.CALL_HISTORY_UPDATE, { reason: 'recording', callId: call.id });
+
+    return recordings.length;
+  }
+
+  get(id) {
+    const row = db.prepare('SELECT * FROM call_recordings WHERE id = ?').get(id);
+    return row ? this._format(row) : null;
+  }
+
+  /**
+   * Admin: tout; sinon les enregistrements de son extension ou d'une ligne qui lui est associée
+   */
+  canAccess(user, recording) {
+    if (user.role === 'admin') return true;
+    if (!recording.target) return false;
+    const extension = db.getVoIPExtensionByUserId(user.id);
+    return extension?.extension === recording.target || db.hasUserAccessToModem(user.id, recording.target);
+  }
+
+  /**
+   * Enregistrement FreePBX (ligne CDR de getRecordingInfo): mêmes règles que canAccess,
+   * l'extension est src/dst ou un canal PJSIP, la ligne un canal Quectel de l'appel
+   */
+  canAccessCdr(user, cdr) {
+    if (user.role === 'admin') return true;
+
+    const channels = [cdr.channel, cdr.dstchannel].filter(Boolean);
+    const extension = db.getVoIPExtensionByUserId(user.id)?.extension;
+    if (extension && (
+      cdr.src === extension ||
+      cdr.dst === extension ||
+      channels.some(channel => channel.startsWith(`PJSIP/${extension}-`))
+    )) {
+      return true;
+    }
+
+    return channels
+      .map(channel => channel.match(/^Quectel\/(.+)-[0-9a-f]+$/i)?.[1])
+      .some(modemId => modemId && db.hasUserAccessToModem(user.id, modemId));
+  }
+
+  getForUser(id, user) {
+    const recording = this.get(id);
+    if (!recording || !this.canAccess(user, recording)) {
+      throw recordingError('Enregistrement introuvable', 404);
+    }
+    return recording;
+  }
+
+  /**
+   * @param {Object} user - req.user
+   * @param {Object} [filters]
+   * @param {string} [filters.callId] - Enregistrements d'un appel (call_history.id)
+   */
+  list(user, { callId = null, limit = 50, offset = 0 } = {}) {
+    const { where, params } = this._visibility(user, callId);
+    const rows = db.prepare(`
+      SELECT * FROM call_recordings ${where}
+      ORDER BY created_at ${callId ? 'ASC' : 'DESC'}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    return rows.map(row => this._format(row));
+  }
+
+  getDownloadUrl(id) {
+    return `/api/recordings/${id}/download`;
+  }
+
+  getFilePath(recording) {
+    return path.isAbsolute(recording.filePath)
+      ? recording.filePath
+      : path.join(RECORDINGS_DIR, recording.filePath);
+  }
+
+  getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  async remove(id) {
+    const recording = this.get(id);
+    if (!recording) return false;
+
+    await fs.unlink(this.getFilePath(recording)).catch(() => {});
+    db.prepare('DELETE FROM call_recordings WHERE id = ?').run(id);
+    this._clearCallUrl(recording);
+
+    logger.info(`[Recording] ${id} deleted`);
+    return true;
+  }
+
+  /**
+   * Fichier d'un enregistrement FreePBX (recordingfile du CDR): à la racine du
+   * spool ou dans le sous-répertoire YYYY/MM/DD de l'appel
+   * @returns {Promise<string|null>}
+   */
+  async resolveCdrRecording(recordingFile, calldate = null) {
+    if (!isSafeRelativePath(recordingFile)) return null;
+
+    const candidates = [path.join(RECORDINGS_DIR, recordingFile)];
+    const date = calldate ? new Date(calldate) : null;
+    if (date && !isNaN(date.getTime())) {
+      const pad = value => String(value).padStart(2, '0');
+      candidates.push(path.join(
+        RECORDINGS_DIR,
+        String(date.getFullYear()),
+        pad(date.getMonth() + 1),
+        pad(date.getDate()),
+        recordingFile
+      ));
+    }
+
+    for (const candidate of candidates) {
+      try {
+        await fs.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Emplacement suivant
+      }
+    }
+    return null;
+  }
+
+  // ==================== Rétention ====================
+
+  /**
+   * Purge ou archive les enregistrements plus anciens que retentionDays
+   * @returns {Promise<{purged: number, archived: number, failed: number}>}
+   */
+  async applyRetention() {
+    const settings = this.getSettings();
+    const result = { purged: 0, archived: 0, failed: 0 };
+    if (!settings.retentionDays) return result;
+
+    const cutoff = Math.floor(Date.now() / 1000) - settings.retentionDays * 24 * 3600;
+    const archive = settings.retentionAction === 'archive';
+    const rows = db.prepare(`
+      SELECT * FROM call_recordings
+      WHERE created_at < ? ${archive ? 'AND archived_at IS NULL' : ''}
+      ORDER BY created_at
+    `).all(cutoff);
+
+    for (const row of rows) {
+      const recording = this._format(row);
+      try {
+        if (archive) {
+          await this._archive(recording, settings.archiveDir);
+          result.archived++;
+        } else {
+          await this.remove(recording.id);
+          result.purged++;
+        }
+      } catch (error) {
+        result.failed++;
+        logger.warn(`[Recording] Retention of ${recording.id} failed: ${error.message}`);
+      }
+    }
+    return result;
+  }
+
+  async _archive(recording, archiveDir) {
+    const source = this.getFilePath(recording);
+    const buffer = await fs.readFile(source);
+
+    let converted;
+    try {
+      converted = await audioConverter.convertToMp3(buffer);
+    } catch (error) {
+      logger.warn(`[Recording] MP3 conversion failed, archiving original: ${error.message}`);
+      converted = { buffer, extension: path.extname(source).slice(1) || 'wav' };
+    }
+
+    // Même arborescence YYYY/MM/DD que le spool
+    const relative = path.isAbsolute(recording.filePath) ? path.basename(recording.filePath) : recording.filePath;
+    const target = path.join(archiveDir, relative.replace(/\.[^./]+$/, '') + `.${converted.extension}`);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, converted.buffer);
+
+    db.prepare(`
+      UPDATE call_recordings SET file_path = ?, size = ?, archived_at = ? WHERE id = ?
+    `).run(target, converted.buffer.length, Math.floor(Date.now() / 1000), recording.id);
+    await fs.unlink(source).catch(() => {});
+  }
+
+  // ==================== Internals ====================
+
+  _validatePolicy(scope, target) {
+    if (!RECORDING_SCOPES.includes(scope)) {
+      throw recordingError(`Portée inconnue: ${scope} (${RECORDING_SCOPES.join(', ')})`);
+    }
+    if (!TARGET_PATTERNS[scope].test(target || '')) {
+      throw recordingError(scope === 'line' ? `Ligne invalide: ${target}` : `Extension invalide: ${target}`);
+    }
+  }
+
+  /**
+   * Taille du fichier, connue une fois l'appel raccroché (MixMonitor fermé)
+   */
+  _updateSize(id) {
+    const recording = this.get(id);
+    fs.stat(this.getFilePath(recording))
+      .then(stat => db.prepare('UPDATE call_recordings SET size = ? WHERE id = ?').run(stat.size, id))
+      .catch(() => {});
+  }
+
+  _clearCallUrl(recording) {
+    if (!recording.callId) return;
+    const call = db.getCallById(recording.callId);
+    if (call?.recordingUrl === this.getDownloadUrl(recording.id)) {
+      db.updateCall(recording.callId, { recordingUrl: null });
+    }
+  }
+
+  /**
+   * Filtre SQL de canAccess: son extension ou les lignes qui lui sont associées
+   */
+  _visibility(user, callId = null) {
+    const clauses = [];
+    const params = [];
+    if (callId) {
+      clauses.push('call_id = ?');
+      params.push(callId);
+    }
+    if (user.role !== 'admin') {
+      const extension = db.getVoIPExtensionByUserId(user.id)?.extension ?? null;
+      clauses.push('(target = ? OR target IN (SELECT modem_id FROM user_modem_mappings WHERE user_id = ?))');
+      params.push(extension, user.id);
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  _formatPolicy(row) {
+    return {
+      scope: row.scope,
+      target: row.target,
+      enabled: !!row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      callId: row.call_id,
+      linkedId: row.linked_id,
+      target: row.target,
+      callerNumber: row.caller_number,
+      filePath: row.file_path,
+      size: row.size,
+      archived: !!row.archived_at,
+      archivedAt: row.archived_at,
+      createdAt: row.created_at,
+      downloadUrl: this.getDownloadUrl(row.id)
+    };
+  }
+}
+
+// Export singleton
+module.exports = new RecordingService();
@@ -0,0 +1,289 @@
+/**
+ * RichMessageService - Envoi des messages WhatsApp enrichis
+ *
+ * - Un seul point d'entrée typé: position, fiche(s) contact, sondage (Baileys),
+ *   sticker, boutons et liste interactifs (Meta)
+ * - Le provider est celui qui gère la conversation (JID → Baileys, numéro → Meta);
+ *   un type qu'il ne sait pas envoyer est refusé (501) d'après getCapabilities()
+ * - Le contenu est validé et normalisé ici, les providers ne font que le traduire
+ *   dans leur format; les fiches du carnet d'adresses sont envoyées sans notes
+ */
+
+const logger = require('../utils/logger');
+const contactService = require('./ContactService');
+
+// Lazy load pour éviter la dépendance circulaire (les providers chargent le stockage)
+let providerManager = null;
+
+const getProviderManager = () => {
+  if (!providerManager) {
+    providerManager = require('./ProviderManager');
+  }
+  return providerManager;
+};
+
+// Type de message → capacité requise et méthode du provider
+const RICH_TYPES = {
+  location: { capability: 'sendLocation', method: 'sendLocationMessage', normalize: 'normalizeLocation' },
+  contact: { capability: 'sendContact', method: 'sendContactMessage', normalize: 'normalizeContacts' },
+  poll: { capability: 'sendPoll', method: 'sendPollMessage', normalize: 'normalizePoll' },
+  sticker: { capability: 'sendSticker', method: 'sendStickerMessage', normalize: 'normalizeSticker' },
+  buttons: { capability: 'interactive', method: 'sendButtonMessage', normalize: 'normalizeButtons' },
+  list: { capability: 'interactive', method: 'sendListMessage', normalize: 'normalizeList' }
+};
+
+const MAX_CONTACTS = 10;
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+const MAX_BUTTONS = 3;
+const MAX_LIST_SECTIONS = 10;
+const MAX_LIST_ROWS = 10; // Toutes sections confondues (limite Meta)
+
+function richMessageError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function requireText(value, field, maxLength) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw richMessageError(`${field} requis`);
+  }
+  if (value.trim().length > maxLength) {
+    throw richMessageError(`${field}: ${maxLength} caractères maximum`);
+  }
+  return value.trim();
+}
+
+function optionalText(value, field, maxLength) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : requireText(value, field, maxLength);
+}
+
+function requireArray(value, field, min, max) {
+  if (!Array.isArray(value) || value.length < min || value.length > max) {
+    throw richMessageError(`${field}: entre ${min} et ${max} éléments`);
+  }
+  return value;
+}
+
+class RichMessageService {
+  /**
+   * Types de messages enrichis acceptés par send()
+   * @returns {string[]}
+   */
+  getTypes() {
+    return Object.keys(RICH_TYPES);
+  }
+
+  /**
+   * Envoie un message enrichi via le provider qui gère la conversation
+   * @param {string} chatId - JID WhatsApp (Baileys) ou numéro (Meta)
+   * @param {string} type - location | contact | poll | sticker | buttons | list
+   * @param {Object} content - Contenu propre au type (voir normalize*)
+   * @param {Object} options - { quotedMessageId }
+   * @returns {Promise<Object>} { messageId, type, provider, content }
+   */
+  async send(chatId, type, content, options = {}) {
+    const spec = RICH_TYPES[type];
+    if (!spec) {
+      throw richMessageError(`type invalide (${this.getTypes().join(', ')})`);
+    }
+
+    const provider = getProviderManager().getProviderForChat(chatId);
+    if (!provider) {
+      throw richMessageError('No active provider for this chat', 503);
+    }
+    const providerName = provider.getProviderName();
+    if (!provider.getCapabilities?.()[spec.capability]) {
+      throw richMessageError(`Message type '${type}' is not supported by provider ${providerName}`, 501);
+    }
+    // Cloud API: hors de la fenêtre de 24h, seuls les templates passent
+    if (provider.getConversationWindow(chatId)?.canSendFreeform === false) {
+      throw richMessageError('Outside the 24-hour customer service window: an approved template is required', 409);
+    }
+
+    const normalized = this[spec.normalize](content || {}, providerName);
+    const result = await provider[spec.method](chatId, normalized, {
+      quotedMessageId: options.quotedMessageId
+    });
+
+    if (!result?.success) {
+      // Meta renvoie une erreur formatée ({ code, message, ... })
+      const reason = typeof result?.error === 'string' ? result.error : result?.error?.message;
+      throw richMessageError(reason || `Failed to send ${type} message`, 502);
+    }
+
+    logger.info(`[RichMessage] ${type} sent to ${chatId} via ${providerName}: ${result.messageId}`);
+    return { messageId: result.messageId, type, provider: providerName, content: normalized };
+  }
+
+  /**
+   * @param {Object} content - { latitude, longitude, name?, address? }
+   */
+  normalizeLocation(content) {
+    const latitude = Number(content.latitude);
+    const longitude = Number(content.longitude);
+    if (content.latitude === undefined || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+      throw richMessageError('latitude invalide (-90 à 90)');
+    }
+    if (content.longitude === undefined || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      throw richMessageError('longitude invalide (-180 à 180)');
+    }
+
+    return {
+      latitude,
+      longitude,
+      name: optionalText(content.name, 'name', 100),
+      address: optionalText(content.address, 'address', 300)
+    };
+  }
+
+  /**
+   * Fiches du carnet (contactIds) et/ou saisies à l'envoi (contacts)
+   * @param {Object} content - { contactIds?: number[], contacts?: [{ displayName, firstName?, lastName?,
+   *   company?, phones: (string|{value, label})[], emails?: (string|{value, label})[] }] }
+   * @returns {Array<Object>} Fiches au format ContactService (sans id, notes ni photo)
+   */
+  normalizeContacts(content) {
+    const fromBook = (content.contactIds || []).map(id => {
+      const contact = contactService.getContact(Number(id));
+      if (!contact) {
+        throw richMessageError(`Contact non trouvé: ${id}`, 404);
+      }
+      return contact;
+    });
+    const inline = (content.contacts || []).map(contact => ({
+      displayName: requireText(contact?.displayName, 'contacts.displayName', 100),
+      firstName: optionalText(contact.firstName, 'contacts.firstName', 100),
+      lastName: optionalText(contact.lastName, 'contacts.lastName', 100),
+      company: optionalText(contact.company, 'contacts.company', 100),
+      phones: this._normalizeIdentities('phone', contact.phones),
+      emails: this._normalizeIdentities('email', contact.emails)
+    }));
+
+    const contacts = requireArray([...fromBook, ...inline], 'contactIds + contacts', 1, MAX_CONTACTS);
+    return contacts.map(contact => {
+      if (!contact.phones?.length) {
+        throw richMessageError(`Aucun numéro de téléphone pour ${contact.displayName}`);
+      }
+      const pick = identity => ({ value: identity.value, normalized: identity.normalized, label: identity.label || undefined });
+      return {
+        displayName: contact.displayName,
+        firstName: contact.firstName || undefined,
+        lastName: contact.lastName || undefined,
+        company: contact.company || undefined,
+        phones: contact.phones.map(pick),
+        emails: (contact.emails || []).map(pick)
+      };
+    });
+  }
+
+  /**
+   * @param {Object} content - { name, options: string[], selectableCount? }
+   *   selectableCount: nombre de choix autorisés (1 par défaut, 0 = pas de limite)
+   */
+  normalizePoll(content) {
+    const name = requireText(content.name, 'name', 255);
+    const options = requireArray(content.options, 'options', POLL_MIN_OPTIONS, POLL_MAX_OPTIONS)
+      .map(option => requireText(option, 'options', 100));
+    if (new Set(options).size !== options.length) {
+      throw richMessageError('options: choix en double');
+    }
+
+    const selectableCount = content.selectableCount === undefined ? 1 : Number(content.selectableCount);
+    if (!Number.isInteger(selectableCount) || selectableCount < 0 || selectableCount > options.length) {
+      throw richMessageError(`selectableCount invalide (0 à ${options.length})`);
+    }
+
+    return { name, options, selectableCount };
+  }
+
+  /**
+   * @param {Object} content - { url } (WebP accessible en http(s)) ou { mediaId } (média Meta déjà uploadé)
+   */
+  normalizeSticker(content, providerName) {
+    if (content.mediaId && providerName === 'meta') {
+      return { id: String(content.mediaId) };
+    }
+    if (typeof content.url !== 'string' || !/^https?:\/\//i.test(content.url)) {
+      throw richMessageError('url requise (http ou https)');
+    }
+    return { url: content.url };
+  }
+
+  /**
+   * @param {Object} content - { body, header?, footer?, buttons: [{ id?, title }] }
+   */
+  normalizeButtons(content) {
+    const buttons = requireArray(content.buttons, 'buttons', 1, MAX_BUTTONS).map((button, index) => ({
+      id: optionalText(button?.id, 'buttons.id', 256) || `button_${index}`,
+      title: requireText(button?.title, 'buttons.title', 20)
+    }));
+    if (new Set(buttons.map(button => button.id)).size !== buttons.length) {
+      throw richMessageError('buttons: id en double');
+    }
+
+    const header = optionalText(content.header, 'header', 60);
+    return {
+      body: requireText(content.body, 'body', 1024),
+      header: header ? { type: 'text', text: header } : undefined,
+      footer: optionalText(content.footer, 'footer', 60),
+      buttons
+    };
+  }
+
+  /**
+   * @param {Object} content - { body, buttonText, header?, footer?,
+   *   sections: [{ title?, rows: [{ id, title, description? }] }] }
+   */
+  normalizeList(content) {
+    const sections = requireArray(content.sections, 'sections', 1, MAX_LIST_SECTIONS).map(section => ({
+      // Titre obligatoire dès qu'il y a plusieurs sections
+      title: content.sections.length > 1
+        ? requireText(section?.title, 'sections.title', 24)
+        : optionalText(section?.title, 'sections.title', 24),
+      rows: requireArray(section?.rows, 'sections.rows', 1, MAX_LIST_ROWS).map(row => ({
+        id: requireText(row?.id, 'rows.id', 200),
+        title: requireText(row.title, 'rows.title', 24),
+        description: optionalText(row.description, 'rows.description', 72)
+      }))
+    }));
+
+    const rowIds = sections.flatMap(section => section.rows.map(row => row.id));
+    if (rowIds.length > MAX_LIST_ROWS) {
+      throw richMessageError(`sections: ${MAX_LIST_ROWS} lignes maximum au total`);
+    }
+    if (new Set(rowIds).size !== rowIds.length) {
+      throw richMessageError('rows: id en double');
+    }
+
+    return {
+      body: requireText(content.body, 'body', 1024),
+      buttonText: requireText(content.buttonText, 'buttonText', 20),
+      header: optionalText(content.header, 'header', 60),
+      footer: optionalText(content.footer, 'footer', 60),
+      sections
+    };
+  }
+
+  _normalizeIdentities(type, entries) {
+    if (entries === undefined) return [];
+    if (!Array.isArray(entries)) {
+      throw richMessageError(`${type}s: tableau attendu`);
+    }
+
+    return entries.map(entry => {
+      const item = typeof entry === 'string' ? { value: entry } : (entry || {});
+      const normalized = contactService.normalizeIdentity(type, item.value);
+      if (!normalized) {
+        throw richMessageError(`${type} invalide: ${item.value}`);
+      }
+      return { value: String(item.value).trim(), normalized, label: item.label || undefined };
+    });
+  }
+}
+
+// Export singleton
+module.exports = new RichMessageService();
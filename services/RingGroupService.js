@@ -0,0 +1,201 @@
+/**
+ * RingGroupService - Routage des appels GSM entrants par ligne (modem)
+ *
+ * - Un ring group par modem: stratégie (ringall, hunt, roundrobin, leastrecent),
+ *   durées de sonnerie et ordre des membres
+ * - Membres: utilisateurs associés au modem (user_modem_mappings, notify_calls = 1)
+ *   disposant d'une extension VoIP active
+ * - Chaque modification régénère le dialplan Asterisk (avec les horaires
+ *   d'ouverture de BusinessHoursService, les SVI d'IvrService et les politiques
+ *   d'enregistrement de RecordingService) et le recharge via AMI;
+ *   les lignes sans ring group continuent de faire sonner toutes les extensions
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const { RING_STRATEGIES } = require('../src/services/asterisk/constants');
+
+const DEFAULT_RING_TIMEOUT = 30;
+const DEFAULT_MEMBER_TIMEOUT = 15;
+
+function ringGroupError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class RingGroupService {
+  list() {
+    const rows = db.prepare('SELECT * FROM ring_groups ORDER BY modem_id').all();
+    return rows.map(row => this._format(row));
+  }
+
+  get(modemId) {
+    const row = db.prepare('SELECT * FROM ring_groups WHERE modem_id = ?').get(modemId);
+    return row ? this._format(row) : null;
+  }
+
+  hasRingGroups() {
+    return !!db.prepare('SELECT 1 FROM ring_groups LIMIT 1').get();
+  }
+
+  /**
+   * Crée ou met à jour le ring group d'un modem
+   * @param {string} modemId
+   * @param {Object} params
+   * @param {string} [params.name]
+   * @param {'ringall'|'hunt'|'roundrobin'|'leastrecent'} [params.strategy]
+   * @param {number} [params.ringTimeout] - Durée totale de sonnerie (ringall)
+   * @param {number} [params.memberTimeout] - Durée par membre (autres stratégies)
+   * @param {number[]} [params.memberOrder] - IDs utilisateurs dans l'ordre d'appel
+   */
+  save(modemId, { name, strategy, ringTimeout, memberTimeout, memberOrder } = {}) {
+    const current = this.get(modemId);
+
+    if (strategy !== undefined && !RING_STRATEGIES.includes(strategy)) {
+      throw ringGroupError(`Stratégie inconnue: ${strategy} (${RING_STRATEGIES.join(', ')})`);
+    }
+
+    if (memberOrder !== undefined) {
+      const mapped = new Set(db.getUsersForModemCallNotifications(modemId).map(user => user.id));
+      const unknown = memberOrder.filter(userId => !mapped.has(userId));
+      if (unknown.length > 0) {
+        throw ringGroupError(`Utilisateurs non associés à ${modemId}: ${unknown.join(', ')}`);
+      }
+    }
+
+    const group = {
+      name: name !== undefined ? name : current?.name ?? null,
+      strategy: strategy ?? current?.strategy ?? 'ringall',
+      ringTimeout: ringTimeout ?? current?.ringTimeout ?? DEFAULT_RING_TIMEOUT,
+      memberTimeout: memberTimeout ?? current?.memberTimeout ?? DEFAULT_MEMBER_TIMEOUT,
+      memberOrder: memberOrder ?? current?.memberOrder ?? []
+    };
+
+    db.prepare(`
+      INSERT INTO ring_groups (modem_id, name, strategy, ring_timeout, member_timeout, member_order)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(modem_id) DO UPDATE SET
+        name = excluded.name,
+        strategy = excluded.strategy,
+        ring_timeout = excluded.ring_timeout,
+        member_timeout = excluded.member_timeout,
+        member_order = excluded.member_order,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      modemId,
+      group.name,
+      group.strategy,
+      group.ringTimeout,
+      group.memberTimeout,
+      JSON.stringify(group.memberOrder)
+    );
+
+    logger.info(`[RingGroup] ${modemId} saved (${group.strategy})`);
+    return this.get(modemId);
+  }
+
+  remove(modemId) {
+    const result = db.prepare('DELETE FROM ring_groups WHERE modem_id = ?').run(modemId);
+    return result.changes > 0;
+  }
+
+  /**
+   * Membres du ring group dans l'ordre d'appel: ordre configuré, puis extension
+   * @returns {Array<{userId: number, username: string, extension: string}>}
+   */
+  getMembers(modemId, memberOrder = this.get(modemId)?.memberOrder || []) {
+    const extensions = new Map(
+      db.getAllVoIPExtensions()
+        .filter(ext => ext.enabled)
+        .map(ext => [ext.userId, ext.extension])
+    );
+    const rank = userId => {
+      const index = memberOrder.indexOf(userId);
+      return index === -1 ? memberOrder.length : index;
+    };
+
+    return db.getUsersForModemCallNotifications(modemId)
+      .filter(user => extensions.has(user.id))
+      .map(user => ({ userId: user.id, username: user.username, extension: extensions.get(user.id) }))
+      .sort((a, b) => rank(a.userId) - rank(b.userId) || a.extension.localeCompare(b.extension, undefined, { numeric: true }));
+  }
+
+  /**
+   * Options de generateBasicDialplan: extensions, modems, ring groups, horaires, SVI,
+   * enregistrement et liste de blocage
+   */
+  buildDialplanOptions() {
+    const { getModemService } = require('../src/services/modem');
+    const modems = Object.keys(getModemService().getAllModemsConfig()).map(id => ({ id }));
+
+    const extensions = db.getAllVoIPExtensions()
+      .filter(ext => ext.enabled)
+      .map(ext => ext.extension);
+
+    const ringGroups = this.list().map(group => ({
+      modemId: group.modemId,
+      name: group.name || group.modemId,
+      strategy: group.strategy,
+      ringTimeout: group.ringTimeout,
+      memberTimeout: group.memberTimeout,
+      members: this.getMembers(group.modemId, group.memberOrder).map(member => member.extension)
+    }));
+
+    const schedules = require('./BusinessHoursService').getDialplanSchedules();
+    const ivrMenus = require('./IvrService').getDialplanMenus();
+    const { recordCalls, recordTargets } = require('./RecordingService').getDialplanOptions();
+    const blockList = require('./BlockListService').getDialplanOptions();
+
+    return { extensions, modems, ringGroups, schedules, ivrMenus, recordCalls, recordTargets, blockList };
+  }
+
+  /**
+   * Régénère extensions_homenichat_generated.conf et recharge le dialplan
+   * @returns {Promise<{updated: boolean, reloaded: boolean, included: boolean, hooked: boolean}>}
+   */
+  async applyDialplan() {
+    const dialplan = require('../src/services/asterisk/dialplan');
+    const amiService = require('./FreePBXAmiService');
+
+    const result = await dialplan.updateDialplan(this.buildDialplanOptions(), amiService);
+    logger.info(`[RingGroup] Dialplan regenerated (reloaded: ${result.reloaded})`);
+    return result;
+  }
+
+  /**
+   * Après un changement d'association utilisateur/modem: les membres ont pu changer.
+   * Sans ring group, le dialplan n'est pas réécrit.
+   */
+  async syncDialplan() {
+    if (!this.hasRingGroups()) return null;
+    try {
+      return await this.applyDialplan();
+    } catch (error) {
+      logger.warn(`[RingGroup] Dialplan sync failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  _format(row) {
+    let memberOrder = [];
+    try {
+      memberOrder = JSON.parse(row.member_order || '[]');
+    } catch (e) {
+      // Ordre illisible: ordre par extension
+    }
+    return {
+      modemId: row.modem_id,
+      name: row.name,
+      strategy: row.strategy,
+      ringTimeout: row.ring_timeout,
+      memberTimeout: row.member_timeout,
+      memberOrder,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new RingGroupService();
@@ -0,0 +1,353 @@
+/**
+ * ScheduledMessageService - Messages programmés WhatsApp et SMS
+ *
+ * Les envois différés sont persistés dans la table scheduled_messages et
+ * exécutés par jobs/scheduledMessages.js: ils survivent donc aux redémarrages.
+ *
+ * Pour les SMS, les fenêtres horaires de SmsComplianceService (8h-22h en France,
+ * dimanche interdit...) ne font pas échouer l'envoi: il est reporté à la
+ * prochaine plage autorisée.
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const complianceService = require('./SmsComplianceService');
+
+// Lazy load services to avoid circular dependencies
+let providerManager = null;
+let smsSendService = null;
+let chatStorage = null;
+
+const getProviderManager = () => {
+  if (!providerManager) {
+    providerManager = require('./ProviderManager');
+  }
+  return providerManager;
+};
+
+const getSmsSendService = () => {
+  if (!smsSendService) {
+    smsSendService = require('./SmsSendService');
+  }
+  return smsSendService;
+};
+
+const getChatStorage = () => {
+  if (!chatStorage) {
+    chatStorage = require('./ChatStorageServicePersistent');
+  }
+  return chatStorage;
+};
+
+// Nombre d'essais avant échec définitif, délai entre essais (x numéro d'essai)
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_SECONDS = 5 * 60;
+
+class ScheduledMessageService {
+  /**
+   * Programmer un message
+   * @param {Object} params
+   * @param {number} params.userId - Créateur
+   * @param {string} params.provider - 'whatsapp' | 'sms'
+   * @param {string} [params.providerId] - Provider WhatsApp précis (baileys, meta)
+   * @param {string} params.chatId - JID / chatId WhatsApp, ou numéro destinataire SMS
+   * @param {string} [params.from] - Ligne SMS (numéro du modem)
+   * @param {string} [params.text] - Texte (légende pour un média)
+   * @param {Object} [params.media] - Média WhatsApp ({ type, url, caption, ... } comme POST /chats/:chatId/messages)
+   * @param {number} params.sendAt - Date d'envoi en ms
+   */
+  schedule({ userId, provider, providerId = null, chatId, from = null, text = null, media = null, sendAt }) {
+    const sendAtSec = Math.floor(sendAt / 1000);
+
+    const result = db.prepare(`
+      INSERT INTO scheduled_messages (user_id, provider, provider_id, chat_id, from_number, content, media, send_at, original_send_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      userId,
+      provider,
+      providerId,
+      chatId,
+      from,
+      text,
+      media ? JSON.stringify(media) : null,
+      sendAtSec,
+      sendAtSec
+    );
+
+    logger.info(`[Scheduled] Message #${result.lastInsertRowid} scheduled for ${new Date(sendAt).toISOString()} (${provider} -> ${chatId})`);
+    return this.get(result.lastInsertRowid);
+  }
+
+  get(id) {
+    const row = db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(id);
+    return row ? this._formatRow(row) : null;
+  }
+
+  /**
+   * Liste paginée (userId null = tous les utilisateurs)
+   */
+  list({ userId = null, status = null, limit = 50, offset = 0 } = {}) {
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    if (userId !== null) {
+      where += ' AND user_id = ?';
+      params.push(userId);
+    }
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM scheduled_messages ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM scheduled_messages ${where}
+      ORDER BY send_at ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, messages: rows.map(row => this._formatRow(row)) };
+  }
+
+  /**
+   * Annuler un message encore en attente
+   * @returns {boolean} false si le message est déjà parti (ou en cours d'envoi)
+   */
+  cancel(id) {
+    const result = db.prepare(`
+      UPDATE scheduled_messages
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).run(id);
+    return result.changes > 0;
+  }
+
+  /**
+   * Messages restés "sending" après un arrêt brutal: on ne sait pas s'ils sont partis,
+   * ils passent en échec plutôt que de risquer un doublon.
+   */
+  recoverInterrupted() {
+    const result = db.prepare(`
+      UPDATE scheduled_messages
+      SET status = 'failed', last_error = 'Envoi interrompu par un redémarrage du serveur', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending'
+    `).run();
+
+    if (result.changes > 0) {
+      logger.warn(`[Scheduled] ${result.changes} interrupted message(s) marked as failed`);
+    }
+    return result.changes;
+  }
+
+  /**
+   * Envoie les messages arrivés à échéance
+   * @param {number} limit - Nombre max de messages traités par passage
+   * @returns {Promise<{sent: number, failed: number, postponed: number}>}
+   */
+  async processDue(limit = 25) {
+    const now = Math.floor(Date.now() / 1000);
+    const due = db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE status = 'pending' AND send_at <= ?
+      ORDER BY send_at ASC
+      LIMIT ?
+    `).all(now, limit);
+
+    const summary = { sent: 0, failed: 0, postponed: 0 };
+
+    for (const row of due) {
+      const outcome = await this._dispatch(row);
+      if (outcome) summary[outcome]++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Traite un message: report (compliance SMS), envoi, puis sent / retry / failed
+   * @returns {Promise<'sent'|'failed'|'postponed'|null>}
+   */
+  async _dispatch(row) {
+    // Fenêtre d'envoi SMS: reporter plutôt qu'échouer
+    if (row.provider === 'sms') {
+      const sendWindow = complianceService.checkSendWindow(row.chat_id);
+      if (!sendWindow.allowed) {
+        return this._postpone(row, sendWindow.reason);
+      }
+    }
+
+    // Réserver le message (évite un double envoi si deux passages se chevauchent)
+    const claimed = db.prepare(`
+      UPDATE scheduled_messages
+      SET status = 'sending', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).run(row.id);
+    if (claimed.changes === 0) return null;
+
+    const attempts = row.attempts + 1;
+
+    try {
+      const result = row.provider === 'sms'
+        ? await this._sendSms(row)
+        : await this._sendWhatsApp(row);
+
+      if (!result || result.success === false) {
+        const sendError = new Error(result?.error || 'Envoi refusé par le provider');
+        sendError.permanent = !!result?.optedOut;
+        throw sendError;
+      }
+
+      db.prepare(`
+        UPDATE scheduled_messages
+        SET status = 'sent', message_id = ?, sent_at = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(result.messageId || null, Math.floor(Date.now() / 1000), row.id);
+
+      const message = this.get(row.id);
+      logger.info(`[Scheduled] Message #${row.id} sent (${row.provider} -> ${row.chat_id})`);
+      pushService.broadcast(pushService.eventTypes.SCHEDULED_MESSAGE_SENT, {
+        ...message,
+        chatId: result.chatId || message.chatId
+      });
+      return 'sent';
+    } catch (error) {
+      // Destinataire désinscrit: inutile de réessayer
+      const finalFailure = attempts >= MAX_ATTEMPTS || error.permanent;
+
+      db.prepare(`
+        UPDATE scheduled_messages
+        SET status = ?, send_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        finalFailure ? 'failed' : 'pending',
+        finalFailure ? row.send_at : Math.floor(Date.now() / 1000) + RETRY_DELAY_SECONDS * attempts,
+        error.message,
+        row.id
+      );
+
+      logger.warn(`[Scheduled] Message #${row.id} attempt ${attempts}/${MAX_ATTEMPTS} failed: ${error.message}`);
+      pushService.broadcast(pushService.eventTypes.SCHEDULED_MESSAGE_FAILED, {
+        ...this.get(row.id),
+        willRetry: !finalFailure
+      });
+      return finalFailure ? 'failed' : null;
+    }
+  }
+
+  _postpone(row, reason) {
+    const next = complianceService.getNextAllowedTime(row.chat_id);
+    if (!next) {
+      // Aucune plage autorisée (règles mal configurées): échec explicite
+      db.prepare(`
+        UPDATE scheduled_messages
+        SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(`Aucune plage d'envoi autorisée: ${reason}`, row.id);
+      pushService.broadcast(pushService.eventTypes.SCHEDULED_MESSAGE_FAILED, { ...this.get(row.id), willRetry: false });
+      return 'failed';
+    }
+
+    db.prepare(`
+      UPDATE scheduled_messages
+      SET send_at = ?, postponed_reason = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(Math.floor(next.getTime() / 1000), reason, row.id);
+
+    logger.info(`[Scheduled] Message #${row.id} postponed to ${next.toISOString()}: ${reason}`);
+    pushService.broadcast(pushService.eventTypes.SCHEDULED_MESSAGE_POSTPONED, this.get(row.id));
+    return 'postponed';
+  }
+
+  async _sendSms(row) {
+    return getSmsSendService().send({
+      to: row.chat_id,
+      text: row.content,
+      from: row.from_number || undefined,
+      user: row.user_id ? db.getUserById(row.user_id) : null
+    });
+  }
+
+  async _sendWhatsApp(row) {
+    const manager = getProviderManager();
+    const provider = row.provider_id
+      ? manager.providers.get(row.provider_id)
+      : manager.getActiveProvider();
+
+    if (!provider) {
+      throw new Error(`Provider WhatsApp indisponible${row.provider_id ? ` (${row.provider_id})` : ''}`);
+    }
+
+    if (!row.media) {
+      const result = await provider.sendTextMessage(row.chat_id, row.content);
+      await this._storeSentWhatsApp(row, result, { type: 'text', text: row.content });
+      return result;
+    }
+
+    const media = JSON.parse(row.media);
+    if (row.content && !media.caption) {
+      media.caption = row.content;
+    }
+
+    const result = await provider.sendMediaMessage(row.chat_id, media, {});
+    await this._storeSentWhatsApp(row, result, {
+      type: media.type || 'image',
+      text: media.caption || '',
+      mediaUrl: media.url || media.localUrl || null
+    });
+    return result;
+  }
+
+  /**
+   * Comme POST /api/chats/:chatId/messages: le message envoyé (texte ou média)
+   * est stocké localement, sans attendre l'écho du provider.
+   * Le message est déjà parti: une erreur de stockage est journalisée, jamais
+   * propagée (sinon le job serait retenté et le message renvoyé)
+   */
+  async _storeSentWhatsApp(row, result, fields) {
+    if (!result?.success || !result.messageId) return;
+
+    try {
+      await getChatStorage().storeMessage({
+        id: result.messageId,
+        chatId: row.chat_id,
+        content: fields.text,
+        text: fields.text,
+        timestamp: result.timestamp || Math.floor(Date.now() / 1000),
+        fromMe: true,
+        status: 'sent',
+        type: fields.type,
+        userId: row.user_id || 1,
+        mediaUrl: fields.mediaUrl || null
+      });
+    } catch (error) {
+      logger.error(`[Scheduled] Message #${row.id} sent as ${result.messageId} but not stored locally: ${error.message}`);
+    }
+  }
+
+  _formatRow(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      provider: row.provider,
+      providerId: row.provider_id,
+      chatId: row.chat_id,
+      from: row.from_number,
+      text: row.content,
+      media: row.media ? JSON.parse(row.media) : null,
+      sendAt: row.send_at * 1000,
+      originalSendAt: row.original_send_at * 1000,
+      status: row.status,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      postponedReason: row.postponed_reason,
+      messageId: row.message_id,
+      sentAt: row.sent_at ? row.sent_at * 1000 : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new ScheduledMessageService();
@@ -36,6 +36,8 @@ class SecurityService extends EventEmitter {
       },
       // 2FA
       twoFactorIssuer: 'Homenichat',
+      // Verrouillage de l'étape 2FA après trop de codes erronés (par utilisateur)
+      twoFactorLockout: { maxAttempts: 5, windowMs: 15 * 60 * 1000 },
       // IP filtering
       enableIpFilter: false,
       ipWhitelist: [],
@@ -635,6 +637,95 @@ class SecurityService extends EventEmitter {
     return codes;
   }
 
+  /**
+   * Régénère les codes de backup (invalide les anciens)
+   */
+  async regenerateBackupCodes(userId) {
+    if (!this.db) return null;
+
+    if (!(await this.has2FAEnabled(userId))) return null;
+
+    const backupCodes = this.generateBackupCodes();
+    this.db.prepare('UPDATE user_2fa SET backup_codes = ? WHERE user_id = ?')
+      .run(JSON.stringify(backupCodes.map(c => this.hashToken(c))), userId);
+
+    await this.logAction(userId, '2fa_backup_codes_regenerated', { category: 'security' });
+    return backupCodes;
+  }
+
+  /**
+   * Statut 2FA d'un utilisateur
+   */
+  async get2FAStatus(userId) {
+    if (!this.db) return { enabled: false, pendingSetup: false, backupCodesRemaining: 0 };
+
+    const userData = this.db.prepare('SELECT enabled, backup_codes FROM user_2fa WHERE user_id = ?').get(userId);
+
+    return {
+      enabled: userData?.enabled === 1,
+      pendingSetup: !!userData && userData.enabled !== 1,
+      backupCodesRemaining: userData?.enabled === 1 ? JSON.parse(userData.backup_codes || '[]').length : 0,
+    };
+  }
+
+  /**
+   * Politique 2FA (stockée en settings)
+   */
+  get2FAPolicy() {
+    const policy = this.db?.getSetting?.('security_2fa_policy') || {};
+    return {
+      enforceForAdmins: policy.enforceForAdmins === true,
+    };
+  }
+
+  /**
+   * Met à jour la politique 2FA
+   */
+  async set2FAPolicy(policy, userId = null) {
+    const updated = {
+      ...this.get2FAPolicy(),
+      ...(policy.enforceForAdmins !== undefined ? { enforceForAdmins: !!policy.enforceForAdmins } : {}),
+    };
+
+    this.db?.setSetting?.('security_2fa_policy', updated);
+    await this.logAction(userId, '2fa_policy_updated', { category: 'security', ...updated });
+    return updated;
+  }
+
+  /**
+   * Indique si la politique impose le 2FA à cet utilisateur
+   */
+  is2FARequired(user) {
+    if (!user) return false;
+    return this.get2FAPolicy().enforceForAdmins && user.role === 'admin';
+  }
+
+  /**
+   * Verrouillage de l'étape 2FA d'un utilisateur
+   * Compte les échecs du journal d'audit ('2fa_failed') depuis le dernier login réussi:
+   * tous les chemins (challenge, code inline) et tous les challenges sont cumulés.
+   * @returns {Object} { locked, failures, retryAfter } - retryAfter en secondes
+   */
+  get2FALockout(userId) {
+    const { maxAttempts, windowMs } = this.config.twoFactorLockout;
+    if (!this.db) return { locked: false, failures: 0, retryAfter: 0 };
+
+    const since = Date.now() - windowMs;
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS failures, MIN(timestamp) AS firstFailure FROM audit_log
+      WHERE user_id = ? AND action = '2fa_failed' AND timestamp > ?
+        AND timestamp > COALESCE(
+          (SELECT MAX(timestamp) FROM audit_log WHERE user_id = ? AND action = 'login' AND success = 1), 0)
+    `).get(userId, since, userId);
+
+    const locked = row.failures >= maxAttempts;
+    return {
+      locked,
+      failures: row.failures,
+      retryAfter: locked ? Math.max(1, Math.ceil((row.firstFailure + windowMs - Date.now()) / 1000)) : 0
+    };
+  }
+
   // ==================== Session Management ====================
 
   /**
@@ -0,0 +1,668 @@
+/**
+ * SmsCampaignService - Campagnes SMS (envoi en masse)
+ *
+ * - Liste de destinataires avec variables par destinataire ({{prenom}}, {{rdv}}...)
+ * - Envoi étalé (débit max par minute) et réparti en round-robin sur les
+ *   modems et providers SmsRoutingService disponibles
+ * - Pause / reprise / annulation, résultat d'envoi par destinataire
+ * - Les numéros du registre STOP (SmsOptOutService) sont exclus automatiquement
+ * - Les plages horaires de SmsComplianceService sont respectées: un destinataire
+ *   hors plage reste en attente jusqu'à l'ouverture de la fenêtre
+ * - Chaque texte rendu passe par SmsComplianceService.check (mention STOP ajoutée,
+ *   anti-spam), sur tous les canaux
+ *
+ * L'envoi est piloté par jobs/smsCampaigns.js; l'état est en base et survit aux redémarrages.
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const complianceService = require('./SmsComplianceService');
+const optOutService = require('./SmsOptOutService');
+const { toE164 } = require('../utils/phoneNumber');
+
+// Lazy load services to avoid circular dependencies
+let smsSendService = null;
+let contactService = null;
+
+const getSmsSendService = () => {
+  if (!smsSendService) {
+    smsSendService = require('./SmsSendService');
+  }
+  return smsSendService;
+};
+
+const getContactService = () => {
+  if (!contactService) {
+    contactService = require('./ContactService');
+  }
+  return contactService;
+};
+
+const DEFAULT_RATE_PER_MINUTE = 20;
+const MAX_RATE_PER_MINUTE = 600;
+
+function campaignError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Remplace les {{variable}} du modèle (variable absente = chaîne vide)
+ */
+function renderTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+class SmsCampaignService {
+  constructor() {
+    // Index round-robin des canaux d'envoi par campagne
+    this.channelCursor = new Map();
+  }
+
+  /**
+   * Créer une campagne (brouillon)
+   * @param {Object} data
+   * @param {string} data.name
+   * @param {string} data.template - Texte avec variables {{nom}}
+   * @param {string} [data.from] - Numéro expéditeur (providers cloud)
+   * @param {string[]} [data.channels] - Modems / providers autorisés (tous par défaut)
+   * @param {number} [data.ratePerMinute] - Débit max
+   * @param {number} userId
+   */
+  createCampaign(data, userId = null) {
+    const result = db.prepare(`
+      INSERT INTO sms_campaigns (name, template, from_number, provider_ids, rate_per_minute, created_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      data.name,
+      data.template,
+      data.from || null,
+      data.channels?.length ? JSON.stringify(data.channels) : null,
+      this._normalizeRate(data.ratePerMinute),
+      userId
+    );
+
+    logger.info(`[Campaign] Campaign #${result.lastInsertRowid} "${data.name}" created`);
+    return this.getCampaign(result.lastInsertRowid);
+  }
+
+  /**
+   * Créer une campagne avec ses destinataires et, si demandé, la démarrer
+   * Tout ou rien: si l'ajout des destinataires ou le démarrage échoue, rien n'est créé
+   * @param {Object} data - Champs de createCampaign + recipients / contactIds (voir addRecipients)
+   * @returns {{campaign: Object, recipients: Object|null}}
+   */
+  createWithRecipients(data, userId = null, { start = false } = {}) {
+    return db.transaction(() => {
+      const created = this.createCampaign(data, userId);
+      const recipients = data.recipients?.length || data.contactIds?.length
+        ? this.addRecipients(created.id, data)
+        : null;
+      const campaign = start ? this.start(created.id) : this.getCampaign(created.id);
+      return { campaign, recipients };
+    })();
+  }
+
+  /**
+   * Modifier une campagne (brouillon ou en pause uniquement)
+   */
+  updateCampaign(id, data) {
+    const campaign = this._getRow(id);
+    if (!['draft', 'paused'].includes(campaign.status)) {
+      throw campaignError(`Campagne au statut "${campaign.status}" non modifiable`, 409);
+    }
+
+    db.prepare(`
+      UPDATE sms_campaigns
+      SET name = ?, template = ?, from_number = ?, provider_ids = ?, rate_per_minute = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      data.name ?? campaign.name,
+      data.template ?? campaign.template,
+      data.from !== undefined ? data.from || null : campaign.from_number,
+      data.channels !== undefined
+        ? (data.channels?.length ? JSON.stringify(data.channels) : null)
+        : campaign.provider_ids,
+      data.ratePerMinute !== undefined ? this._normalizeRate(data.ratePerMinute) : campaign.rate_per_minute,
+      id
+    );
+
+    return this.getCampaign(id);
+  }
+
+  getCampaign(id) {
+    const row = db.prepare('SELECT * FROM sms_campaigns WHERE id = ?').get(id);
+    return row ? this._formatCampaign(row) : null;
+  }
+
+  listCampaigns({ status = null, limit = 50, offset = 0 } = {}) {
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM sms_campaigns ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM sms_campaigns ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, campaigns: rows.map(row => this._formatCampaign(row)) };
+  }
+
+  /**
+   * Supprimer une campagne et ses destinataires (pas pendant l'envoi)
+   */
+  deleteCampaign(id) {
+    const campaign = this._getRow(id);
+    if (campaign.status === 'running') {
+      throw campaignError('Mettre la campagne en pause ou l\'annuler avant de la supprimer', 409);
+    }
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM sms_campaign_recipients WHERE campaign_id = ?').run(id);
+      db.prepare('DELETE FROM sms_campaigns WHERE id = ?').run(id);
+    })();
+    this.channelCursor.delete(id);
+    return true;
+  }
+
+  /**
+   * Ajouter des destinataires
+   * @param {number} id - Campagne
+   * @param {Object} params
+   * @param {Array<{phone: string, variables?: Object}>} [params.recipients]
+   * @param {number[]} [params.contactIds] - Fiches du carnet (numéro principal + prénom, nom, société)
+   * @returns {{added: number, excluded: number, duplicates: number, invalid: Array<{phone: string, error: string}>}}
+   */
+  addRecipients(id, { recipients = [], contactIds = [] } = {}) {
+    const campaign = this._getRow(id);
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      throw campaignError(`Campagne au statut "${campaign.status}": ajout impossible`, 409);
+    }
+
+    const entries = recipients.map(r => ({
+      phone: r.phone,
+      variables: r.variables || {},
+      contactId: null
+    }));
+
+    const invalid = [];
+    for (const contactId of contactIds) {
+      const contact = getContactService().getContact(contactId);
+      const phone = contact?.phones.find(p => p.isPrimary) || contact?.phones[0];
+      if (!phone) {
+        invalid.push({ phone: null, contactId, error: contact ? 'Contact sans numéro' : 'Contact introuvable' });
+        continue;
+      }
+      entries.push({
+        phone: phone.normalized,
+        variables: {
+          displayName: contact.displayName,
+          firstName: contact.firstName || '',
+          lastName: contact.lastName || '',
+          company: contact.company || ''
+        },
+        contactId: contact.id
+      });
+    }
+
+    const optedOut = optOutService.getOptedOutNumbers();
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO sms_campaign_recipients (campaign_id, phone_number, variables, contact_id, status, error)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const summary = { added: 0, excluded: 0, duplicates: 0, invalid };
+
+    db.transaction(() => {
+      for (const entry of entries) {
+        const phone = toE164(String(entry.phone || ''));
+        if (!phone) {
+          invalid.push({ phone: entry.phone, error: 'Numéro invalide' });
+          continue;
+        }
+
+        const isOptedOut = optedOut.has(phone);
+        const result = insert.run(
+          id,
+          phone,
+          JSON.stringify(entry.variables),
+          entry.contactId,
+          isOptedOut ? 'excluded' : 'pending',
+          isOptedOut ? 'Désinscrit (STOP)' : null
+        );
+
+        if (result.changes === 0) {
+          summary.duplicates++;
+        } else if (isOptedOut) {
+          summary.excluded++;
+        } else {
+          summary.added++;
+        }
+      }
+    })();
+
+    logger.info(`[Campaign] #${id}: ${summary.added} recipient(s) added, ${summary.excluded} excluded, ${invalid.length} invalid`);
+    return summary;
+  }
+
+  /**
+   * Retirer un destinataire pas encore traité
+   */
+  removeRecipient(id, recipientId) {
+    const result = db.prepare(`
+      DELETE FROM sms_campaign_recipients
+      WHERE id = ? AND campaign_id = ? AND status IN ('pending', 'excluded')
+    `).run(recipientId, id);
+    return result.changes > 0;
+  }
+
+  listRecipients(id, { status = null, limit = 100, offset = 0 } = {}) {
+    let where = 'WHERE campaign_id = ?';
+    const params = [id];
+    if (status) {
+      where += ' AND status = ?';
+      params.push(status);
+    }
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM sms_campaign_recipients ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM sms_campaign_recipients ${where}
+      ORDER BY id ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, recipients: rows.map(row => this._formatRecipient(row)) };
+  }
+
+  /**
+   * Aperçu du message rendu pour les premiers destinataires
+   */
+  preview(id, limit = 5) {
+    const campaign = this._getRow(id);
+    const rows = db.prepare(`
+      SELECT * FROM sms_campaign_recipients
+      WHERE campaign_id = ? AND status = 'pending'
+      ORDER BY id ASC
+      LIMIT ?
+    `).all(id, limit);
+
+    return rows.map(row => ({
+      phone: row.phone_number,
+      text: renderTemplate(campaign.template, this._variablesFor(row))
+    }));
+  }
+
+  // ==================== Cycle de vie ====================
+
+  start(id) {
+    const campaign = this._getRow(id);
+    if (campaign.status !== 'draft') {
+      throw campaignError(`Campagne déjà ${campaign.status === 'paused' ? 'démarrée (utiliser resume)' : campaign.status}`, 409);
+    }
+
+    const pending = db.prepare(`
+      SELECT COUNT(*) as count FROM sms_campaign_recipients WHERE campaign_id = ? AND status = 'pending'
+    `).get(id).count;
+    if (pending === 0) {
+      throw campaignError('Aucun destinataire à contacter');
+    }
+
+    return this._setStatus(id, 'running', { started: true });
+  }
+
+  pause(id) {
+    const campaign = this._getRow(id);
+    if (campaign.status !== 'running') {
+      throw campaignError(`Seule une campagne en cours peut être mise en pause (statut: ${campaign.status})`, 409);
+    }
+    return this._setStatus(id, 'paused');
+  }
+
+  resume(id) {
+    const campaign = this._getRow(id);
+    if (campaign.status !== 'paused') {
+      throw campaignError(`Seule une campagne en pause peut reprendre (statut: ${campaign.status})`, 409);
+    }
+    return this._setStatus(id, 'running');
+  }
+
+  cancel(id) {
+    const campaign = this._getRow(id);
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      throw campaignError(`Campagne déjà ${campaign.status}`, 409);
+    }
+
+    db.prepare(`
+      UPDATE sms_campaign_recipients
+      SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_id = ? AND status = 'pending'
+    `).run(id);
+    return this._setStatus(id, 'cancelled', { finished: true });
+  }
+
+  /**
+   * Remettre en file les destinataires en échec (campagne relancée si terminée)
+   */
+  retryFailed(id) {
+    const campaign = this._getRow(id);
+    if (campaign.status === 'cancelled') {
+      throw campaignError('Campagne annulée', 409);
+    }
+
+    const result = db.prepare(`
+      UPDATE sms_campaign_recipients
+      SET status = 'pending', error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE campaign_id = ? AND status = 'failed'
+    `).run(id);
+
+    if (result.changes > 0 && campaign.status === 'completed') {
+      db.prepare(`
+        UPDATE sms_campaigns SET status = 'running', completed_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(id);
+    }
+
+    return { requeued: result.changes, campaign: this.getCampaign(id) };
+  }
+
+  /**
+   * Destinataires restés "sending" après un arrêt brutal: échec plutôt que doublon
+   */
+  recoverInterrupted() {
+    const result = db.prepare(`
+      UPDATE sms_campaign_recipients
+      SET status = 'failed', error = 'Envoi interrompu par un redémarrage du serveur', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'sending'
+    `).run();
+
+    if (result.changes > 0) {
+      logger.warn(`[Campaign] ${result.changes} interrupted recipient(s) marked as failed`);
+    }
+    return result.changes;
+  }
+
+  // ==================== Envoi ====================
+
+  /**
+   * Traite un lot pour chaque campagne en cours
+   * @param {number} intervalSeconds - Intervalle du job (étalement du débit)
+   * @returns {Promise<{sent: number, failed: number, excluded: number}>}
+   */
+  async processRunning(intervalSeconds = 10) {
+    const campaigns = db.prepare(`SELECT * FROM sms_campaigns WHERE status = 'running' ORDER BY id ASC`).all();
+    const summary = { sent: 0, failed: 0, excluded: 0 };
+    if (campaigns.length === 0) return summary;
+
+    for (const campaign of campaigns) {
+      const result = await this._processCampaign(campaign, intervalSeconds);
+      summary.sent += result.sent;
+      summary.failed += result.failed;
+      summary.excluded += result.excluded;
+    }
+
+    return summary;
+  }
+
+  async _processCampaign(campaign, intervalSeconds) {
+    const result = { sent: 0, failed: 0, excluded: 0 };
+    const now = Math.floor(Date.now() / 1000);
+
+    // Débit: part de la minute couverte par ce passage, moins les envois de la dernière minute
+    const recent = db.prepare(`
+      SELECT COUNT(*) as count FROM sms_campaign_recipients
+      WHERE campaign_id = ? AND last_attempt_at > ?
+    `).get(campaign.id, now - 60).count;
+    const budget = Math.min(
+      Math.ceil(campaign.rate_per_minute * intervalSeconds / 60),
+      campaign.rate_per_minute - recent
+    );
+
+    if (budget > 0) {
+      const channels = this._getChannels(campaign);
+
+      // Parcours par pages: les destinataires hors plage horaire sont sautés et la
+      // page suivante est lue tant que le budget n'est pas atteint
+      const pageSize = Math.max(budget * 5, 50);
+      const nextPage = db.prepare(`
+        SELECT * FROM sms_campaign_recipients
+        WHERE campaign_id = ? AND status = 'pending' AND id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `);
+
+      let processed = 0;
+      let lastId = 0;
+      let stopped = false;
+      while (!stopped && processed < budget) {
+        const candidates = nextPage.all(campaign.id, lastId, pageSize);
+        if (candidates.length === 0) break;
+        lastId = candidates[candidates.length - 1].id;
+
+        for (const recipient of candidates) {
+          if (processed >= budget) break;
+
+          // L'état peut avoir changé pendant le lot (pause / annulation)
+          const { status } = db.prepare('SELECT status FROM sms_campaigns WHERE id = ?').get(campaign.id) || {};
+          if (status !== 'running') {
+            stopped = true;
+            break;
+          }
+
+          // Registre STOP consulté au moment de l'envoi (désinscriptions reçues pendant la campagne)
+          if (optOutService.isOptedOut(recipient.phone_number)) {
+            this._updateRecipient(recipient.id, { status: 'excluded', error: 'Désinscrit (STOP)' });
+            result.excluded++;
+            continue;
+          }
+
+          if (!complianceService.checkSendWindow(recipient.phone_number).allowed) {
+            continue;
+          }
+
+          if (channels.length === 0) {
+            logger.warn(`[Campaign] #${campaign.id}: no SMS channel available, waiting`);
+            stopped = true;
+            break;
+          }
+
+          // Contrôle complet sur le texte rendu (mention STOP, anti-spam...), quel que soit le canal
+          const text = renderTemplate(campaign.template, this._variablesFor(recipient));
+          const compliance = complianceService.check(
+            recipient.phone_number,
+            text,
+            complianceService.detectCountry(recipient.phone_number),
+            { sender: campaign.from_number || undefined }
+          );
+          if (!compliance.allowed) {
+            // Préfixe interdit: définitif; horaires et anti-spam: reporté au prochain passage
+            if (compliance.rule === 'prefix') {
+              this._updateRecipient(recipient.id, { status: 'failed', error: compliance.reason });
+              result.failed++;
+            }
+            continue;
+          }
+
+          processed++;
+          const outcome = await this._sendToRecipient(campaign, recipient, this._nextChannel(campaign.id, channels), compliance.modifiedText);
+          if (outcome) result[outcome]++;
+        }
+      }
+    }
+
+    const remaining = db.prepare(`
+      SELECT COUNT(*) as count FROM sms_campaign_recipients
+      WHERE campaign_id = ? AND status IN ('pending', 'sending')
+    `).get(campaign.id).count;
+    const { status } = db.prepare('SELECT status FROM sms_campaigns WHERE id = ?').get(campaign.id) || {};
+
+    if (remaining === 0 && status === 'running') {
+      this._setStatus(campaign.id, 'completed', { finished: true });
+      logger.info(`[Campaign] #${campaign.id} "${campaign.name}" completed`);
+    } else if (result.sent || result.failed || result.excluded) {
+      pushService.broadcast(pushService.eventTypes.SMS_CAMPAIGN_UPDATE, this.getCampaign(campaign.id));
+    }
+
+    return result;
+  }
+
+  /**
+   * @returns {Promise<'sent'|'failed'|'excluded'|null>} null si le destinataire a été pris entre-temps
+   */
+  async _sendToRecipient(campaign, recipient, channel, text) {
+    const now = Math.floor(Date.now() / 1000);
+    const claimed = db.prepare(`
+      UPDATE sms_campaign_recipients
+      SET status = 'sending', attempts = attempts + 1, last_attempt_at = ?, channel = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `).run(now, channel.id, recipient.id);
+    if (claimed.changes === 0) return null;
+
+    try {
+      const result = await getSmsSendService().send({
+        to: recipient.phone_number,
+        text,
+        from: campaign.from_number || undefined,
+        modemId: channel.type === 'modem' ? channel.modemId : undefined,
+        cloudProviderId: channel.type === 'provider' ? channel.providerId : undefined,
+        complianceChecked: true
+      });
+
+      if (result.optedOut) {
+        this._updateRecipient(recipient.id, { status: 'excluded', error: 'Désinscrit (STOP)' });
+        return 'excluded';
+      }
+      if (!result.success) {
+        throw new Error(result.error || 'Envoi refusé par le provider');
+      }
+
+      this._updateRecipient(recipient.id, {
+        status: 'sent',
+        messageId: result.messageId || null,
+        channel: result.modemId || result.provider || channel.id,
+        sentAt: Math.floor(Date.now() / 1000)
+      });
+      return 'sent';
+    } catch (error) {
+      logger.warn(`[Campaign] #${campaign.id} send to ${recipient.phone_number} via ${channel.id} failed: ${error.message}`);
+      this._updateRecipient(recipient.id, { status: 'failed', error: error.message });
+      return 'failed';
+    }
+  }
+
+  /**
+   * Canaux utilisables par la campagne (restreints à la liste de la campagne si définie)
+   */
+  _getChannels(campaign) {
+    const allowed = campaign.provider_ids ? JSON.parse(campaign.provider_ids) : null;
+    const channels = getSmsSendService().getChannels();
+    return allowed ? channels.filter(c => allowed.includes(c.id)) : channels;
+  }
+
+  _nextChannel(campaignId, channels) {
+    const cursor = this.channelCursor.get(campaignId) || 0;
+    this.channelCursor.set(campaignId, cursor + 1);
+    return channels[cursor % channels.length];
+  }
+
+  _variablesFor(recipient) {
+    const variables = recipient.variables ? JSON.parse(recipient.variables) : {};
+    return { phone: recipient.phone_number, ...variables };
+  }
+
+  _updateRecipient(id, { status, error = null, messageId = null, channel = null, sentAt = null }) {
+    db.prepare(`
+      UPDATE sms_campaign_recipients
+      SET status = ?, error = ?, message_id = COALESCE(?, message_id), channel = COALESCE(?, channel),
+          sent_at = COALESCE(?, sent_at), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, error, messageId, channel, sentAt, id);
+  }
+
+  _setStatus(id, status, { started = false, finished = false } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    db.prepare(`
+      UPDATE sms_campaigns
+      SET status = ?,
+          started_at = CASE WHEN ? THEN COALESCE(started_at, ?) ELSE started_at END,
+          completed_at = CASE WHEN ? THEN ? ELSE completed_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, started ? 1 : 0, now, finished ? 1 : 0, now, id);
+
+    if (finished) {
+      this.channelCursor.delete(id);
+    }
+
+    const campaign = this.getCampaign(id);
+    pushService.broadcast(pushService.eventTypes.SMS_CAMPAIGN_UPDATE, campaign);
+    return campaign;
+  }
+
+  _getRow(id) {
+    const row = db.prepare('SELECT * FROM sms_campaigns WHERE id = ?').get(id);
+    if (!row) {
+      throw campaignError('Campagne non trouvée', 404);
+    }
+    return row;
+  }
+
+  _normalizeRate(rate) {
+    const value = parseInt(rate) || DEFAULT_RATE_PER_MINUTE;
+    return Math.max(1, Math.min(MAX_RATE_PER_MINUTE, value));
+  }
+
+  _formatCampaign(row) {
+    const counts = { pending: 0, sending: 0, sent: 0, failed: 0, excluded: 0, cancelled: 0 };
+    const rows = db.prepare(`
+      SELECT status, COUNT(*) as count FROM sms_campaign_recipients
+      WHERE campaign_id = ?
+      GROUP BY status
+    `).all(row.id);
+    for (const { status, count } of rows) {
+      counts[status] = count;
+    }
+
+    return {
+      id: row.id,
+      name: row.name,
+      template: row.template,
+      from: row.from_number,
+      channels: row.provider_ids ? JSON.parse(row.provider_ids) : null,
+      ratePerMinute: row.rate_per_minute,
+      status: row.status,
+      stats: {
+        total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+        ...counts
+      },
+      createdBy: row.created_by,
+      startedAt: row.started_at ? row.started_at * 1000 : null,
+      completedAt: row.completed_at ? row.completed_at * 1000 : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _formatRecipient(row) {
+    return {
+      id: row.id,
+      phone: row.phone_number,
+      variables: row.variables ? JSON.parse(row.variables) : {},
+      contactId: row.contact_id,
+      status: row.status,
+      channel: row.channel,
+      messageId: row.message_id,
+      error: row.error,
+      attempts: row.attempts,
+      sentAt: row.sent_at ? row.sent_at * 1000 : null,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new SmsCampaignService();
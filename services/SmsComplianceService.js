@@ -81,7 +81,7 @@ class SmsComplianceService {
    * @param {string} text - Contenu du message
    * @param {string} country - Code pays (FR, BE, CH...)
    * @param {Object} providerConfig - Configuration du provider (pour sender)
-   * @returns {{allowed: boolean, reason?: string, warnings: string[], modifiedText?: string}}
+   * @returns {{allowed: boolean, rule?: 'prefix'|'time'|'day'|'spam', reason?: string, warnings: string[], modifiedText?: string}}
    */
   check(to, text, country = 'FR', providerConfig = {}) {
     const result = {
@@ -99,19 +99,19 @@ class SmsComplianceService {
     // 1. Vérifier le préfixe du numéro
     const prefixCheck = this.checkNumberPrefix(to, rules);
     if (!prefixCheck.allowed) {
-      return { allowed: false, reason: prefixCheck.reason, warnings: [] };
+      return { allowed: false, rule: 'prefix', reason: prefixCheck.reason, warnings: [] };
     }
 
     // 2. Vérifier les restrictions horaires
     const timeCheck = this.checkTimeRestrictions(rules);
     if (!timeCheck.allowed) {
-      return { allowed: false, reason: timeCheck.reason, warnings: [] };
+      return { allowed: false, rule: 'time', reason: timeCheck.reason, warnings: [] };
     }
 
     // 3. Vérifier le jour de la semaine
     const dayCheck = this.checkBlockedDays(rules);
     if (!dayCheck.allowed) {
-      return { allowed: false, reason: dayCheck.reason, warnings: [] };
+      return { allowed: false, rule: 'day', reason: dayCheck.reason, warnings: [] };
     }
 
     // 4. Vérifier/ajouter la mention STOP
@@ -132,7 +132,7 @@ class SmsComplianceService {
     // 6. Vérifier l'anti-spam (délai entre SMS)
     const spamCheck = this.checkAntiSpam(to, rules);
     if (!spamCheck.allowed) {
-      return { allowed: false, reason: spamCheck.reason, warnings: [] };
+      return { allowed: false, rule: 'spam', reason: spamCheck.reason, warnings: [] };
     }
 
     // Enregistrer l'envoi pour l'anti-spam
@@ -184,12 +184,11 @@ class SmsComplianceService {
   /**
    * Vérifie les restrictions horaires
    */
-  checkTimeRestrictions(rules) {
+  checkTimeRestrictions(rules, now = new Date()) {
     if (!rules.timeRestrictions) {
       return { allowed: true };
     }
 
-    const now = new Date();
     // Obtenir l'heure dans le fuseau horaire du pays
     const options = { timeZone: rules.timeRestrictions.timezone, hour: 'numeric', hour12: false };
     const hour = parseInt(new Intl.DateTimeFormat('fr-FR', options).format(now));
@@ -209,12 +208,11 @@ class SmsComplianceService {
   /**
    * Vérifie les jours bloqués
    */
-  checkBlockedDays(rules) {
+  checkBlockedDays(rules, now = new Date()) {
     if (!rules.timeRestrictions?.blockedDays?.length) {
       return { allowed: true };
     }
 
-    const now = new Date();
     const options = { timeZone: rules.timeRestrictions.timezone, weekday: 'long' };
     const dayName = new Intl.DateTimeFormat('en-US', options).format(now).toLowerCase();
 
@@ -228,6 +226,52 @@ class SmsComplianceService {
     return { allowed: true };
   }
 
+  /**
+   * Vérifie uniquement la fenêtre d'envoi (horaires + jours bloqués) d'un numéro
+   * @param {string} to - Numéro destinataire (format E.164)
+   * @param {Date} date - Instant d'envoi envisagé
+   * @returns {{allowed: boolean, reason?: string}}
+   */
+  checkSendWindow(to, date = new Date()) {
+    const country = this.detectCountry(to || '');
+    const rules = country ? this.getCountryRules(country) : null;
+    if (!rules || !rules.enabled) {
+      return { allowed: true };
+    }
+
+    const timeCheck = this.checkTimeRestrictions(rules, date);
+    if (!timeCheck.allowed) return timeCheck;
+
+    return this.checkBlockedDays(rules, date);
+  }
+
+  /**
+   * Prochain instant où l'envoi vers ce numéro est autorisé
+   * Utilisé pour reporter un envoi différé plutôt que de le rejeter.
+   * @param {string} to - Numéro destinataire (format E.164)
+   * @param {Date} from - Instant de départ
+   * @returns {Date|null} from si déjà autorisé, null si aucune fenêtre dans les 8 jours
+   */
+  getNextAllowedTime(to, from = new Date()) {
+    if (this.checkSendWindow(to, from).allowed) {
+      return from;
+    }
+
+    // Avance par pas de 15 minutes (fenêtres en heures pleines, fuseaux à la demi-heure près)
+    const step = 15 * 60 * 1000;
+    let candidate = Math.ceil(from.getTime() / step) * step;
+    const limit = from.getTime() + 8 * 24 * 60 * 60 * 1000;
+
+    while (candidate <= limit) {
+      if (this.checkSendWindow(to, new Date(candidate)).allowed) {
+        return new Date(candidate);
+      }
+      candidate += step;
+    }
+
+    return null;
+  }
+
   /**
    * Vérifie et ajoute la mention STOP si nécessaire
    */
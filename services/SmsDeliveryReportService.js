@@ -0,0 +1,165 @@
+/**
+ * SmsDeliveryReportService - Accusés de réception des SMS sortants
+ *
+ * - SmsSendService enregistre, après stockage du message, la référence de chaque
+ *   partie envoyée: TP-MR du modem AT (0-255) ou identifiant du provider cloud
+ * - Les providers émettent 'delivery_report' (+CDS / +CDSI, callbacks Twilio / OVH),
+ *   SmsRoutingService le transmet ici
+ * - messages.status passe à delivered (toutes les parties remises) ou failed
+ *   (une partie en échec) et 'message_status' est poussé aux clients WebSocket
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+
+// Les références TP-MR bouclent sur 256 valeurs: au-delà, un accusé n'est plus rapproché
+const TRACKING_TTL_DAYS = 7;
+
+// Accusé arrivé avant l'enregistrement de la référence (envoi multi-parties en cours)
+const EARLY_REPORT_TTL_MS = 2 * 60 * 1000;
+
+// Lazy load to avoid circular dependencies
+let chatStorage = null;
+
+function getChatStorage() {
+  if (!chatStorage) {
+    chatStorage = require('./ChatStorageServicePersistent');
+  }
+  return chatStorage;
+}
+
+class SmsDeliveryReportService {
+  constructor() {
+    this.earlyReports = new Map();
+  }
+
+  /**
+   * Enregistre les références d'un SMS envoyé
+   * @param {string} messageId - ID du message dans la table messages
+   * @param {Object} params
+   * @param {string} params.channel - Modem ou provider SmsRoutingService
+   * @param {Array<string|number>} params.references - Une référence par partie
+   * @param {string} [params.to] - Destinataire (départage les TP-MR réutilisés)
+   */
+  track(messageId, { channel, references, to = null }) {
+    const refs = (references || []).filter(ref => ref !== null && ref !== undefined && ref !== '');
+    if (!messageId || !channel || refs.length === 0) return;
+
+    db.transaction(() => {
+      db.prepare(`
+        DELETE FROM sms_delivery_reports WHERE created_at < datetime('now', ?)
+      `).run(`-${TRACKING_TTL_DAYS} days`);
+
+      const insert = db.prepare(`
+        INSERT INTO sms_delivery_reports (message_id, channel, reference, recipient)
+        VALUES (?, ?, ?, ?)
+      `);
+      for (const ref of refs) {
+        insert.run(messageId, channel, String(ref), to);
+      }
+    })();
+
+    // Accusés reçus pendant l'envoi des parties suivantes
+    for (const ref of refs) {
+      const key = `${channel}:${ref}`;
+      const early = this.earlyReports.get(key);
+      if (early) {
+        this.earlyReports.delete(key);
+        clearTimeout(early.timer);
+        this.handleReport(channel, early.report);
+      }
+    }
+  }
+
+  /**
+   * Références à suivre pour le résultat d'un envoi
+   * - Modem AT / provider: messageRefs (TP-MR de chaque partie)
+   * - Provider cloud: messageId (SID Twilio, identifiant OVH)
+   * - chan_quectel (ModemService.sendSms): le SMS est mis en file par Asterisk sans
+   *   exposer de TP-MR, rien n'est suivi et le message reste 'sent'
+   * @param {Object} sendResult
+   * @returns {Array<string|number>}
+   */
+  referencesFor(sendResult) {
+    if (Array.isArray(sendResult?.messageRefs) && sendResult.messageRefs.length > 0) {
+      return sendResult.messageRefs;
+    }
+    return sendResult?.messageId ? [sendResult.messageId] : [];
+  }
+
+  /**
+   * Traite un accusé de réception
+   * @param {string} channel - Modem ou provider à l'origine de l'envoi
+   * @param {Object} report
+   * @param {string|number} report.reference - TP-MR ou identifiant du provider
+   * @param {'delivered'|'failed'|'pending'|'sent'} report.status - Statut normalisé
+   * @param {string} [report.to] - Destinataire
+   * @param {string} [report.error] - Cause d'échec
+   * @returns {{messageId: string, status: string}|null} Statut du message s'il a changé
+   */
+  handleReport(channel, { reference, status, to = null, error = null }) {
+    if (reference === null || reference === undefined) return null;
+    if (status !== 'delivered' && status !== 'failed') return null;
+
+    const ref = String(reference);
+    const row = this._findTracking(channel, ref, to);
+    if (!row) {
+      const key = `${channel}:${ref}`;
+      if (!this.earlyReports.has(key)) {
+        const timer = setTimeout(() => this.earlyReports.delete(key), EARLY_REPORT_TTL_MS);
+        timer.unref?.();
+        this.earlyReports.set(key, { report: { reference, status, to, error }, timer });
+      }
+      logger.debug(`[SmsDelivery] No tracked SMS for ${channel}/${ref}`);
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE sms_delivery_reports
+      SET status = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, error, row.id);
+
+    return this._updateMessage(row.message_id);
+  }
+
+  _findTracking(channel, ref, to) {
+    const rows = db.prepare(`
+      SELECT * FROM sms_delivery_reports
+      WHERE channel = ? AND reference = ?
+      ORDER BY id DESC LIMIT 10
+    `).all(channel, ref);
+
+    // Même TP-MR pour plusieurs destinataires: le numéro départage (8 derniers chiffres)
+    const digits = to ? String(to).replace(/\D/g, '').slice(-8) : null;
+    const matching = digits
+      ? rows.filter(row => !row.recipient || row.recipient.replace(/\D/g, '').endsWith(digits))
+      : rows;
+
+    return matching.find(row => row.status === 'pending') || matching[0] || null;
+  }
+
+  _updateMessage(messageId) {
+    const parts = db.prepare('SELECT status FROM sms_delivery_reports WHERE message_id = ?').all(messageId);
+    let status = null;
+    if (parts.some(part => part.status === 'failed')) {
+      status = 'failed';
+    } else if (parts.every(part => part.status === 'delivered')) {
+      status = 'delivered';
+    }
+    if (!status) return null;
+
+    const message = db.prepare('SELECT chat_id, status FROM messages WHERE id = ?').get(messageId);
+    if (!message || message.status === status) return null;
+
+    getChatStorage().updateMessageStatus(messageId, status);
+    pushService.pushMessageStatus(message.chat_id, messageId, status);
+    logger.info(`[SmsDelivery] ${messageId} -> ${status}`);
+
+    return { messageId, status };
+  }
+}
+
+// Export singleton
+module.exports = new SmsDeliveryReportService();
@@ -0,0 +1,242 @@
+/**
+ * SmsOptOutService - Registre des désinscriptions SMS (STOP)
+ *
+ * - Alimenté automatiquement par les SMS entrants "STOP", "ARRET"... (modems,
+ *   SMS Bridge, webhooks Twilio / OVH)
+ * - Consulté par tous les chemins d'envoi (SmsSendService, SmsRoutingService):
+ *   un numéro désinscrit ne reçoit plus de SMS
+ * - Import et levée manuelle par un admin, chaque changement est journalisé
+ */
+
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const complianceService = require('./SmsComplianceService');
+const { toE164 } = require('../utils/phoneNumber');
+
+const BACKFILL_SETTING = 'sms_opt_outs_backfilled';
+
+class SmsOptOutService {
+  /**
+   * Numéro normalisé (E.164), null si invalide
+   */
+  normalize(number) {
+    if (!number) return null;
+    return toE164(String(number).replace(/^sms_.*_/, ''));
+  }
+
+  isOptedOut(number) {
+    const phone = this.normalize(number);
+    if (!phone) return false;
+    return !!db.prepare('SELECT 1 FROM sms_opt_outs WHERE phone_number = ?').get(phone);
+  }
+
+  /**
+   * @returns {Set<string>} Numéros désinscrits (E.164)
+   */
+  getOptedOutNumbers() {
+    const rows = db.prepare('SELECT phone_number FROM sms_opt_outs').all();
+    return new Set(rows.map(row => row.phone_number));
+  }
+
+  get(number) {
+    const phone = this.normalize(number);
+    if (!phone) return null;
+    const row = db.prepare('SELECT * FROM sms_opt_outs WHERE phone_number = ?').get(phone);
+    return row ? this._formatEntry(row) : null;
+  }
+
+  list({ search = null, limit = 50, offset = 0 } = {}) {
+    const where = search ? 'WHERE phone_number LIKE ?' : '';
+    const params = search ? [`%${search.replace(/[^\d+]/g, '')}%`] : [];
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM sms_opt_outs ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM sms_opt_outs ${where}
+      ORDER BY created_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { total, optOuts: rows.map(row => this._formatEntry(row)) };
+  }
+
+  /**
+   * SMS entrant: enregistre la désinscription si c'est une demande STOP
+   * @param {string} from - Numéro de l'expéditeur
+   * @param {string} text - Contenu du SMS
+   * @param {string} source - Origine (ex: 'modem-1', 'twilio-main', 'sms-bridge')
+   * @returns {boolean} true si le numéro vient d'être désinscrit
+   */
+  handleInbound(from, text, source) {
+    try {
+      const added = this._recordStop(from, text, `sms:${source || 'unknown'}`);
+      if (added) {
+        logger.info(`[OptOut] ${this.normalize(from)} opted out via ${source || 'unknown'}`);
+      }
+      return added;
+    } catch (error) {
+      logger.error('[OptOut] Failed to process inbound SMS:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Seul point de détection des demandes STOP (SMS entrants et reprise de l'historique)
+   * @returns {boolean} true si le numéro vient d'être désinscrit
+   */
+  _recordStop(from, text, source) {
+    const phone = this.normalize(from);
+    if (!phone || !text) return false;
+
+    // Pays sans règles: mots-clés français par défaut
+    const country = complianceService.detectCountry(phone);
+    const rules = country && complianceService.getCountryRules(country);
+    if (!complianceService.isStopRequest(text, rules ? country : 'FR')) {
+      return false;
+    }
+
+    return this.optOut(phone, { source, keyword: text.trim().substring(0, 40) });
+  }
+
+  /**
+   * Ajoute un numéro au registre
+   * @param {string} number
+   * @param {Object} options
+   * @param {string} options.source - 'sms:<provider>' | 'manual' | 'import' | 'history'
+   * @param {string} [options.keyword] - Texte du SMS STOP
+   * @param {string} [options.detail] - Motif (journal)
+   * @param {{id: number, username: string}} [options.user] - Admin à l'origine
+   * @returns {boolean} false si déjà désinscrit
+   */
+  optOut(number, { source, keyword = null, detail = null, user = null } = {}) {
+    const phone = this.normalize(number);
+    if (!phone) {
+      throw new Error(`Numéro invalide: ${number}`);
+    }
+
+    return db.transaction(() => {
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO sms_opt_outs (phone_number, keyword, source, created_by)
+        VALUES (?, ?, ?, ?)
+      `).run(phone, keyword, source, user?.id || null);
+
+      if (result.changes === 0) return false;
+
+      this._audit(phone, 'opt_out', source, detail || keyword, user);
+      return true;
+    })();
+  }
+
+  /**
+   * Lève la désinscription (le numéro peut de nouveau recevoir des SMS)
+   * @returns {boolean} false si le numéro n'était pas désinscrit
+   */
+  clear(number, { detail = null, user = null } = {}) {
+    const phone = this.normalize(number);
+    if (!phone) return false;
+
+    return db.transaction(() => {
+      const result = db.prepare('DELETE FROM sms_opt_outs WHERE phone_number = ?').run(phone);
+      if (result.changes === 0) return false;
+
+      this._audit(phone, 'clear', 'manual', detail, user);
+      logger.info(`[OptOut] ${phone} cleared by ${user?.username || 'system'}`);
+      return true;
+    })();
+  }
+
+  /**
+   * Import en masse (liste fournie par un ancien outil, un prestataire...)
+   * @returns {{added: number, existing: number, invalid: string[]}}
+   */
+  importNumbers(numbers, { detail = null, user = null } = {}) {
+    const summary = { added: 0, existing: 0, invalid: [] };
+
+    for (const number of numbers) {
+      if (!this.normalize(number)) {
+        summary.invalid.push(number);
+        continue;
+      }
+      if (this.optOut(number, { source: 'import', detail, user })) {
+        summary.added++;
+      } else {
+        summary.existing++;
+      }
+    }
+
+    logger.info(`[OptOut] Import by ${user?.username || 'system'}: ${summary.added} added, ${summary.existing} existing, ${summary.invalid.length} invalid`);
+    return summary;
+  }
+
+  /**
+   * Journal des ajouts / levées
+   */
+  getAudit({ number = null, limit = 100, offset = 0 } = {}) {
+    const phone = number ? this.normalize(number) : null;
+    const where = number ? 'WHERE phone_number = ?' : '';
+    const params = number ? [phone] : [];
+
+    const total = db.prepare(`SELECT COUNT(*) as count FROM sms_opt_out_audit ${where}`).get(...params).count;
+    const rows = db.prepare(`
+      SELECT * FROM sms_opt_out_audit ${where}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      total,
+      entries: rows.map(row => ({
+        id: row.id,
+        phone: row.phone_number,
+        action: row.action,
+        source: row.source,
+        detail: row.detail,
+        userId: row.user_id,
+        username: row.username,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Reprise unique des réponses STOP déjà présentes dans l'historique SMS
+   * (conversations sms_<local>_<remote> reçues avant la création du registre)
+   */
+  backfillFromHistory() {
+    if (db.getSetting(BACKFILL_SETTING)) return 0;
+
+    const rows = db.prepare(`
+      SELECT m.chat_id, m.content FROM messages m
+      JOIN chats c ON c.id = m.chat_id
+      WHERE c.provider = 'sms' AND m.from_me = 0 AND length(m.content) <= 40
+    `).all();
+
+    // chatId: sms_<local>_<remote>
+    const added = rows.filter(row => this._recordStop(row.chat_id.split('_').pop(), row.content, 'history')).length;
+
+    db.setSetting(BACKFILL_SETTING, true);
+    if (added > 0) {
+      logger.info(`[OptOut] ${added} opt-out(s) recovered from SMS history`);
+    }
+    return added;
+  }
+
+  _audit(phone, action, source, detail, user) {
+    db.prepare(`
+      INSERT INTO sms_opt_out_audit (phone_number, action, source, detail, user_id, username)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(phone, action, source, detail || null, user?.id || null, user?.username || null);
+  }
+
+  _formatEntry(row) {
+    return {
+      phone: row.phone_number,
+      keyword: row.keyword,
+      source: row.source,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new SmsOptOutService();
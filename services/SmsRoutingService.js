@@ -4,22 +4,152 @@
  * Fonctionnalités:
  * - Sélection automatique du provider optimal
  * - Fallback automatique en cas d'échec
- * - Routage basé sur préfixes (ex: +33 -> OVH, autres -> Twilio)
- * - Load balancing round-robin optionnel
+ * - Règles de routage déclarées dans providers.yaml (routing.sms), modifiables via /api/config/routing/sms:
+ *   préfixe, expéditeur, plage horaire, longueur du message, priorité, répartition
+ *   pondérée entre modems / providers, choix du moins cher et chaîne de fallback par règle
+ * - Simulation d'une route avec justification (resolveRoute)
  * - Statistiques et monitoring
  * - Health checks périodiques
+ * - Blocage des numéros désinscrits (registre STOP) et alimentation du registre par les SMS entrants
+ * - SMS entrants d'expéditeurs bloqués (liste de blocage) filtrés
+ * - Accusés de réception des providers transmis à SmsDeliveryReportService
  */
 
 const EventEmitter = require('events');
 const logger = require('winston');
 const configService = require('./ConfigurationService');
+const optOutService = require('./SmsOptOutService');
+const blockListService = require('./BlockListService');
+const deliveryReportService = require('./SmsDeliveryReportService');
+const { toE164 } = require('../utils/phoneNumber');
+const { measure } = require('../utils/smsPdu');
+
+const ROUTING_STRATEGIES = ['weighted', 'cheapest', 'ordered'];
+const WEEK_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Modem en échec répété: nouvel essai après ce délai (pas de health check côté modem)
+const MODEM_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// Lazy load pour éviter les dépendances circulaires
+let modemService = null;
+
+function getModemService() {
+  if (!modemService) {
+    const ModemService = require('./ModemService');
+    modemService = new ModemService();
+  }
+  return modemService;
+}
+
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function toLimit(value, name) {
+  if (value == null) return null;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`${name} doit être un entier positif`);
+  }
+  return limit;
+}
+
+/**
+ * Règle de providers.yaml -> forme interne
+ * Accepte aussi l'ancien format { pattern, provider, fallback, priority }
+ * @throws {Error} Règle invalide (motif, stratégie, plage horaire...)
+ */
+function normalizeRule(raw, index) {
+  const match = raw.match || {};
+  const strategy = raw.strategy || 'weighted';
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    throw new Error(`stratégie inconnue '${strategy}' (${ROUTING_STRATEGIES.join(', ')})`);
+  }
+
+  const pattern = match.pattern || raw.pattern;
+  const time = match.time || null;
+  if (time) {
+    const clock = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+    if (!time.start !== !time.end) {
+      throw new Error('plage horaire: start et end vont ensemble');
+    }
+    if (time.start && (!clock.test(time.start) || !clock.test(time.end))) {
+      throw new Error('plage horaire: format HH:MM attendu');
+    }
+    const unknownDay = (time.days || []).find(day => !WEEK_DAYS.includes(day));
+    if (unknownDay) {
+      throw new Error(`jour inconnu '${unknownDay}'`);
+    }
+  }
+
+  const targets = raw.targets || (raw.provider ? [raw.provider] : []);
+
+  return {
+    id: raw.id || `rule-${index + 1}`,
+    description: raw.description || null,
+    priority: raw.priority ?? 10,
+    enabled: raw.enabled !== false,
+    strategy,
+    match: {
+      prefixes: [].concat(match.prefixes || match.prefix || []).map(String),
+      pattern: pattern ? new RegExp(pattern) : null,
+      users: [].concat(match.users || []).map(String),
+      time,
+      minLength: toLimit(match.min_length, 'min_length'),
+      maxLength: toLimit(match.max_length, 'max_length'),
+      minSegments: toLimit(match.min_segments, 'min_segments'),
+      maxSegments: toLimit(match.max_segments, 'max_segments')
+    },
+    targets: targets.map(target => (typeof target === 'string'
+      ? { id: target, weight: 1, cost: null }
+      : { id: target.provider, weight: Number(target.weight ?? 1), cost: target.cost != null ? Number(target.cost) : null })),
+    // null: pas de fallback déclaré -> chaîne par défaut ; [] : aucun fallback
+    fallback: raw.fallback == null ? null : [].concat(raw.fallback)
+  };
+}
+
+/**
+ * Plage horaire d'une règle: { start, end, days, timezone }
+ * (end < start: plage à cheval sur minuit)
+ */
+function checkTimeWindow(time, date, defaultTimezone) {
+  const timezone = time.timezone || defaultTimezone;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  const day = part('weekday').toLowerCase();
+  const clock = `${part('hour')}:${part('minute')}`;
+
+  if (time.days?.length && !time.days.includes(day)) {
+    return { matched: false, reason: `${day} hors des jours ${time.days.join(', ')}` };
+  }
+
+  if (time.start) {
+    const inside = time.start <= time.end
+      ? clock >= time.start && clock < time.end
+      : clock >= time.start || clock < time.end;
+    if (!inside) {
+      return { matched: false, reason: `${clock} hors de ${time.start}-${time.end} (${timezone})` };
+    }
+  }
+
+  return { matched: true, reason: `${day} ${clock} (${timezone})` };
+}
 
 class SmsRoutingService extends EventEmitter {
   constructor() {
     super();
     this.providers = new Map();       // id -> provider instance
     this.providerHealth = new Map();  // id -> { healthy: boolean, lastCheck: Date, failures: number }
-    this.routingRules = [];           // Règles de routage par préfixe
+    this.routingRules = [];           // Règles de routage normalisées, triées par priorité
+    this.routingConfigured = false;   // Règles issues de providers.yaml (sinon règles historiques)
+    this.defaultChainConfig = null;   // routing.sms.fallback
+    this.weightState = new Map();     // ruleId -> Map(cible -> poids courant) pour la répartition pondérée
     this.defaultProvider = null;
     this.fallbackChain = [];          // Ordre de fallback
     this.stats = {
@@ -29,6 +159,7 @@ class SmsRoutingService extends EventEmitter {
       lastSentAt: null
     };
     this.healthCheckInterval = null;
+    this.unsubscribeConfig = null;
   }
 
   /**
@@ -41,19 +172,29 @@ class SmsRoutingService extends EventEmitter {
       // Charger la configuration
       const smsProviders = configService.getEnabledProviders('sms');
 
-      if (smsProviders.length === 0) {
-        logger.warn('[SmsRouting] No SMS providers enabled');
-        return false;
-      }
-
-      // Charger chaque provider
+      // Charger chaque provider, sauf ceux déjà pilotés par un autre service
       for (const providerConfig of smsProviders) {
+        const owner = this.getExternalOwner(providerConfig);
+        if (owner) {
+          logger.info(`[SmsRouting] Skipping provider '${providerConfig.id}' (${providerConfig.type}): already handled by ${owner}`);
+          continue;
+        }
         await this.loadProvider(providerConfig);
       }
 
-      // Configurer les règles de routage
+      // Configurer les règles de routage (les modems peuvent être ciblés même sans provider)
       this.setupRoutingRules();
 
+      // Règles modifiées dans providers.yaml (hot-reload ou API admin)
+      if (!this.unsubscribeConfig) {
+        this.unsubscribeConfig = configService.onChange(() => this.setupRoutingRules());
+      }
+
+      if (smsProviders.length === 0) {
+        logger.warn('[SmsRouting] No SMS providers enabled');
+        return false;
+      }
+
       // Démarrer les health checks
       this.startHealthChecks();
 
@@ -65,6 +206,46 @@ class SmsRoutingService extends EventEmitter {
     }
   }
 
+  /**
+   * Service qui possède déjà ce provider, ou null.
+   * - sms_bridge : ProviderManager fait déjà tourner son polling
+   * - gammu/modem/at_command : le port série est ouvert par chan_quectel (ModemService)
+   */
+  getExternalOwner(providerConfig) {
+    const { type, config = {} } = providerConfig;
+
+    if (type === 'sms_bridge') {
+      return 'ProviderManager';
+    }
+
+    if (['gammu', 'modem', 'at_command'].includes(type)) {
+      const device = config.device || '/dev/ttyUSB2';
+      if (this.getModemPorts().has(device)) {
+        return 'ModemService';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Ports série (data + audio) utilisés par les modems chan_quectel
+   */
+  getModemPorts() {
+    const ports = new Set();
+    try {
+      const modemSvc = getModemService();
+      const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
+      for (const modem of Object.values(modemsConfig?.modems || {})) {
+        if (modem.dataPort) ports.add(modem.dataPort);
+        if (modem.audioPort) ports.add(modem.audioPort);
+      }
+    } catch (error) {
+      logger.debug(`[SmsRouting] Modems unavailable: ${error.message}`);
+    }
+    return ports;
+  }
+
   /**
    * Charge et initialise un provider SMS
    */
@@ -89,6 +270,9 @@ class SmsRoutingService extends EventEmitter {
         case 'modem':
           ProviderClass = require('../providers/sms/modem/GammuModemProvider');
           break;
+        case 'at_command':
+          ProviderClass = require('../providers/sms/modem/AtCommandProvider');
+          break;
         case 'plivo':
           // À implémenter
           logger.warn(`[SmsRouting] Provider type '${type}' not yet implemented`);
@@ -123,7 +307,14 @@ class SmsRoutingService extends EventEmitter {
       // Écouter les événements du provider
       provider.on('message_sent', (data) => this.onProviderMessageSent(id, data));
       provider.on('message_received', (data) => this.onProviderMessageReceived(id, data));
+      // Modems Gammu / AT: SMS entrants émis en 'sms_received' ({ from, message })
+      provider.on('sms_received', (sms) => {
+        if (sms.from) {
+          this.onProviderMessageReceived(id, { from: sms.from, text: sms.message ?? sms.text, ...sms });
+        }
+      });
       provider.on('status_changed', (data) => this.onProviderStatusChanged(id, data));
+      provider.on('delivery_report', (data) => this.onProviderDeliveryReport(id, data));
 
       logger.info(`[SmsRouting] Provider '${id}' (${type}) loaded successfully`);
 
@@ -147,49 +338,108 @@ class SmsRoutingService extends EventEmitter {
   }
 
   /**
-   * Configure les règles de routage basées sur la configuration
+   * Configure les règles de routage depuis providers.yaml (routing.sms)
+   *
+   * Sans règle configurée, les règles historiques s'appliquent
+   * (+33 -> OVH puis Twilio, international -> Twilio puis OVH).
    */
   setupRoutingRules() {
-    // Règles par défaut (peuvent être personnalisées via config)
-    this.routingRules = [
+    const { rules, fallback } = configService.getSmsRouting();
+
+    this.routingConfigured = rules.length > 0;
+    this.defaultChainConfig = fallback;
+    this.weightState.clear();
+
+    const rawRules = this.routingConfigured ? rules : this.getBuiltinRules();
+    this.routingRules = [];
+
+    rawRules.forEach((raw, index) => {
+      try {
+        this.routingRules.push(normalizeRule(raw, index));
+      } catch (error) {
+        logger.error(`[SmsRouting] Invalid routing rule '${raw.id || index + 1}': ${error.message}`);
+      }
+    });
+
+    // Trier par priorité (tri stable: l'ordre du fichier départage)
+    this.routingRules.sort((a, b) => a.priority - b.priority);
+
+    logger.info(`[SmsRouting] ${this.routingRules.length} routing rules configured (${this.routingConfigured ? 'providers.yaml' : 'built-in'})`);
+  }
+
+  /**
+   * Règles historiques, utilisées tant que routing.sms est vide
+   * (le SMS Bridge est piloté par ProviderManager, pas par ce service: pas de règle)
+   */
+  getBuiltinRules() {
+    const ovh = this.findProviderByType('ovh');
+    const twilio = this.findProviderByType('twilio');
+
+    return [
       // France -> OVH (si disponible)
-      {
-        pattern: /^\+33/,
-        providerId: this.findProviderByType('ovh'),
-        fallback: this.findProviderByType('twilio'),
-        priority: 1
-      },
+      { id: 'builtin-france', priority: 1, match: { prefixes: ['+33'] }, targets: [ovh], fallback: [twilio] },
       // International -> Twilio (meilleure couverture)
-      {
-        pattern: /^\+(?!33)/,
-        providerId: this.findProviderByType('twilio'),
-        fallback: this.findProviderByType('ovh'),
-        priority: 2
-      },
-      // SMS Bridge pour les numéros locaux
-      {
-        pattern: /^sms_/,
-        providerId: this.findProviderByType('sms_bridge'),
-        fallback: null,
-        priority: 0
-      }
-    ];
-
-    // Charger les règles personnalisées depuis config si présentes
-    const customRules = configService.getConfig()?.routing?.sms || [];
-    for (const rule of customRules) {
-      this.routingRules.push({
-        pattern: new RegExp(rule.pattern),
-        providerId: rule.provider,
-        fallback: rule.fallback,
-        priority: rule.priority || 10
-      });
+      { id: 'builtin-international', priority: 2, match: { pattern: '^\\+(?!33)' }, targets: [twilio], fallback: [ovh] }
+    ].map(rule => ({
+      ...rule,
+      targets: rule.targets.filter(Boolean),
+      fallback: rule.fallback.filter(Boolean)
+    }));
+  }
+
+  /**
+   * Vrai si des règles sont déclarées dans providers.yaml
+   * (SmsSendService leur délègue alors aussi le choix du modem)
+   */
+  hasConfiguredRules() {
+    return this.routingConfigured;
+  }
+
+  /**
+   * Vérifie une configuration de routage avant enregistrement
+   * @param {{rules: Array, fallback?: string[]}} routing
+   * @returns {string[]} Erreurs (vide si valide)
+   */
+  validateRoutingConfig({ rules = [], fallback = null } = {}) {
+    const errors = [];
+    const ids = new Set();
+
+    if (!Array.isArray(rules)) {
+      return ['rules doit être une liste'];
+    }
+    if (fallback != null && (!Array.isArray(fallback) || fallback.some(id => typeof id !== 'string'))) {
+      errors.push('fallback doit être une liste d\'identifiants');
     }
 
-    // Trier par priorité
-    this.routingRules.sort((a, b) => a.priority - b.priority);
+    rules.forEach((raw, index) => {
+      const label = `Règle ${raw?.id || index + 1}`;
+      if (!raw || typeof raw !== 'object') {
+        errors.push(`${label}: objet attendu`);
+        return;
+      }
+      if (!raw.id || !/^[a-z0-9_-]+$/i.test(raw.id)) {
+        errors.push(`${label}: id requis (lettres, chiffres, - et _)`);
+      } else if (ids.has(raw.id)) {
+        errors.push(`${label}: id en double`);
+      }
+      ids.add(raw.id);
 
-    logger.info(`[SmsRouting] ${this.routingRules.length} routing rules configured`);
+      try {
+        const rule = normalizeRule(raw, index);
+        if (rule.targets.length === 0 && !rule.fallback?.length) {
+          errors.push(`${label}: au moins une cible (targets) ou un fallback requis`);
+        }
+        for (const target of rule.targets) {
+          if (!target.id) errors.push(`${label}: cible sans provider`);
+          if (!(target.weight > 0)) errors.push(`${label}: poids invalide pour ${target.id}`);
+          if (target.cost != null && !(target.cost >= 0)) errors.push(`${label}: coût invalide pour ${target.id}`);
+        }
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    });
+
+    return errors;
   }
 
   /**
@@ -205,38 +455,286 @@ class SmsRoutingService extends EventEmitter {
   }
 
   /**
-   * Sélectionne le meilleur provider pour un numéro donné
+   * Sélectionne le meilleur provider (ou modem) pour un numéro donné
    */
-  selectProvider(phoneNumber) {
-    // Appliquer les règles de routage
+  selectProvider(phoneNumber, context = {}) {
+    const route = this.resolveRoute(phoneNumber, context);
+    if (!route.selected) {
+      logger.error('[SmsRouting] No healthy provider available');
+    }
+    return route.selected;
+  }
+
+  /**
+   * Détermine la route d'un SMS: règle retenue, cibles dans l'ordre d'essai et justification
+   *
+   * @param {string} to - Numéro destinataire
+   * @param {Object} [context]
+   * @param {string} [context.text] - Contenu (longueur, segments, coût)
+   * @param {{id: number, username: string}} [context.user] - Utilisateur expéditeur
+   * @param {Date} [context.date] - Instant d'envoi (plages horaires)
+   * @param {boolean} [context.dryRun] - Simulation: n'avance pas la répartition pondérée
+   * @returns {{selected: string|null, rule: string|null, candidates: Array, trace: Array, message: Object}}
+   */
+  resolveRoute(to, { text = '', user = null, date = new Date(), dryRun = false } = {}) {
+    const ctx = {
+      to: String(to || ''),
+      number: toE164(String(to || '').replace(/^sms_.*_/, '')) || String(to || ''),
+      user,
+      date,
+      timezone: configService.getInstance().timezone || 'Europe/Paris',
+      ...measure(text)
+    };
+
+    const trace = [];
+    const candidates = [];
+    let matchedRule = null;
+
     for (const rule of this.routingRules) {
-      if (rule.pattern.test(phoneNumber)) {
-        const providerId = rule.providerId;
+      if (!rule.enabled) {
+        trace.push({ rule: rule.id, priority: rule.priority, matched: false, reasons: ['règle désactivée'] });
+        continue;
+      }
 
-        // Vérifier si le provider est disponible et healthy
-        if (providerId && this.isProviderHealthy(providerId)) {
-          return providerId;
-        }
+      const evaluation = this.evaluateRule(rule, ctx);
+      if (!evaluation.matched) {
+        trace.push({ rule: rule.id, priority: rule.priority, matched: false, reasons: evaluation.reasons });
+        continue;
+      }
+
+      const { ordered, skipped } = this.orderRuleTargets(rule, ctx, dryRun);
+      trace.push({ rule: rule.id, priority: rule.priority, matched: true, reasons: evaluation.reasons, skipped });
+
+      if (ordered.length === 0) {
+        // Aucune cible disponible: règle suivante
+        continue;
+      }
+
+      matchedRule = rule;
+      candidates.push(...ordered);
+      break;
+    }
 
-        // Essayer le fallback
-        if (rule.fallback && this.isProviderHealthy(rule.fallback)) {
-          logger.info(`[SmsRouting] Using fallback provider for ${phoneNumber}`);
-          return rule.fallback;
+    // Chaîne par défaut: aucune règle applicable, ou règle sans fallback déclaré
+    if (!matchedRule || matchedRule.fallback === null) {
+      for (const id of this.getDefaultChain()) {
+        if (!candidates.some(c => c.id === id) && this.isTargetAvailable(id)) {
+          candidates.push({ id, kind: this.getTargetKind(id), reason: 'chaîne par défaut' });
         }
       }
     }
 
-    // Fallback: premier provider healthy
-    for (const id of this.fallbackChain) {
-      if (this.isProviderHealthy(id)) {
-        return id;
+    return {
+      to: ctx.number,
+      selected: candidates[0]?.id || null,
+      rule: matchedRule?.id || null,
+      candidates,
+      trace,
+      message: { length: ctx.length, segments: ctx.segments, encoding: ctx.encoding }
+    };
+  }
+
+  /**
+   * Évalue les conditions d'une règle (toutes doivent être remplies)
+   * @returns {{matched: boolean, reasons: string[]}}
+   */
+  evaluateRule(rule, ctx) {
+    const { match } = rule;
+    const reasons = [];
+
+    if (match.prefixes.length > 0) {
+      const prefix = match.prefixes.find(p => ctx.number.startsWith(p));
+      if (!prefix) {
+        return { matched: false, reasons: [`${ctx.number} ne commence pas par ${match.prefixes.join(', ')}`] };
+      }
+      reasons.push(`préfixe ${prefix}`);
+    }
+
+    if (match.pattern) {
+      if (!match.pattern.test(ctx.to) && !match.pattern.test(ctx.number)) {
+        return { matched: false, reasons: [`${ctx.number} ne correspond pas à /${match.pattern.source}/`] };
+      }
+      reasons.push(`motif /${match.pattern.source}/`);
+    }
+
+    if (match.users.length > 0) {
+      const user = ctx.user;
+      if (!user || !(match.users.includes(String(user.id)) || match.users.includes(user.username))) {
+        return { matched: false, reasons: [`expéditeur ${user?.username || 'inconnu'} hors de [${match.users.join(', ')}]`] };
+      }
+      reasons.push(`expéditeur ${user.username || user.id}`);
+    }
+
+    if (match.time) {
+      const timeCheck = checkTimeWindow(match.time, ctx.date, ctx.timezone);
+      if (!timeCheck.matched) {
+        return { matched: false, reasons: [timeCheck.reason] };
       }
+      reasons.push(timeCheck.reason);
     }
 
-    logger.error('[SmsRouting] No healthy provider available');
+    const limits = [
+      [match.minLength, ctx.length >= match.minLength, `${ctx.length} caractère(s), minimum ${match.minLength}`],
+      [match.maxLength, ctx.length <= match.maxLength, `${ctx.length} caractère(s), maximum ${match.maxLength}`],
+      [match.minSegments, ctx.segments >= match.minSegments, `${ctx.segments} segment(s), minimum ${match.minSegments}`],
+      [match.maxSegments, ctx.segments <= match.maxSegments, `${ctx.segments} segment(s), maximum ${match.maxSegments}`]
+    ].filter(([limit]) => limit != null);
+    for (const [, ok, description] of limits) {
+      if (!ok) {
+        return { matched: false, reasons: [description] };
+      }
+    }
+    if (limits.length > 0) {
+      reasons.push(`${ctx.length} caractère(s), ${ctx.segments} segment(s)`);
+    }
+
+    if (reasons.length === 0) {
+      reasons.push('aucune condition (règle universelle)');
+    }
+    return { matched: true, reasons };
+  }
+
+  /**
+   * Ordonne les cibles d'une règle selon sa stratégie, suivies de son fallback
+   * @returns {{ordered: Array<{id, kind, reason}>, skipped: Array<{id, reason}>}}
+   */
+  orderRuleTargets(rule, ctx, dryRun = false) {
+    const skipped = [];
+    const available = [];
+
+    for (const target of rule.targets) {
+      const kind = this.getTargetKind(target.id);
+      if (!kind) {
+        skipped.push({ id: target.id, reason: 'provider ou modem inconnu' });
+      } else if (!this.isTargetAvailable(target.id)) {
+        skipped.push({ id: target.id, reason: 'indisponible' });
+      } else {
+        available.push({ ...target, kind, cost: this.getTargetCost(target) });
+      }
+    }
+
+    let ordered = [];
+    if (available.length > 0) {
+      if (rule.strategy === 'cheapest') {
+        ordered = [...available]
+          .sort((a, b) => (a.cost ?? Infinity) - (b.cost ?? Infinity))
+          .map(t => ({
+            id: t.id,
+            kind: t.kind,
+            reason: t.cost != null
+              ? `coût estimé ${roundCost(t.cost * ctx.segments)} (${ctx.segments} × ${t.cost})`
+              : 'coût inconnu'
+          }));
+      } else if (rule.strategy === 'ordered') {
+        ordered = available.map((t, index) => ({ id: t.id, kind: t.kind, reason: `ordre ${index + 1}` }));
+      } else {
+        const totalWeight = available.reduce((sum, t) => sum + t.weight, 0);
+        const picked = this.pickWeighted(rule.id, available, totalWeight, dryRun);
+        ordered = [picked, ...available.filter(t => t !== picked).sort((a, b) => b.weight - a.weight)]
+          .map((t, index) => ({
+            id: t.id,
+            kind: t.kind,
+            reason: `${index === 0 ? 'répartition pondérée' : 'repli pondéré'}, poids ${t.weight}/${totalWeight}`
+          }));
+      }
+    }
+
+    for (const id of rule.fallback || []) {
+      if (ordered.some(c => c.id === id)) continue;
+      if (!this.getTargetKind(id)) {
+        skipped.push({ id, reason: 'fallback inconnu' });
+      } else if (!this.isTargetAvailable(id)) {
+        skipped.push({ id, reason: 'fallback indisponible' });
+      } else {
+        ordered.push({ id, kind: this.getTargetKind(id), reason: 'fallback de la règle' });
+      }
+    }
+
+    return { ordered, skipped };
+  }
+
+  /**
+   * Répartition pondérée lissée (type nginx): sur 3 envois, poids 2/1 -> A, B, A
+   * En simulation, l'état n'est pas modifié.
+   */
+  pickWeighted(ruleId, targets, totalWeight, dryRun) {
+    const saved = this.weightState.get(ruleId) || new Map();
+    const state = dryRun ? new Map(saved) : saved;
+
+    let best = null;
+    for (const target of targets) {
+      const current = (state.get(target.id) || 0) + target.weight;
+      state.set(target.id, current);
+      if (!best || current > state.get(best.id)) {
+        best = target;
+      }
+    }
+    state.set(best.id, state.get(best.id) - totalWeight);
+
+    if (!dryRun) {
+      this.weightState.set(ruleId, state);
+    }
+    return best;
+  }
+
+  /**
+   * Chaîne utilisée quand aucune règle ne s'applique
+   * (routing.sms.fallback, sinon modems puis providers quand des règles sont configurées)
+   */
+  getDefaultChain() {
+    if (this.defaultChainConfig) {
+      return this.defaultChainConfig;
+    }
+    return this.routingConfigured
+      ? [...this.getModemIds(), ...this.fallbackChain]
+      : this.fallbackChain;
+  }
+
+  /**
+   * 'provider' (SmsRoutingService), 'modem' (ModemService / chan_quectel) ou null
+   */
+  getTargetKind(id) {
+    if (this.providers.has(id)) return 'provider';
+    if (this.getModemIds().includes(id)) return 'modem';
     return null;
   }
 
+  getModemIds() {
+    try {
+      const modemSvc = getModemService();
+      const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
+      return Object.keys(modemsConfig?.modems || {});
+    } catch (error) {
+      logger.debug(`[SmsRouting] Modems unavailable: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Provider sain, ou modem sans échecs répétés récents
+   */
+  isTargetAvailable(id) {
+    if (this.providers.has(id)) {
+      return this.isProviderHealthy(id);
+    }
+    if (!this.getModemIds().includes(id)) {
+      return false;
+    }
+    // Pas de health check sur les modems: nouvel essai après MODEM_RETRY_DELAY_MS
+    const health = this.providerHealth.get(id);
+    return !health || health.consecutiveFailures < 3 ||
+      Date.now() - health.lastFailureAt.getTime() > MODEM_RETRY_DELAY_MS;
+  }
+
+  /**
+   * Coût par segment: cible de la règle, sinon `cost_per_sms` du provider
+   */
+  getTargetCost(target) {
+    if (target.cost != null) return target.cost;
+    const providerCost = configService.getProvider('sms', target.id)?.config?.cost_per_sms;
+    return providerCost != null ? Number(providerCost) : null;
+  }
+
   /**
    * Vérifie si un provider est healthy
    */
@@ -247,14 +745,42 @@ class SmsRoutingService extends EventEmitter {
 
   /**
    * Envoie un SMS avec routage intelligent
+   * @param {string} to
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {string} [options.providerId] - Provider forcé (règles ignorées)
+   * @param {{id: number, username: string}} [options.user] - Expéditeur (règles par utilisateur)
+   * @param {boolean} [options.complianceChecked] - Compliance déjà vérifiée par l'appelant (pas de second contrôle par le provider)
    */
   async sendMessage(to, text, options = {}) {
     const startTime = Date.now();
 
-    // Sélectionner le provider
-    let providerId = options.providerId || this.selectProvider(to);
+    if (optOutService.isOptedOut(to)) {
+      logger.warn(`[SmsRouting] Blocked: ${to} has opted out (STOP)`);
+      return {
+        success: false,
+        optedOut: true,
+        error: `Le destinataire ${to} est désinscrit (STOP)`
+      };
+    }
 
-    if (!providerId) {
+    // Provider forcé puis la suite de la chaîne de fallback, sinon les règles de routage
+    let candidates;
+    let ruleId = null;
+    if (options.providerId) {
+      const index = this.fallbackChain.indexOf(options.providerId);
+      candidates = [
+        options.providerId,
+        ...(index >= 0 ? this.fallbackChain.slice(index + 1).filter(id => this.isProviderHealthy(id)) : [])
+      ];
+    } else {
+      const route = this.resolveRoute(to, { text, user: options.user });
+      candidates = route.candidates.map(c => c.id);
+      ruleId = route.rule;
+    }
+
+    if (candidates.length === 0) {
+      logger.error('[SmsRouting] No healthy provider available');
       this.stats.totalFailed++;
       return {
         success: false,
@@ -266,40 +792,39 @@ class SmsRoutingService extends EventEmitter {
     const attemptedProviders = [];
     let lastError = null;
 
-    while (providerId && !attemptedProviders.includes(providerId)) {
-      attemptedProviders.push(providerId);
-
-      const provider = this.providers.get(providerId);
-      if (!provider) {
-        providerId = this.getNextFallback(providerId);
+    for (const targetId of candidates) {
+      const kind = this.getTargetKind(targetId);
+      if (!kind) {
         continue;
       }
+      attemptedProviders.push(targetId);
 
       try {
-        logger.info(`[SmsRouting] Sending to ${to} via ${providerId}`);
+        logger.info(`[SmsRouting] Sending to ${to} via ${targetId}${ruleId ? ` (rule ${ruleId})` : ''}`);
 
-        const result = await provider.sendMessage(to, text, options);
+        const result = kind === 'modem'
+          ? await getModemService().sendSms(targetId, to, text)
+          : await this.providers.get(targetId).sendMessage(to, text, options);
 
         if (result.success) {
-          this.onSendSuccess(providerId, to, result);
+          this.onSendSuccess(targetId, to, result);
           return {
             ...result,
-            providerId,
+            providerId: targetId,
+            ...(kind === 'modem' ? { modemId: targetId } : {}),
+            ruleId,
             latency: Date.now() - startTime
           };
         }
 
         // Échec mais pas d'erreur critique -> essayer fallback
         lastError = result.error;
-        this.onSendFailure(providerId, to, result.error);
+        this.onSendFailure(targetId, to, result.error);
 
       } catch (error) {
         lastError = error.message;
-        this.onSendFailure(providerId, to, error.message);
+        this.onSendFailure(targetId, to, error.message);
       }
-
-      // Passer au provider suivant
-      providerId = this.getNextFallback(providerId);
     }
 
     // Tous les providers ont échoué
@@ -311,28 +836,14 @@ class SmsRoutingService extends EventEmitter {
     };
   }
 
-  /**
-   * Obtient le prochain provider dans la chaîne de fallback
-   */
-  getNextFallback(currentProviderId) {
-    const currentIndex = this.fallbackChain.indexOf(currentProviderId);
-    if (currentIndex >= 0 && currentIndex < this.fallbackChain.length - 1) {
-      const next = this.fallbackChain[currentIndex + 1];
-      if (this.isProviderHealthy(next)) {
-        return next;
-      }
-    }
-    return null;
-  }
-
   /**
    * Callback lors d'un envoi réussi
    */
   onSendSuccess(providerId, to, result) {
     this.stats.totalSent++;
     this.stats.lastSentAt = new Date();
-    this.stats.byProvider[providerId].sent++;
-    this.stats.byProvider[providerId].lastUsed = new Date();
+    this.getProviderStats(providerId).sent++;
+    this.getProviderStats(providerId).lastUsed = new Date();
 
     // Reset des failures consécutifs
     const health = this.providerHealth.get(providerId);
@@ -348,13 +859,19 @@ class SmsRoutingService extends EventEmitter {
    * Callback lors d'un échec d'envoi
    */
   onSendFailure(providerId, to, error) {
-    this.stats.byProvider[providerId].failed++;
+    this.getProviderStats(providerId).failed++;
+
+    // Les modems n'ont pas d'état tant qu'ils n'ont pas échoué
+    if (!this.providerHealth.has(providerId) && !this.providers.has(providerId)) {
+      this.providerHealth.set(providerId, { healthy: true, failures: 0, consecutiveFailures: 0 });
+    }
 
     const health = this.providerHealth.get(providerId);
     if (health) {
       health.failures++;
       health.consecutiveFailures++;
       health.lastError = error;
+      health.lastFailureAt = new Date();
 
       // Marquer comme unhealthy après 3 échecs consécutifs
       if (health.consecutiveFailures >= 3) {
@@ -367,6 +884,13 @@ class SmsRoutingService extends EventEmitter {
     this.emit('message_failed', { providerId, to, error });
   }
 
+  getProviderStats(providerId) {
+    if (!this.stats.byProvider[providerId]) {
+      this.stats.byProvider[providerId] = { sent: 0, failed: 0, lastUsed: null };
+    }
+    return this.stats.byProvider[providerId];
+  }
+
   /**
    * Événements des providers
    */
@@ -375,9 +899,67 @@ class SmsRoutingService extends EventEmitter {
   }
 
   onProviderMessageReceived(providerId, data) {
+    optOutService.handleInbound(data.from, data.text, providerId);
+
+    // Expéditeur bloqué: supprimé ou mis en quarantaine, pas d'événement
+    const blocked = blockListService.filterInboundSms({
+      id: data.messageId || `${providerId}-${Date.now()}`,
+      from: data.from,
+      text: data.text,
+      source: providerId
+    });
+    if (blocked) return;
+
     this.emit('message_received', { providerId, ...data });
   }
 
+  /**
+   * Accusé de réception: TP-MR (modem AT) ou identifiant du message chez le provider
+   */
+  onProviderDeliveryReport(providerId, data) {
+    try {
+      deliveryReportService.handleReport(providerId, {
+        reference: data.messageRef ?? data.messageId,
+        status: data.status,
+        to: data.to,
+        error: data.error
+      });
+    } catch (error) {
+      logger.error(`[SmsRouting] Delivery report from '${providerId}' failed:`, error);
+    }
+    this.emit('delivery_report', { providerId, ...data });
+  }
+
+  /**
+   * Authentifie un webhook auprès de son provider (signature Twilio, secret partagé...)
+   * @param {string} providerId
+   * @param {Object} request - { method, url, headers, query, body }
+   * @returns {boolean}
+   */
+  verifyWebhook(providerId, request) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      throw new Error(`SMS provider '${providerId}' not loaded`);
+    }
+    return provider.verifyWebhook(request);
+  }
+
+  /**
+   * Transmet un webhook (SMS entrant, DLR) au provider concerné
+   * @param {string} providerId - ID du provider dans providers.yaml
+   * @param {Object} data - Corps du webhook
+   */
+  async handleWebhook(providerId, data) {
+    const provider = this.providers.get(providerId);
+    if (!provider) {
+      throw new Error(`SMS provider '${providerId}' not loaded`);
+    }
+    if (typeof provider.handleWebhook !== 'function') {
+      throw new Error(`SMS provider '${providerId}' does not support webhooks`);
+    }
+    return provider.handleWebhook(data);
+  }
+
   onProviderStatusChanged(providerId, data) {
     const health = this.providerHealth.get(providerId);
     if (health) {
@@ -462,6 +1044,19 @@ class SmsRoutingService extends EventEmitter {
     return {
       defaultProvider: this.defaultProvider,
       fallbackChain: this.fallbackChain,
+      routing: {
+        source: this.routingConfigured ? 'config' : 'builtin',
+        defaultChain: this.getDefaultChain(),
+        rules: this.routingRules.map(rule => ({
+          id: rule.id,
+          description: rule.description,
+          priority: rule.priority,
+          enabled: rule.enabled,
+          strategy: rule.strategy,
+          targets: rule.targets,
+          fallback: rule.fallback
+        }))
+      },
       providers,
       stats: {
         totalSent: this.stats.totalSent,
@@ -514,6 +1109,11 @@ class SmsRoutingService extends EventEmitter {
   async shutdown() {
     this.stopHealthChecks();
 
+    if (this.unsubscribeConfig) {
+      this.unsubscribeConfig();
+      this.unsubscribeConfig = null;
+    }
+
     for (const [id, provider] of this.providers) {
       try {
         await provider.disconnect();
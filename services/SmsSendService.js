@@ -0,0 +1,215 @@
+/**
+ * SmsSendService - Envoi d'un SMS sortant (modem GSM puis providers cloud)
+ *
+ * Logique partagée par la route mobile POST /api/sms/send, les envois
+ * différés (messages programmés) et les campagnes:
+ * 1. Si des règles de routage sont déclarées (providers.yaml), SmsRoutingService choisit
+ *    le modem ou le provider
+ * 2. Sinon, si un modem est configuré (et qu'aucun provider n'est forcé), envoi via ModemService
+ * 3. Sinon (ou en cas d'échec) fallback sur SmsRoutingService (cloud)
+ * 4. Stockage du message sortant dans la conversation sms_<local>_<remote>
+ * 5. Suivi des accusés de réception (SmsDeliveryReportService) si le canal en fournit
+ *
+ * Les numéros du registre STOP (SmsOptOutService) sont refusés avant tout envoi.
+ */
+
+const logger = require('../utils/logger');
+const optOutService = require('./SmsOptOutService');
+const deliveryReportService = require('./SmsDeliveryReportService');
+
+// Lazy load services to avoid circular dependencies
+let smsRoutingService = null;
+let modemService = null;
+
+function getSmsRoutingService() {
+  if (!smsRoutingService) {
+    smsRoutingService = require('./SmsRoutingService');
+  }
+  return smsRoutingService;
+}
+
+function getModemService() {
+  if (!modemService) {
+    const ModemService = require('./ModemService');
+    modemService = new ModemService();
+  }
+  return modemService;
+}
+
+class SmsSendService {
+  /**
+   * Canaux d'envoi disponibles: modems (ModemService) puis providers SmsRoutingService sains
+   * @returns {Array<{id: string, type: 'modem'|'provider', modemId?: string, providerId?: string, phoneNumber?: string}>}
+   */
+  getChannels() {
+    const channels = [];
+
+    const modemSvc = getModemService();
+    const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
+    for (const [modemId, config] of Object.entries(modemsConfig?.modems || {})) {
+      channels.push({ id: modemId, type: 'modem', modemId, phoneNumber: config.phoneNumber || null });
+    }
+
+    const smsRouting = getSmsRoutingService();
+    for (const providerId of smsRouting.providers.keys()) {
+      if (smsRouting.isProviderHealthy(providerId)) {
+        channels.push({ id: providerId, type: 'provider', providerId });
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Envoie un SMS et l'enregistre dans l'historique
+   * @param {Object} params
+   * @param {string} params.to - Numéro destinataire
+   * @param {string} params.text - Contenu du message
+   * @param {string} [params.from] - Numéro de la ligne (modem) à utiliser
+   * @param {string} [params.providerId] - Provider cloud préféré si le modem échoue (comportement historique de /sms/send)
+   * @param {string} [params.cloudProviderId] - Provider cloud forcé: ni règles de routage ni modem
+   * @param {string} [params.modemId] - Modem forcé (sinon déduit de `from`)
+   * @param {{id: number, username?: string}} [params.user] - Expéditeur (règles de routage par utilisateur)
+   * @param {boolean} [params.complianceChecked] - Texte déjà passé par SmsComplianceService.check (campagnes)
+   * @returns {Promise<{success: boolean, messageId?: string, chatId?: string, provider?: string, modemId?: string, error?: string, warning?: string, optedOut?: boolean}>}
+   */
+  async send({ to, text, from, providerId, cloudProviderId, modemId: forcedModemId, user = null, complianceChecked = false } = {}) {
+    if (optOutService.isOptedOut(to)) {
+      logger.warn(`[SmsSend] Blocked: ${to} has opted out (STOP)`);
+      return { success: false, optedOut: true, error: `Le destinataire ${to} est désinscrit (STOP)` };
+    }
+
+    const modemSvc = getModemService();
+    const modemsConfig = modemSvc.getModemsConfig ? modemSvc.getModemsConfig() : modemSvc.modemsConfig;
+
+    let actualFromNumber = from;
+    let sendResult = null;
+    let provider = null;
+    let modemId = null;
+
+    if (!cloudProviderId && !forcedModemId && getSmsRoutingService().hasConfiguredRules()) {
+      // Les règles de routage choisissent aussi le modem
+      sendResult = await getSmsRoutingService().sendMessage(to, text, { from, user, complianceChecked });
+      modemId = sendResult.modemId || null;
+      provider = modemId ? 'modem' : (sendResult.providerId || 'cloud');
+      if (modemId && modemsConfig?.modems?.[modemId]?.phoneNumber) {
+        actualFromNumber = modemsConfig.modems[modemId].phoneNumber;
+      }
+    } else if (!cloudProviderId && modemsConfig && modemsConfig.modems && Object.keys(modemsConfig.modems).length > 0) {
+      // We have modems configured, try to send via modem
+      const modemIds = Object.keys(modemsConfig.modems);
+      let targetModem = modemIds[0]; // Default to first modem
+
+      if (forcedModemId && modemsConfig.modems[forcedModemId]) {
+        targetModem = forcedModemId;
+        actualFromNumber = modemsConfig.modems[forcedModemId].phoneNumber || from;
+      } else if (from) {
+        // If 'from' matches a modem's phone number, use that modem
+        for (const [mId, config] of Object.entries(modemsConfig.modems)) {
+          if (config.phoneNumber && config.phoneNumber.replace(/\D/g, '') === from.replace(/\D/g, '')) {
+            targetModem = mId;
+            actualFromNumber = config.phoneNumber;
+            break;
+          }
+        }
+      }
+
+      // Get the from number from modem config if not provided
+      if (!actualFromNumber && modemsConfig.modems[targetModem]?.phoneNumber) {
+        actualFromNumber = modemsConfig.modems[targetModem].phoneNumber;
+      }
+
+      logger.info(`[SmsSend] Using modem: ${targetModem}, from: ${actualFromNumber}`);
+
+      try {
+        sendResult = await modemSvc.sendSms(targetModem, to, text);
+        provider = 'modem';
+        modemId = targetModem;
+      } catch (modemError) {
+        logger.warn(`[SmsSend] Modem send failed: ${modemError.message}, trying cloud providers...`);
+        // Fall through to SmsRoutingService
+      }
+    }
+
+    // Fall back to SmsRoutingService (cloud providers) if modem failed
+    if (!sendResult) {
+      const smsRouting = getSmsRoutingService();
+      sendResult = await smsRouting.sendMessage(to, text, {
+        from,
+        providerId: cloudProviderId || providerId,
+        complianceChecked
+      });
+      provider = sendResult.providerId || 'cloud';
+    }
+
+    if (!sendResult || sendResult.success === false) {
+      return {
+        success: false,
+        messageId: sendResult?.messageId,
+        error: sendResult?.error
+      };
+    }
+
+    // Store outgoing message in database
+    const timestamp = Date.now();
+    const messageId = sendResult.messageId || `sms_${timestamp}_${Math.random().toString(36).substring(7)}`;
+
+    try {
+      const db = require('./DatabaseService');
+
+      // Normalize phone numbers for chatId (consistent format)
+      const normalizedFrom = (actualFromNumber || from || '').replace(/[^0-9+]/g, '');
+      const normalizedTo = to.replace(/[^0-9+]/g, '');
+
+      // ChatId format: sms_+fromNumber_+toNumber (same as iOS app)
+      const chatId = `sms_${normalizedFrom}_${normalizedTo}`;
+
+      // Create/update chat
+      const chatStmt = db.prepare(`
+        INSERT INTO chats (id, name, provider, timestamp, local_phone_number)
+        VALUES (?, ?, 'sms', ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          timestamp = excluded.timestamp
+      `);
+      chatStmt.run(chatId, normalizedTo, Math.floor(timestamp / 1000), normalizedFrom);
+
+      // Store message
+      const msgStmt = db.prepare(`
+        INSERT INTO messages (id, chat_id, sender_id, from_me, type, content, timestamp, status)
+        VALUES (?, ?, ?, 1, 'text', ?, ?, 'sent')
+      `);
+      msgStmt.run(messageId, chatId, normalizedFrom, text, Math.floor(timestamp / 1000));
+
+      logger.info(`[SmsSend] Stored in DB: messageId=${messageId}, chatId=${chatId}`);
+
+      // Références des parties (TP-MR d'un modem AT) ou identifiant du provider cloud;
+      // aucune pour chan_quectel (pas d'accusé de réception)
+      deliveryReportService.track(messageId, {
+        channel: modemId || provider,
+        references: deliveryReportService.referencesFor(sendResult),
+        to: normalizedTo
+      });
+
+      return {
+        success: true,
+        messageId,
+        chatId,
+        provider,
+        modemId
+      };
+    } catch (dbError) {
+      logger.error('[SmsSend] DB storage failed:', dbError.message);
+      // Still return success since SMS was sent
+      return {
+        success: true,
+        messageId,
+        provider,
+        modemId,
+        warning: 'Message sent but not stored in database'
+      };
+    }
+  }
+}
+
+// Export singleton
+module.exports = new SmsSendService();
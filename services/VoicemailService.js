@@ -0,0 +1,541 @@
+/**
+ * VoicemailService - Messages vocaux Asterisk dans l'inbox unifiée
+ *
+ * - Import depuis le spool app_voicemail (<context>/<boîte>/{INBOX,Urgent}/msgNNNN.txt + audio),
+ *   déclenché par l'événement AMI MessageWaiting ou le scan périodique (VoicemailsJob)
+ * - Audio transcodé en MP3 (utils/audioConverter) dans media/voicemail; le WAV
+ *   d'origine est conservé si FFmpeg échoue
+ * - Rattaché à la ligne call_history de l'appel entrant (même appelant, dans
+ *   l'heure précédant le dépôt); les messages non rattachés sont retentés aux scans suivants
+ * - Boîte d'une extension: visible par son propriétaire (et les admins); boîte partagée
+ *   (DEFAULT_VOICEMAIL_BOX): visible par tous; autre boîte sans propriétaire: admins seulement
+ * - Suppression: fichier local, ligne et message dans le spool (VoicemailRefresh AMI)
+ * - Annonces par boîte (unavail, busy, greet, temp) converties en WAV 8 kHz
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./DatabaseService');
+const logger = require('../utils/logger');
+const pushService = require('./PushService');
+const audioConverter = require('../utils/audioConverter');
+const {
+  VOICEMAIL_SPOOL_DIR,
+  VOICEMAIL_GREETINGS,
+  DEFAULT_VOICEMAIL_BOX
+} = require('../src/services/asterisk/constants');
+
+const MAILBOX_PATTERN = /^(\d{1,20})(?:@([A-Za-z0-9_-]{1,50}))?$/;
+const MESSAGE_FILE_PATTERN = /^msg\d{4}\.txt$/;
+const AUDIO_EXTENSIONS = ['wav', 'WAV'];
+const SPOOL_FOLDERS = ['INBOX', 'Old', 'Urgent'];
+// Dossiers où app_voicemail dépose les nouveaux messages (Urgent: option U de VoiceMail)
+const NEW_MESSAGE_FOLDERS = ['INBOX', 'Urgent'];
+
+// Rapprochement avec l'appel: début d'appel dans [dépôt - 1h, dépôt + 1 min]
+const CALL_MATCH_BEFORE = 3600;
+const CALL_MATCH_AFTER = 60;
+// Au-delà, un message non rattaché n'est plus retenté
+const RELINK_MAX_AGE = 24 * 3600;
+// Messages plus anciens importés sans notification (premier scan d'un spool existant)
+const NOTIFY_MAX_AGE = 3600;
+
+// Lazy load to avoid circular dependencies
+let amiService = null;
+
+function getAmiService() {
+  if (!amiService) {
+    amiService = require('./FreePBXAmiService');
+  }
+  return amiService;
+}
+
+function voicemailError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * "201@default" ou "201" -> { box: '201', context: 'default', mailbox: '201@default' }
+ */
+function parseMailbox(mailbox) {
+  const match = MAILBOX_PATTERN.exec(String(mailbox || '').trim());
+  if (!match) return null;
+  const context = match[2] || 'default';
+  return { box: match[1], context, mailbox: `${match[1]}@${context}` };
+}
+
+/**
+ * Fichier msgNNNN.txt: section [message] au format clé=valeur
+ */
+function parseMessageFile(content) {
+  const info = {};
+  for (const line of content.split(/\r?\n/)) {
+    const index = line.indexOf('=');
+    if (index <= 0 || line.startsWith(';')) continue;
+    info[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+
+  // callerid: "Nom" <0612345678>, <0612345678> ou 0612345678
+  const callerid = info.callerid || '';
+  const named = /^"?([^"<]*)"?\s*<([^>]*)>$/.exec(callerid);
+  const callerName = named ? named[1].trim() : '';
+  const callerNumber = named ? named[2].trim() : callerid;
+
+  return {
+    msgId: info.msg_id || null,
+    origtime: parseInt(info.origtime) || Math.floor(Date.now() / 1000),
+    duration: parseInt(info.duration) || 0,
+    callerNumber: callerNumber && callerNumber !== 'Unknown' ? callerNumber : null,
+    callerName: callerName || null,
+    callerid
+  };
+}
+
+class VoicemailService {
+  constructor() {
+    this.scanQueue = Promise.resolve();
+  }
+
+  get storageDir() {
+    return path.join(require('./MediaStorageService').mediaDir, 'voicemail');
+  }
+
+  // ==================== Import ====================
+
+  /**
+   * Importe les nouveaux messages du spool
+   * @param {string} [mailbox] - "box@context" (MessageWaiting); toutes les boîtes sinon
+   * @returns {Promise<{imported: number, linked: number}>}
+   */
+  async scan(mailbox = null) {
+    // Un seul scan à la fois: MessageWaiting et le job peuvent se chevaucher
+    const run = this.scanQueue.then(() => this._scan(mailbox));
+    this.scanQueue = run.catch(() => {});
+    return run;
+  }
+
+  async _scan(mailbox) {
+    const boxes = mailbox ? [parseMailbox(mailbox)].filter(Boolean) : await this._listMailboxes();
+    let imported = 0;
+
+    for (const box of boxes) {
+      for (const folder of NEW_MESSAGE_FOLDERS) {
+        const dir = path.join(VOICEMAIL_SPOOL_DIR, box.context, box.box, folder);
+        let files;
+        try {
+          files = await fs.readdir(dir);
+        } catch (error) {
+          continue;
+        }
+
+        for (const file of files.filter(name => MESSAGE_FILE_PATTERN.test(name)).sort()) {
+          try {
+            if (await this._importMessage(box, path.join(dir, file))) imported++;
+          } catch (error) {
+            logger.warn(`[Voicemail] Import of ${box.mailbox}/${folder}/${file} failed: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    const linked = this._relinkPending();
+    if (imported > 0) {
+      logger.info(`[Voicemail] ${imported} new voicemail(s) imported`);
+    }
+    return { imported, linked };
+  }
+
+  async _listMailboxes() {
+    const boxes = [];
+    let contexts;
+    try {
+      contexts = await fs.readdir(VOICEMAIL_SPOOL_DIR);
+    } catch (error) {
+      logger.debug(`[Voicemail] Spool not readable: ${error.message}`);
+      return boxes;
+    }
+
+    for (const context of contexts) {
+      const entries = await fs.readdir(path.join(VOICEMAIL_SPOOL_DIR, context)).catch(() => []);
+      for (const box of entries) {
+        const parsed = parseMailbox(`${box}@${context}`);
+        if (parsed) boxes.push(parsed);
+      }
+    }
+    return boxes;
+  }
+
+  async _importMessage(box, txtPath) {
+    const info = parseMessageFile(await fs.readFile(txtPath, 'utf8'));
+    const msgId = info.msgId || `${box.mailbox}:${info.origtime}:${info.callerid}`;
+
+    if (db.prepare('SELECT 1 FROM voicemails WHERE msg_id = ?').get(msgId)) return null;
+
+    // Audio absent: enregistrement en cours, repris au scan suivant
+    const audio = await this._readAudio(txtPath);
+    if (!audio) return null;
+
+    let converted;
+    try {
+      converted = await audioConverter.convertToMp3(audio);
+    } catch (error) {
+      logger.warn(`[Voicemail] MP3 conversion failed, keeping WAV: ${error.message}`);
+      converted = { buffer: audio, mimeType: 'audio/wav', extension: 'wav' };
+    }
+
+    const id = `vm_${crypto.randomBytes(8).toString('hex')}`;
+    const fileName = `${id}.${converted.extension}`;
+    await fs.mkdir(this.storageDir, { recursive: true });
+    await fs.writeFile(path.join(this.storageDir, fileName), converted.buffer);
+
+    const owner = db.getVoIPExtensionByNumber(box.box);
+    try {
+      db.prepare(`
+        INSERT INTO voicemails (
+          id, msg_id, mailbox, user_id, caller_number, caller_name,
+          duration, received_at, file_path, mime_type, size
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        id,
+        msgId,
+        box.mailbox,
+        owner?.userId ?? null,
+        info.callerNumber,
+        info.callerName,
+        info.duration,
+        info.origtime,
+        fileName,
+        converted.mimeType,
+        converted.buffer.length
+      );
+    } catch (error) {
+      await fs.unlink(path.join(this.storageDir, fileName)).catch(() => {});
+      throw error;
+    }
+    this._linkCall(id);
+
+    const voicemail = this.get(id);
+    logger.info(`[Voicemail] ${id} from ${voicemail.callerNumber || 'unknown'} in ${box.mailbox}`);
+
+    if (Math.floor(Date.now() / 1000) - voicemail.receivedAt <= NOTIFY_MAX_AGE) {
+      this._notify(pushService.eventTypes.VOICEMAIL, voicemail);
+      pushService.sendVoicemailPush(voicemail, { shared: this.isShared(voicemail) }).catch(() => {});
+    }
+    return voicemail;
+  }
+
+  async _readAudio(txtPath) {
+    const base = txtPath.slice(0, -'.txt'.length);
+    for (const extension of AUDIO_EXTENSIONS) {
+      try {
+        return await fs.readFile(`${base}.${extension}`);
+      } catch (error) {
+        // Format suivant
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rattache un message à l'appel entrant correspondant (8 derniers chiffres)
+   * @returns {boolean}
+   */
+  _linkCall(id) {
+    const row = db.prepare('SELECT * FROM voicemails WHERE id = ?').get(id);
+    const digits = (row?.caller_number || '').replace(/\D/g, '').slice(-8);
+    if (!row || row.call_id || digits.length < 4) return false;
+
+    const call = db.prepare(`
+      SELECT id FROM call_history
+      WHERE direction = 'incoming'
+        AND start_time BETWEEN ? AND ?
+        AND REPLACE(REPLACE(caller_number, ' ', ''), '+', '') LIKE ?
+        AND id NOT IN (SELECT call_id FROM voicemails WHERE call_id IS NOT NULL)
+      ORDER BY ABS(start_time - ?) ASC
+      LIMIT 1
+    `).get(
+      row.received_at - CALL_MATCH_BEFORE,
+      row.received_at + CALL_MATCH_AFTER,
+      `%${digits}`,
+      row.received_at
+    );
+    if (!call) return false;
+
+    db.prepare('UPDATE voicemails SET call_id = ? WHERE id = ?').run(call.id, id);
+    return true;
+  }
+
+  /**
+   * Le CDR peut arriver après MessageWaiting: nouvel essai pour les messages récents
+   */
+  _relinkPending() {
+    const pending = db.prepare(`
+      SELECT id FROM voicemails
+      WHERE call_id IS NULL AND caller_number IS NOT NULL AND received_at > ?
+    `).all(Math.floor(Date.now() / 1000) - RELINK_MAX_AGE);
+
+    let linked = 0;
+    for (const { id } of pending) {
+      if (this._linkCall(id)) {
+        linked++;
+        this._notify(pushService.eventTypes.VOICEMAIL_UPDATE, this.get(id));
+      }
+    }
+    return linked;
+  }
+
+  // ==================== Lecture ====================
+
+  get(id) {
+    const row = db.prepare('SELECT * FROM voicemails WHERE id = ?').get(id);
+    return row ? this._format(row) : null;
+  }
+
+  canAccess(user, voicemail) {
+    return user.role === 'admin' || this.isShared(voicemail) || (voicemail.userId !== null && voicemail.userId === user.id);
+  }
+
+  /**
+   * Boîte partagée (DEFAULT_VOICEMAIL_BOX, sans propriétaire): visible par tous
+   */
+  isShared(voicemail) {
+    return voicemail.userId === null && voicemail.mailbox === DEFAULT_VOICEMAIL_BOX;
+  }
+
+  /**
+   * Message visible par l'utilisateur (404 sinon)
+   */
+  getForUser(id, user) {
+    const voicemail = this.get(id);
+    if (!voicemail || !this.canAccess(user, voicemail)) {
+      throw voicemailError('Message vocal introuvable', 404);
+    }
+    return voicemail;
+  }
+
+  /**
+   * @param {Object} user - req.user
+   * @param {Object} [filters]
+   * @param {boolean} [filters.unheard]
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   */
+  list(user, { unheard = false, limit = 50, offset = 0 } = {}) {
+    const { where, params } = this._visibility(user, unheard);
+    const rows = db.prepare(`
+      SELECT * FROM voicemails ${where}
+      ORDER BY received_at DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    return rows.map(row => this._format(row));
+  }
+
+  countUnheard(user) {
+    const { where, params } = this._visibility(user, true);
+    return db.prepare(`SELECT COUNT(*) AS count FROM voicemails ${where}`).get(...params).count;
+  }
+
+  getAudioPath(voicemail) {
+    return path.join(this.storageDir, path.basename(voicemail.filePath));
+  }
+
+  /**
+   * Ajoute voicemailId aux appels (historique d'appels)
+   */
+  applyToCalls(calls) {
+    const ids = calls.map(call => call.id).filter(Boolean);
+    if (ids.length === 0) return calls;
+
+    const rows = db.prepare(`
+      SELECT id, call_id FROM voicemails
+      WHERE call_id IN (${ids.map(() => '?').join(', ')})
+    `).all(...ids);
+    const byCall = new Map(rows.map(row => [row.call_id, row.id]));
+
+    return calls.map(call => ({ ...call, voicemailId: byCall.get(call.id) || null }));
+  }
+
+  // ==================== Actions ====================
+
+  markHeard(id, heard = true) {
+    db.prepare('UPDATE voicemails SET heard = ?, heard_at = ? WHERE id = ?').run(
+      heard ? 1 : 0,
+      heard ? Math.floor(Date.now() / 1000) : null,
+      id
+    );
+    const voicemail = this.get(id);
+    this._notify(pushService.eventTypes.VOICEMAIL_UPDATE, voicemail);
+    return voicemail;
+  }
+
+  /**
+   * Supprime le message: fichier local, ligne et message dans le spool Asterisk
+   */
+  async remove(id) {
+    const voicemail = this.get(id);
+    if (!voicemail) return false;
+
+    await this._removeFromSpool(voicemail);
+    await fs.unlink(this.getAudioPath(voicemail)).catch(() => {});
+    db.prepare('DELETE FROM voicemails WHERE id = ?').run(id);
+
+    this._notify(pushService.eventTypes.VOICEMAIL_UPDATE, voicemail, { id, deleted: true });
+    logger.info(`[Voicemail] ${id} deleted`);
+    return true;
+  }
+
+  async _removeFromSpool(voicemail) {
+    const box = parseMailbox(voicemail.mailbox);
+    if (!box) return;
+
+    for (const folder of SPOOL_FOLDERS) {
+      const dir = path.join(VOICEMAIL_SPOOL_DIR, box.context, box.box, folder);
+      const files = await fs.readdir(dir).catch(() => []);
+
+      for (const file of files.filter(name => MESSAGE_FILE_PATTERN.test(name))) {
+        const content = await fs.readFile(path.join(dir, file), 'utf8').catch(() => '');
+        const info = parseMessageFile(content);
+        const msgId = info.msgId || `${box.mailbox}:${info.origtime}:${info.callerid}`;
+        if (msgId !== voicemail.msgId) continue;
+
+        const base = file.slice(0, -'.txt'.length);
+        for (const sibling of files.filter(name => name.startsWith(`${base}.`))) {
+          await fs.unlink(path.join(dir, sibling)).catch(() => {});
+        }
+
+        // app_voicemail recharge la boîte (compteurs MWI)
+        const ami = getAmiService();
+        if (ami.authenticated) {
+          ami.sendAction({ Action: 'VoicemailRefresh', Context: box.context, Mailbox: box.box });
+        }
+        return;
+      }
+    }
+  }
+
+  // ==================== Annonces ====================
+
+  /**
+   * Boîte d'une extension: son propriétaire; les autres boîtes: admin uniquement
+   */
+  canManageMailbox(user, mailbox) {
+    if (user.role === 'admin') return true;
+    const box = parseMailbox(mailbox);
+    return !!box && db.getVoIPExtensionByNumber(box.box)?.userId === user.id;
+  }
+
+  async listGreetings(mailbox) {
+    const box = this._requireMailbox(mailbox);
+    const dir = path.join(VOICEMAIL_SPOOL_DIR, box.context, box.box);
+    const files = await fs.readdir(dir).catch(() => []);
+
+    return VOICEMAIL_GREETINGS.map(type => ({
+      type,
+      exists: files.some(file => file.startsWith(`${type}.`))
+    }));
+  }
+
+  getGreetingPath(mailbox, type) {
+    const box = this._requireMailbox(mailbox);
+    this._requireGreetingType(type);
+    return path.join(VOICEMAIL_SPOOL_DIR, box.context, box.box, `${type}.wav`);
+  }
+
+  async saveGreeting(mailbox, type, { buffer, originalName = null }) {
+    const filePath = this.getGreetingPath(mailbox, type);
+    if (!buffer?.length) {
+      throw voicemailError('Fichier audio manquant');
+    }
+
+    const inputExtension = originalName ? path.extname(originalName).slice(1) : undefined;
+    const converted = await audioConverter.convertToAsteriskWav(buffer, { inputExtension });
+
+    // Les autres formats (wav49, gsm) seraient lus en priorité par app_voicemail
+    await this._removeGreetingFiles(filePath, type);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, converted.buffer);
+
+    logger.info(`[Voicemail] Greeting ${type} saved for ${parseMailbox(mailbox).mailbox}`);
+    return { type, exists: true };
+  }
+
+  async removeGreeting(mailbox, type) {
+    const filePath = this.getGreetingPath(mailbox, type);
+    return (await this._removeGreetingFiles(filePath, type)) > 0;
+  }
+
+  async _removeGreetingFiles(filePath, type) {
+    const dir = path.dirname(filePath);
+    const files = (await fs.readdir(dir).catch(() => [])).filter(file => file.startsWith(`${type}.`));
+    for (const file of files) {
+      await fs.unlink(path.join(dir, file)).catch(() => {});
+    }
+    return files.length;
+  }
+
+  // ==================== Internals ====================
+
+  _requireMailbox(mailbox) {
+    const box = parseMailbox(mailbox);
+    if (!box) {
+      throw voicemailError(`Boîte vocale invalide: ${mailbox}`);
+    }
+    return box;
+  }
+
+  _requireGreetingType(type) {
+    if (!VOICEMAIL_GREETINGS.includes(type)) {
+      throw voicemailError(`Annonce inconnue: ${type} (${VOICEMAIL_GREETINGS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Événement WebSocket limité aux utilisateurs qui voient le message (cf. canAccess)
+   */
+  _notify(eventType, voicemail, data = voicemail) {
+    if (this.isShared(voicemail)) {
+      pushService.broadcast(eventType, data);
+    } else {
+      pushService.pushToUserAndAdmins(voicemail.userId, eventType, data);
+    }
+  }
+
+  _visibility(user, unheard) {
+    const clauses = [];
+    const params = [];
+    if (user.role !== 'admin') {
+      clauses.push('(user_id = ? OR (user_id IS NULL AND mailbox = ?))');
+      params.push(user.id, DEFAULT_VOICEMAIL_BOX);
+    }
+    if (unheard) {
+      clauses.push('heard = 0');
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  _format(row) {
+    return {
+      id: row.id,
+      msgId: row.msg_id,
+      mailbox: row.mailbox,
+      userId: row.user_id,
+      callId: row.call_id,
+      callerNumber: row.caller_number,
+      callerName: row.caller_name,
+      duration: row.duration,
+      receivedAt: row.received_at,
+      filePath: row.file_path,
+      mimeType: row.mime_type,
+      size: row.size,
+      heard: !!row.heard,
+      heardAt: row.heard_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+// Export singleton
+module.exports = new VoicemailService();
@@ -22,6 +22,8 @@ class CallTracker extends EventEmitter {
         this.callBridges = new Map();
         // Track ringing calls (for notifications)
         this.ringingCalls = new Map();
+        // Track bridge members (BridgeEnter/BridgeLeave, Asterisk 12+)
+        this.bridgeMembers = new Map();
     }
 
     /**
@@ -35,6 +37,14 @@ class CallTracker extends EventEmitter {
         amiConnection.on('event:Hangup', (e) => this.handleHangup(e));
         amiConnection.on('event:Cdr', (e) => this.handleCdr(e));
         amiConnection.on('event:Newstate', (e) => this.handleNewstate(e));
+        amiConnection.on('event:BridgeEnter', (e) => this.handleBridgeEnter(e));
+        amiConnection.on('event:BridgeLeave', (e) => this.handleBridgeLeave(e));
+        amiConnection.on('event:Hold', (e) => this.handleHold(e, true));
+        amiConnection.on('event:Unhold', (e) => this.handleHold(e, false));
+        amiConnection.on('event:BlindTransfer', (e) => this.handleBlindTransfer(e));
+        amiConnection.on('event:AttendedTransfer', (e) => this.handleAttendedTransfer(e));
+        amiConnection.on('event:ConfbridgeJoin', (e) => this.handleConfbridge(e, true));
+        amiConnection.on('event:ConfbridgeLeave', (e) => this.handleConfbridge(e, false));
 
         logger.info('[CallTracker] Attached to AMI');
     }
@@ -64,6 +74,8 @@ class CallTracker extends EventEmitter {
             direction: this.determineDirection(context, callerIdNum, channel),
             startTime: Date.now(),
             status: 'initiated',
+            held: false,
+            conference: null,
         };
 
         // Detect trunk/modem
@@ -181,6 +193,144 @@ class CallTracker extends EventEmitter {
         logger.debug(`[CallTracker] Bridge: ${uniqueId1} <-> ${uniqueId2}`);
     }
 
+    /**
+     * Handle bridge enter event (Asterisk 12+, replaces Bridge)
+     * Two channels in the same bridge are linked together
+     */
+    handleBridgeEnter(event) {
+        const bridgeId = event.BridgeUniqueid;
+        const uniqueId = event.Uniqueid;
+        if (!bridgeId || !uniqueId) return;
+
+        if (!this.bridgeMembers.has(bridgeId)) {
+            this.bridgeMembers.set(bridgeId, new Set());
+        }
+        const members = this.bridgeMembers.get(bridgeId);
+        members.add(uniqueId);
+
+        if (members.size !== 2) return;
+
+        const [uniqueId1, uniqueId2] = Array.from(members);
+        const call1 = this.activeCalls.get(uniqueId1);
+        const call2 = this.activeCalls.get(uniqueId2);
+        if (!call1 || !call2) return;
+
+        this.handleBridge({
+            Uniqueid1: uniqueId1,
+            Uniqueid2: uniqueId2,
+            Channel1: call1.channel,
+            Channel2: call2.channel,
+        });
+    }
+
+    /**
+     * Handle bridge leave event
+     * The link is kept: a held call is bridged again with the same channel
+     */
+    handleBridgeLeave(event) {
+        const members = this.bridgeMembers.get(event.BridgeUniqueid);
+        if (!members) return;
+
+        members.delete(event.Uniqueid);
+        if (members.size === 0) {
+            this.bridgeMembers.delete(event.BridgeUniqueid);
+        }
+    }
+
+    /**
+     * Handle hold/unhold events (hold requested by the phone)
+     */
+    handleHold(event, held) {
+        this.setHold(event.Uniqueid, held, 'phone');
+    }
+
+    /**
+     * Update hold state of a call (both bridged channels)
+     * @param {string} uniqueId - Channel that put the call on hold
+     * @param {boolean} held
+     * @param {string} [source] - 'phone' (SIP re-INVITE) or 'api' (AMI Redirect)
+     */
+    setHold(uniqueId, held, source = 'api') {
+        const callData = this.activeCalls.get(uniqueId);
+        if (!callData || callData.held === held) return;
+
+        const peer = this.activeCalls.get(this.callBridges.get(uniqueId));
+        for (const call of [callData, peer]) {
+            if (!call) continue;
+            call.held = held;
+            call.holdSource = held ? source : null;
+        }
+        this.emit('stateChanged', { change: held ? 'hold' : 'unhold', call: callData, source });
+
+        logger.debug(`[CallTracker] ${held ? 'Hold' : 'Unhold'}: ${uniqueId} (${source})`);
+    }
+
+    /**
+     * Handle blind transfer event
+     */
+    handleBlindTransfer(event) {
+        if (event.Result !== 'Success') return;
+
+        const callData = this.activeCalls.get(event.TransfereeUniqueid);
+        if (!callData) return;
+
+        callData.transferredTo = event.Extension;
+        this.emit('stateChanged', {
+            change: 'transferred',
+            call: callData,
+            transferType: 'blind',
+            target: event.Extension,
+            transfererUniqueId: event.TransfererUniqueid,
+        });
+
+        logger.info(`[CallTracker] Blind transfer of ${event.TransfereeUniqueid} to ${event.Extension}`);
+    }
+
+    /**
+     * Handle attended transfer event
+     */
+    handleAttendedTransfer(event) {
+        if (event.Result !== 'Success') return;
+
+        const callData = this.activeCalls.get(event.TransfereeUniqueid);
+        const targetCall = this.activeCalls.get(event.TransferTargetUniqueid);
+        if (!callData) return;
+
+        const target = targetCall ? (targetCall.exten || targetCall.callerIdNum) : null;
+        callData.transferredTo = target;
+        this.emit('stateChanged', {
+            change: 'transferred',
+            call: callData,
+            transferType: 'attended',
+            target,
+            transfererUniqueId: event.OrigTransfererUniqueid,
+        });
+
+        logger.info(`[CallTracker] Attended transfer of ${event.TransfereeUniqueid}`);
+    }
+
+    /**
+     * Handle ConfBridge join/leave events
+     */
+    handleConfbridge(event, joined) {
+        const callData = this.activeCalls.get(event.Uniqueid);
+        if (!callData) return;
+
+        const conference = joined ? event.Conference : null;
+        if (callData.conference === conference) return;
+
+        callData.conference = conference;
+        callData.held = false;
+        callData.holdSource = null;
+        this.emit('stateChanged', {
+            change: joined ? 'conferenceJoined' : 'conferenceLeft',
+            call: callData,
+            conference: event.Conference,
+        });
+
+        logger.debug(`[CallTracker] ${event.Uniqueid} ${joined ? 'joined' : 'left'} conference ${event.Conference}`);
+    }
+
     /**
      * Handle hangup event
      */
@@ -337,8 +487,9 @@ class CallTracker extends EventEmitter {
     extractTrunkName(channel) {
         if (!channel) return null;
 
-        // Quectel format: Quectel/modem-1-xxxx
-        const quectelMatch = channel.match(/Quectel\/([^-]+(?:-[^-]+)?)/);
+        // Quectel format: Quectel/<modem>-<hex id>, the modem name may itself contain dashes
+        // (same parsing as FreePBXAmiService.extractModemId)
+        const quectelMatch = channel.match(/^Quectel\/(.+)-[0-9a-f]+$/i);
         if (quectelMatch) {
             return quectelMatch[1];
         }
@@ -352,6 +503,14 @@ class CallTracker extends EventEmitter {
         return null;
     }
 
+    /**
+     * Extract extension from a PJSIP channel (PJSIP/2001-0000002a -> 2001)
+     */
+    extractExtension(channel) {
+        const match = channel && channel.match(/^PJSIP\/(\d+)-/);
+        return match ? match[1] : null;
+    }
+
     /**
      * Extract line name from trunk
      */
@@ -404,6 +563,78 @@ class CallTracker extends EventEmitter {
         return calls;
     }
 
+    /**
+     * Get active calls (one entry per channel)
+     */
+    getActiveCalls() {
+        return Array.from(this.activeCalls.values()).map(call => this.formatCall(call));
+    }
+
+    /**
+     * Live state of a call, as exposed by the API and the WebSocket
+     */
+    formatCall(call) {
+        const now = call.endTime || Date.now();
+        const peer = this.activeCalls.get(this.callBridges.get(call.uniqueId));
+
+        return {
+            callId: call.id,
+            uniqueId: call.uniqueId,
+            channel: call.channel,
+            linkedChannel: call.linkedChannel || null,
+            linkedUniqueId: this.callBridges.get(call.uniqueId) || null,
+            callerIdNum: call.callerIdNum,
+            callerIdName: call.callerIdName,
+            exten: call.exten,
+            extension: this.extractExtension(call.channel),
+            direction: call.direction,
+            trunk: call.trunk || null,
+            lineName: call.lineName || null,
+            status: call.status,
+            held: call.held,
+            holdSource: call.holdSource || null,
+            conference: call.conference,
+            startTime: call.startTime,
+            answerTime: call.answerTime || null,
+            duration: Math.round((now - call.startTime) / 1000),
+            talkDuration: call.answerTime ? Math.round((now - call.answerTime) / 1000) : 0,
+            bridgedParty: peer ? {
+                callId: peer.id,
+                channel: peer.channel,
+                callerIdNum: peer.callerIdNum,
+                callerIdName: peer.callerIdName,
+                extension: this.extractExtension(peer.channel),
+                trunk: peer.trunk || null,
+            } : null,
+        };
+    }
+
+    /**
+     * Busy/idle state of GSM lines (a line is busy while a Quectel channel is up)
+     * @param {string[]} [modemIds] - Configured modems, reported even when idle
+     */
+    getLineOccupancy(modemIds = []) {
+        const lines = new Map(modemIds.map(modemId => [modemId, []]));
+
+        for (const call of this.activeCalls.values()) {
+            if (!call.channel.startsWith('Quectel/') || !call.trunk) continue;
+            if (!lines.has(call.trunk)) lines.set(call.trunk, []);
+            lines.get(call.trunk).push(call);
+        }
+
+        return Array.from(lines, ([modemId, calls]) => ({
+            modemId,
+            lineName: this.extractLineName(modemId),
+            state: calls.length > 0 ? 'busy' : 'idle',
+            calls: calls.map(call => ({
+                callId: call.id,
+                direction: call.direction,
+                status: call.status,
+                since: call.startTime,
+            })),
+        }));
+    }
+
     /**
      * Get active calls count
      */
@@ -17,15 +17,63 @@ const PJSIP_ENDPOINTS_CONF = '/etc/asterisk/pjsip_endpoints.conf';
 // Extensions/Dialplan paths
 const EXTENSIONS_CONF_PATH = '/etc/asterisk/extensions.conf';
 const EXTENSIONS_CUSTOM_CONF = '/etc/asterisk/extensions_custom.conf';
+// Production dialplan installed by install.sh ([from-internal], [from-gsm])
+const EXTENSIONS_HOMENICHAT_CONF = '/etc/asterisk/extensions_homenichat.conf';
+// Contexts generated by Homenichat (ring groups, hours, IVR...), never edited by hand
+const EXTENSIONS_GENERATED_CONF = '/etc/asterisk/extensions_homenichat_generated.conf';
 
 // Quectel Configuration
 const QUECTEL_CONF_PATH = '/etc/asterisk/quectel.conf';
 
 // Context names
 const CONTEXT_INTERNAL = 'internal';
+// Context extensions dial from (PJSIP endpoint default, [from-internal] in extensions_homenichat.conf)
+const CONTEXT_FROM_INTERNAL = 'from-internal';
 const CONTEXT_FROM_GSM = 'from-gsm';
 const CONTEXT_FROM_WEBRTC = 'from-webrtc';
 const CONTEXT_OUTBOUND_GSM = 'outbound-gsm';
+// Incoming GSM routing, called with Gosub from [from-gsm]
+const CONTEXT_GSM_ROUTING = 'homenichat-gsm-incoming';
+
+// Ring groups (one per GSM line)
+const CONTEXT_RING_GROUP_PREFIX = 'ringgroup-';
+const CONTEXT_RING_GROUP_ANSWERED = 'ringgroup-answered';
+const RING_GROUP_DB_FAMILY = 'ringgroup';
+const RING_STRATEGIES = ['ringall', 'hunt', 'roundrobin', 'leastrecent'];
+
+// Business hours (one schedule per GSM line)
+const CONTEXT_BUSINESS_HOURS_PREFIX = 'businesshours-';
+const CLOSED_ACTIONS = ['voicemail', 'announcement', 'forward', 'reject'];
+const DEFAULT_VOICEMAIL_BOX = '2000@default';
+
+// Voicemail spool (app_voicemail file storage)
+const VOICEMAIL_SPOOL_DIR = '/var/spool/asterisk/voicemail';
+const VOICEMAIL_GREETINGS = ['unavail', 'busy', 'greet', 'temp'];
+
+// IVR menus (GSM lines and SIP trunk DIDs)
+const CONTEXT_IVR_PREFIX = 'ivr-';
+const CONTEXT_FROM_TRUNK = 'from-trunk-homenichat';
+const IVR_DESTINATION_TYPES = ['extension', 'ringgroup', 'voicemail', 'menu', 'repeat', 'hangup'];
+const IVR_SOUNDS_DIR = '/var/lib/asterisk/sounds/homenichat';
+const IVR_SOUNDS_PREFIX = 'homenichat/';
+
+// Call recording (MixMonitor, FreePBX monitor spool layout YYYY/MM/DD)
+const CONTEXT_RECORD = 'homenichat-record';
+const RECORDINGS_DIR = '/var/spool/asterisk/monitor';
+const RECORDING_USER_EVENT = 'HomenichatRecording';
+const RECORDING_SCOPES = ['line', 'extension'];
+
+// Call control (hold with music on hold, ad-hoc ConfBridge conferences)
+const CONTEXT_CALL_HOLD = 'homenichat-hold';
+const CONTEXT_CONFERENCE = 'homenichat-conference';
+
+// Caller block list (inbound GSM and SIP trunk calls)
+const CONTEXT_BLOCK_LIST = 'homenichat-blocklist';
+// Exact numbers live in AstDB (one DB_EXISTS lookup), prefixes stay in the dialplan
+const BLOCK_LIST_DB_FAMILY = 'blocklist';
+const ALLOW_LIST_DB_FAMILY = 'blocklist-allow';
+const BLOCK_CALL_ACTIONS = ['reject', 'voicemail'];
+const BLOCKED_CDR_USERFIELD = 'blocked';
 
 // WebRTC transport settings
 const WEBRTC_TRANSPORT_NAME = 'transport-wss';
@@ -55,11 +103,40 @@ module.exports = {
     PJSIP_ENDPOINTS_CONF,
     EXTENSIONS_CONF_PATH,
     EXTENSIONS_CUSTOM_CONF,
+    EXTENSIONS_HOMENICHAT_CONF,
+    EXTENSIONS_GENERATED_CONF,
     QUECTEL_CONF_PATH,
     CONTEXT_INTERNAL,
+    CONTEXT_FROM_INTERNAL,
     CONTEXT_FROM_GSM,
     CONTEXT_FROM_WEBRTC,
     CONTEXT_OUTBOUND_GSM,
+    CONTEXT_GSM_ROUTING,
+    CONTEXT_RING_GROUP_PREFIX,
+    CONTEXT_RING_GROUP_ANSWERED,
+    RING_GROUP_DB_FAMILY,
+    RING_STRATEGIES,
+    CONTEXT_BUSINESS_HOURS_PREFIX,
+    CLOSED_ACTIONS,
+    DEFAULT_VOICEMAIL_BOX,
+    VOICEMAIL_SPOOL_DIR,
+    VOICEMAIL_GREETINGS,
+    CONTEXT_IVR_PREFIX,
+    CONTEXT_FROM_TRUNK,
+    IVR_DESTINATION_TYPES,
+    IVR_SOUNDS_DIR,
+    IVR_SOUNDS_PREFIX,
+    CONTEXT_RECORD,
+    RECORDINGS_DIR,
+    RECORDING_USER_EVENT,
+    RECORDING_SCOPES,
+    CONTEXT_CALL_HOLD,
+    CONTEXT_CONFERENCE,
+    CONTEXT_BLOCK_LIST,
+    BLOCK_LIST_DB_FAMILY,
+    ALLOW_LIST_DB_FAMILY,
+    BLOCK_CALL_ACTIONS,
+    BLOCKED_CDR_USERFIELD,
     WEBRTC_TRANSPORT_NAME,
     WEBRTC_DEFAULT_CODECS,
     EXTENSION_MIN,
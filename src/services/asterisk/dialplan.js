@@ -1,25 +1,59 @@
 /**
  * Dialplan Configuration Module
- * Manages Asterisk dialplan (extensions.conf)
+ * Manages the Homenichat generated dialplan (extensions_homenichat_generated.conf)
+ *
+ * The production contexts installed by install.sh ([from-internal], [from-gsm] in
+ * extensions_homenichat.conf, included from extensions_custom.conf) are never rewritten:
+ * [from-gsm] calls the generated routing context with Gosub and keeps its own ringing.
  */
 
 const fs = require('fs');
+const path = require('path');
 const logger = require('../../../utils/logger');
 const {
     EXTENSIONS_CUSTOM_CONF,
+    EXTENSIONS_HOMENICHAT_CONF,
+    EXTENSIONS_GENERATED_CONF,
     CONTEXT_INTERNAL,
     CONTEXT_FROM_GSM,
     CONTEXT_FROM_WEBRTC,
     CONTEXT_OUTBOUND_GSM,
+    CONTEXT_GSM_ROUTING,
+    CONTEXT_RING_GROUP_PREFIX,
+    CONTEXT_RING_GROUP_ANSWERED,
+    RING_GROUP_DB_FAMILY,
+    CONTEXT_BUSINESS_HOURS_PREFIX,
+    DEFAULT_VOICEMAIL_BOX,
+    CONTEXT_IVR_PREFIX,
+    CONTEXT_FROM_TRUNK,
+    CONTEXT_RECORD,
+    RECORDINGS_DIR,
+    RECORDING_USER_EVENT,
+    CONTEXT_CALL_HOLD,
+    CONTEXT_CONFERENCE,
+    CONTEXT_BLOCK_LIST,
+    BLOCK_LIST_DB_FAMILY,
+    ALLOW_LIST_DB_FAMILY,
+    BLOCKED_CDR_USERFIELD,
 } = require('./constants');
 
+const WEEKDAYS = {
+    monday: 'mon',
+    tuesday: 'tue',
+    wednesday: 'wed',
+    thursday: 'thu',
+    friday: 'fri',
+    saturday: 'sat',
+    sunday: 'sun',
+};
+
 /**
- * Read current extensions configuration
+ * Read the current generated dialplan
  */
 function readConfig() {
     try {
-        if (fs.existsSync(EXTENSIONS_CUSTOM_CONF)) {
-            return fs.readFileSync(EXTENSIONS_CUSTOM_CONF, 'utf8');
+        if (fs.existsSync(EXTENSIONS_GENERATED_CONF)) {
+            return fs.readFileSync(EXTENSIONS_GENERATED_CONF, 'utf8');
         }
     } catch (error) {
         logger.error('[Dialplan] Error reading config:', error.message);
@@ -28,14 +62,14 @@ function readConfig() {
 }
 
 /**
- * Write extensions configuration
+ * Write the generated dialplan (its own file, nothing else is overwritten)
  */
 function writeConfig(content) {
     try {
-        if (fs.existsSync(EXTENSIONS_CUSTOM_CONF)) {
-            fs.copyFileSync(EXTENSIONS_CUSTOM_CONF, `${EXTENSIONS_CUSTOM_CONF}.bak`);
+        if (fs.existsSync(EXTENSIONS_GENERATED_CONF)) {
+            fs.copyFileSync(EXTENSIONS_GENERATED_CONF, `${EXTENSIONS_GENERATED_CONF}.bak`);
         }
-        fs.writeFileSync(EXTENSIONS_CUSTOM_CONF, content);
+        fs.writeFileSync(EXTENSIONS_GENERATED_CONF, content);
         logger.info('[Dialplan] Config written');
         return true;
     } catch (error) {
@@ -45,20 +79,560 @@ function writeConfig(content) {
 }
 
 /**
- * Generate basic dialplan for Homenichat
- * Includes contexts for internal calls, GSM, and WebRTC
+ * Make sure the generated file is included exactly once
+ * extensions_homenichat.conf ships the #tryinclude; older installs get it appended
+ * to extensions_custom.conf (existing content is kept)
+ * @returns {boolean} true if the generated file is included
+ */
+function ensureInclude() {
+    const includeName = path.basename(EXTENSIONS_GENERATED_CONF);
+    const directive = new RegExp(`^\\s*#(try)?include\\s+"?${includeName.replace(/\./g, '\\.')}`, 'm');
+    const candidates = [EXTENSIONS_HOMENICHAT_CONF, EXTENSIONS_CUSTOM_CONF].filter(file => fs.existsSync(file));
+
+    try {
+        if (candidates.some(file => directive.test(fs.readFileSync(file, 'utf8')))) {
+            return true;
+        }
+
+        const target = candidates.includes(EXTENSIONS_CUSTOM_CONF) ? EXTENSIONS_CUSTOM_CONF : candidates[0];
+        if (!target) {
+            logger.warn(`[Dialplan] Neither ${EXTENSIONS_CUSTOM_CONF} nor ${EXTENSIONS_HOMENICHAT_CONF} found, ${includeName} is not included`);
+            return false;
+        }
+
+        fs.appendFileSync(target, `\n; Homenichat generated contexts (ring groups, business hours, IVR...)\n#tryinclude ${includeName}\n`);
+        logger.info(`[Dialplan] Added #tryinclude ${includeName} to ${target}`);
+        return true;
+    } catch (error) {
+        logger.error('[Dialplan] Error including generated config:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Whether [from-gsm] calls the generated routing context
+ * (extensions_homenichat.conf installed before the hook existed does not)
+ */
+function hasGsmRoutingHook() {
+    try {
+        return fs.existsSync(EXTENSIONS_HOMENICHAT_CONF) &&
+            fs.readFileSync(EXTENSIONS_HOMENICHAT_CONF, 'utf8').includes(`${CONTEXT_GSM_ROUTING},s,1`);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * GSM line id usable in context names and AstDB keys
+ */
+function sanitizeLineId(modemId) {
+    return String(modemId).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Free text (names) placed on a single dialplan line
+ */
+function singleLine(text) {
+    return String(text).replace(/[\r\n;]+/g, ' ');
+}
+
+/**
+ * Ring group context name for a GSM line (modem-1 -> ringgroup-modem-1)
+ */
+function ringGroupContext(modemId) {
+    return `${CONTEXT_RING_GROUP_PREFIX}${sanitizeLineId(modemId)}`;
+}
+
+/**
+ * Business hours context name for a GSM line (modem-1 -> businesshours-modem-1)
+ */
+function businessHoursContext(modemId) {
+    return `${CONTEXT_BUSINESS_HOURS_PREFIX}${sanitizeLineId(modemId)}`;
+}
+
+/**
+ * Generate the business hours check of a GSM line (called with Gosub from from-gsm)
+ * Returns when the line is open; otherwise sends the call to the closed destination:
+ * - voicemail: VoiceMail(closedTarget, default 2000@default)
+ * - announcement: Playback(closedTarget) then hang up
+ * - forward: Dial closedTarget through outbound-gsm
+ * - reject: Hangup with cause 21 (call rejected)
+ * Order: manual override (until its expiry), holidays, weekly hours
+ */
+function generateBusinessHoursContext(schedule) {
+    const {
+        modemId,
+        timezone,
+        hours = [],
+        holidays = [],
+        closedAction = 'voicemail',
+        closedTarget = null,
+        override = null,
+    } = schedule;
+
+    const name = singleLine(schedule.name || modemId);
+
+    let config = `[${businessHoursContext(modemId)}]
+; Business hours "${name}" for ${modemId} (${timezone}), closed: ${closedAction}${closedTarget ? ` ${closedTarget}` : ''}
+exten => s,1,NoOp(Business hours check for ${modemId})
+`;
+
+    if (override) {
+        const label = override.state === 'open' ? 'open' : 'closed';
+        config += override.until
+            ? ` same => n,GotoIf($[\${EPOCH} < ${override.until}]?${label})
+`
+            : ` same => n,Goto(${label})
+`;
+    }
+
+    if (holidays.length > 0) {
+        config += ` same => n,Set(BH_TODAY=\${STRFTIME(\${EPOCH},${timezone},%Y-%m-%d)})
+`;
+        for (const holiday of holidays) {
+            // MM-DD: every year
+            const today = holiday.date.length === 5 ? '\${BH_TODAY:5}' : '\${BH_TODAY}';
+            const condition = holiday.end
+                ? `"${today}" >= "${holiday.date}" & "${today}" <= "${holiday.end}"`
+                : `"${today}" = "${holiday.date}"`;
+            config += ` same => n,GotoIf($[${condition}]?closed)${holiday.name ? ` ; ${singleLine(holiday.name)}` : ''}
+`;
+        }
+    }
+
+    if (hours.length === 0) {
+        config += ` same => n,Goto(open)
+`;
+    }
+    for (const range of hours) {
+        const days = range.days?.length ? range.days.map(day => WEEKDAYS[day]).join('&') : '*';
+        config += ` same => n,GotoIfTime(${range.start}-${range.end},${days},*,*,${timezone}?open)
+`;
+    }
+
+    config += ` same => n,Goto(closed)
+ same => n(open),Return()
+ same => n(closed),NoOp(${modemId} closed)
+`;
+
+    if (closedAction === 'announcement') {
+        config += ` same => n,Answer()
+ same => n,Playback(${closedTarget})
+`;
+    } else if (closedAction === 'forward') {
+        // outbound-gsm only matches digits: +33... -> 0033...
+        const number = String(closedTarget).replace(/^\+/, '00');
+        config += ` same => n,Dial(Local/${number}@${CONTEXT_OUTBOUND_GSM},60,tT)
+`;
+    } else if (closedAction === 'reject') {
+        config += ` same => n,Hangup(21)
+`;
+    } else {
+        config += ` same => n,VoiceMail(${closedTarget || DEFAULT_VOICEMAIL_BOX},u)
+`;
+    }
+
+    config += ` same => n,Hangup()
+
+`;
+    return config;
+}
+
+/**
+ * Generate the context of one ring group
+ * - ringall: every member at once for ringTimeout
+ * - hunt: members one after another, memberTimeout each
+ * - roundrobin: like hunt, starting one member further on each call (AstDB counter)
+ * - leastrecent: like hunt, least recently answering member first (AstDB timestamps)
+ * Unanswered calls fall back to voicemail
+ */
+function generateRingGroupContext(group, dialOptions = 'tT') {
+    const {
+        modemId,
+        strategy = 'ringall',
+        members = [],
+        ringTimeout = 30,
+        memberTimeout = 15,
+    } = group;
+
+    const name = singleLine(group.name || modemId);
+    const dbKey = `${RING_GROUP_DB_FAMILY}/${sanitizeLineId(modemId)}`;
+
+    let config = `[${ringGroupContext(modemId)}]
+; Ring group "${name}" for ${modemId} (${strategy}): ${members.join(', ') || 'no members'}
+exten => s,1,NoOp(Ring group ${name} (${strategy}) for \${CALLERID(num)})
+`;
+
+    if (members.length === 0) {
+        config += ` same => n,NoOp(No extensions mapped to ${modemId})
+`;
+    } else if (strategy === 'ringall') {
+        config += ` same => n,Dial(${members.map(e => `PJSIP/${e}`).join('&')},${ringTimeout},${dialOptions})
+`;
+    } else if (strategy === 'hunt') {
+        for (const extension of members) {
+            config += ` same => n,Dial(PJSIP/${extension},${memberTimeout},${dialOptions})
+`;
+        }
+    } else if (strategy === 'roundrobin') {
+        config += ` same => n,Set(RG_COUNT=${members.length})
+`;
+        members.forEach((extension, index) => {
+            config += ` same => n,Set(RG_M${index}=PJSIP/${extension})
+`;
+        });
+        config += ` same => n,Set(RG_START=$[0\${DB(${dbKey}/next)} % \${RG_COUNT}])
+ same => n,Set(DB(${dbKey}/next)=$[(\${RG_START} + 1) % \${RG_COUNT}])
+ same => n,Set(RG_I=0)
+ same => n,While($[\${RG_I} < \${RG_COUNT}])
+ same => n,Set(RG_IDX=$[(\${RG_START} + \${RG_I}) % \${RG_COUNT}])
+ same => n,Dial(\${RG_M\${RG_IDX}},${memberTimeout},${dialOptions})
+ same => n,Set(RG_I=$[\${RG_I} + 1])
+ same => n,EndWhile()
+`;
+    } else if (strategy === 'leastrecent') {
+        for (const extension of members) {
+            config += ` same => n,Set(RG_T${extension}=0\${DB(${dbKey}/${extension})})
+`;
+        }
+        const sortArgs = members.map(e => `${e}:\${RG_T${e}}`).join(',');
+        config += ` same => n,Set(RG_ORDER=\${SORT(${sortArgs})})
+ same => n,Set(RG_I=1)
+ same => n,While($[\${RG_I} <= ${members.length}])
+ same => n,Dial(PJSIP/\${CUT(RG_ORDER,\\,,\${RG_I})},${memberTimeout},${dialOptions}U(${CONTEXT_RING_GROUP_ANSWERED}^${sanitizeLineId(modemId)}))
+ same => n,Set(RG_I=$[\${RG_I} + 1])
+ same => n,EndWhile()
+`;
+    } else {
+        throw new Error(`Unknown ring strategy: ${strategy}`);
+    }
+
+    config += ` same => n,VoiceMail(${DEFAULT_VOICEMAIL_BOX},u)
+ same => n,Hangup()
+
+`;
+    return config;
+}
+
+/**
+ * IVR context name (menu 3 -> ivr-3)
+ */
+function ivrContext(menuId) {
+    return `${CONTEXT_IVR_PREFIX}${menuId}`;
+}
+
+/**
+ * Ring every extension, then voicemail
+ */
+function ringAllLines(extensions, ringTimeout, dialOptions = 'tT') {
+    const dial = extensions.length > 0
+        ? ` same => n,Dial(${extensions.map(e => `PJSIP/${e}`).join('&')},${ringTimeout},${dialOptions})
+`
+        : ` same => n,NoOp(No extensions configured)
+`;
+    return `${dial} same => n,VoiceMail(${DEFAULT_VOICEMAIL_BOX},u)
+ same => n,Hangup()
+`;
+}
+
+/**
+ * Dialplan lines sending the caller to an IVR destination
+ * (ring groups that do not exist anymore ring every extension)
+ */
+function ivrDestinationLines(destination, { extensions, ringGroups, ringTimeout, dialOptions = 'tT' }) {
+    const { type, target } = destination || {};
+
+    switch (type) {
+        case 'extension':
+            return ` same => n,Dial(PJSIP/${target},${ringTimeout},${dialOptions})
+ same => n,VoiceMail(${DEFAULT_VOICEMAIL_BOX},u)
+ same => n,Hangup()
+`;
+        case 'ringgroup':
+            if (ringGroups.some(group => group.modemId === target)) {
+                return ` same => n,Goto(${ringGroupContext(target)},s,1)
+`;
+            }
+            return ringAllLines(extensions, ringTimeout, dialOptions);
+        case 'menu':
+            return ` same => n,Goto(${ivrContext(target)},s,1)
+`;
+        case 'repeat':
+            return ` same => n,Goto(s,menu)
+`;
+        case 'hangup':
+            return ` same => n,Playback(vm-goodbye)
+ same => n,Hangup()
+`;
+        case 'voicemail':
+        default:
+            return ` same => n,VoiceMail(${target || DEFAULT_VOICEMAIL_BOX},u)
+ same => n,Hangup()
+`;
+    }
+}
+
+/**
+ * Generate the context of one IVR menu
+ * - the prompt is played with Background(): digits can be dialed during the message
+ * - each DTMF option goes to its destination
+ * - invalid digits (i) and silence (t) replay the menu up to maxRetries times,
+ *   then the caller goes to the failover destination (voicemail by default)
+ *
+ * @param {Object} menu
+ * @param {number} menu.id
+ * @param {string} [menu.prompt] - Sound played by the menu (homenichat/accueil)
+ * @param {string} [menu.invalidPrompt] - Sound played after an invalid digit
+ * @param {number} [menu.timeout] - Seconds waited for a digit after the prompt
+ * @param {number} [menu.maxRetries] - Invalid / timeout attempts before failover
+ * @param {Object<string, {type: string, target?: string}>} menu.options - DTMF -> destination
+ * @param {{type: string, target?: string}} [menu.failover]
+ * @param {Object} context - { extensions, ringGroups, ringTimeout, dialOptions } of the dialplan
+ */
+function generateIvrContext(menu, context) {
+    const {
+        id,
+        prompt = null,
+        invalidPrompt = null,
+        timeout = 5,
+        maxRetries = 3,
+        options = {},
+        failover = { type: 'voicemail' },
+    } = menu;
+    const name = singleLine(menu.name || `IVR ${id}`);
+
+    let config = `[${ivrContext(id)}]
+; IVR "${name}": ${Object.keys(options).map(digit => `${digit}=${options[digit].type}`).join(', ') || 'no options'}
+exten => s,1,NoOp(IVR ${name} for \${CALLERID(num)})
+ same => n,Set(IVR_TRIES=0)
+ same => n,Answer()
+ same => n,Wait(1)
+ same => n(menu),${prompt ? `Background(${prompt})` : 'NoOp(No prompt)'}
+ same => n,WaitExten(${timeout})
+
+`;
+
+    for (const [digit, destination] of Object.entries(options)) {
+        config += `exten => ${digit},1,NoOp(IVR ${name}: option ${digit} -> ${destination.type}${destination.target ? ` ${destination.target}` : ''})
+${ivrDestinationLines(destination, context)}
+`;
+    }
+
+    for (const [exten, label] of [['i', 'invalid'], ['t', 'timeout']]) {
+        config += `exten => ${exten},1,Set(IVR_TRIES=$[\${IVR_TRIES} + 1])
+ same => n,GotoIf($[\${IVR_TRIES} >= ${maxRetries}]?failover)
+`;
+        if (exten === 'i') {
+            config += ` same => n,Playback(${invalidPrompt || 'option-is-invalid'})
+`;
+        }
+        config += ` same => n,Goto(s,menu)
+ same => n(failover),NoOp(IVR ${name}: too many ${label} attempts)
+${ivrDestinationLines(failover, context)}
+`;
+    }
+
+    return config;
+}
+
+/**
+ * Generate the call recording subroutine (Gosub on the caller, Dial b() pre-dial
+ * handler on each callee)
+ * - ARG1: GSM line or extension to check; without it, the PJSIP endpoint of the callee
+ * - records only once per call (HOMENICHAT_REC is inherited by the callee channels)
+ * - MixMonitor b(): audio is written only while the call is bridged
+ * - the file is announced with a UserEvent so Homenichat can link it to the call
+ *
+ * @param {Object} recording
+ * @param {boolean} [recording.recordCalls] - Record every call
+ * @param {string[]} [recording.targets] - GSM lines and extensions to record
+ */
+function generateRecordingContext({ recordCalls = false, targets = [] } = {}) {
+    let config = `[${CONTEXT_RECORD}]
+; Call recording - ${recordCalls ? 'all calls' : `policies: ${targets.map(singleLine).join(', ')}`}
+exten => s,1,GotoIf($["\${HOMENICHAT_REC}" != ""]?done)
+ same => n,Set(REC_TARGET=\${ARG1})
+ same => n,GotoIf($["\${REC_TARGET}" != ""]?check)
+ same => n,Set(REC_TARGET=\${CHANNEL(endpoint)})
+ same => n(check),NoOp(Recording policy for \${REC_TARGET})
+`;
+    if (recordCalls) {
+        config += ` same => n,Goto(record)
+`;
+    } else {
+        for (const target of targets) {
+            config += ` same => n,GotoIf($["\${REC_TARGET}" = "${singleLine(target)}"]?record)
+`;
+        }
+        config += ` same => n,Return()
+`;
+    }
+    config += ` same => n(record),Set(__HOMENICHAT_REC=\${STRFTIME(\${EPOCH},,%Y/%m/%d)}/\${CHANNEL(linkedid)}-\${UNIQUEID}.wav)
+ same => n,Set(CDR(recordingfile)=\${HOMENICHAT_REC})
+ same => n,MixMonitor(${RECORDINGS_DIR}/\${HOMENICHAT_REC},b)
+ same => n,UserEvent(${RECORDING_USER_EVENT},File: \${HOMENICHAT_REC},LinkedID: \${CHANNEL(linkedid)},Target: \${REC_TARGET},CallerIDNum: \${CALLERID(num)})
+ same => n(done),Return()
+
+`;
+    return config;
+}
+
+/**
+ * Dialplan condition matching a block list rule against BL_NUM
+ * (caller number normalized like utils/phoneNumber toE164)
+ */
+function blockRuleCondition(rule) {
+    const value = singleLine(rule.value || '').replace(/[^\d+]/g, '');
+    if (rule.matchType === 'anonymous') {
+        return '$["${BL_NUM}" = ""]';
+    }
+    if (rule.matchType === 'prefix') {
+        return `$["\${BL_NUM:0:${value.length}}" = "${value}"]`;
+    }
+    return `$["\${BL_NUM}" = "${value}"]`;
+}
+
+/**
+ * Dialplan condition matching BL_KEY (BL_NUM, never empty) against an AstDB family of exact numbers
+ */
+function blockListDbCondition(family) {
+    return `$[\${DB_EXISTS(${family}/\${BL_KEY})}]`;
+}
+
+/**
+ * Generate the caller block list subroutine (Gosub from incoming contexts)
+ * Allowed numbers return first; blocked callers are tagged in the CDR
+ * (userfield) so the call is logged as blocked, then rejected or sent
+ * straight to voicemail without ringing.
+ * Exact numbers are looked up in AstDB (BLOCK_LIST_DB_FAMILY / ALLOW_LIST_DB_FAMILY,
+ * filled by BlockListService.syncAstDb): one lookup whatever the size of the list
+ *
+ * @param {Object} blockList
+ * @param {Array<{matchType: string, value: string}>} blockList.allow - Whitelist prefixes
+ * @param {Array<{matchType: string, value: string}>} blockList.block - Blacklist prefixes / anonymous
+ * @param {number} [blockList.exactAllow] - Whitelisted exact numbers (in AstDB)
+ * @param {number} [blockList.exactBlock] - Blacklisted exact numbers (in AstDB)
+ * @param {string} [blockList.action] - reject | voicemail
+ * @param {string} [blockList.voicemailBox] - Mailbox for the voicemail action
+ */
+function generateBlockListContext({ allow = [], block = [], exactAllow = 0, exactBlock = 0, action = 'reject', voicemailBox = DEFAULT_VOICEMAIL_BOX }) {
+    let config = `[${CONTEXT_BLOCK_LIST}]
+; Caller block list - ${exactAllow + allow.length} allowed, ${exactBlock + block.length} blocked (${action})
+exten => s,1,Set(BL_NUM=\${FILTER(0123456789+,\${CALLERID(num)})})
+ same => n,ExecIf($["\${BL_NUM:0:2}" = "00"]?Set(BL_NUM=+\${BL_NUM:2}))
+ same => n,ExecIf($["\${BL_NUM:0:1}" = "0"]?Set(BL_NUM=+33\${BL_NUM:1}))
+ same => n,ExecIf($["\${BL_NUM}" != "" & "\${BL_NUM:0:1}" != "+" & \${LEN(\${BL_NUM})} >= 11]?Set(BL_NUM=+\${BL_NUM}))
+`;
+    if (exactAllow > 0 || exactBlock > 0) {
+        config += ` same => n,Set(BL_KEY=\${IF($["\${BL_NUM}" = ""]?anonymous:\${BL_NUM})})
+`;
+    }
+    if (exactAllow > 0) {
+        config += ` same => n,GotoIf(${blockListDbCondition(ALLOW_LIST_DB_FAMILY)}?allowed)
+`;
+    }
+    for (const rule of allow) {
+        config += ` same => n,GotoIf(${blockRuleCondition(rule)}?allowed)
+`;
+    }
+    if (exactBlock > 0) {
+        config += ` same => n,GotoIf(${blockListDbCondition(BLOCK_LIST_DB_FAMILY)}?blocked)
+`;
+    }
+    for (const rule of block) {
+        config += ` same => n,GotoIf(${blockRuleCondition(rule)}?blocked)
+`;
+    }
+    config += ` same => n(allowed),Return()
+ same => n(blocked),NoOp(Blocked caller \${CALLERID(num)})
+ same => n,Set(CDR(userfield)=${BLOCKED_CDR_USERFIELD})
+`;
+    if (action === 'voicemail') {
+        config += ` same => n,VoiceMail(${singleLine(voicemailBox)},s)
+ same => n,Hangup()
+
+`;
+    } else {
+        config += ` same => n,Hangup(21)
+
+`;
+    }
+    return config;
+}
+
+/**
+ * Generate the contexts used by call control (AMI Redirect targets)
+ * - hold: the held party hears music on hold, the holder waits until both
+ *   channels are bridged again
+ * - conference: ad-hoc ConfBridge, the room is the dialed extension
+ */
+function generateCallControlContexts() {
+    return `[${CONTEXT_CALL_HOLD}]
+; Call hold - held party
+exten => moh,1,Answer()
+ same => n,MusicOnHold(default)
+ same => n,Hangup()
+; Call hold - holder
+exten => wait,1,Answer()
+ same => n,Wait(3600)
+ same => n,Hangup()
+
+[${CONTEXT_CONFERENCE}]
+; Ad-hoc conferences (three-way calls)
+exten => _X.,1,Answer()
+ same => n,ConfBridge(\${EXTEN})
+ same => n,Hangup()
+
+`;
+}
+
+/**
+ * Generate the Homenichat dialplan (extensions_homenichat_generated.conf)
+ * Includes contexts for internal calls, incoming GSM routing, SIP trunks and features.
+ * [from-gsm] and [from-webrtc] belong to the production dialplan and are not generated:
+ * [from-gsm] runs Gosub(homenichat-gsm-incoming,s,1), which returns when no block list,
+ * business hours, IVR or ring group rule handles the call.
+ *
+ * @param {Object} options
+ * @param {Array<{modemId: string, name?: string, strategy: string, members: string[],
+ *   ringTimeout?: number, memberTimeout?: number}>} [options.ringGroups] - Ring group per GSM line;
+ *   lines without a ring group keep the [from-gsm] ringing
+ * @param {Array<Object>} [options.schedules] - Business hours per GSM line
+ *   (see generateBusinessHoursContext); lines without a schedule are always open
+ * @param {Array<Object>} [options.ivrMenus] - IVR menus (see generateIvrContext), with
+ *   lines: GSM lines answered by the menu, dids: SIP trunk numbers answered by the menu
+ * @param {boolean} [options.recordCalls] - Record every call
+ * @param {string[]} [options.recordTargets] - GSM lines and extensions whose calls are recorded
+ * @param {Object} [options.blockList] - Caller block list (see generateBlockListContext)
  */
 function generateBasicDialplan(options = {}) {
     const {
         extensions = [],
         modems = [],
+        ringGroups = [],
+        schedules = [],
+        ivrMenus = [],
         ringTimeout = 30,
         recordCalls = false,
+        recordTargets = [],
+        blockList = null,
     } = options;
 
+    // Block list: checked first on every incoming GSM / trunk call
+    const blocking = !!blockList && (blockList.block.length > 0 || blockList.exactBlock > 0);
+    const checkBlockList = blocking ? ` same => n,Gosub(${CONTEXT_BLOCK_LIST},s,1)
+` : '';
+
+    // Recording: Gosub on the caller, pre-dial handler on every callee
+    const recording = recordCalls || recordTargets.length > 0;
+    const recordCaller = target => recording ? ` same => n,Gosub(${CONTEXT_RECORD},s,1(${target}))
+` : '';
+    const dialOptions = recording ? `tTb(${CONTEXT_RECORD}^s^1)` : 'tT';
+
     let config = `; Homenichat Dialplan
 ; Generated: ${new Date().toISOString()}
 ; DO NOT EDIT MANUALLY - Use Homenichat admin interface
+; Included by extensions_homenichat.conf, [from-gsm] calls [${CONTEXT_GSM_ROUTING}]
 
 `;
 
@@ -66,7 +640,7 @@ function generateBasicDialplan(options = {}) {
     config += `[${CONTEXT_INTERNAL}]
 ; Internal extension dialing (2XXX)
 exten => _2XXX,1,NoOp(Internal call to \${EXTEN})
- same => n,Dial(PJSIP/\${EXTEN},${ringTimeout})
+${recordCaller('\${CALLERID(num)}')} same => n,Dial(PJSIP/\${EXTEN},${ringTimeout}${recording ? `,b(${CONTEXT_RECORD}^s^1)` : ''})
  same => n,VoiceMail(\${EXTEN}@default,u)
  same => n,Hangup()
 
@@ -76,12 +650,20 @@ exten => _2XXX,1,NoOp(Internal call to \${EXTEN})
     if (modems.length > 0) {
         config += `; Outbound GSM calls (use first available modem)
 `;
+        // Priority 1 checks the recording policy of the calling extension
+        const first = recording ? 2 : 1;
+        if (recording) {
+            config += `exten => _0XXXXXXXXX,1,Gosub(${CONTEXT_RECORD},s,1(\${CALLERID(num)}))
+exten => _+X.,1,Gosub(${CONTEXT_RECORD},s,1(\${CALLERID(num)}))
+`;
+        }
         for (let i = 0; i < modems.length; i++) {
             const modem = modems[i];
             const modemId = modem.id || modem.modemName || `modem-${i + 1}`;
+            const options = recording ? `tTb(${CONTEXT_RECORD}^s^1(${modemId}))` : 'tT';
             config += `; Outbound via ${modemId}
-exten => _0XXXXXXXXX,${i + 1},Dial(Quectel/${modemId}/\${EXTEN},${ringTimeout},tT)
-exten => _+X.,${i + 1},Dial(Quectel/${modemId}/\${EXTEN},${ringTimeout},tT)
+exten => _0XXXXXXXXX,${first + i},Dial(Quectel/${modemId}/\${EXTEN},${ringTimeout},${options})
+exten => _+X.,${first + i},Dial(Quectel/${modemId}/\${EXTEN},${ringTimeout},${options})
 `;
         }
         config += `exten => _0XXXXXXXXX,n,Hangup()
@@ -90,36 +672,87 @@ exten => _+X.,n,Hangup()
 `;
     }
 
-    // WebRTC context
-    config += `[${CONTEXT_FROM_WEBRTC}]
-include => ${CONTEXT_INTERNAL}
+    // Incoming GSM routing (Gosub from [from-gsm]): returns to the production ringing
+    config += `[${CONTEXT_GSM_ROUTING}]
+; Incoming GSM calls - block list, business hours, IVR or ring group of the line
+exten => s,1,NoOp(Homenichat routing for \${CALLERID(num)})
+${checkBlockList}`;
 
+    const ivrLines = ivrMenus.flatMap(menu => (menu.lines || []).map(modemId => ({ modemId, menuId: menu.id })));
+    const ivrDids = ivrMenus.flatMap(menu => (menu.dids || []).map(did => ({ did, menuId: menu.id })));
+
+    if (ringGroups.length > 0 || schedules.length > 0 || ivrLines.length > 0 || recording) {
+        config += ` same => n,Set(GSM_LINE=\${IF($["\${QUECTELNAME}" != ""]?\${QUECTELNAME}:\${JSON_DECODE(QUECTEL,name)})})
+${recordCaller('\${GSM_LINE}')}`;
+        for (const schedule of schedules) {
+            config += ` same => n,GosubIf($["\${GSM_LINE}" = "${schedule.modemId}"]?${businessHoursContext(schedule.modemId)},s,1)
+`;
+        }
+        for (const { modemId, menuId } of ivrLines) {
+            config += ` same => n,GotoIf($["\${GSM_LINE}" = "${modemId}"]?${ivrContext(menuId)},s,1)
 `;
+        }
+        for (const group of ringGroups) {
+            config += ` same => n,GotoIf($["\${GSM_LINE}" = "${group.modemId}"]?${ringGroupContext(group.modemId)},s,1)
+`;
+        }
+    }
+
+    config += ` same => n,Return()
 
-    // GSM incoming context
-    config += `[${CONTEXT_FROM_GSM}]
-; Incoming GSM calls - ring all extensions
-exten => s,1,NoOp(Incoming GSM call from \${CALLERID(num)})
- same => n,Set(CALLERID(name)=GSM:\${CALLERID(num)})
 `;
 
-    // Ring all extensions on incoming GSM call
-    if (extensions.length > 0) {
-        const dialTargets = extensions.map(e => `PJSIP/${e}`).join('&');
-        config += ` same => n,Dial(${dialTargets},${ringTimeout},tT)
+    // SIP trunk incoming context (set context=${CONTEXT_FROM_TRUNK} on the trunk endpoint)
+    config += `[${CONTEXT_FROM_TRUNK}]
+; Incoming SIP trunk calls - IVR of the dialed number, ring all extensions otherwise
 `;
-    } else {
-        config += ` same => n,NoOp(No extensions configured)
+    for (const { did, menuId } of ivrDids) {
+        config += `exten => ${did},1,NoOp(Incoming trunk call to ${did})
+${checkBlockList}${recordCaller('\${EXTEN}')} same => n,Goto(${ivrContext(menuId)},s,1)
 `;
     }
+    config += `exten => s,1,NoOp(Incoming trunk call from \${CALLERID(num)})
+${checkBlockList}${recordCaller('trunk')}${ringAllLines(extensions, ringTimeout, dialOptions)}exten => _X.,1,Goto(s,1)
+exten => _+X.,1,Goto(s,1)
 
-    config += ` same => n,VoiceMail(2000@default,u)
- same => n,Hangup()
+`;
+
+    // IVR menus
+    const ivrDestinationContext = { extensions, ringGroups, ringTimeout, dialOptions };
+    for (const menu of ivrMenus) {
+        config += generateIvrContext(menu, ivrDestinationContext);
+    }
+
+    // Business hours per GSM line
+    for (const schedule of schedules) {
+        config += generateBusinessHoursContext(schedule);
+    }
+
+    // Ring groups per GSM line
+    for (const group of ringGroups) {
+        config += generateRingGroupContext(group, dialOptions);
+    }
+
+    if (recording) {
+        config += generateRecordingContext({ recordCalls, targets: recordTargets });
+    }
+
+    if (blocking) {
+        config += generateBlockListContext(blockList);
+    }
+
+    config += generateCallControlContexts();
 
-; DID routing (if callerID is the phone number)
-exten => _X.,1,Goto(s,1)
+    if (ringGroups.some(group => group.strategy === 'leastrecent')) {
+        config += `[${CONTEXT_RING_GROUP_ANSWERED}]
+; Least-recent ring groups: time of the last call answered by each member
+exten => s,1,Set(RG_PEER=\${CHANNEL(name)})
+ same => n,Set(RG_PEER=\${CUT(RG_PEER,-,1)})
+ same => n,Set(DB(${RING_GROUP_DB_FAMILY}/\${ARG1}/\${CUT(RG_PEER,/,2)})=\${EPOCH})
+ same => n,Return()
 
 `;
+    }
 
     // Outbound GSM context
     config += `[${CONTEXT_OUTBOUND_GSM}]
@@ -140,36 +773,36 @@ exten => _X.,1,Goto(s,1)
 }
 
 /**
- * Update dialplan with current extensions and modems
+ * Update the generated dialplan with current extensions, modems and ring groups,
+ * then reload it via AMI
+ * @returns {Promise<{updated: boolean, reloaded: boolean, included: boolean, hooked: boolean}>}
+ *   hooked: false when [from-gsm] does not call the routing context yet
  */
-function updateDialplan(options, amiConnection = null) {
+async function updateDialplan(options, amiConnection = null) {
     const content = generateBasicDialplan(options);
 
     if (!writeConfig(content)) {
         throw new Error('Failed to write dialplan configuration');
     }
 
-    // Reload dialplan via AMI
+    const included = ensureInclude();
+    const hooked = hasGsmRoutingHook();
+    if (!hooked) {
+        logger.warn(`[Dialplan] [${CONTEXT_FROM_GSM}] in ${EXTENSIONS_HOMENICHAT_CONF} does not call ${CONTEXT_GSM_ROUTING}: ` +
+            'ring groups, business hours, IVR and block list are inactive on GSM lines (reinstall extensions_homenichat.conf)');
+    }
+
+    let reloaded = false;
     if (amiConnection?.authenticated) {
-        amiConnection.sendCommand('dialplan reload').catch(err => {
+        try {
+            await amiConnection.sendCommand('dialplan reload');
+            reloaded = true;
+        } catch (err) {
             logger.warn('[Dialplan] Failed to reload:', err.message);
-        });
+        }
     }
 
-    return { updated: true };
-}
-
-/**
- * Add extension to ring group
- */
-function addExtensionToRingGroup(extension, context = CONTEXT_FROM_GSM) {
-    const currentConfig = readConfig();
-
-    // This is a simplified implementation
-    // In production, you'd want more sophisticated dialplan management
-    logger.info(`[Dialplan] Adding ${extension} to ${context} ring group`);
-
-    return { added: true, extension, context };
+    return { updated: true, reloaded, included, hooked };
 }
 
 /**
@@ -198,11 +831,22 @@ module.exports = {
     readConfig,
     writeConfig,
     generateBasicDialplan,
+    generateRingGroupContext,
+    generateBusinessHoursContext,
+    generateIvrContext,
+    generateRecordingContext,
+    generateCallControlContexts,
+    generateBlockListContext,
+    ringGroupContext,
+    businessHoursContext,
+    ivrContext,
+    ensureInclude,
+    hasGsmRoutingHook,
     updateDialplan,
-    addExtensionToRingGroup,
     getDialplanStatus,
     CONTEXT_INTERNAL,
     CONTEXT_FROM_GSM,
     CONTEXT_FROM_WEBRTC,
     CONTEXT_OUTBOUND_GSM,
+    CONTEXT_GSM_ROUTING,
 };
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { escapeCsv, toCsv } = require('../utils/csv');
+const { parseCsv, serializeCsv } = require('../utils/contactFormats');
+
+test('injection CSV: les cellules formule sont préfixées d\'une apostrophe', () => {
+  assert.strictEqual(escapeCsv('=HYPERLINK("http://evil","x")'), '"\'=HYPERLINK(""http://evil"",""x"")"');
+  assert.strictEqual(escapeCsv('+33612345678'), '\'+33612345678');
+  assert.strictEqual(escapeCsv('-2+3'), '\'-2+3');
+  assert.strictEqual(escapeCsv('@SUM(A1)'), '\'@SUM(A1)');
+  assert.strictEqual(escapeCsv('\tcmd'), '\'\tcmd');
+  assert.strictEqual(escapeCsv('\rcmd'), '"\'\rcmd"');
+});
+
+test('cellules ordinaires et nombres inchangés', () => {
+  assert.strictEqual(escapeCsv('Jean Dupont'), 'Jean Dupont');
+  assert.strictEqual(escapeCsv('a,b'), '"a,b"');
+  assert.strictEqual(escapeCsv(-5), '-5');
+  assert.strictEqual(escapeCsv(null), '');
+  assert.strictEqual(toCsv([['a', '=1+1']], { bom: false }), 'a,\'=1+1\r\n');
+});
+
+test('contacts: un export relu redonne les numéros d\'origine', () => {
+  const csv = serializeCsv([{
+    displayName: '=cmd|\' /C calc\'!A0',
+    phones: [{ normalized: '+33612345678', label: 'mobile' }],
+    emails: [],
+    whatsapp: []
+  }]);
+
+  assert.ok(csv.includes('\'+33612345678'));
+  const [entry] = parseCsv(csv);
+  assert.strictEqual(entry.displayName, '=cmd|\' /C calc\'!A0');
+  assert.deepStrictEqual(entry.phones, [{ value: '+33612345678', label: 'mobile' }]);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Base SQLite temporaire (DatabaseService lit DATA_DIR au chargement)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'homenichat-test-'));
+process.env.DATA_DIR = dataDir;
+
+const db = require('../services/DatabaseService');
+const deliveryReportService = require('../services/SmsDeliveryReportService');
+
+function createMessage(id) {
+  db.prepare(`
+    INSERT OR IGNORE INTO chats (id, name, provider, timestamp) VALUES ('sms_test', 'test', 'sms', 0)
+  `).run();
+  db.prepare(`
+    INSERT INTO messages (id, chat_id, sender_id, from_me, type, content, timestamp, status)
+    VALUES (?, 'sms_test', '+33600000000', 1, 'text', 'test', 0, 'sent')
+  `).run(id);
+}
+
+function messageStatus(id) {
+  return db.prepare('SELECT status FROM messages WHERE id = ?').get(id).status;
+}
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('modem AT: toutes les parties remises -> delivered', () => {
+  createMessage('msg_at');
+  const sendResult = { success: true, messageId: 'at_1', messageRefs: [12, 13] };
+
+  deliveryReportService.track('msg_at', {
+    channel: 'modem_at',
+    references: deliveryReportService.referencesFor(sendResult),
+    to: '+33612345678'
+  });
+
+  assert.strictEqual(deliveryReportService.handleReport('modem_at', { reference: 12, status: 'delivered' }), null);
+  assert.strictEqual(messageStatus('msg_at'), 'sent');
+
+  const result = deliveryReportService.handleReport('modem_at', { reference: 13, status: 'delivered' });
+  assert.deepStrictEqual(result, { messageId: 'msg_at', status: 'delivered' });
+  assert.strictEqual(messageStatus('msg_at'), 'delivered');
+});
+
+test('provider cloud: suivi par identifiant du provider', () => {
+  assert.deepStrictEqual(deliveryReportService.referencesFor({ success: true, messageId: 'SM123' }), ['SM123']);
+});
+
+test('chan_quectel: pas de référence, le message reste sent', () => {
+  createMessage('msg_quectel');
+  // Résultat de ModemService.sendSms()
+  const sendResult = { success: true, modem: 'modem-1', to: '+33612345678', method: 'asterisk', result: 'SMS queued' };
+
+  assert.deepStrictEqual(deliveryReportService.referencesFor(sendResult), []);
+  deliveryReportService.track('msg_quectel', {
+    channel: 'modem-1',
+    references: deliveryReportService.referencesFor(sendResult),
+    to: '+33612345678'
+  });
+
+  const tracked = db.prepare('SELECT COUNT(*) AS count FROM sms_delivery_reports WHERE message_id = ?').get('msg_quectel');
+  assert.strictEqual(tracked.count, 0);
+  assert.strictEqual(deliveryReportService.handleReport('modem-1', { reference: 0, status: 'delivered' }), null);
+  assert.strictEqual(messageStatus('msg_quectel'), 'sent');
+});
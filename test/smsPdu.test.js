@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  encodeSubmit,
+  decodePdu,
+  splitMessage,
+  measure,
+  MultipartAssembler
+} = require('../utils/smsPdu');
+
+// Encode puis décode chaque partie, réassemblées comme côté réception
+function roundTrip(text, options = {}) {
+  const { encoding, parts } = encodeSubmit('+33612345678', text, { reference: 42, ...options });
+  const assembler = new MultipartAssembler({ timeoutMs: 0 });
+  const decoded = parts.map(part => decodePdu(part.pdu));
+
+  let message = null;
+  for (const part of decoded) {
+    message = assembler.add(part, 'modem-1');
+  }
+  return { encoding, parts, decoded, message };
+}
+
+test('GSM-7: texte simple avec caractères de la table d\'extension', () => {
+  const text = 'Bonjour à tous, RDV {demain} [10h] 5€ ~ ok';
+  const { encoding, parts, message } = roundTrip(text);
+
+  assert.strictEqual(encoding, 'gsm7');
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(message.type, 'submit');
+  assert.strictEqual(message.to, '+33612345678');
+  assert.strictEqual(message.encoding, 'gsm7');
+  assert.strictEqual(message.text, text);
+  assert.strictEqual(message.concat, null);
+});
+
+test('GSM-7: 160 septets tiennent dans un seul SMS', () => {
+  const text = 'a'.repeat(160);
+  const { parts, message } = roundTrip(text);
+
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(message.text, text);
+  // Un caractère d'extension compte double
+  assert.deepStrictEqual(measure('€'.repeat(80)), { encoding: 'gsm7', length: 160, segments: 1 });
+});
+
+test('UCS-2: accents hors GSM-7 et emojis', () => {
+  const text = 'Ça coûte 5 € — merci 🙂';
+  const { encoding, parts, message } = roundTrip(text);
+
+  assert.strictEqual(encoding, 'ucs2');
+  assert.strictEqual(parts.length, 1);
+  assert.strictEqual(message.encoding, 'ucs2');
+  assert.strictEqual(message.text, text);
+});
+
+test('GSM-7 concaténé: découpage en 153 septets et réassemblage', () => {
+  const text = 'Message long. '.repeat(30);
+  const { encoding, parts, decoded, message } = roundTrip(text);
+
+  assert.strictEqual(encoding, 'gsm7');
+  assert.strictEqual(parts.length, Math.ceil(text.length / 153));
+  decoded.forEach((part, index) => {
+    assert.deepStrictEqual(part.concat, { reference: 42, total: parts.length, sequence: index + 1 });
+  });
+  assert.strictEqual(message.text, text);
+  assert.strictEqual(message.parts, parts.length);
+});
+
+test('GSM-7 concaténé: une séquence d\'échappement n\'est jamais coupée', () => {
+  const text = 'x'.repeat(152) + '€' + 'y'.repeat(10);
+  const { parts } = splitMessage(text);
+
+  assert.strictEqual(parts[0], 'x'.repeat(152));
+  assert.strictEqual(roundTrip(text).message.text, text);
+});
+
+test('UCS-2 concaténé: une paire de substitution n\'est jamais coupée', () => {
+  const text = 'é'.repeat(66) + '😀'.repeat(10);
+  const { encoding, parts, message } = roundTrip(text);
+
+  assert.strictEqual(encoding, 'ucs2');
+  assert.strictEqual(parts.length, 2);
+  assert.strictEqual(parts[0].text, 'é'.repeat(66));
+  assert.strictEqual(message.text, text);
+});
+
+test('parties reçues dans le désordre', () => {
+  const text = 'Ordre inversé: ' + 'z'.repeat(300);
+  const { parts } = encodeSubmit('+33612345678', text, { reference: 7 });
+  const assembler = new MultipartAssembler({ timeoutMs: 0 });
+
+  const results = [...parts].reverse().map(part => assembler.add(decodePdu(part.pdu), 'modem-1'));
+
+  assert.ok(results.slice(0, -1).every(result => result === null));
+  assert.strictEqual(results[results.length - 1].text, text);
+  assert.strictEqual(assembler.size, 0);
+});
+
+test('SMS-DELIVER: PDU de référence (3GPP)', () => {
+  const message = decodePdu('07917283010010F5040BC87238880900F10000993092516195800AE8329BFD4697D9EC37');
+
+  assert.strictEqual(message.type, 'deliver');
+  assert.strictEqual(message.smsc, '+27381000015');
+  assert.strictEqual(message.encoding, 'gsm7');
+  assert.strictEqual(message.text, 'hellohello');
+});
+
+test('longueur TP-DU pour AT+CMGS (sans le centre SMS)', () => {
+  const { parts } = encodeSubmit('+33612345678', 'test', { smsc: '+33609001390' });
+  const smscOctets = parseInt(parts[0].pdu.substring(0, 2), 16) + 1;
+
+  assert.strictEqual(parts[0].pdu.length / 2 - smscOctets, parts[0].tpduLength);
+  assert.strictEqual(decodePdu(parts[0].pdu).smsc, '+33609001390');
+});
@@ -118,6 +118,44 @@ class AudioConverter {
     }
   }
 
+  /**
+   * Convertit un buffer audio (MP3, WAV, OGG, M4A...) en WAV 8 kHz mono 16 bits,
+   * format lu sans transcodage par Asterisk (messages de SVI)
+   * @param {Buffer} inputBuffer - Le buffer audio à convertir
+   * @param {Object} options - Options de conversion
+   * @param {string} [options.inputExtension] - Extension du fichier d'origine
+   * @returns {Promise<{buffer: Buffer, mimeType: string, extension: string}>}
+   */
+  async convertToAsteriskWav(inputBuffer, options = {}) {
+    const tempId = crypto.randomBytes(16).toString('hex');
+    const inputExtension = (options.inputExtension || 'bin').replace(/[^a-z0-9]/gi, '');
+    const inputPath = path.join(this.tempDir, `input_${tempId}.${inputExtension}`);
+    const outputPath = path.join(this.tempDir, `output_${tempId}.wav`);
+
+    try {
+      await fs.writeFile(inputPath, inputBuffer);
+
+      // -ar 8000 -ac 1 : 8 kHz mono (téléphonie)
+      // -acodec pcm_s16le : PCM signé 16 bits (slin)
+      const command = `ffmpeg -i "${inputPath}" -ar 8000 -ac 1 -acodec pcm_s16le "${outputPath}" -y`;
+
+      logger.info('Executing FFmpeg command:', command);
+      await execAsync(command);
+
+      const outputBuffer = await fs.readFile(outputPath);
+      await this.cleanup(inputPath, outputPath);
+
+      return {
+        buffer: outputBuffer,
+        mimeType: 'audio/wav',
+        extension: 'wav'
+      };
+    } catch (error) {
+      await this.cleanup(inputPath, outputPath);
+      throw new Error(`Audio conversion failed: ${error.message}`);
+    }
+  }
+
   /**
    * Détermine le meilleur format de sortie pour Meta WhatsApp
    * @param {string} inputMimeType - Le type MIME d'entrée
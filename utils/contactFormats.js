@@ -0,0 +1,386 @@
+/**
+ * Formats d'échange du carnet de contacts: vCard 3.0/4.0 et CSV
+ *
+ * Les parseurs produisent des entrées au format attendu par ContactService
+ * ({ displayName, firstName, lastName, company, notes, avatarUrl, phones, emails, whatsapp })
+ * et les sérialiseurs prennent les contacts formatés par ContactService.
+ */
+
+const { toCsv, unescapeFormula } = require('./csv');
+
+// --- vCard ---
+
+function unescapeVCard(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;:\\])/g, '$1');
+}
+
+function escapeVCard(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Découpe une valeur structurée (N, ORG) sur les ';' non échappés
+ */
+function splitStructured(value) {
+  return value.split(/(?<!\\);/).map(unescapeVCard);
+}
+
+/**
+ * Plie une ligne à 75 octets UTF-8 (RFC 6350 §3.2), sans couper un caractère
+ * (les lignes de continuation commencent par une espace, comptée dans les 75 octets)
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.map((part, index) => (index === 0 ? part : ' ' + part)).join('\r\n');
+}
+
+/**
+ * Libellé normalisé depuis les paramètres TYPE d'une propriété
+ */
+function labelFromTypes(types) {
+  if (types.some(t => ['cell', 'mobile', 'iphone'].includes(t))) return 'mobile';
+  if (types.includes('work')) return 'work';
+  if (types.includes('home')) return 'home';
+  if (types.includes('fax')) return 'fax';
+  return null;
+}
+
+/**
+ * Analyse une ligne de propriété: [group.]NAME;PARAM=a,b;PARAM2=c:value
+ */
+function parseProperty(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const head = line.substring(0, colon);
+  const value = line.substring(colon + 1);
+  const [rawName, ...rawParams] = head.split(';');
+  const name = rawName.split('.').pop().toUpperCase();
+
+  const params = {};
+  for (const param of rawParams) {
+    const [key, val] = param.split('=');
+    if (val === undefined) {
+      // vCard 2.1 / 3.0: TEL;CELL:...
+      (params.TYPE = params.TYPE || []).push(key.toLowerCase());
+      continue;
+    }
+    const values = val.replace(/"/g, '').split(',').map(v => v.toLowerCase());
+    params[key.toUpperCase()] = (params[key.toUpperCase()] || []).concat(values);
+  }
+
+  return { name, params, value };
+}
+
+/**
+ * Parse un fichier vCard (3.0 ou 4.0, une ou plusieurs fiches)
+ * @param {string} text
+ * @returns {Array<Object>} Entrées de contact
+ */
+function parseVCard(text) {
+  // Dépliage des lignes (CRLF suivi d'un espace ou d'une tabulation)
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const upper = line.toUpperCase();
+
+    if (upper === 'BEGIN:VCARD') {
+      current = { phones: [], emails: [], whatsapp: [] };
+      continue;
+    }
+    if (upper === 'END:VCARD') {
+      if (current) entries.push(current);
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const prop = parseProperty(line);
+    if (!prop) continue;
+    const types = prop.params.TYPE || [];
+
+    switch (prop.name) {
+      case 'FN':
+        current.displayName = unescapeVCard(prop.value).trim();
+        break;
+      case 'N': {
+        const [lastName, firstName] = splitStructured(prop.value);
+        current.lastName = (lastName || '').trim() || undefined;
+        current.firstName = (firstName || '').trim() || undefined;
+        break;
+      }
+      case 'ORG':
+        current.company = splitStructured(prop.value).filter(Boolean).join(' - ').trim() || undefined;
+        break;
+      case 'NOTE':
+        current.notes = unescapeVCard(prop.value);
+        break;
+      case 'TEL':
+        current.phones.push({
+          value: prop.value.replace(/^tel:/i, '').trim(),
+          label: labelFromTypes(types),
+          isPrimary: types.includes('pref') || (prop.params.PREF || []).includes('1')
+        });
+        break;
+      case 'EMAIL':
+        current.emails.push({
+          value: prop.value.replace(/^mailto:/i, '').trim(),
+          label: labelFromTypes(types),
+          isPrimary: types.includes('pref') || (prop.params.PREF || []).includes('1')
+        });
+        break;
+      case 'IMPP':
+        if (/^whatsapp:/i.test(prop.value)) {
+          current.whatsapp.push({ value: prop.value.replace(/^whatsapp:/i, '').trim() });
+        }
+        break;
+      case 'PHOTO':
+        // Seules les photos par URL sont conservées (pas les images base64)
+        if (/^https?:\/\//i.test(prop.value)) {
+          current.avatarUrl = prop.value.trim();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Sérialise des contacts en vCard
+ * @param {Array<Object>} contacts - Contacts formatés par ContactService
+ * @param {string} version - '3.0' ou '4.0'
+ */
+function serializeVCard(contacts, version = '3.0') {
+  const v4 = version === '4.0';
+  const cards = contacts.map(contact => {
+    const lines = [
+      'BEGIN:VCARD',
+      `VERSION:${version}`,
+      // Pas d'UID pour une fiche hors carnet (contact saisi à l'envoi)
+      ...(contact.id ? [`UID:homenichat-contact-${contact.id}`] : []),
+      `FN:${escapeVCard(contact.displayName)}`,
+      `N:${escapeVCard(contact.lastName || '')};${escapeVCard(contact.firstName || '')};;;`
+    ];
+
+    if (contact.company) lines.push(`ORG:${escapeVCard(contact.company)}`);
+
+    for (const phone of contact.phones || []) {
+      const types = [phone.label === 'mobile' ? 'cell' : phone.label, 'voice'].filter(Boolean);
+      if (v4) {
+        lines.push(`TEL;VALUE=uri;TYPE="${types.join(',')}"${phone.isPrimary ? ';PREF=1' : ''}:tel:${phone.normalized}`);
+      } else {
+        if (phone.isPrimary) types.push('pref');
+        lines.push(`TEL;TYPE=${types.join(',')}:${phone.normalized}`);
+      }
+    }
+
+    for (const email of contact.emails || []) {
+      const types = [email.label].filter(Boolean);
+      if (!v4) types.unshift('internet');
+      const typeParam = types.length ? `;TYPE=${types.join(',')}` : '';
+      lines.push(`EMAIL${typeParam}:${email.normalized}`);
+    }
+
+    for (const jid of contact.whatsapp || []) {
+      lines.push(`IMPP;X-SERVICE-TYPE=WhatsApp:whatsapp:${jid.normalized}`);
+    }
+
+    if (contact.avatarUrl) lines.push(`PHOTO${v4 ? '' : ';VALUE=uri'}:${contact.avatarUrl}`);
+    if (contact.notes) lines.push(`NOTE:${escapeVCard(contact.notes)}`);
+    if (contact.updatedAt) {
+      lines.push(`REV:${new Date(contact.updatedAt.replace(' ', 'T') + 'Z').toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+    }
+
+    lines.push('END:VCARD');
+    return lines.map(foldLine).join('\r\n');
+  });
+
+  return cards.length ? cards.join('\r\n') + '\r\n' : '';
+}
+
+// --- CSV ---
+
+// Séparateur des valeurs multiples dans une cellule (convention Google Contacts)
+const MULTI_VALUE_SEPARATOR = ' ::: ';
+
+/**
+ * Parse un CSV RFC 4180 (guillemets, retours à la ligne dans les cellules)
+ * Le séparateur ',' ou ';' (Excel FR) est détecté sur la ligne d'en-tête.
+ */
+function parseCsvRows(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Associe une colonne d'en-tête à un champ de contact
+ * Couvre nos exports et ceux de Google Contacts / Outlook / Excel
+ */
+function mapCsvHeader(header) {
+  const h = header.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+
+  // Colonnes de type/libellé Google ("Phone 1 - Label") ignorées
+  if (/ - (type|label)$/.test(h)) return null;
+
+  if (['name', 'display name', 'displayname', 'full name', 'nom complet', 'fn'].includes(h)) return { field: 'displayName' };
+  if (['first name', 'firstname', 'given name', 'prenom'].includes(h)) return { field: 'firstName' };
+  if (['last name', 'lastname', 'family name', 'nom', 'nom de famille'].includes(h)) return { field: 'lastName' };
+  if (/^(company|organi[sz]ation|societe|entreprise)( 1 - name)?$/.test(h)) return { field: 'company' };
+  if (['notes', 'note', 'commentaire'].includes(h)) return { field: 'notes' };
+  if (h.includes('whatsapp')) return { field: 'whatsapp' };
+  if (/e-?mail|courriel/.test(h)) return { field: 'emails', label: labelFromHeader(h) };
+  if (/phone|telephone|\btel\b|mobile|portable|cell/.test(h)) return { field: 'phones', label: labelFromHeader(h) };
+  return null;
+}
+
+function labelFromHeader(header) {
+  if (/mobile|portable|cell/.test(header)) return 'mobile';
+  if (/work|business|bureau|\bpro/.test(header)) return 'work';
+  if (/home|domicile|perso/.test(header)) return 'home';
+  return null;
+}
+
+/**
+ * Parse un fichier CSV de contacts (ligne d'en-tête obligatoire)
+ * @param {string} text
+ * @returns {Array<Object>} Entrées de contact
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const columns = header.map(mapCsvHeader);
+
+  return rows.map(cells => {
+    const entry = { phones: [], emails: [], whatsapp: [] };
+
+    columns.forEach((column, index) => {
+      const cell = unescapeFormula((cells[index] || '').trim());
+      if (!column || !cell) return;
+
+      if (Array.isArray(entry[column.field])) {
+        for (const value of cell.split(/\s*:::\s*/)) {
+          if (value) entry[column.field].push({ value, label: column.label || null });
+        }
+      } else {
+        entry[column.field] = cell;
+      }
+    });
+
+    return entry;
+  });
+}
+
+/**
+ * Sérialise des contacts en CSV (UTF-8 avec BOM pour Excel)
+ * @param {Array<Object>} contacts - Contacts formatés par ContactService
+ */
+function serializeCsv(contacts) {
+  const header = ['Display Name', 'First Name', 'Last Name', 'Company', 'Mobile Phone', 'Phones', 'Emails', 'WhatsApp', 'Notes'];
+
+  const rows = contacts.map(contact => {
+    const phones = contact.phones || [];
+    const mobile = phones.find(p => p.label === 'mobile');
+    const others = phones.filter(p => p !== mobile);
+
+    return [
+      contact.displayName,
+      contact.firstName,
+      contact.lastName,
+      contact.company,
+      mobile ? mobile.normalized : '',
+      others.map(p => p.normalized).join(MULTI_VALUE_SEPARATOR),
+      (contact.emails || []).map(e => e.normalized).join(MULTI_VALUE_SEPARATOR),
+      (contact.whatsapp || []).map(w => w.normalized).join(MULTI_VALUE_SEPARATOR),
+      contact.notes
+    ];
+  });
+
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * Détecte le format d'un fichier importé
+ * @returns {'vcard'|'csv'}
+ */
+function detectFormat(text, fileName = '') {
+  if (/\.(vcf|vcard)$/i.test(fileName)) return 'vcard';
+  if (/\.csv$/i.test(fileName)) return 'csv';
+  return /^\uFEFF?\s*BEGIN:VCARD/i.test(text) ? 'vcard' : 'csv';
+}
+
+module.exports = {
+  parseVCard,
+  serializeVCard,
+  parseCsv,
+  serializeCsv,
+  detectFormat
+};
@@ -0,0 +1,41 @@
+/**
+ * Écriture CSV (RFC 4180) lisible par Excel / LibreOffice
+ *
+ * UTF-8 avec BOM (accents corrects à l'ouverture dans Excel), fins de ligne CRLF.
+ * Les cellules texte commençant par =, +, -, @, tabulation ou CR sont préfixées
+ * d'une apostrophe pour ne pas être évaluées comme formules (injection CSV).
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Retire l'apostrophe ajoutée par escapeCsv (relecture de nos propres exports)
+ */
+function unescapeFormula(cell) {
+  return cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Sérialise des lignes (tableaux de cellules) en CSV
+ * @param {Array<Array<*>>} rows - Première ligne: en-tête
+ * @param {Object} [options]
+ * @param {boolean} [options.bom] - Préfixer le BOM UTF-8 (défaut: oui)
+ */
+function toCsv(rows, { bom = true } = {}) {
+  const lines = rows.map(row => row.map(escapeCsv).join(','));
+  return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeCsv,
+  unescapeFormula,
+  toCsv
+};
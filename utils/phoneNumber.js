@@ -0,0 +1,88 @@
+/**
+ * Normalisation des numéros de téléphone
+ *
+ * Logique partagée entre les providers SMS (SmsProvider.formatPhoneNumber)
+ * et le carnet de contacts pour comparer des numéros saisis dans des formats
+ * différents (06..., 0033..., +33...).
+ */
+
+/**
+ * Formate un numéro de téléphone au format E.164
+ * @param {string} number - Numéro brut
+ * @param {string} defaultCountry - Code pays par défaut
+ * @returns {string} Numéro formaté
+ */
+function formatPhoneNumber(number, defaultCountry = 'FR') {
+  if (!number) return number;
+
+  // Nettoyer le numéro
+  let cleaned = number.replace(/[\s\-\.\(\)]/g, '');
+
+  // Déjà au format international
+  if (cleaned.startsWith('+')) {
+    return cleaned;
+  }
+
+  // Format français
+  if (defaultCountry === 'FR') {
+    if (cleaned.startsWith('0')) {
+      return '+33' + cleaned.substring(1);
+    }
+    if (cleaned.startsWith('33')) {
+      return '+' + cleaned;
+    }
+  }
+
+  // Format belge
+  if (defaultCountry === 'BE') {
+    if (cleaned.startsWith('0')) {
+      return '+32' + cleaned.substring(1);
+    }
+  }
+
+  // Format suisse
+  if (defaultCountry === 'CH') {
+    if (cleaned.startsWith('0')) {
+      return '+41' + cleaned.substring(1);
+    }
+  }
+
+  // Par défaut, supposer français si commence par 06 ou 07
+  if (/^0[67]\d{8}$/.test(cleaned)) {
+    return '+33' + cleaned.substring(1);
+  }
+
+  return cleaned;
+}
+
+/**
+ * Normalise un numéro pour comparaison (E.164 strict, null si invalide)
+ * Gère aussi le préfixe international 00 et les numéros déjà internationaux sans '+'
+ * (JIDs WhatsApp, numéros renvoyés par les modems).
+ * @param {string} number - Numéro brut
+ * @param {string} defaultCountry - Code pays par défaut
+ * @returns {string|null} Numéro E.164 (+33612345678) ou null
+ */
+function toE164(number, defaultCountry = 'FR') {
+  if (!number || typeof number !== 'string') return null;
+
+  let cleaned = number.trim().replace(/[\s\-\.\(\)\/]/g, '');
+  if (cleaned.startsWith('00')) {
+    cleaned = '+' + cleaned.substring(2);
+  }
+  if (!/^\+?\d+$/.test(cleaned)) return null;
+
+  let formatted = formatPhoneNumber(cleaned, defaultCountry);
+
+  // Numéro international sans '+' (ex: 590690123456)
+  if (!formatted.startsWith('+') && !formatted.startsWith('0') && formatted.length >= 11) {
+    formatted = '+' + formatted;
+  }
+
+  return /^\+[1-9]\d{6,14}$/.test(formatted) ? formatted : null;
+}
+
+module.exports = {
+  formatPhoneNumber,
+  toE164
+};
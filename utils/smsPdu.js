@@ -0,0 +1,628 @@
+/**
+ * Codec PDU SMS (3GPP TS 23.040 / 23.038)
+ *
+ * Encodage SMS-SUBMIT et décodage SMS-DELIVER / SMS-SUBMIT / SMS-STATUS-REPORT
+ * en JavaScript pur, sans modem, pour le mode PDU des modems AT (AT+CMGF=0):
+ * - Alphabet GSM-7 avec table d'extension (€, [, ], {, }...)
+ * - UCS-2 pour les accents hors GSM-7 et les emojis (paires de substitution)
+ * - Messages longs découpés avec en-tête de concaténation (UDH) et réassemblage
+ * - Accusés de réception (TP-ST) ramenés à delivered / pending / failed
+ */
+
+const EventEmitter = require('events');
+
+// Table de base GSM 03.38 (index = septet)
+const GSM7_BASIC = [
+  '@', '£', '$', '¥', 'è', 'é', 'ù', 'ì', 'ò', 'Ç', '\n', 'Ø', 'ø', '\r', 'Å', 'å',
+  'Δ', '_', 'Φ', 'Γ', 'Λ', 'Ω', 'Π', 'Ψ', 'Σ', 'Θ', 'Ξ', '\x1b', 'Æ', 'æ', 'ß', 'É',
+  ' ', '!', '"', '#', '¤', '%', '&', '\'', '(', ')', '*', '+', ',', '-', '.', '/',
+  '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', ':', ';', '<', '=', '>', '?',
+  '¡', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O',
+  'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W', 'X', 'Y', 'Z', 'Ä', 'Ö', 'Ñ', 'Ü', '§',
+  '¿', 'a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l', 'm', 'n', 'o',
+  'p', 'q', 'r', 's', 't', 'u', 'v', 'w', 'x', 'y', 'z', 'ä', 'ö', 'ñ', 'ü', 'à'
+];
+
+// Table d'extension (précédée du septet ESC 0x1B)
+const GSM7_EXTENSION = {
+  0x0A: '\f',
+  0x14: '^',
+  0x28: '{',
+  0x29: '}',
+  0x2F: '\\',
+  0x3C: '[',
+  0x3D: '~',
+  0x3E: ']',
+  0x40: '|',
+  0x65: '€'
+};
+
+const GSM7_ESCAPE = 0x1B;
+
+const GSM7_BASIC_INDEX = new Map(GSM7_BASIC.map((char, index) => [char, index]));
+const GSM7_EXTENSION_INDEX = new Map(
+  Object.entries(GSM7_EXTENSION).map(([code, char]) => [char, Number(code)])
+);
+
+// Capacité d'un segment (septets GSM-7 ou unités UTF-16 en UCS-2)
+const SEGMENT_LIMITS = {
+  gsm7: { single: 160, multipart: 153 },
+  ucs2: { single: 70, multipart: 67 }
+};
+
+const MAX_PARTS = 255;
+
+// Validité relative par défaut (0xA7 = 24 heures)
+const DEFAULT_VALIDITY = 0xA7;
+
+// Type d'adresse: numéro international (+) ou national/inconnu
+const TOA_INTERNATIONAL = 0x91;
+const TOA_UNKNOWN = 0x81;
+
+// ==================== Alphabets ====================
+
+/**
+ * Septets GSM-7 d'un texte, null si un caractère n'existe pas en GSM-7
+ * @returns {number[][]|null} Un tableau de septets par caractère (2 pour l'extension)
+ */
+function toGsm7Septets(text) {
+  const chars = [];
+  for (const char of text) {
+    if (GSM7_BASIC_INDEX.has(char) && char !== '\x1b') {
+      chars.push([GSM7_BASIC_INDEX.get(char)]);
+    } else if (GSM7_EXTENSION_INDEX.has(char)) {
+      chars.push([GSM7_ESCAPE, GSM7_EXTENSION_INDEX.get(char)]);
+    } else {
+      return null;
+    }
+  }
+  return chars;
+}
+
+function fromGsm7Septets(septets) {
+  let text = '';
+  for (let i = 0; i < septets.length; i++) {
+    if (septets[i] === GSM7_ESCAPE && i + 1 < septets.length) {
+      const code = septets[++i];
+      // Code d'extension inconnu: caractère de la table de base (23.038 §6.2.1.1)
+      text += GSM7_EXTENSION[code] ?? GSM7_BASIC[code];
+    } else if (septets[i] !== GSM7_ESCAPE) {
+      text += GSM7_BASIC[septets[i]];
+    }
+  }
+  return text;
+}
+
+/**
+ * Empaquette des septets sur 8 bits, après `fillBits` bits de bourrage (alignement UDH)
+ */
+function packSeptets(septets, fillBits = 0) {
+  const bytes = [];
+  let acc = 0;
+  let accBits = fillBits;
+
+  for (const septet of septets) {
+    acc |= septet << accBits;
+    accBits += 7;
+    while (accBits >= 8) {
+      bytes.push(acc & 0xFF);
+      acc >>= 8;
+      accBits -= 8;
+    }
+  }
+  if (accBits > 0) {
+    bytes.push(acc & 0xFF);
+  }
+  return bytes;
+}
+
+function unpackSeptets(bytes, count, fillBits = 0) {
+  const septets = [];
+  let bitPos = fillBits;
+
+  for (let n = 0; n < count; n++) {
+    const byteIndex = bitPos >> 3;
+    const shift = bitPos & 7;
+    let value = (bytes[byteIndex] || 0) >> shift;
+    if (shift > 1) {
+      value |= (bytes[byteIndex + 1] || 0) << (8 - shift);
+    }
+    septets.push(value & 0x7F);
+    bitPos += 7;
+  }
+  return septets;
+}
+
+function toUcs2Bytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const unit = text.charCodeAt(i);
+    bytes.push(unit >> 8, unit & 0xFF);
+  }
+  return bytes;
+}
+
+function fromUcs2Bytes(bytes) {
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  }
+  return text;
+}
+
+// ==================== Découpage ====================
+
+/**
+ * Découpe un texte en segments sans couper une séquence d'échappement GSM-7
+ * ni une paire de substitution UCS-2 (emoji)
+ * @param {string} text
+ * @returns {{encoding: 'gsm7'|'ucs2', parts: string[]}}
+ */
+function splitMessage(text) {
+  const value = String(text || '');
+  const gsmChars = toGsm7Septets(value);
+  const encoding = gsmChars ? 'gsm7' : 'ucs2';
+  const limits = SEGMENT_LIMITS[encoding];
+
+  // Unités par caractère: septets (GSM-7) ou unités UTF-16 (UCS-2)
+  const chars = [...value];
+  const sizes = gsmChars ? gsmChars.map(septets => septets.length) : chars.map(char => char.length);
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+
+  if (total <= limits.single) {
+    return { encoding, parts: [value] };
+  }
+
+  const parts = [];
+  let current = '';
+  let currentSize = 0;
+  chars.forEach((char, index) => {
+    if (currentSize + sizes[index] > limits.multipart) {
+      parts.push(current);
+      current = '';
+      currentSize = 0;
+    }
+    current += char;
+    currentSize += sizes[index];
+  });
+  parts.push(current);
+
+  if (parts.length > MAX_PARTS) {
+    throw new Error(`Message trop long: ${parts.length} segments (maximum ${MAX_PARTS})`);
+  }
+  return { encoding, parts };
+}
+
+/**
+ * Encodage, longueur facturée et nombre de segments d'un SMS
+ * @returns {{encoding: 'gsm7'|'ucs2', length: number, segments: number}}
+ *   length: septets (extension comptée double) ou unités UTF-16
+ */
+function measure(text) {
+  const value = String(text || '');
+  const gsmChars = toGsm7Septets(value);
+  const encoding = gsmChars ? 'gsm7' : 'ucs2';
+  const length = gsmChars
+    ? gsmChars.reduce((sum, septets) => sum + septets.length, 0)
+    : value.length;
+
+  return {
+    encoding,
+    length,
+    segments: length <= SEGMENT_LIMITS[encoding].single ? 1 : splitMessage(value).parts.length
+  };
+}
+
+// ==================== Adresses et horodatage ====================
+
+function swapSemiOctets(digits) {
+  const padded = digits.length % 2 ? digits + 'F' : digits;
+  let out = '';
+  for (let i = 0; i < padded.length; i += 2) {
+    out += padded[i + 1] + padded[i];
+  }
+  return out;
+}
+
+/**
+ * Adresse destinataire (TP-DA): longueur en chiffres, type, chiffres inversés
+ */
+function encodeAddress(number) {
+  const cleaned = String(number).replace(/[\s\-().]/g, '');
+  const international = cleaned.startsWith('+');
+  const digits = cleaned.replace(/^\+/, '');
+
+  if (!/^[0-9*#]+$/.test(digits)) {
+    throw new Error(`Numéro invalide pour un PDU: ${number}`);
+  }
+
+  const semiOctets = digits.replace(/\*/g, 'A').replace(/#/g, 'B');
+  return toHex([digits.length, international ? TOA_INTERNATIONAL : TOA_UNKNOWN]) + swapSemiOctets(semiOctets);
+}
+
+/**
+ * Adresse du centre SMS: longueur en octets (type inclus), absente = "00"
+ */
+function encodeSmsc(smsc) {
+  if (!smsc) return '00';
+  const address = encodeAddress(smsc).substring(2);
+  return toHex([address.length / 2]) + address;
+}
+
+function decodeSemiOctets(bytes, digitCount) {
+  let digits = '';
+  for (const byte of bytes) {
+    digits += (byte & 0x0F).toString(16) + (byte >> 4).toString(16);
+  }
+  return digits
+    .substring(0, digitCount)
+    .replace(/f/g, '')
+    .replace(/a/g, '*')
+    .replace(/b/g, '#');
+}
+
+function decodeAddressValue(type, bytes, digitCount) {
+  // TON alphanumérique (ex: expéditeur "BANQUE"): GSM-7 empaqueté
+  if ((type & 0x70) === 0x50) {
+    return fromGsm7Septets(unpackSeptets(bytes, Math.floor((digitCount * 4) / 7)));
+  }
+  const digits = decodeSemiOctets(bytes, digitCount);
+  return (type & 0x70) === 0x10 ? `+${digits}` : digits;
+}
+
+/**
+ * Horodatage du centre SMS (TP-SCTS): 7 octets BCD inversés, fuseau en quarts d'heure
+ * @returns {number} Timestamp en millisecondes
+ */
+function decodeTimestamp(bytes) {
+  const bcd = byte => (byte & 0x0F) * 10 + (byte >> 4);
+  const [year, month, day, hour, minute, second] = bytes.slice(0, 6).map(bcd);
+  const tz = bytes[6];
+  const quarters = (tz & 0x07) * 10 + (tz >> 4);
+  const offsetMinutes = (tz & 0x08 ? -1 : 1) * quarters * 15;
+
+  return Date.UTC(2000 + year, month - 1, day, hour, minute, second) - offsetMinutes * 60000;
+}
+
+// ==================== Données utilisateur ====================
+
+function alphabetFromDcs(dcs) {
+  // Groupe de codage général (00xx) et messages avec classe (01xx)
+  if ((dcs & 0x80) === 0) {
+    if (dcs & 0x20) return 'compressed';
+    return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >> 2) & 0x03];
+  }
+  switch (dcs & 0xF0) {
+    case 0xC0:
+    case 0xD0:
+      return 'gsm7';
+    case 0xE0:
+      return 'ucs2';
+    case 0xF0:
+      return dcs & 0x04 ? '8bit' : 'gsm7';
+    default:
+      return '8bit';
+  }
+}
+
+function parseUserDataHeader(bytes) {
+  const elements = [];
+  let concat = null;
+
+  for (let i = 0; i + 1 < bytes.length;) {
+    const iei = bytes[i];
+    const length = bytes[i + 1];
+    const data = bytes.slice(i + 2, i + 2 + length);
+    elements.push({ iei, data: toHex(data) });
+
+    if (iei === 0x00 && length === 3) {
+      concat = { reference: data[0], total: data[1], sequence: data[2] };
+    } else if (iei === 0x08 && length === 4) {
+      concat = { reference: (data[0] << 8) | data[1], total: data[2], sequence: data[3] };
+    }
+    i += 2 + length;
+  }
+
+  return { elements, concat };
+}
+
+function decodeUserData(bytes, udl, alphabet, hasHeader) {
+  let header = null;
+  let offset = 0;
+
+  if (hasHeader) {
+    const udhLength = bytes[0] + 1;
+    header = parseUserDataHeader(bytes.slice(1, udhLength));
+    offset = udhLength;
+  }
+
+  if (alphabet === 'gsm7') {
+    const headerSeptets = Math.ceil((offset * 8) / 7);
+    const fillBits = headerSeptets * 7 - offset * 8;
+    const septets = unpackSeptets(bytes.slice(offset), udl - headerSeptets, fillBits);
+    return { header, text: fromGsm7Septets(septets), data: null };
+  }
+
+  const payload = bytes.slice(offset, udl);
+  if (alphabet === 'ucs2') {
+    return { header, text: fromUcs2Bytes(payload), data: null };
+  }
+  return { header, text: '', data: toHex(payload) };
+}
+
+// ==================== Encodage SMS-SUBMIT ====================
+
+/**
+ * Encode un SMS sortant en un ou plusieurs PDU SMS-SUBMIT
+ * @param {string} to - Numéro destinataire
+ * @param {string} text - Contenu
+ * @param {Object} [options]
+ * @param {string} [options.smsc] - Centre SMS (défaut: celui de la SIM)
+ * @param {number} [options.reference] - Référence de concaténation 0-255 (messages longs)
+ * @param {boolean} [options.statusReport] - Demander un accusé de réception (TP-SRR)
+ * @param {number} [options.validity] - Validité relative TP-VP (défaut 0xA7 = 24h)
+ * @returns {{encoding: string, parts: Array<{pdu: string, tpduLength: number, text: string}>}}
+ *   tpduLength: longueur à passer à AT+CMGS=<n> (sans le centre SMS)
+ */
+function encodeSubmit(to, text, { smsc = null, reference = 0, statusReport = false, validity = DEFAULT_VALIDITY } = {}) {
+  const { encoding, parts } = splitMessage(text);
+  const multipart = parts.length > 1;
+  const smscHex = encodeSmsc(smsc);
+  const addressHex = encodeAddress(to);
+
+  return {
+    encoding,
+    parts: parts.map((partText, index) => {
+      // TP-MTI SUBMIT, TP-VPF relatif, TP-SRR, TP-UDHI
+      const firstOctet = 0x01 | 0x10 | (statusReport ? 0x20 : 0) | (multipart ? 0x40 : 0);
+      const header = multipart ? [0x05, 0x00, 0x03, reference & 0xFF, parts.length, index + 1] : [];
+
+      let udl;
+      let userData;
+      if (encoding === 'gsm7') {
+        const septets = toGsm7Septets(partText).flat();
+        const headerSeptets = Math.ceil((header.length * 8) / 7);
+        udl = headerSeptets + septets.length;
+        userData = [...header, ...packSeptets(septets, headerSeptets * 7 - header.length * 8)];
+      } else {
+        userData = [...header, ...toUcs2Bytes(partText)];
+        udl = userData.length;
+      }
+
+      const tpdu = toHex([firstOctet, 0x00]) +
+        addressHex +
+        toHex([0x00, encoding === 'gsm7' ? 0x00 : 0x08, validity, udl]) +
+        toHex(userData);
+
+      return {
+        pdu: smscHex + tpdu,
+        tpduLength: tpdu.length / 2,
+        text: partText
+      };
+    })
+  };
+}
+
+// ==================== Décodage ====================
+
+/**
+ * Résultat d'un accusé de réception à partir de TP-ST (23.040 §9.2.3.15)
+ * - 0x00-0x1F: transaction terminée (remis, ou remis sans confirmation)
+ * - 0x20-0x3F: erreur temporaire, le centre SMS réessaie
+ * - 0x40-0x7F: erreur permanente ou abandon du centre SMS
+ * @returns {'delivered'|'pending'|'failed'}
+ */
+function deliveryStatusFromCode(status) {
+  if (status < 0x20) return 'delivered';
+  if (status < 0x40) return 'pending';
+  return 'failed';
+}
+
+/**
+ * Décode un PDU reçu du modem (AT+CMGR / AT+CMGL en mode PDU)
+ * @param {string} hex - PDU hexadécimal, centre SMS inclus
+ * @returns {{type: 'deliver'|'submit', smsc: string|null, from?: string, to?: string,
+ *   timestamp?: number, encoding: string, text: string, data: string|null,
+ *   concat: {reference: number, total: number, sequence: number}|null}}
+ *   Pour un accusé de réception (+CDS): {type: 'status-report', smsc, messageReference, to,
+ *   timestamp, dischargedAt, status (TP-ST), deliveryStatus}
+ */
+function decodePdu(hex) {
+  const bytes = fromHex(hex);
+  let pos = 0;
+
+  const smscLength = bytes[pos++];
+  const smsc = smscLength > 1
+    ? decodeAddressValue(bytes[pos], bytes.slice(pos + 1, pos + smscLength), (smscLength - 1) * 2)
+    : null;
+  pos += smscLength;
+
+  const firstOctet = bytes[pos++];
+  const mti = firstOctet & 0x03;
+  const hasHeader = !!(firstOctet & 0x40);
+
+  const readAddress = () => {
+    const digitCount = bytes[pos];
+    const type = bytes[pos + 1];
+    const length = Math.ceil(digitCount / 2);
+    const value = decodeAddressValue(type, bytes.slice(pos + 2, pos + 2 + length), digitCount);
+    pos += 2 + length;
+    return value;
+  };
+
+  let message;
+  if (mti === 0x00) {
+    const from = readAddress();
+    const pid = bytes[pos++];
+    const dcs = bytes[pos++];
+    const timestamp = decodeTimestamp(bytes.slice(pos, pos + 7));
+    pos += 7;
+    message = { type: 'deliver', smsc, from, timestamp, pid, dcs };
+  } else if (mti === 0x01) {
+    const messageReference = bytes[pos++];
+    const to = readAddress();
+    const pid = bytes[pos++];
+    const dcs = bytes[pos++];
+    const vpf = (firstOctet >> 3) & 0x03;
+    pos += vpf === 0 ? 0 : vpf === 2 ? 1 : 7;
+    message = { type: 'submit', smsc, to, messageReference, pid, dcs };
+  } else if (mti === 0x02) {
+    // SMS-STATUS-REPORT: pas de texte utile, seuls la référence et le statut comptent
+    const messageReference = bytes[pos++];
+    const to = readAddress();
+    const timestamp = decodeTimestamp(bytes.slice(pos, pos + 7));
+    const dischargedAt = decodeTimestamp(bytes.slice(pos + 7, pos + 14));
+    pos += 14;
+    if (pos >= bytes.length) {
+      throw new Error('Accusé de réception tronqué');
+    }
+    const status = bytes[pos];
+    return {
+      type: 'status-report',
+      smsc,
+      messageReference,
+      to,
+      timestamp,
+      dischargedAt,
+      status,
+      deliveryStatus: deliveryStatusFromCode(status)
+    };
+  } else {
+    throw new Error(`Type de PDU non supporté (TP-MTI ${mti})`);
+  }
+
+  const udl = bytes[pos++];
+  const encoding = alphabetFromDcs(message.dcs);
+  if (encoding === 'compressed') {
+    throw new Error('SMS compressé non supporté');
+  }
+  const { header, text, data } = decodeUserData(bytes.slice(pos), udl, encoding, hasHeader);
+
+  return {
+    ...message,
+    encoding,
+    text,
+    data,
+    concat: header?.concat || null
+  };
+}
+
+// ==================== Réassemblage ====================
+
+/**
+ * Réassemble les SMS multi-parties (même expéditeur, référence et nombre de parties)
+ *
+ * add() retourne le message complet (ou le message simple tel quel), null tant
+ * qu'il manque des parties. Le message complet garde les parties reçues dans
+ * `partMessages` (ex: pour les supprimer de la SIM).
+ * S'il manque encore des parties au bout de `timeoutMs`, le texte disponible
+ * est émis en 'expired' ({ ...message, incomplete: true, missing }) plutôt que perdu.
+ */
+class MultipartAssembler extends EventEmitter {
+  constructor({ timeoutMs = 60 * 60 * 1000 } = {}) {
+    super();
+    this.timeoutMs = timeoutMs;
+    this.pending = new Map();
+  }
+
+  /**
+   * @param {Object} message - Résultat de decodePdu()
+   * @param {string} [source] - Modem d'origine (les références sont propres à chaque ligne)
+   */
+  add(message, source = '') {
+    const concat = message.concat;
+    if (!concat || concat.total <= 1) {
+      return message;
+    }
+
+    const key = [source, message.from, concat.reference, concat.total].join('|');
+    let entry = this.pending.get(key);
+    if (!entry) {
+      entry = { message, parts: new Map(), timer: null };
+      if (this.timeoutMs > 0) {
+        entry.timer = setTimeout(() => this._expire(key), this.timeoutMs);
+        entry.timer.unref?.();
+      }
+      this.pending.set(key, entry);
+    }
+
+    entry.parts.set(concat.sequence, message);
+    if (concat.sequence === 1) {
+      entry.message = message;
+    }
+
+    if (entry.parts.size < concat.total) {
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(key);
+    return this._merge(entry);
+  }
+
+  /**
+   * Parties en attente d'assemblage
+   */
+  get size() {
+    return this.pending.size;
+  }
+
+  clear() {
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.pending.clear();
+  }
+
+  _expire(key) {
+    const entry = this.pending.get(key);
+    if (!entry) return;
+    this.pending.delete(key);
+
+    const total = entry.message.concat.total;
+    const missing = [];
+    for (let sequence = 1; sequence <= total; sequence++) {
+      if (!entry.parts.has(sequence)) missing.push(sequence);
+    }
+
+    this.emit('expired', { ...this._merge(entry), incomplete: true, missing });
+  }
+
+  _merge(entry) {
+    const sequences = [...entry.parts.keys()].sort((a, b) => a - b);
+    return {
+      ...entry.message,
+      text: sequences.map(sequence => entry.parts.get(sequence).text).join(''),
+      parts: entry.message.concat.total,
+      partMessages: sequences.map(sequence => entry.parts.get(sequence)),
+      concat: null
+    };
+  }
+}
+
+// ==================== Utilitaires ====================
+
+function toHex(bytes) {
+  return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function fromHex(hex) {
+  const cleaned = String(hex || '').replace(/\s/g, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(cleaned)) {
+    throw new Error('PDU hexadécimal invalide');
+  }
+  const bytes = [];
+  for (let i = 0; i < cleaned.length; i += 2) {
+    bytes.push(parseInt(cleaned.substring(i, i + 2), 16));
+  }
+  return bytes;
+}
+
+module.exports = {
+  encodeSubmit,
+  decodePdu,
+  deliveryStatusFromCode,
+  splitMessage,
+  measure,
+  MultipartAssembler
+};